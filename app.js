@@ -6,6 +6,7 @@ const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const connectDB = require('./config/database');
+const { startJobs, stopJobs } = require('./jobs');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const verificationRoutes = require('./routes/verification');
@@ -16,6 +17,20 @@ const portfolioRoutes = require('./routes/portfolio');
 const marketRoutes = require('./routes/market');
 const productRoutes = require('./routes/products');
 const cartRoutes = require('./routes/cartRoutes');
+const orderRoutes = require('./routes/orders');
+const sellerRoutes = require('./routes/seller');
+const couponRoutes = require('./routes/coupons');
+const taxRuleRoutes = require('./routes/taxRules');
+const exchangeRateRoutes = require('./routes/exchangeRates');
+const wishlistRoutes = require('./routes/wishlist');
+const notificationRoutes = require('./routes/notifications');
+const reviewRoutes = require('./routes/reviews');
+const searchRoutes = require('./routes/search');
+const moderationRoutes = require('./routes/moderation');
+const storeRoutes = require('./routes/stores');
+const paymentRoutes = require('./routes/payments');
+const escrowRoutes = require('./routes/escrow');
+const returnRoutes = require('./routes/returns');
 const app = express();
 
 // Connect to database
@@ -28,6 +43,7 @@ app.use(helmet());
 const corsOptions = {
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
+  exposedHeaders: ['X-Cart-Session'],
   optionsSuccessStatus: 200
 };
 app.use(cors(corsOptions));
@@ -45,8 +61,15 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-// Body parsing
-app.use(express.json({ limit: '10mb' }));
+// Body parsing; payment webhooks keep the raw body so their signatures can be checked
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Request logging middleware
@@ -67,6 +90,20 @@ app.use('/api/portfolio', portfolioRoutes);
 app.use('/api/market', marketRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/cart', cartRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/seller', sellerRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/tax-rules', taxRuleRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/wishlist', wishlistRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/stores', storeRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/escrow', escrowRoutes);
+app.use('/api/returns', returnRoutes);
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -93,7 +130,21 @@ app.get('/api', (req, res) => {
       portfolio: '/api/portfolio',
       market: '/api/market',
       products: '/api/products',
-      cart: '/api/cart'
+      cart: '/api/cart',
+      orders: '/api/orders',
+      seller: '/api/seller',
+      coupons: '/api/coupons',
+      taxRules: '/api/tax-rules',
+      exchangeRates: '/api/exchange-rates',
+      wishlist: '/api/wishlist',
+      notifications: '/api/notifications',
+      reviews: '/api/reviews',
+      search: '/api/search',
+      moderation: '/api/moderation',
+      stores: '/api/stores',
+      payments: '/api/payments',
+      escrow: '/api/escrow',
+      returns: '/api/returns'
     }
   });
 });
@@ -202,6 +253,9 @@ const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT} in ${process.env.NODE_ENV || 'development'} mode`);
   console.log(`Health check: http://localhost:${PORT}/health`);
   console.log(`API root: http://localhost:${PORT}/api`);
+
+  // Abandoned cart sweeps, recovery emails and expired cart cleanup
+  startJobs();
 });
 
 // Handle server errors
@@ -217,6 +271,7 @@ server.on('error', (error) => {
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
+  stopJobs();
   server.close(() => {
     console.log('Server closed');
     mongoose.connection.close(false, () => {
@@ -228,6 +283,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received. Shutting down gracefully...');
+  stopJobs();
   server.close(() => {
     console.log('Server closed');
     mongoose.connection.close(false, () => {
@@ -0,0 +1,22 @@
+// config/analytics.js - Seller analytics settings
+
+// Raw view and cart events are kept this long, then expire
+const EVENT_RETENTION_DAYS = parseInt(process.env.ANALYTICS_RETENTION_DAYS) || 730;
+
+// Range used when the request doesn't give one
+const DEFAULT_RANGE_DAYS = 30;
+
+// Most buckets a single report may return, e.g. a year of days
+const MAX_BUCKETS = 366;
+
+const INTERVALS = ['day', 'week', 'month'];
+
+const TOP_PRODUCTS_LIMIT = 10;
+
+module.exports = {
+    EVENT_RETENTION_DAYS,
+    DEFAULT_RANGE_DAYS,
+    MAX_BUCKETS,
+    INTERVALS,
+    TOP_PRODUCTS_LIMIT
+};
@@ -0,0 +1,47 @@
+// config/currency.js - Supported currencies and FX settings
+// Exchange rates are stored as units of a currency per 1 unit of BASE_CURRENCY.
+
+const BASE_CURRENCY = 'USD';
+
+// Display symbol and the number of decimals amounts are rounded to
+const CURRENCIES = {
+    USD: { symbol: '$', decimals: 2 },
+    EUR: { symbol: '€', decimals: 2 },
+    GBP: { symbol: '£', decimals: 2 },
+    NGN: { symbol: '₦', decimals: 0 },
+    GHS: { symbol: 'GH₵', decimals: 2 },
+    KES: { symbol: 'KSh', decimals: 0 },
+    ZAR: { symbol: 'R', decimals: 2 }
+};
+
+const SUPPORTED_CURRENCIES = Object.keys(CURRENCIES);
+
+// Used only when the provider can't be reached and nothing is cached
+const FALLBACK_RATES = {
+    USD: 1,
+    EUR: 0.92,
+    GBP: 0.79,
+    NGN: 1550,
+    GHS: 15.5,
+    KES: 129,
+    ZAR: 18.5
+};
+
+// Provider returning { rates: { EUR: 0.92, ... } } for the base currency
+const FX_PROVIDER_URL = process.env.FX_PROVIDER_URL || `https://open.er-api.com/v6/latest/${BASE_CURRENCY}`;
+
+// How long provider rates are cached, in seconds
+const FX_CACHE_TTL = parseInt(process.env.FX_CACHE_TTL, 10) || 3600;
+
+// After a failed fetch, the provider isn't asked again for this many seconds
+const FX_RETRY_AFTER = parseInt(process.env.FX_RETRY_AFTER, 10) || 60;
+
+module.exports = {
+    BASE_CURRENCY,
+    CURRENCIES,
+    SUPPORTED_CURRENCIES,
+    FALLBACK_RATES,
+    FX_PROVIDER_URL,
+    FX_CACHE_TTL,
+    FX_RETRY_AFTER
+};
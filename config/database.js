@@ -1,10 +1,17 @@
 const mongoose = require('mongoose');
+const { dropLegacyIndexes } = require('../migrations/legacyIndexes');
 
 const connectDB = async () => {
   try {
     const conn = await mongoose.connect(process.env.MONGODB_URI);
 
     console.log(`MongoDB Connected: ${conn.connection.host}`);
+
+    // Indexes from older schemas stop the current ones from building
+    await dropLegacyIndexes().catch((error) => {
+      console.error('Failed to drop legacy indexes:', error);
+    });
+
     // Handle connection events
     mongoose.connection.on('error', (err) => {
       console.error('MongoDB connection error:', err);
@@ -0,0 +1,16 @@
+// config/escrow.js - Escrow, commission and payout settings
+
+// Platform commission in percent for categories that don't set their own
+const DEFAULT_COMMISSION_RATE = parseFloat(process.env.DEFAULT_COMMISSION_RATE) || 5;
+
+// Funds are released to the seller this many days after delivery unless the buyer disputes
+const ESCROW_AUTO_RELEASE_DAYS = parseInt(process.env.ESCROW_AUTO_RELEASE_DAYS, 10) || 7;
+
+// Smallest payout a seller can request, in their payout currency
+const MIN_PAYOUT_AMOUNT = parseFloat(process.env.MIN_PAYOUT_AMOUNT) || 1;
+
+module.exports = {
+    DEFAULT_COMMISSION_RATE,
+    ESCROW_AUTO_RELEASE_DAYS,
+    MIN_PAYOUT_AMOUNT
+};
@@ -0,0 +1,32 @@
+// config/moderation.js - Listing moderation settings
+
+// Which new listings wait for an admin:
+//   'unverified' - listings from sellers whose identity isn't verified (default)
+//   'all'        - every listing
+//   'off'        - none, except listings the scanner flags
+const MODERATION_MODE = process.env.PRODUCT_MODERATION_MODE || 'unverified';
+
+// Words that send a listing to review wherever they appear; extend with BANNED_KEYWORDS=a,b,c
+const DEFAULT_BANNED_KEYWORDS = [
+    'counterfeit',
+    'replica',
+    'fake id',
+    'cocaine',
+    'heroin',
+    'firearm',
+    'ammunition',
+    'ivory',
+    'rhino horn',
+    'pangolin',
+    'stolen'
+];
+
+const BANNED_KEYWORDS = [
+    ...DEFAULT_BANNED_KEYWORDS,
+    ...(process.env.BANNED_KEYWORDS || '').split(',').map(word => word.trim().toLowerCase()).filter(Boolean)
+];
+
+module.exports = {
+    MODERATION_MODE,
+    BANNED_KEYWORDS
+};
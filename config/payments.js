@@ -0,0 +1,60 @@
+// config/payments.js - Payment providers and checkout settings
+
+// Provider used for new payments: 'paystack', 'flutterwave' or 'fake' (local testing).
+// Chosen here rather than by the buyer.
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || 'paystack';
+
+// Payment methods collected through the provider; the others are settled elsewhere
+const GATEWAY_METHODS = ['card', 'bank_transfer'];
+
+// Methods confirmed by the API itself; these orders can't be marked paid by hand
+const ONLINE_METHODS = [...GATEWAY_METHODS, 'wallet'];
+
+// Paid in cash on delivery; sellers can fulfil these orders before they are marked paid
+const PAY_ON_DELIVERY_METHODS = ['cash_on_delivery'];
+
+// Unpaid payment intents expire after this many minutes
+const PAYMENT_INTENT_TTL_MINUTES = parseInt(process.env.PAYMENT_INTENT_TTL_MINUTES, 10) || 30;
+
+// Where the provider sends the buyer back after paying
+const PAYMENT_CALLBACK_URL = process.env.PAYMENT_CALLBACK_URL
+    || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/checkout/complete`;
+
+// How long a wallet quote holds its exchange rate before the buyer must ask again
+const WALLET_QUOTE_TTL_SECONDS = parseInt(process.env.WALLET_QUOTE_TTL_SECONDS, 10) || 120;
+
+// Precision wallet amounts are rounded to when an asset doesn't set its own
+const WALLET_ASSET_DECIMALS = 8;
+
+const PROVIDERS = {
+    paystack: {
+        baseUrl: process.env.PAYSTACK_BASE_URL || 'https://api.paystack.co',
+        secretKey: process.env.PAYSTACK_SECRET_KEY
+    },
+    flutterwave: {
+        baseUrl: process.env.FLUTTERWAVE_BASE_URL || 'https://api.flutterwave.com/v3',
+        secretKey: process.env.FLUTTERWAVE_SECRET_KEY,
+        // Set on the Flutterwave dashboard and echoed in the verif-hash header
+        webhookHash: process.env.FLUTTERWAVE_WEBHOOK_HASH
+    },
+    // Anyone holding the secret can mark payments paid, so the fake provider is off unless
+    // FAKE_PAYMENTS_ENABLED=true and FAKE_PAYMENT_SECRET are both set, and never runs in production
+    fake: {
+        secret: process.env.FAKE_PAYMENT_SECRET,
+        enabled: process.env.FAKE_PAYMENTS_ENABLED === 'true'
+            && Boolean(process.env.FAKE_PAYMENT_SECRET)
+            && process.env.NODE_ENV !== 'production'
+    }
+};
+
+module.exports = {
+    PAYMENT_PROVIDER,
+    GATEWAY_METHODS,
+    ONLINE_METHODS,
+    PAY_ON_DELIVERY_METHODS,
+    PAYMENT_INTENT_TTL_MINUTES,
+    PAYMENT_CALLBACK_URL,
+    WALLET_QUOTE_TTL_SECONDS,
+    WALLET_ASSET_DECIMALS,
+    PROVIDERS
+};
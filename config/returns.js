@@ -0,0 +1,16 @@
+// config/returns.js - Return and dispute settings
+
+// Buyers can open a return or dispute this many days after a line is delivered
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS, 10) || 14;
+
+// Most photos a buyer can attach as evidence
+const MAX_RETURN_IMAGES = 5;
+
+// Asset credited when a buyer takes a card or transfer refund as wallet credit
+const REFUND_WALLET_ASSET = process.env.REFUND_WALLET_ASSET || 'USDT';
+
+module.exports = {
+    RETURN_WINDOW_DAYS,
+    MAX_RETURN_IMAGES,
+    REFUND_WALLET_ASSET
+};
@@ -0,0 +1,34 @@
+// config/search.js - Marketplace search tuning
+
+// Relative weight of each field in the product text index
+const TEXT_WEIGHTS = {
+    name: 10,
+    'metadata.tags': 6,
+    categoryName: 4,
+    companyName: 3,
+    'attributes.value': 3,
+    description: 1
+};
+
+// Below this many text matches the search falls back to fuzzy (trigram) matching
+const MIN_TEXT_RESULTS = 1;
+
+// Share of the query's trigrams a product must contain to count as a fuzzy match
+const FUZZY_THRESHOLD = 0.3;
+
+// Price facet bucket boundaries, in the listed price; prices past the last one share an open-ended bucket
+const PRICE_BUCKETS = [0, 10, 25, 50, 100, 250, 500, 1000, 5000, 10000];
+
+// Number of values returned per facet
+const FACET_LIMIT = 20;
+
+const SUGGESTION_LIMIT = 8;
+
+module.exports = {
+    TEXT_WEIGHTS,
+    MIN_TEXT_RESULTS,
+    FUZZY_THRESHOLD,
+    PRICE_BUCKETS,
+    FACET_LIMIT,
+    SUGGESTION_LIMIT
+};
@@ -0,0 +1,67 @@
+// config/shipping.js - Shipping zones and rate table
+// Weights are in kg and dimensions in cm; costs are in USD.
+
+// Divisor for volumetric weight: (length x width x height) / divisor
+const VOLUMETRIC_DIVISOR = 5000;
+
+// Weight used for a unit whose product has no weight set
+const DEFAULT_ITEM_WEIGHT = 0.5;
+
+// Countries we can recognise in free-text locations, with their region
+const COUNTRIES = {
+    NG: { names: ['nigeria'], region: 'west_africa' },
+    GH: { names: ['ghana'], region: 'west_africa' },
+    CI: { names: ['ivory coast', "cote d'ivoire", 'côte d’ivoire'], region: 'west_africa' },
+    SN: { names: ['senegal'], region: 'west_africa' },
+    BJ: { names: ['benin'], region: 'west_africa' },
+    TG: { names: ['togo'], region: 'west_africa' },
+    CM: { names: ['cameroon'], region: 'central_africa' },
+    KE: { names: ['kenya'], region: 'east_africa' },
+    TZ: { names: ['tanzania'], region: 'east_africa' },
+    UG: { names: ['uganda'], region: 'east_africa' },
+    RW: { names: ['rwanda'], region: 'east_africa' },
+    ET: { names: ['ethiopia'], region: 'east_africa' },
+    ZA: { names: ['south africa'], region: 'southern_africa' },
+    BW: { names: ['botswana'], region: 'southern_africa' },
+    ZM: { names: ['zambia'], region: 'southern_africa' },
+    EG: { names: ['egypt'], region: 'north_africa' },
+    MA: { names: ['morocco'], region: 'north_africa' },
+    GB: { names: ['united kingdom', 'uk', 'england', 'great britain'], region: 'europe' },
+    FR: { names: ['france'], region: 'europe' },
+    DE: { names: ['germany'], region: 'europe' },
+    US: { names: ['united states', 'usa', 'united states of america'], region: 'north_america' },
+    CA: { names: ['canada'], region: 'north_america' }
+};
+
+// Rates per zone and method; a method missing from a zone is not offered there
+const ZONE_RATES = {
+    local: {
+        standard: { base: 2, perKg: 0.5, days: [1, 3] },
+        express: { base: 5, perKg: 1, days: [1, 2] },
+        next_day: { base: 8, perKg: 1.5, days: [1, 1] },
+        pickup: { base: 0, perKg: 0, days: [0, 1] }
+    },
+    domestic: {
+        standard: { base: 5, perKg: 1, days: [3, 6] },
+        express: { base: 12, perKg: 2, days: [1, 3] },
+        next_day: { base: 25, perKg: 3, days: [1, 1] }
+    },
+    regional: {
+        standard: { base: 15, perKg: 4, days: [5, 10] },
+        express: { base: 35, perKg: 8, days: [2, 5] }
+    },
+    international: {
+        standard: { base: 30, perKg: 8, days: [7, 21] },
+        express: { base: 60, perKg: 15, days: [3, 7] }
+    }
+};
+
+const SHIPPING_METHODS = ['standard', 'express', 'next_day', 'pickup'];
+
+module.exports = {
+    VOLUMETRIC_DIVISOR,
+    DEFAULT_ITEM_WEIGHT,
+    COUNTRIES,
+    ZONE_RATES,
+    SHIPPING_METHODS
+};
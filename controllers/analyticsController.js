@@ -0,0 +1,32 @@
+// controllers/analyticsController.js
+const analyticsService = require('../services/analyticsService');
+
+class AnalyticsController {
+    // Revenue, units, orders, funnel and top products for the seller over a date range
+    async getSellerDashboard(req, res) {
+        try {
+            const { from, to, interval, currency } = req.query;
+
+            const dashboard = await analyticsService.getSellerDashboard(req.user._id, {
+                from,
+                to,
+                interval,
+                currency
+            });
+
+            res.json({
+                success: true,
+                message: 'Analytics retrieved successfully',
+                data: dashboard
+            });
+        } catch (error) {
+            console.error('Get seller analytics error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve analytics'
+            });
+        }
+    }
+}
+
+module.exports = new AnalyticsController();
@@ -1,33 +1,70 @@
 // controllers/CartController.js
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
+const orderService = require('../services/orderService');
+const couponService = require('../services/couponService');
+const shippingService = require('../services/shippingService');
+const cartReconciliationService = require('../services/cartReconciliationService');
+const wishlistService = require('../services/wishlistService');
+const fxService = require('../services/fxService');
+const analyticsService = require('../services/analyticsService');
+const paymentService = require('../services/paymentService');
+const walletPaymentService = require('../services/walletPaymentService');
+const { SUPPORTED_CURRENCIES } = require('../config/currency');
+const { GATEWAY_METHODS } = require('../config/payments');
+const { roundCurrency, formatCurrency } = require('../utils/currency');
+const { verifyCartRestoreToken } = require('../utils/cartSession');
 // const mongoose = require('mongoose');
 
+// Query for the active cart's owner: the logged in user or the guest cart session
+const getCartOwner = (req) => (req.user ? { user: req.user._id } : { sessionId: req.cartSessionId });
+
+// An empty, unsaved cart for the owner
+const newCart = (owner) => new Cart({
+    ...owner,
+    items: [],
+    summary: {
+        totalItems: 0,
+        totalQuantity: 0,
+        subtotal: 0,
+        shipping: 0,
+        tax: 0,
+        discount: 0,
+        total: 0
+    }
+});
+
 class CartController {
     // Create new cart or get existing cart
     async getOrCreateCart(req, res) {
         try {
-            const userId = req.user._id;
+            const owner = getCartOwner(req);
 
             // Check if user already has an active cart
             let cart = await Cart.findOne({
-                user: userId,
+                ...owner,
                 status: 'active'
             })
 
-            // If no active cart exists, create one
+            // If no active cart exists, create one. Guest carts are only stored on
+            // their first write, so browsing without a cart doesn't leave empty ones behind.
             if (!cart) {
-                cart = await Cart.create({
-                    user: userId,
-                    items: [],
-                    summary: {
-                        totalItems: 0,
-                        totalQuantity: 0,
-                        subtotal: 0,
-                        shipping: 0,
-                        tax: 0,
-                        discount: 0,
-                        total: 0
+                cart = newCart(owner);
+                if (req.user) {
+                    await cart.save();
+                }
+            }
+
+            // Reconciliation mode: bring prices and quantities up to date and report what changed
+            if (req.query.reconcile === 'true') {
+                const changes = cart.isNew ? [] : await cartReconciliationService.reconcile(cart);
+
+                return res.json({
+                    success: true,
+                    message: changes.length ? 'Cart retrieved and updated with changes' : 'Cart retrieved successfully',
+                    data: {
+                        ...cart.toJSON(),
+                        changes
                     }
                 });
             }
@@ -49,7 +86,7 @@ class CartController {
     // Add item to cart
     async addToCart(req, res) {
         try {
-            const userId = req.user._id;
+            const owner = getCartOwner(req);
             const {
                 productId,
                 quantity = 1,
@@ -76,11 +113,23 @@ class CartController {
                 });
             }
 
+            // Resolve the selected attributes to a variant for products that have them
+            const option = product.resolvePurchaseOption(selectedAttributes);
+            if (!option) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Please select a valid combination of options',
+                    data: {
+                        variantOptions: product.variantOptions
+                    }
+                });
+            }
+
             // Check product availability
-            if (product.stock < quantity) {
+            if (option.stock < quantity) {
                 return res.status(400).json({
                     success: false,
-                    message: `Only ${product.stock} items available in stock`
+                    message: `Only ${option.stock} items available in stock`
                 });
             }
 
@@ -94,36 +143,54 @@ class CartController {
 
             // Get or create user's cart
             let cart = await Cart.findOne({
-                user: userId,
+                ...owner,
                 status: 'active'
             });
 
+            // Saved along with the first item
             if (!cart) {
-                cart = await Cart.create({
-                    user: userId,
-                    items: [],
-                    summary: {
-                        totalItems: 0,
-                        totalQuantity: 0,
-                        subtotal: 0,
-                        shipping: 0,
-                        tax: 0,
-                        discount: 0,
-                        total: 0
-                    }
+                cart = newCart(owner);
+            }
+
+            // Stock applies to the whole line, including what is already in the cart
+            const existingItem = option.variant
+                ? cart.items.find(item => item.variant && item.variant.toString() === option.variant._id.toString())
+                : null;
+            if (existingItem && existingItem.quantity + parseInt(quantity) > option.stock) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Only ${option.stock} items available in stock`
                 });
             }
 
+            // Convert the product price into the cart currency
+            const { rate } = await fxService.getRate(product.currency, cart.currency);
+
             // Add item to cart
             await cart.addItem({
                 product: productId,
                 seller: product.userId._id,
+                category: product.category,
+                productType: product.type,
                 quantity: parseInt(quantity),
-                price: product.price,
-                selectedAttributes,
+                price: roundCurrency(option.price * rate, cart.currency),
+                basePrice: option.price,
+                baseCurrency: product.currency,
+                exchangeRate: rate,
+                selectedAttributes: option.selectedAttributes,
+                variant: option.variant ? option.variant._id : undefined,
+                sku: option.sku,
                 notes
             });
 
+            // Recorded in the background for seller analytics
+            analyticsService.trackCartAdd(product, {
+                user: req.user ? req.user._id : null,
+                sessionId: req.cartSessionId,
+                variant: option.variant ? option.variant._id : undefined,
+                quantity: parseInt(quantity)
+            });
+
             // Reload cart with populated data
             cart = await Cart.findById(cart._id)
             res.json({
@@ -143,7 +210,7 @@ class CartController {
     // Update item quantity
     async updateCartItem(req, res) {
         try {
-            const userId = req.user._id;
+            const owner = getCartOwner(req);
             const { itemId } = req.params;
             const { quantity } = req.body;
 
@@ -156,7 +223,7 @@ class CartController {
 
             // Get cart
             const cart = await Cart.findOne({
-                user: userId,
+                ...owner,
                 status: 'active'
             });
 
@@ -185,11 +252,19 @@ class CartController {
                 });
             }
 
+            const option = product.resolvePurchaseOption(cartItem.selectedAttributes, cartItem.variant);
+            if (!option) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'The selected options are no longer available'
+                });
+            }
+
             // Check stock availability
-            if (quantity > product.stock) {
+            if (quantity > option.stock) {
                 return res.status(400).json({
                     success: false,
-                    message: `Only ${product.stock} items available in stock`
+                    message: `Only ${option.stock} items available in stock`
                 });
             }
 
@@ -215,12 +290,12 @@ class CartController {
     // Remove item from cart
     async removeFromCart(req, res) {
         try {
-            const userId = req.user._id;
+            const owner = getCartOwner(req);
             const { itemId } = req.params;
 
             // Get cart
             const cart = await Cart.findOne({
-                user: userId,
+                ...owner,
                 status: 'active'
             });
 
@@ -250,10 +325,11 @@ class CartController {
         }
     }
 
-    // Clear cart
-    async clearCart(req, res) {
+    // Move a cart line to the wishlist to buy later
+    async saveForLater(req, res) {
         try {
             const userId = req.user._id;
+            const { itemId } = req.params;
 
             // Get cart
             const cart = await Cart.findOne({
@@ -268,6 +344,43 @@ class CartController {
                 });
             }
 
+            const { wishlist } = await wishlistService.saveCartItemForLater(cart, itemId);
+
+            res.json({
+                success: true,
+                message: 'Item saved for later',
+                data: {
+                    cart,
+                    wishlist
+                }
+            });
+        } catch (error) {
+            console.error('Save for later error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to save item for later'
+            });
+        }
+    }
+
+    // Clear cart
+    async clearCart(req, res) {
+        try {
+            const owner = getCartOwner(req);
+
+            // Get cart
+            const cart = await Cart.findOne({
+                ...owner,
+                status: 'active'
+            });
+
+            if (!cart) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Cart not found'
+                });
+            }
+
             // Clear cart
             await cart.clearCart();
 
@@ -330,27 +443,12 @@ class CartController {
                 });
             }
 
-            // In a real application, you would validate the coupon from database
-            // For now, we'll use a mock coupon validation
-            const couponData = {
-                code: couponCode,
-                discountType: 'percentage',
-                discountValue: 10, // 10% discount
-                maxDiscount: 50, // Maximum $50 discount
-                minPurchase: 100, // Minimum $100 purchase required
-                expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days from now
-            };
-
-            // Validate coupon requirements
-            if (cart.summary.subtotal < couponData.minPurchase) {
-                return res.status(400).json({
-                    success: false,
-                    message: `Minimum purchase of $${couponData.minPurchase} required for this coupon`
-                });
-            }
+            // Validate coupon against usage limits, validity window and restrictions
+            const coupon = await couponService.validateForCart(couponCode, cart, userId);
+            const couponData = await couponService.toCartCoupon(coupon, cart.currency);
 
             // Apply coupon
-            await cart.applyCoupon(couponCode, couponData);
+            await cart.applyCoupon(coupon.code, couponData);
 
             // Reload cart with populated data
             const updatedCart = await Cart.findById(cart._id)
@@ -361,7 +459,7 @@ class CartController {
             });
         } catch (error) {
             console.error('Apply coupon error:', error);
-            res.status(500).json({
+            res.status(error.statusCode || 500).json({
                 success: false,
                 message: error.message || 'Failed to apply coupon'
             });
@@ -493,7 +591,7 @@ class CartController {
     async updateShippingMethod(req, res) {
         try {
             const userId = req.user._id;
-            const { method, provider, estimatedDelivery } = req.body;
+            const { method, provider } = req.body;
 
             // Validate shipping method
             const validMethods = ['standard', 'express', 'next_day', 'pickup'];
@@ -517,11 +615,23 @@ class CartController {
                 });
             }
 
+            if (!cart.shippingAddress || !cart.shippingAddress.country) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Shipping address with a country is required'
+                });
+            }
+
+            // Quote the method for the cart's items and address
+            const quote = await shippingService.quoteMethod(cart, method);
+
             // Update shipping method
             await cart.updateShippingMethod({
                 method,
                 provider,
-                estimatedDelivery
+                cost: quote.cost,
+                estimatedDelivery: quote.estimatedDelivery,
+                breakdown: quote.breakdown
             });
 
             // Reload cart with populated data
@@ -533,13 +643,127 @@ class CartController {
             });
         } catch (error) {
             console.error('Update shipping method error:', error);
-            res.status(500).json({
+            res.status(error.statusCode || 500).json({
                 success: false,
                 message: error.message || 'Failed to update shipping method'
             });
         }
     }
 
+    // Get shipping quotes for every method
+    async getShippingOptions(req, res) {
+        try {
+            const userId = req.user._id;
+
+            // Get cart
+            const cart = await Cart.findOne({
+                user: userId,
+                status: 'active'
+            });
+
+            if (!cart) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Cart not found'
+                });
+            }
+
+            if (cart.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cart is empty'
+                });
+            }
+
+            if (!cart.shippingAddress || !cart.shippingAddress.country) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Shipping address with a country is required'
+                });
+            }
+
+            const options = await shippingService.quoteCart(cart);
+
+            res.json({
+                success: true,
+                message: 'Shipping options retrieved successfully',
+                data: {
+                    selectedMethod: cart.shippingMethod,
+                    options
+                }
+            });
+        } catch (error) {
+            console.error('Get shipping options error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve shipping options'
+            });
+        }
+    }
+
+    // Change the cart currency and reprice everything in it
+    async updateCurrency(req, res) {
+        try {
+            const owner = getCartOwner(req);
+            const currency = (req.body.currency || '').toUpperCase();
+
+            if (!SUPPORTED_CURRENCIES.includes(currency)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`
+                });
+            }
+
+            // Get cart; a guest choosing a currency before adding anything starts one
+            const cart = await Cart.findOne({
+                ...owner,
+                status: 'active'
+            }) || newCart(owner);
+
+            cart.currency = currency;
+            cart.applyExchangeRates(await fxService.getRates());
+
+            // Re-apply the coupon so fixed amounts are in the new currency
+            if (cart.appliedCoupon && cart.appliedCoupon.code) {
+                try {
+                    const coupon = await couponService.validateForCart(cart.appliedCoupon.code, cart, cart.user);
+                    cart.appliedCoupon = {
+                        ...await couponService.toCartCoupon(coupon, currency),
+                        appliedAt: cart.appliedCoupon.appliedAt
+                    };
+                } catch (couponError) {
+                    cart.appliedCoupon = undefined;
+                    cart.summary.discount = 0;
+                }
+            }
+
+            // Re-quote the selected shipping method in the new currency
+            if (!cart.isEmpty() && cart.shippingAddress && cart.shippingAddress.country) {
+                try {
+                    cart.applyShippingQuote(await shippingService.quoteMethod(cart, cart.shippingMethod));
+                } catch (shippingError) {
+                    cart.applyShippingQuote({ method: cart.shippingMethod, cost: 0 });
+                }
+            }
+
+            cart.summary = cart.calculateSummary();
+            cart.lastActivity = new Date();
+            await cart.save();
+
+            res.json({
+                success: true,
+                message: 'Cart currency updated successfully',
+                data: cart
+            });
+        } catch (error) {
+            console.error('Update cart currency error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to update cart currency'
+            });
+        }
+    }
+
     // Update payment method
     async updatePaymentMethod(req, res) {
         try {
@@ -576,7 +800,7 @@ class CartController {
 
             // Reload cart with populated data
             const updatedCart = await Cart.findById(cart._id)
-                .populate('items.product', 'name images price stock rating')
+                .populate('items.product', 'name images price currency stock rating')
                 .populate('items.seller', 'name email companyName');
 
             res.json({
@@ -597,6 +821,7 @@ class CartController {
     async convertToOrder(req, res) {
         try {
             const userId = req.user._id;
+            const { walletAsset, callbackUrl } = req.body || {};
 
             // Get cart
             const cart = await Cart.findOne({
@@ -610,69 +835,71 @@ class CartController {
                 });
             }
 
-            // Validate cart
-            if (cart.isEmpty()) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Cannot convert empty cart to order'
-                });
-            }
-
-            if (!cart.shippingAddress || !cart.shippingAddress.address) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Shipping address is required'
-                });
-            }
-
-            if (!cart.paymentMethod) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Payment method is required'
-                });
-            }
-
-            // Check product availability before conversion
-            for (const item of cart.items) {
-                const product = await Product.findById(item.product);
-                if (!product) {
-                    return res.status(400).json({
-                        success: false,
-                        message: `Product "${item.product.name}" is no longer available`
-                    });
-                }
-
-                if (product.stock < item.quantity) {
-                    return res.status(400).json({
-                        success: false,
-                        message: `Only ${product.stock} items available for "${product.name}"`
-                    });
+            // Create the order from the cart snapshot
+            const order = await orderService.createOrderFromCart(cart);
+
+            // Card and bank transfer orders are paid through the provider and wallet
+            // orders are quoted in the buyer's asset; the order stands even if starting
+            // the payment fails, and the buyer can retry it
+            let payment = null;
+            let paymentError = null;
+            if (GATEWAY_METHODS.includes(order.paymentMethod) || order.paymentMethod === 'wallet') {
+                try {
+                    payment = order.paymentMethod === 'wallet'
+                        ? await walletPaymentService.createQuote(order, req.user, { symbol: walletAsset })
+                        : await paymentService.createIntent(order, req.user, { callbackUrl });
+                } catch (error) {
+                    console.error(`Failed to start payment for order ${order._id}:`, error);
+                    paymentError = error.message;
                 }
             }
 
-            // In a real application, you would create an Order document here
-            // For now, we'll just mark the cart as converted
-            await cart.convertToOrder();
-
-            res.json({
+            res.status(201).json({
                 success: true,
-                message: 'Order created successfully',
+                message: paymentError
+                    ? 'Order created, but the payment could not be started. Please retry the payment.'
+                    : 'Order created successfully',
                 data: {
-                    orderId: `ORD-${Date.now()}`,
+                    orderId: order._id,
+                    orderNumber: order.orderNumber,
                     cartId: cart._id,
-                    summary: cart.summary,
-                    items: cart.items,
-                    shippingAddress: cart.shippingAddress,
-                    billingAddress: cart.billingAddress,
-                    paymentMethod: cart.paymentMethod,
-                    shippingMethod: cart.shippingMethod,
-                    estimatedDelivery: cart.estimatedDelivery,
-                    createdAt: new Date()
+                    status: order.status,
+                    summary: order.summary,
+                    items: order.items,
+                    shippingAddress: order.shippingAddress,
+                    billingAddress: order.billingAddress,
+                    paymentMethod: order.paymentMethod,
+                    shippingMethod: order.shippingMethod,
+                    estimatedDelivery: order.estimatedDelivery,
+                    createdAt: order.createdAt,
+                    payment: payment ? {
+                        reference: payment.reference,
+                        provider: payment.provider,
+                        amount: payment.amount,
+                        currency: payment.currency,
+                        quote: payment.quote && payment.quote.symbol ? payment.quote : null,
+                        authorizationUrl: payment.authorizationUrl,
+                        accessCode: payment.accessCode,
+                        expiresAt: payment.expiresAt
+                    } : null,
+                    paymentError
                 }
             });
         } catch (error) {
             console.error('Convert to order error:', error);
-            res.status(500).json({
+
+            // The cart was updated; send the change log so the buyer can review it
+            if (error.changes) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: error.message,
+                    data: {
+                        changes: error.changes
+                    }
+                });
+            }
+
+            res.status(error.statusCode || 500).json({
                 success: false,
                 message: error.message || 'Failed to convert cart to order'
             });
@@ -682,11 +909,11 @@ class CartController {
     // Get cart summary
     async getCartSummary(req, res) {
         try {
-            const userId = req.user._id;
+            const owner = getCartOwner(req);
 
             // Get cart
             const cart = await Cart.findOne({
-                user: userId,
+                ...owner,
                 status: 'active'
             })
             if (!cart) {
@@ -737,13 +964,13 @@ class CartController {
     // Validate cart items (check stock and availability)
     async validateCart(req, res) {
         try {
-            const userId = req.user._id;
+            const owner = getCartOwner(req);
 
             // Get cart
             const cart = await Cart.findOne({
-                user: userId,
+                ...owner,
                 status: 'active'
-            })
+            }).populate('items.product', 'name price currency stock status variantOptions variants');
             if (!cart) {
                 return res.status(404).json({
                     success: false,
@@ -768,25 +995,63 @@ class CartController {
 
             for (const item of cart.items) {
                 const product = item.product;
+
+                // Product was deleted since it was added
+                if (!product) {
+                    issues.push({
+                        itemId: item._id,
+                        issue: 'product_deleted'
+                    });
+                    validationResults.push({
+                        itemId: item._id,
+                        isAvailable: false,
+                        isValid: false,
+                        issues: ['Product no longer exists']
+                    });
+                    continue;
+                }
+
+                // Resolve the line to its variant so stock and price are the variant's own
+                const option = product.resolvePurchaseOption(item.selectedAttributes, item.variant);
+                if (!option) {
+                    issues.push({
+                        productId: product._id,
+                        productName: product.name,
+                        issue: 'variant_unavailable',
+                        selectedAttributes: item.selectedAttributes
+                    });
+                    validationResults.push({
+                        itemId: item._id,
+                        productId: product._id,
+                        name: product.name,
+                        isAvailable: false,
+                        isValid: false,
+                        issues: ['Selected options are no longer available']
+                    });
+                    continue;
+                }
+
                 const validation = {
                     productId: product._id,
                     name: product.name,
+                    variant: item.variant,
+                    sku: option.sku,
                     requestedQuantity: item.quantity,
-                    availableStock: product.stock,
+                    availableStock: option.stock,
                     price: item.price,
-                    currentPrice: product.price,
+                    currentPrice: option.price,
                     isAvailable: product.status === 'active',
                     issues: []
                 };
 
                 // Check stock availability
-                if (product.stock < item.quantity) {
-                    validation.issues.push(`Only ${product.stock} items available in stock`);
+                if (option.stock < item.quantity) {
+                    validation.issues.push(`Only ${option.stock} items available in stock`);
                     issues.push({
                         productId: product._id,
                         productName: product.name,
                         issue: 'insufficient_stock',
-                        available: product.stock,
+                        available: option.stock,
                         requested: item.quantity
                     });
                 }
@@ -802,15 +1067,18 @@ class CartController {
                     });
                 }
 
-                // Check price changes
-                if (item.price !== product.price) {
-                    validation.issues.push(`Price has changed from $${item.price} to $${product.price}`);
+                // Check price changes in the product's own currency
+                const basePrice = item.basePrice !== undefined ? item.basePrice : item.price;
+                const productCurrency = product.currency || item.baseCurrency;
+                if (basePrice !== option.price || item.baseCurrency !== productCurrency) {
+                    validation.issues.push(`Price has changed from ${formatCurrency(basePrice, item.baseCurrency)} to ${formatCurrency(option.price, productCurrency)}`);
                     issues.push({
                         productId: product._id,
                         productName: product.name,
                         issue: 'price_changed',
-                        oldPrice: item.price,
-                        newPrice: product.price
+                        oldPrice: basePrice,
+                        newPrice: option.price,
+                        currency: productCurrency
                     });
                 }
 
@@ -899,6 +1167,42 @@ class CartController {
         }
     }
 
+    // Get abandoned cart recovery and conversion rates (admin only)
+    async getRecoveryStats(req, res) {
+        try {
+            // Only admin can access this endpoint
+            if (req.user.role !== 'admin' && req.user.role !== 'super_admin') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            const days = parseInt(req.query.days) || 30;
+            const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+            const stats = await Cart.getRecoveryStats(since);
+
+            res.json({
+                success: true,
+                message: 'Cart recovery stats retrieved successfully',
+                data: {
+                    ...stats,
+                    filters: {
+                        days,
+                        since
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get cart recovery stats error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve cart recovery stats'
+            });
+        }
+    }
+
     // Clean up expired carts (admin only)
     async cleanupExpiredCarts(req, res) {
         try {
@@ -944,7 +1248,7 @@ class CartController {
 
             const cart = await Cart.findById(cartId)
                 .populate('user', 'name email phoneNumber')
-                .populate('items.product', 'name images price stock rating')
+                .populate('items.product', 'name images price currency stock rating')
                 .populate('items.seller', 'name email companyName');
 
             if (!cart) {
@@ -971,8 +1275,31 @@ class CartController {
     // Restore abandoned cart
     async restoreCart(req, res) {
         try {
-            const userId = req.user._id;
             const { cartId } = req.params;
+            const token = (req.body && req.body.token) || req.query.token;
+            let userId = req.user ? req.user._id.toString() : null;
+            let restoredVia = 'manual';
+
+            // A signed link from a recovery email works without logging in
+            if (token) {
+                const restore = verifyCartRestoreToken(token);
+                if (!restore || restore.cartId !== cartId || (userId && restore.userId !== userId)) {
+                    return res.status(401).json({
+                        success: false,
+                        message: 'Invalid or expired restore link'
+                    });
+                }
+
+                userId = restore.userId;
+                restoredVia = 'email';
+            }
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Please authenticate'
+                });
+            }
 
             // Get cart
             const cart = await Cart.findOne({
@@ -988,8 +1315,25 @@ class CartController {
                 });
             }
 
+            // Only one active cart per user: replace an empty one, keep one with items
+            const activeCart = await Cart.findOne({
+                user: userId,
+                status: 'active'
+            });
+
+            if (activeCart) {
+                if (!activeCart.isEmpty()) {
+                    return res.status(409).json({
+                        success: false,
+                        message: 'You already have an active cart with items'
+                    });
+                }
+
+                await Cart.deleteOne({ _id: activeCart._id });
+            }
+
             // Restore cart
-            await cart.restore();
+            await cart.restore(restoredVia);
 
             // Reload cart with populated data
             const updatedCart = await Cart.findById(cart._id)
@@ -1,5 +1,20 @@
+const mongoose = require('mongoose');
 const Category = require('../models/Category');
 const uploadToCloudinary = require('../middleware/cloudinaryUpload');
+
+// Multipart forms send the attribute schema as a JSON string
+const parseAttributeSchema = (value) => {
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return undefined;
+    }
+};
+
 class CategoryController {
     // Get all categories
     async getCategories(req, res) {
@@ -52,7 +67,15 @@ class CategoryController {
                 });
             }
 
-            const { title, description, type, parentCategory, color, order } = req.body;
+            const { title, description, type, parentCategory, color, order, commissionRate } = req.body;
+            const attributeSchema = parseAttributeSchema(req.body.attributeSchema);
+
+            if (attributeSchema !== undefined && !Array.isArray(attributeSchema)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Attribute schema must be a list of attributes'
+                });
+            }
 
             if (!title || !type) {
                 return res.status(400).json({
@@ -112,6 +135,8 @@ class CategoryController {
                 icon: imageData.url,
                 color: color || '#666666',
                 order: order || 0,
+                commissionRate,
+                attributeSchema: attributeSchema || [],
                 isActive: true,
                 // Store Cloudinary image data
             });
@@ -123,7 +148,7 @@ class CategoryController {
             });
         } catch (error) {
             console.error('Create category error:', error);
-            res.status(500).json({
+            res.status(error.name === 'ValidationError' ? 400 : 500).json({
                 success: false,
                 message: error.message || 'Failed to create category'
             });
@@ -187,6 +212,16 @@ class CategoryController {
                 }
             }
 
+            if (updates.attributeSchema !== undefined) {
+                updates.attributeSchema = parseAttributeSchema(updates.attributeSchema);
+                if (!Array.isArray(updates.attributeSchema)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Attribute schema must be a list of attributes'
+                    });
+                }
+            }
+
             Object.keys(updates).forEach(key => {
                 if (key !== '_id') {
                     category[key] = updates[key];
@@ -202,6 +237,14 @@ class CategoryController {
             });
         } catch (error) {
             console.error('Update category error:', error);
+
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+
             res.status(500).json({
                 success: false,
                 message: 'Failed to update category'
@@ -351,6 +394,38 @@ class CategoryController {
             });
         }
     }
+
+    // Attribute schema products in a category follow, including attributes inherited from parent categories
+    async getAttributeSchema(req, res) {
+        try {
+            const { categoryId } = req.params;
+
+            const category = mongoose.Types.ObjectId.isValid(categoryId)
+                ? await Category.findById(categoryId).select('title').lean()
+                : null;
+            if (!category) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Category not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: {
+                    category,
+                    attributes: await Category.getAttributeSchema(category._id)
+                }
+            });
+        } catch (error) {
+            console.error('Get attribute schema error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to fetch attribute schema'
+            });
+        }
+    }
+
     async getAllCategories(req, res) {
         try {
             const categories = await Category.find({}).lean();
@@ -0,0 +1,279 @@
+// controllers/couponController.js
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+
+// Fields an admin may set on a coupon
+const EDITABLE_FIELDS = [
+    'code',
+    'description',
+    'discountType',
+    'discountValue',
+    'maxDiscount',
+    'minPurchase',
+    'currency',
+    'startsAt',
+    'expiresAt',
+    'usageLimit',
+    'usageLimitPerUser',
+    'restrictions',
+    'isActive'
+];
+
+// Only admin can manage coupons
+const isAdmin = (user) => user.role === 'admin' || user.role === 'super_admin';
+
+class CouponController {
+    // Create coupon (admin only)
+    async createCoupon(req, res) {
+        try {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            const { code, discountType } = req.body;
+
+            if (!code || !discountType) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Coupon code and discount type are required'
+                });
+            }
+
+            const existingCoupon = await Coupon.findOne({ code: code.trim().toUpperCase() });
+            if (existingCoupon) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Coupon code already exists'
+                });
+            }
+
+            const couponData = { createdBy: req.user._id };
+            EDITABLE_FIELDS.forEach(field => {
+                if (req.body[field] !== undefined) {
+                    couponData[field] = req.body[field];
+                }
+            });
+
+            const coupon = await Coupon.create(couponData);
+
+            res.status(201).json({
+                success: true,
+                message: 'Coupon created successfully',
+                data: coupon
+            });
+        } catch (error) {
+            console.error('Create coupon error:', error);
+            res.status(error.name === 'ValidationError' ? 400 : 500).json({
+                success: false,
+                message: error.message || 'Failed to create coupon'
+            });
+        }
+    }
+
+    // Get all coupons (admin only)
+    async getCoupons(req, res) {
+        try {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            const { page = 1, limit = 20, active, search } = req.query;
+
+            // Build query
+            const query = {};
+            if (active !== undefined) query.isActive = active === 'true';
+            if (search) {
+                query.code = { $regex: search, $options: 'i' };
+            }
+
+            const skip = (page - 1) * limit;
+
+            const [coupons, total] = await Promise.all([
+                Coupon.find(query)
+                    .sort({ createdAt: -1 })
+                    .skip(skip)
+                    .limit(parseInt(limit)),
+                Coupon.countDocuments(query)
+            ]);
+
+            const totalPages = Math.ceil(total / limit);
+
+            res.json({
+                success: true,
+                message: 'Coupons retrieved successfully',
+                data: {
+                    coupons,
+                    pagination: {
+                        page: parseInt(page),
+                        limit: parseInt(limit),
+                        total,
+                        totalPages,
+                        hasNextPage: page < totalPages,
+                        hasPrevPage: page > 1
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get coupons error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve coupons'
+            });
+        }
+    }
+
+    // Get coupon by ID with redemption stats (admin only)
+    async getCouponById(req, res) {
+        try {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            const coupon = await Coupon.findById(req.params.couponId)
+                .populate('restrictions.categories', 'title')
+                .populate('restrictions.products', 'name')
+                .populate('restrictions.sellers', 'name email companyName');
+
+            if (!coupon) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Coupon not found'
+                });
+            }
+
+            const [redemptionStats] = await CouponRedemption.aggregate([
+                { $match: { coupon: coupon._id } },
+                {
+                    $group: {
+                        _id: null,
+                        redemptions: { $sum: 1 },
+                        uniqueUsers: { $addToSet: '$user' },
+                        totalDiscount: { $sum: '$discount' }
+                    }
+                }
+            ]);
+
+            res.json({
+                success: true,
+                message: 'Coupon retrieved successfully',
+                data: {
+                    coupon,
+                    stats: {
+                        redemptions: redemptionStats ? redemptionStats.redemptions : 0,
+                        uniqueUsers: redemptionStats ? redemptionStats.uniqueUsers.length : 0,
+                        totalDiscount: redemptionStats ? redemptionStats.totalDiscount : 0
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get coupon by ID error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve coupon'
+            });
+        }
+    }
+
+    // Update coupon (admin only)
+    async updateCoupon(req, res) {
+        try {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            const coupon = await Coupon.findById(req.params.couponId);
+            if (!coupon) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Coupon not found'
+                });
+            }
+
+            // Check if code is being changed and already exists
+            if (req.body.code && req.body.code.trim().toUpperCase() !== coupon.code) {
+                const existingCoupon = await Coupon.findOne({
+                    code: req.body.code.trim().toUpperCase(),
+                    _id: { $ne: coupon._id }
+                });
+
+                if (existingCoupon) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Coupon code already exists'
+                    });
+                }
+            }
+
+            EDITABLE_FIELDS.forEach(field => {
+                if (req.body[field] !== undefined) {
+                    coupon[field] = req.body[field];
+                }
+            });
+
+            await coupon.save();
+
+            res.json({
+                success: true,
+                message: 'Coupon updated successfully',
+                data: coupon
+            });
+        } catch (error) {
+            console.error('Update coupon error:', error);
+            res.status(error.name === 'ValidationError' ? 400 : 500).json({
+                success: false,
+                message: error.message || 'Failed to update coupon'
+            });
+        }
+    }
+
+    // Deactivate coupon (admin only)
+    async deactivateCoupon(req, res) {
+        try {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            const coupon = await Coupon.findByIdAndUpdate(
+                req.params.couponId,
+                { isActive: false },
+                { new: true }
+            );
+
+            if (!coupon) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Coupon not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Coupon deactivated successfully',
+                data: coupon
+            });
+        } catch (error) {
+            console.error('Deactivate coupon error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to deactivate coupon'
+            });
+        }
+    }
+}
+
+module.exports = new CouponController();
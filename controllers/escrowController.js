@@ -0,0 +1,203 @@
+// controllers/escrowController.js
+const mongoose = require('mongoose');
+const Escrow = require('../models/Escrow');
+const Order = require('../models/Order');
+const escrowService = require('../services/escrowService');
+
+const isAdmin = (user) => user.role === 'admin' || user.role === 'super_admin';
+
+// List escrow entries matching a query, newest first
+const listEscrows = async (query, { page = 1, limit = 20 }) => {
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [escrows, total] = await Promise.all([
+        Escrow.find(query)
+            .populate('order', 'orderNumber status')
+            .populate('seller', 'name email companyName')
+            .sort({ createdAt: -1 })
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize)
+            .lean(),
+        Escrow.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(total / pageSize);
+
+    return {
+        escrows,
+        pagination: {
+            page: pageNumber,
+            limit: pageSize,
+            total,
+            totalPages,
+            hasNextPage: pageNumber < totalPages,
+            hasPrevPage: pageNumber > 1
+        }
+    };
+};
+
+class EscrowController {
+    // Seller's escrowed funds, with totals per status and currency
+    async getSellerEscrow(req, res) {
+        try {
+            const { status, page, limit } = req.query;
+
+            const query = { seller: req.user._id };
+            if (status) {
+                query.status = { $in: status.split(',') };
+            }
+
+            const [result, totals] = await Promise.all([
+                listEscrows(query, { page, limit }),
+                Escrow.aggregate([
+                    { $match: { seller: req.user._id } },
+                    {
+                        $group: {
+                            _id: { status: '$status', currency: '$currency' },
+                            amount: { $sum: '$amount' },
+                            commission: { $sum: '$commission' },
+                            net: { $sum: '$net' },
+                            count: { $sum: 1 }
+                        }
+                    }
+                ])
+            ]);
+
+            res.json({
+                success: true,
+                message: 'Escrow retrieved successfully',
+                data: {
+                    ...result,
+                    totals: totals.map(row => ({
+                        status: row._id.status,
+                        currency: row._id.currency,
+                        amount: row.amount,
+                        commission: row.commission,
+                        net: row.net,
+                        count: row.count
+                    }))
+                }
+            });
+        } catch (error) {
+            console.error('Get seller escrow error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve escrow'
+            });
+        }
+    }
+
+    // All escrow entries, e.g. open disputes (admin only)
+    async getEscrows(req, res) {
+        try {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            const { status, sellerId, orderId, page, limit } = req.query;
+
+            const query = {};
+            if (status) {
+                query.status = { $in: status.split(',') };
+            }
+            if (sellerId && mongoose.Types.ObjectId.isValid(sellerId)) {
+                query.seller = sellerId;
+            }
+            if (orderId && mongoose.Types.ObjectId.isValid(orderId)) {
+                query.order = orderId;
+            }
+
+            res.json({
+                success: true,
+                message: 'Escrow retrieved successfully',
+                data: await listEscrows(query, { page, limit })
+            });
+        } catch (error) {
+            console.error('Get escrow error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve escrow'
+            });
+        }
+    }
+
+    // Settle a disputed escrow: release, refund or partial_refund (admin only)
+    async resolveDispute(req, res) {
+        try {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            const escrow = await Escrow.findById(req.params.escrowId);
+            if (!escrow) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Escrow not found'
+                });
+            }
+
+            const { resolution, amount, note } = req.body;
+            const resolved = await escrowService.resolveDispute(escrow, {
+                resolution,
+                amount,
+                note,
+                resolvedBy: req.user._id
+            });
+
+            res.json({
+                success: true,
+                message: 'Dispute resolved successfully',
+                data: resolved
+            });
+        } catch (error) {
+            console.error('Resolve dispute error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to resolve dispute'
+            });
+        }
+    }
+
+    // Buyer confirms receipt, releasing payment for the delivered parts of the order
+    async confirmDelivery(req, res) {
+        try {
+            const order = await Order.findOne({ _id: req.params.orderId, user: req.user._id });
+            if (!order) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Order not found'
+                });
+            }
+
+            const released = await escrowService.confirmDelivery(order, { changedBy: req.user._id });
+
+            res.json({
+                success: true,
+                message: 'Delivery confirmed successfully',
+                data: {
+                    orderId: order._id,
+                    released: released.map(escrow => ({
+                        escrowId: escrow._id,
+                        sellerOrder: escrow.sellerOrder,
+                        status: escrow.status
+                    }))
+                }
+            });
+        } catch (error) {
+            console.error('Confirm delivery error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to confirm delivery'
+            });
+        }
+    }
+}
+
+module.exports = new EscrowController();
@@ -0,0 +1,138 @@
+// controllers/exchangeRateController.js
+const fxService = require('../services/fxService');
+const ExchangeRate = require('../models/ExchangeRate');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES } = require('../config/currency');
+
+// Only admin can override exchange rates
+const isAdmin = (user) => user.role === 'admin' || user.role === 'super_admin';
+
+class ExchangeRateController {
+    // Get the current rate table with the source of each rate
+    async getRates(req, res) {
+        try {
+            const table = await fxService.getRates();
+
+            res.json({
+                success: true,
+                message: 'Exchange rates retrieved successfully',
+                data: table
+            });
+        } catch (error) {
+            console.error('Get exchange rates error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve exchange rates'
+            });
+        }
+    }
+
+    // Get manual overrides (admin only)
+    async getOverrides(req, res) {
+        try {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            const overrides = await ExchangeRate.find()
+                .populate('setBy', 'name email')
+                .sort({ currency: 1 })
+                .lean();
+
+            res.json({
+                success: true,
+                message: 'Exchange rate overrides retrieved successfully',
+                data: overrides
+            });
+        } catch (error) {
+            console.error('Get exchange rate overrides error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve exchange rate overrides'
+            });
+        }
+    }
+
+    // Set a manual rate for a currency (admin only)
+    async setOverride(req, res) {
+        try {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            const currency = req.params.currency.toUpperCase();
+            const { rate, expiresAt, note } = req.body;
+
+            if (currency === BASE_CURRENCY || !SUPPORTED_CURRENCIES.includes(currency)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Rates can be set for: ${SUPPORTED_CURRENCIES.filter(c => c !== BASE_CURRENCY).join(', ')}`
+                });
+            }
+
+            if (!rate || parseFloat(rate) <= 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A positive rate is required'
+                });
+            }
+
+            const override = await fxService.setOverride(currency, {
+                rate: parseFloat(rate),
+                expiresAt,
+                note,
+                setBy: req.user._id
+            });
+
+            res.json({
+                success: true,
+                message: `Exchange rate for ${currency} set successfully`,
+                data: override
+            });
+        } catch (error) {
+            console.error('Set exchange rate override error:', error);
+            res.status(error.name === 'ValidationError' ? 400 : 500).json({
+                success: false,
+                message: error.message || 'Failed to set exchange rate'
+            });
+        }
+    }
+
+    // Remove a manual rate so provider rates apply again (admin only)
+    async removeOverride(req, res) {
+        try {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            const override = await fxService.removeOverride(req.params.currency);
+            if (!override) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Exchange rate override not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Exchange rate override removed successfully'
+            });
+        } catch (error) {
+            console.error('Remove exchange rate override error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to remove exchange rate override'
+            });
+        }
+    }
+}
+
+module.exports = new ExchangeRateController();
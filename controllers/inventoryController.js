@@ -0,0 +1,70 @@
+// controllers/inventoryController.js
+const inventoryService = require('../services/inventoryService');
+
+const isAdmin = (user) => user.role === 'admin' || user.role === 'super_admin';
+
+class InventoryController {
+    // Report the seller's stock movements over a date range.
+    // Admins may pass sellerId, or leave it out to see every seller.
+    async getMovements(req, res) {
+        try {
+            const { from, to, productId, type, sellerId, page = 1, limit = 50 } = req.query;
+
+            const report = await inventoryService.getMovementReport({
+                sellerId: isAdmin(req.user) ? sellerId : req.user._id,
+                productId,
+                type,
+                from,
+                to
+            }, { page, limit });
+
+            const totalPages = Math.ceil(report.total / limit);
+
+            res.json({
+                success: true,
+                message: 'Inventory movements retrieved successfully',
+                data: {
+                    movements: report.movements,
+                    summary: report.summary,
+                    net: report.net,
+                    range: { from: from || null, to: to || null },
+                    pagination: {
+                        page: parseInt(page),
+                        limit: parseInt(limit),
+                        total: report.total,
+                        totalPages,
+                        hasNextPage: page < totalPages,
+                        hasPrevPage: page > 1
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get inventory movements error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve inventory movements'
+            });
+        }
+    }
+
+    // List the seller's products at or below their low stock threshold
+    async getLowStock(req, res) {
+        try {
+            const products = await inventoryService.getLowStockProducts(req.user._id);
+
+            res.json({
+                success: true,
+                message: 'Low stock products retrieved successfully',
+                data: products
+            });
+        } catch (error) {
+            console.error('Get low stock products error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve low stock products'
+            });
+        }
+    }
+}
+
+module.exports = new InventoryController();
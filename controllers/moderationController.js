@@ -0,0 +1,132 @@
+// controllers/moderationController.js
+const Product = require('../models/Product');
+const moderationService = require('../services/moderationService');
+
+// Only admin can moderate listings
+const isAdmin = (user) => user.role === 'admin' || user.role === 'super_admin';
+
+class ModerationController {
+    // Get listings awaiting review, oldest first (admin only)
+    async getQueue(req, res) {
+        try {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            const { flagged, page = 1, limit = 20 } = req.query;
+
+            const query = { status: 'pending_review' };
+            if (flagged === 'true') query['moderation.flags.0'] = { $exists: true };
+            if (flagged === 'false') query['moderation.flags.0'] = { $exists: false };
+
+            const [products, total] = await Promise.all([
+                Product.find(query)
+                    .populate('userId', 'name email verificationStatus')
+                    .populate('category', 'title')
+                    .populate('moderation.flags.relatedProduct', 'name images userId')
+                    .sort({ 'moderation.submittedAt': 1 })
+                    .skip((page - 1) * limit)
+                    .limit(parseInt(limit))
+                    .lean(),
+                Product.countDocuments(query)
+            ]);
+
+            const totalPages = Math.ceil(total / limit);
+
+            res.json({
+                success: true,
+                message: 'Moderation queue retrieved successfully',
+                data: {
+                    products,
+                    pagination: {
+                        page: parseInt(page),
+                        limit: parseInt(limit),
+                        total,
+                        totalPages,
+                        hasNextPage: page < totalPages,
+                        hasPrevPage: page > 1
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get moderation queue error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve moderation queue'
+            });
+        }
+    }
+
+    // Approve a listing (admin only)
+    async approveProduct(req, res) {
+        try {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            const product = await Product.findById(req.params.productId);
+            if (!product) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Product not found'
+                });
+            }
+
+            await moderationService.approve(product, req.user, (req.body || {}).reason);
+
+            res.json({
+                success: true,
+                message: 'Product approved successfully',
+                data: product
+            });
+        } catch (error) {
+            console.error('Approve product error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to approve product'
+            });
+        }
+    }
+
+    // Reject a listing with a reason (admin only)
+    async rejectProduct(req, res) {
+        try {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            const product = await Product.findById(req.params.productId);
+            if (!product) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Product not found'
+                });
+            }
+
+            await moderationService.reject(product, req.user, (req.body || {}).reason);
+
+            res.json({
+                success: true,
+                message: 'Product rejected successfully',
+                data: product
+            });
+        } catch (error) {
+            console.error('Reject product error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to reject product'
+            });
+        }
+    }
+}
+
+module.exports = new ModerationController();
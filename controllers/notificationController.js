@@ -0,0 +1,107 @@
+// controllers/notificationController.js
+const Notification = require('../models/Notification');
+
+class NotificationController {
+    // Get the user's notifications
+    async getNotifications(req, res) {
+        try {
+            const userId = req.user._id;
+            const { unread, page = 1, limit = 20 } = req.query;
+
+            const query = { user: userId };
+            if (unread === 'true') query.isRead = false;
+
+            const [notifications, total, unreadCount] = await Promise.all([
+                Notification.find(query)
+                    .sort({ createdAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(parseInt(limit))
+                    .lean(),
+                Notification.countDocuments(query),
+                Notification.countDocuments({ user: userId, isRead: false })
+            ]);
+
+            const totalPages = Math.ceil(total / limit);
+
+            res.json({
+                success: true,
+                message: 'Notifications retrieved successfully',
+                data: {
+                    notifications,
+                    unreadCount,
+                    pagination: {
+                        page: parseInt(page),
+                        limit: parseInt(limit),
+                        total,
+                        totalPages,
+                        hasNextPage: page < totalPages,
+                        hasPrevPage: page > 1
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get notifications error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve notifications'
+            });
+        }
+    }
+
+    // Mark one notification as read
+    async markAsRead(req, res) {
+        try {
+            const notification = await Notification.findOne({
+                _id: req.params.notificationId,
+                user: req.user._id
+            });
+
+            if (!notification) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Notification not found'
+                });
+            }
+
+            await notification.markAsRead();
+
+            res.json({
+                success: true,
+                message: 'Notification marked as read',
+                data: notification
+            });
+        } catch (error) {
+            console.error('Mark notification as read error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to update notification'
+            });
+        }
+    }
+
+    // Mark all of the user's notifications as read
+    async markAllAsRead(req, res) {
+        try {
+            const result = await Notification.updateMany(
+                { user: req.user._id, isRead: false },
+                { isRead: true, readAt: new Date() }
+            );
+
+            res.json({
+                success: true,
+                message: 'All notifications marked as read',
+                data: {
+                    updatedCount: result.modifiedCount
+                }
+            });
+        } catch (error) {
+            console.error('Mark all notifications as read error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to update notifications'
+            });
+        }
+    }
+}
+
+module.exports = new NotificationController();
@@ -0,0 +1,184 @@
+// controllers/orderController.js
+const Order = require('../models/Order');
+const orderService = require('../services/orderService');
+const { ONLINE_METHODS } = require('../config/payments');
+
+class OrderController {
+    // Get buyer's orders
+    async getOrders(req, res) {
+        try {
+            const userId = req.user._id;
+            const { page = 1, limit = 20, status } = req.query;
+
+            // Build query
+            const query = { user: userId };
+            if (status) query.status = status;
+
+            const skip = (page - 1) * limit;
+
+            const [orders, total] = await Promise.all([
+                Order.find(query)
+                    .sort({ createdAt: -1 })
+                    .skip(skip)
+                    .limit(parseInt(limit))
+                    .lean(),
+                Order.countDocuments(query)
+            ]);
+
+            const totalPages = Math.ceil(total / limit);
+
+            res.json({
+                success: true,
+                message: 'Orders retrieved successfully',
+                data: {
+                    orders,
+                    pagination: {
+                        page: parseInt(page),
+                        limit: parseInt(limit),
+                        total,
+                        totalPages,
+                        hasNextPage: page < totalPages,
+                        hasPrevPage: page > 1
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get orders error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve orders'
+            });
+        }
+    }
+
+    // Get a single order belonging to the buyer
+    async getOrderById(req, res) {
+        try {
+            const userId = req.user._id;
+            const { orderId } = req.params;
+
+            const order = await Order.findOne({
+                _id: orderId,
+                user: userId
+            })
+                .populate('items.product', 'name images price status')
+                .populate('items.seller', 'name email companyName')
+                .populate('subOrders', 'orderNumber seller status tracking items.orderItem shippedAt deliveredAt');
+
+            if (!order) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Order not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Order retrieved successfully',
+                data: order
+            });
+        } catch (error) {
+            console.error('Get order by ID error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve order'
+            });
+        }
+    }
+
+    // Cancel an order
+    async cancelOrder(req, res) {
+        try {
+            const userId = req.user._id;
+            const { orderId } = req.params;
+            const { reason } = req.body || {};
+
+            const order = await Order.findOne({
+                _id: orderId,
+                user: userId
+            });
+
+            if (!order) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Order not found'
+                });
+            }
+
+            await orderService.cancelOrder(order, {
+                reason,
+                cancelledBy: userId
+            });
+
+            res.json({
+                success: true,
+                message: 'Order cancelled successfully',
+                data: order
+            });
+        } catch (error) {
+            console.error('Cancel order error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to cancel order'
+            });
+        }
+    }
+
+    // Update order status (admin only)
+    async updateOrderStatus(req, res) {
+        try {
+            const { orderId } = req.params;
+            const { status, note } = req.body;
+
+            // Only admin can access this endpoint
+            if (req.user.role !== 'admin' && req.user.role !== 'super_admin') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            if (!status || !Order.STATUS_TRANSITIONS[status]) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Valid status is required'
+                });
+            }
+
+            const order = await Order.findById(orderId);
+            if (!order) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Order not found'
+                });
+            }
+
+            // Online and wallet payments are only confirmed by the payment itself
+            if (status === 'paid' && ONLINE_METHODS.includes(order.paymentMethod)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Orders paid by ${order.paymentMethod} are marked paid when the payment is confirmed`
+                });
+            }
+
+            await orderService.updateStatus(order, status, {
+                note,
+                changedBy: req.user._id
+            });
+
+            res.json({
+                success: true,
+                message: 'Order status updated successfully',
+                data: order
+            });
+        } catch (error) {
+            console.error('Update order status error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to update order status'
+            });
+        }
+    }
+}
+
+module.exports = new OrderController();
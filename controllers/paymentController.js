@@ -0,0 +1,301 @@
+// controllers/paymentController.js
+const Payment = require('../models/Payment');
+const Order = require('../models/Order');
+const paymentService = require('../services/paymentService');
+const walletPaymentService = require('../services/walletPaymentService');
+const refundService = require('../services/refundService');
+
+// Fields returned to the buyer; provider events stay internal
+const PUBLIC_FIELDS = 'order provider method reference amount currency status quote authorizationUrl accessCode expiresAt paidAt failureReason createdAt';
+
+const isAdmin = (user) => user.role === 'admin' || user.role === 'super_admin';
+
+class PaymentController {
+    // Start (or resume) payment of one of the user's orders
+    async createPaymentIntent(req, res) {
+        try {
+            const order = await Order.findOne({ _id: req.params.orderId, user: req.user._id });
+            if (!order) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Order not found'
+                });
+            }
+
+            const { callbackUrl } = req.body || {};
+            const payment = await paymentService.createIntent(order, req.user, { callbackUrl });
+
+            res.status(201).json({
+                success: true,
+                message: 'Payment started successfully',
+                data: await Payment.findById(payment._id).select(PUBLIC_FIELDS)
+            });
+        } catch (error) {
+            console.error('Create payment intent error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to start payment'
+            });
+        }
+    }
+
+    // Quote a wallet-paid order in one of the user's assets and hold the rate briefly
+    async createWalletQuote(req, res) {
+        try {
+            const order = await Order.findOne({ _id: req.params.orderId, user: req.user._id });
+            if (!order) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Order not found'
+                });
+            }
+
+            const { symbol } = req.body || {};
+            const payment = await walletPaymentService.createQuote(order, req.user, { symbol });
+
+            res.status(201).json({
+                success: true,
+                message: 'Wallet quote created successfully',
+                data: await Payment.findById(payment._id).select(PUBLIC_FIELDS)
+            });
+        } catch (error) {
+            console.error('Create wallet quote error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to quote wallet payment'
+            });
+        }
+    }
+
+    // Pay a wallet quote before it expires
+    async confirmWalletPayment(req, res) {
+        try {
+            const payment = await Payment.findOne({ reference: req.params.reference, user: req.user._id });
+            if (!payment) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Payment not found'
+                });
+            }
+
+            const paid = await walletPaymentService.confirmPayment(payment);
+
+            res.json({
+                success: true,
+                message: 'Wallet payment completed successfully',
+                data: await Payment.findById(paid._id).select(PUBLIC_FIELDS)
+            });
+        } catch (error) {
+            console.error('Confirm wallet payment error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to complete wallet payment'
+            });
+        }
+    }
+
+    // Payments made for one of the user's orders
+    async getOrderPayments(req, res) {
+        try {
+            const order = await Order.findOne({ _id: req.params.orderId, user: req.user._id }).select('_id');
+            if (!order) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Order not found'
+                });
+            }
+
+            const payments = await Payment.find({ order: order._id })
+                .select(PUBLIC_FIELDS)
+                .sort({ createdAt: -1 })
+                .lean();
+
+            res.json({
+                success: true,
+                message: 'Payments retrieved successfully',
+                data: payments
+            });
+        } catch (error) {
+            console.error('Get order payments error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve payments'
+            });
+        }
+    }
+
+    // Look up a payment by reference, e.g. when the provider redirects the buyer back
+    async getPaymentByReference(req, res) {
+        try {
+            const payment = await Payment.findOne({ reference: req.params.reference, user: req.user._id })
+                .select(PUBLIC_FIELDS)
+                .populate('order', 'orderNumber status summary.total currency');
+
+            if (!payment) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Payment not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Payment retrieved successfully',
+                data: payment
+            });
+        } catch (error) {
+            console.error('Get payment error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve payment'
+            });
+        }
+    }
+
+    // Provider webhook. Only signed callbacks are applied; anything we
+    // don't act on is still acknowledged so the provider stops retrying.
+    async handleWebhook(req, res) {
+        try {
+            const result = await paymentService.handleWebhook(req.params.provider, req.rawBody, req.headers);
+
+            res.json({
+                success: true,
+                message: result.handled ? 'Webhook processed' : 'Webhook ignored'
+            });
+        } catch (error) {
+            console.error('Payment webhook error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to process webhook'
+            });
+        }
+    }
+
+    // Complete a fake-provider payment as paid or declined (development only)
+    async completeFakePayment(req, res) {
+        try {
+            const { status = 'succeeded' } = req.body || {};
+            if (!['succeeded', 'failed'].includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Status must be succeeded or failed'
+                });
+            }
+
+            const payment = await Payment.findOne({ reference: req.params.reference, user: req.user._id });
+            if (!payment) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Payment not found'
+                });
+            }
+
+            const result = await paymentService.completeFakePayment(payment, status);
+
+            res.json({
+                success: true,
+                message: 'Fake payment completed',
+                data: await Payment.findById(result.payment._id).select(PUBLIC_FIELDS)
+            });
+        } catch (error) {
+            console.error('Complete fake payment error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to complete fake payment'
+            });
+        }
+    }
+
+    // Payments with money still owed back to the buyer, oldest first (admin only)
+    async getRefundQueue(req, res) {
+        try {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            const pageNumber = Math.max(parseInt(req.query.page) || 1, 1);
+            const pageSize = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+            const query = { requiresRefund: true };
+
+            const [payments, total] = await Promise.all([
+                Payment.find(query)
+                    .select(`${PUBLIC_FIELDS} user providerReference refundDue refundedAmount refunds updatedAt`)
+                    .populate('order', 'orderNumber status')
+                    .populate('user', 'name email')
+                    .sort({ updatedAt: 1 })
+                    .skip((pageNumber - 1) * pageSize)
+                    .limit(pageSize)
+                    .lean(),
+                Payment.countDocuments(query)
+            ]);
+
+            const totalPages = Math.ceil(total / pageSize);
+
+            res.json({
+                success: true,
+                message: 'Refund queue retrieved successfully',
+                data: {
+                    payments,
+                    pagination: {
+                        page: pageNumber,
+                        limit: pageSize,
+                        total,
+                        totalPages,
+                        hasNextPage: pageNumber < totalPages,
+                        hasPrevPage: pageNumber > 1
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get refund queue error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve refund queue'
+            });
+        }
+    }
+
+    // Send what is owed on a payment back through its provider, or with
+    // { manual: true } record that it was refunded by hand (admin only)
+    async processRefund(req, res) {
+        try {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            const payment = await Payment.findOne({ reference: req.params.reference });
+            if (!payment) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Payment not found'
+                });
+            }
+
+            const { manual = false, note } = req.body || {};
+            const options = { note, refundedBy: req.user._id };
+            const refunded = manual
+                ? await refundService.markRefunded(payment, options)
+                : await refundService.send(payment, options);
+
+            res.json({
+                success: true,
+                message: manual ? 'Refund recorded successfully' : 'Refund sent successfully',
+                data: refunded
+            });
+        } catch (error) {
+            console.error('Process refund error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to process refund'
+            });
+        }
+    }
+}
+
+module.exports = new PaymentController();
@@ -0,0 +1,123 @@
+// controllers/payoutController.js
+const payoutService = require('../services/payoutService');
+
+const isAdmin = (user) => user.role === 'admin' || user.role === 'super_admin';
+
+class PayoutController {
+    // Seller's released, paid out and available funds per currency
+    async getBalance(req, res) {
+        try {
+            res.json({
+                success: true,
+                message: 'Balance retrieved successfully',
+                data: await payoutService.getBalance(req.user._id)
+            });
+        } catch (error) {
+            console.error('Get payout balance error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve balance'
+            });
+        }
+    }
+
+    // Seller's payout history
+    async getPayouts(req, res) {
+        try {
+            const { page, limit, status } = req.query;
+
+            res.json({
+                success: true,
+                message: 'Payouts retrieved successfully',
+                data: await payoutService.getPayouts(req.user._id, { page, limit, status })
+            });
+        } catch (error) {
+            console.error('Get payouts error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve payouts'
+            });
+        }
+    }
+
+    // Request a payout of released funds
+    async requestPayout(req, res) {
+        try {
+            const { amount, currency, destination, note } = req.body;
+
+            const payout = await payoutService.requestPayout(req.user, {
+                amount,
+                currency: currency ? String(currency).toUpperCase() : currency,
+                destination,
+                note
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Payout requested successfully',
+                data: payout
+            });
+        } catch (error) {
+            console.error('Request payout error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to request payout'
+            });
+        }
+    }
+
+    // Every seller's payouts (admin only)
+    async getAllPayouts(req, res) {
+        try {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            const { page, limit, status } = req.query;
+
+            res.json({
+                success: true,
+                message: 'Payouts retrieved successfully',
+                data: await payoutService.getAllPayouts({ page, limit, status })
+            });
+        } catch (error) {
+            console.error('Get all payouts error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve payouts'
+            });
+        }
+    }
+
+    // Mark a payout processing, completed, failed or cancelled (admin only)
+    async updatePayoutStatus(req, res) {
+        try {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            const { status, reference, note } = req.body;
+            const payout = await payoutService.updatePayoutStatus(req.params.payoutId, { status, reference, note });
+
+            res.json({
+                success: true,
+                message: `Payout marked ${payout.status}`,
+                data: payout
+            });
+        } catch (error) {
+            console.error('Update payout status error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to update payout'
+            });
+        }
+    }
+}
+
+module.exports = new PayoutController();
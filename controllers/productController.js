@@ -1,8 +1,60 @@
 const Product = require('../models/Product');
 const Category = require('../models/Category');
+const User = require('../models/User');
 const uploadToCloudinary = require('../middleware/cloudinaryUpload');
+const moderationService = require('../services/moderationService');
+const catalogService = require('../services/catalogService');
+const storeService = require('../services/storeService');
+const analyticsService = require('../services/analyticsService');
+const searchService = require('../services/searchService');
 const cloudinary = require('cloudinary').v2;
 const mongoose = require('mongoose');
+const { tokenize } = require('../utils/search');
+const { geocode, toPoint, EARTH_RADIUS_KM } = require('../utils/geo');
+const { validateAttributes } = require('../utils/attributes');
+
+// Fields a seller may set on a variant
+const VARIANT_FIELDS = ['sku', 'attributes', 'price', 'stock', 'isActive'];
+
+// Multipart forms send arrays and objects as JSON strings
+const parseJsonField = (value) => {
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return undefined;
+    }
+};
+
+// Movement types a seller may record when setting stock by hand
+const MANUAL_MOVEMENT_TYPES = ['restock', 'adjustment', 'return'];
+
+// Forms send an empty value to turn the low stock alert off
+const parseThreshold = (value) => (value === '' || value === null || value === 'null' ? null : parseInt(value));
+
+// Upload images for a variant to the products folder
+const uploadVariantImages = async (files = [], startOrder = 0) => {
+    const images = [];
+
+    for (let i = 0; i < files.length; i++) {
+        try {
+            const result = await uploadToCloudinary(files[i].buffer, 'products');
+            images.push({
+                url: result.secure_url,
+                publicId: result.public_id,
+                order: startOrder + i
+            });
+        } catch (uploadError) {
+            console.error('Error uploading variant image:', uploadError);
+        }
+    }
+
+    return images;
+};
+
 class ProductController {
     // Create new product
     async createProduct(req, res) {
@@ -18,6 +70,7 @@ class ProductController {
                 name,
                 description,
                 price,
+                currency,
                 stock,
                 category,
                 location,
@@ -25,17 +78,43 @@ class ProductController {
                 email,
                 companyName,
                 attributes,
+                variantOptions,
+                variants,
+                latitude,
+                longitude,
+                lowStockThreshold,
                 type = 'Product'
             } = req.body;
 
+            // Contact details the seller leaves out come from their store
+            const defaults = await storeService.getProductDefaults(req.user);
+            const contact = {
+                location: location || defaults.location,
+                phoneNumber: phoneNumber || defaults.phoneNumber,
+                email: email || defaults.email,
+                companyName: companyName || defaults.companyName || ''
+            };
+
             // Validate required fields
-            if (!name || !description || !price || !location || !phoneNumber || !email) {
+            if (!name || !description || !price || !contact.location || !contact.phoneNumber || !contact.email) {
                 return res.status(400).json({
                     success: false,
                     message: 'Missing required fields'
                 });
             }
 
+            // Exact coordinates are optional; otherwise the location is geocoded on save
+            let point = null;
+            if (latitude !== undefined && longitude !== undefined) {
+                point = toPoint(latitude, longitude);
+                if (!point) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Invalid latitude or longitude'
+                    });
+                }
+            }
+
             // Validate category if provided
             let categoryData = null;
             if (category) {
@@ -48,6 +127,34 @@ class ProductController {
                 }
             }
 
+            // Parse attributes if provided as JSON string
+            let parsedAttributes = [];
+            if (attributes) {
+                try {
+                    if (typeof attributes === 'string') {
+                        parsedAttributes = JSON.parse(attributes);
+                    } else if (Array.isArray(attributes)) {
+                        parsedAttributes = attributes;
+                    }
+                } catch (error) {
+                    console.error('Error parsing attributes:', error);
+                    // Continue with empty attributes instead of failing
+                }
+            }
+
+            // Attributes must follow the category's attribute schema
+            if (categoryData) {
+                const checked = validateAttributes(parsedAttributes, await Category.getAttributeSchema(categoryData._id));
+                if (checked.errors.length) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Invalid product attributes',
+                        errors: checked.errors
+                    });
+                }
+                parsedAttributes = checked.attributes;
+            }
+
             // Handle image uploads if provided
             const uploadedImages = [];
             if (req.files && req.files.length > 0) {
@@ -76,6 +183,7 @@ class ProductController {
                             format: uploadResult.format,
                             width: uploadResult.width,
                             height: uploadResult.height,
+                            hash: moderationService.hashImage(file),
                             order: i
                         });
 
@@ -88,39 +196,30 @@ class ProductController {
                 }
             }
 
-            // Parse attributes if provided as JSON string
-            let parsedAttributes = [];
-            if (attributes) {
-                try {
-                    if (typeof attributes === 'string') {
-                        parsedAttributes = JSON.parse(attributes);
-                    } else if (Array.isArray(attributes)) {
-                        parsedAttributes = attributes;
-                    }
-                } catch (error) {
-                    console.error('Error parsing attributes:', error);
-                    // Continue with empty attributes instead of failing
-                }
-            }
-
             // Create product
-            const product = await Product.create({
+            const product = new Product({
                 userId,
                 name,
                 description,
                 price: parseFloat(price),
+                currency: currency ? currency.toUpperCase() : undefined,
                 stock: parseInt(stock) || 0,
                 category: categoryData ? categoryData._id : null,
                 categoryName: categoryData ? categoryData.title : null,
-                location,
-                phoneNumber,
-                email,
-                companyName: companyName || '',
+                ...contact,
                 images: uploadedImages,
                 attributes: parsedAttributes,
-                type,
-                status: 'active'
+                variantOptions: parseJsonField(variantOptions) || [],
+                variants: parseJsonField(variants) || [],
+                ...(point ? { geoLocation: point, geoPlace: { source: 'manual' } } : {}),
+                ...(lowStockThreshold !== undefined ? { lowStockThreshold: parseThreshold(lowStockThreshold) } : {}),
+                type
             });
+            product.$locals.inventory = { type: 'restock', actor: userId, reason: 'Initial stock' };
+
+            // Goes live straight away, or waits in the moderation queue
+            const pendingReview = await moderationService.screenListing(product, req.user);
+            await product.save();
 
             // Update category product count
             if (categoryData) {
@@ -129,12 +228,14 @@ class ProductController {
 
             res.status(201).json({
                 success: true,
-                message: 'Product created successfully',
+                message: pendingReview
+                    ? 'Product submitted for review'
+                    : 'Product created successfully',
                 data: product
             });
         } catch (error) {
             console.error('Create product error:', error);
-            res.status(500).json({
+            res.status(error.name === 'ValidationError' ? 400 : 500).json({
                 success: false,
                 message: error.message || 'Failed to create product'
             });
@@ -213,6 +314,72 @@ class ProductController {
         }
     }
 
+    // Import products from a CSV or JSON file
+    async importProducts(req, res) {
+        try {
+            const { format, dryRun, upsert } = { ...req.query, ...req.body };
+
+            if (format && !['csv', 'json'].includes(format)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Format must be csv or json'
+                });
+            }
+
+            const report = await catalogService.importProducts(req.user, req.file, {
+                format,
+                dryRun: dryRun === true || dryRun === 'true',
+                upsert: upsert !== false && upsert !== 'false'
+            });
+
+            const { summary } = report;
+            res.status(report.dryRun || summary.invalid > 0 ? 200 : 201).json({
+                success: true,
+                message: report.dryRun
+                    ? `Dry run: ${summary.valid} of ${summary.total} rows are valid`
+                    : `Imported ${summary.created + summary.updated} of ${summary.total} rows (${summary.created} created, ${summary.updated} updated)`,
+                data: report
+            });
+        } catch (error) {
+            console.error('Import products error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to import products'
+            });
+        }
+    }
+
+    // Stream the seller's catalogue as CSV or JSON
+    async exportProducts(req, res) {
+        const format = req.query.format || 'csv';
+
+        if (!['csv', 'json'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Format must be csv or json'
+            });
+        }
+
+        try {
+            const date = new Date().toISOString().slice(0, 10);
+            res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="products-${date}.${format}"`);
+
+            await catalogService.exportProducts(req.user._id, format, res);
+        } catch (error) {
+            console.error('Export products error:', error);
+
+            if (!res.headersSent) {
+                return res.status(500).json({
+                    success: false,
+                    message: 'Failed to export products'
+                });
+            }
+            // Headers are gone once streaming starts, so cut the download short
+            res.destroy(error);
+        }
+    }
+
     // Get product by ID
     async getProductById(req, res) {
         try {
@@ -234,6 +401,9 @@ class ProductController {
             product.views += 1;
             await product.save();
 
+            // Recorded in the background for seller analytics
+            analyticsService.trackProductView(product, { user: userId });
+
             res.json({
                 success: true,
                 data: product
@@ -267,6 +437,45 @@ class ProductController {
                 });
             }
 
+            // Parse attributes if provided
+            if (updates.attributes && typeof updates.attributes === 'string') {
+                try {
+                    updates.attributes = JSON.parse(updates.attributes);
+                } catch (error) {
+                    console.error('Error parsing attributes:', error);
+                    delete updates.attributes;
+                }
+            }
+
+            // A new category must exist, and the product's attributes must follow its schema
+            let categoryData = null;
+            if (updates.category) {
+                categoryData = await Category.findById(updates.category);
+                if (!categoryData) {
+                    return res.status(404).json({
+                        success: false,
+                        message: 'Category not found'
+                    });
+                }
+                updates.categoryName = categoryData.title;
+            }
+
+            const categoryId = categoryData ? categoryData._id : product.category;
+            if (categoryId && (categoryData || updates.attributes !== undefined)) {
+                const checked = validateAttributes(
+                    updates.attributes !== undefined ? updates.attributes : product.attributes,
+                    await Category.getAttributeSchema(categoryId)
+                );
+                if (checked.errors.length) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Invalid product attributes',
+                        errors: checked.errors
+                    });
+                }
+                updates.attributes = checked.attributes;
+            }
+
             // Handle image uploads if new images are provided
             if (req.files && req.files.length > 0) {
                 // Delete old images from Cloudinary
@@ -296,6 +505,7 @@ class ProductController {
                         uploadedImages.push({
                             url: result.secure_url,
                             publicId: result.public_id,
+                            hash: moderationService.hashImage(file),
                             order: i
                         });
                     } catch (uploadError) {
@@ -306,19 +516,44 @@ class ProductController {
                 updates.images = uploadedImages;
             }
 
-            // Parse attributes if provided
-            if (updates.attributes && typeof updates.attributes === 'string') {
-                try {
-                    updates.attributes = JSON.parse(updates.attributes);
-                } catch (error) {
-                    console.error('Error parsing attributes:', error);
-                    delete updates.attributes;
+            // Parse variant definitions if provided
+            ['variantOptions', 'variants'].forEach(field => {
+                if (updates[field] !== undefined) {
+                    updates[field] = parseJsonField(updates[field]);
+                    if (!Array.isArray(updates[field])) delete updates[field];
                 }
-            }
+            });
 
             // Update numeric fields
             if (updates.price) updates.price = parseFloat(updates.price);
+            if (updates.currency) updates.currency = updates.currency.toUpperCase();
             if (updates.stock) updates.stock = parseInt(updates.stock);
+            if (updates.lowStockThreshold !== undefined) {
+                updates.lowStockThreshold = parseThreshold(updates.lowStockThreshold);
+            }
+
+            // Stock of a product with variants is the total of its variants
+            if (product.hasVariants() || (updates.variants && updates.variants.length)) {
+                delete updates.stock;
+            }
+
+            // Exact coordinates from the seller; otherwise a new location is geocoded on save
+            if (updates.latitude !== undefined && updates.longitude !== undefined) {
+                const point = toPoint(updates.latitude, updates.longitude);
+                if (!point) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Invalid latitude or longitude'
+                    });
+                }
+                product.setCoordinates(point);
+            }
+            ['latitude', 'longitude', 'geoLocation', 'geoPlace', 'searchKeywords', 'searchGrams'].forEach(key => delete updates[key]);
+
+            // Status changes go through updateStatus and moderation
+            delete updates.status;
+            delete updates.moderation;
+            delete updates.lowStockNotifiedAt;
 
             // Update product
             Object.keys(updates).forEach(key => {
@@ -327,6 +562,9 @@ class ProductController {
                 }
             });
 
+            // Edited content is screened again; edits to rejected listings resubmit them
+            const pendingReview = await moderationService.screenIfChanged(product, req.user);
+            product.$locals.inventory = { type: 'adjustment', actor: userId, reason: 'Product updated' };
             await product.save();
 
             // Update category product count if category changed
@@ -336,11 +574,21 @@ class ProductController {
 
             res.json({
                 success: true,
-                message: 'Product updated successfully',
+                message: pendingReview
+                    ? 'Product updated and submitted for review'
+                    : 'Product updated successfully',
                 data: product
             });
         } catch (error) {
             console.error('Update product error:', error);
+
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+
             res.status(500).json({
                 success: false,
                 message: 'Failed to update product'
@@ -405,16 +653,24 @@ class ProductController {
     async updateStock(req, res) {
         try {
             const { productId } = req.params;
-            const { quantity } = req.body;
+            const { quantity, variantId, type = 'adjustment', reason } = req.body || {};
             const userId = req.user._id;
 
-            if (!quantity || isNaN(quantity)) {
+            if (quantity === undefined || quantity === '' || isNaN(quantity) || parseInt(quantity) < 0) {
                 return res.status(400).json({
                     success: false,
                     message: 'Valid quantity is required'
                 });
             }
 
+            // Sales and reservation releases are recorded by checkout only
+            if (!MANUAL_MOVEMENT_TYPES.includes(type)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Type must be one of: ${MANUAL_MOVEMENT_TYPES.join(', ')}`
+                });
+            }
+
             const product = await Product.findOne({
                 _id: productId,
                 userId
@@ -427,14 +683,38 @@ class ProductController {
                 });
             }
 
-            product.stock = parseInt(quantity);
+            const variant = variantId ? product.variants.id(variantId) : null;
+            if (variantId && !variant) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Variant not found'
+                });
+            }
+
+            // Products with variants track stock per variant
+            if (product.hasVariants() && !variant) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Variant ID is required for products with variants'
+                });
+            }
+
+            if (variant) {
+                variant.stock = parseInt(quantity);
+            } else {
+                product.stock = parseInt(quantity);
+            }
+
+            product.$locals.inventory = { type, actor: userId, reason: reason || 'Manual stock update' };
             await product.save();
 
             res.json({
                 success: true,
                 message: 'Stock updated successfully',
                 data: {
-                    stock: product.stock
+                    stock: product.stock,
+                    variantId,
+                    variantStock: variant ? variant.stock : undefined
                 }
             });
         } catch (error) {
@@ -453,7 +733,8 @@ class ProductController {
             const { status } = req.body;
             const userId = req.user._id;
 
-            const validStatuses = ['active', 'inactive', 'sold_out', 'pending_review'];
+            // pending_review is set and cleared by moderation only
+            const validStatuses = ['active', 'inactive', 'sold_out'];
             if (!validStatuses.includes(status)) {
                 return res.status(400).json({
                     success: false,
@@ -461,11 +742,7 @@ class ProductController {
                 });
             }
 
-            const product = await Product.findOneAndUpdate(
-                { _id: productId, userId },
-                { status },
-                { new: true }
-            );
+            const product = await Product.findOne({ _id: productId, userId });
 
             if (!product) {
                 return res.status(404).json({
@@ -474,6 +751,21 @@ class ProductController {
                 });
             }
 
+            // Listings in or turned down by moderation stay as they are until reviewed
+            const blocked = product.status === 'pending_review' ||
+                (product.moderation && product.moderation.decision === 'rejected');
+            if (blocked) {
+                return res.status(403).json({
+                    success: false,
+                    message: product.status === 'pending_review'
+                        ? 'This listing is awaiting review'
+                        : 'This listing was rejected. Edit it to submit it for review again.'
+                });
+            }
+
+            product.status = status;
+            await product.save();
+
             res.json({
                 success: true,
                 message: 'Status updated successfully',
@@ -584,6 +876,7 @@ class ProductController {
                     uploadedImages.push({
                         url: result.secure_url,
                         publicId: result.public_id,
+                        hash: moderationService.hashImage(file),
                         order: product.images.length + i
                     });
                 } catch (uploadError) {
@@ -593,6 +886,7 @@ class ProductController {
 
             // Add new images to product
             product.images.push(...uploadedImages);
+            await moderationService.screenIfChanged(product, req.user);
             await product.save();
 
             res.json({
@@ -611,6 +905,188 @@ class ProductController {
         }
     }
 
+    // Add a variant to a product
+    async addVariant(req, res) {
+        try {
+            const { productId } = req.params;
+            const userId = req.user._id;
+
+            const product = await Product.findOne({
+                _id: productId,
+                userId
+            });
+
+            if (!product) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Product not found'
+                });
+            }
+
+            // The first variant may declare the product's options
+            const variantOptions = parseJsonField(req.body.variantOptions);
+            if (Array.isArray(variantOptions)) {
+                product.variantOptions = variantOptions;
+            }
+
+            const variantData = {};
+            VARIANT_FIELDS.forEach(field => {
+                if (req.body[field] !== undefined) {
+                    variantData[field] = field === 'attributes' ? parseJsonField(req.body[field]) : req.body[field];
+                }
+            });
+
+            if (!Array.isArray(variantData.attributes) || variantData.attributes.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Variant attributes are required'
+                });
+            }
+
+            variantData.images = await uploadVariantImages(req.files);
+            product.variants.push(variantData);
+            product.$locals.inventory = { type: 'restock', actor: userId, reason: 'Variant added' };
+            await product.save();
+
+            res.status(201).json({
+                success: true,
+                message: 'Variant added successfully',
+                data: {
+                    variant: product.variants[product.variants.length - 1],
+                    stock: product.stock
+                }
+            });
+        } catch (error) {
+            console.error('Add variant error:', error);
+            res.status(error.name === 'ValidationError' ? 400 : 500).json({
+                success: false,
+                message: error.name === 'ValidationError' ? error.message : 'Failed to add variant'
+            });
+        }
+    }
+
+    // Update a product variant; uploaded images are added to the variant
+    async updateVariant(req, res) {
+        try {
+            const { productId, variantId } = req.params;
+            const userId = req.user._id;
+
+            const product = await Product.findOne({
+                _id: productId,
+                userId
+            });
+
+            if (!product) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Product not found'
+                });
+            }
+
+            const variant = product.variants.id(variantId);
+            if (!variant) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Variant not found'
+                });
+            }
+
+            VARIANT_FIELDS.forEach(field => {
+                if (req.body[field] !== undefined) {
+                    variant[field] = field === 'attributes' ? parseJsonField(req.body[field]) : req.body[field];
+                }
+            });
+
+            // An empty price clears the override so the product price applies
+            if (req.body.price === '' || req.body.price === null) {
+                variant.price = undefined;
+            }
+
+            const images = await uploadVariantImages(req.files, variant.images.length);
+            variant.images.push(...images);
+
+            product.$locals.inventory = { type: 'adjustment', actor: userId, reason: 'Variant updated' };
+            await product.save();
+
+            res.json({
+                success: true,
+                message: 'Variant updated successfully',
+                data: {
+                    variant,
+                    stock: product.stock
+                }
+            });
+        } catch (error) {
+            console.error('Update variant error:', error);
+            res.status(error.name === 'ValidationError' ? 400 : 500).json({
+                success: false,
+                message: error.name === 'ValidationError' ? error.message : 'Failed to update variant'
+            });
+        }
+    }
+
+    // Delete a product variant and its images
+    async deleteVariant(req, res) {
+        try {
+            const { productId, variantId } = req.params;
+            const userId = req.user._id;
+
+            const product = await Product.findOne({
+                _id: productId,
+                userId
+            });
+
+            if (!product) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Product not found'
+                });
+            }
+
+            const variant = product.variants.id(variantId);
+            if (!variant) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Variant not found'
+                });
+            }
+
+            for (const image of variant.images) {
+                if (image.publicId) {
+                    try {
+                        await cloudinary.uploader.destroy(image.publicId);
+                    } catch (error) {
+                        console.error('Error deleting variant image:', error);
+                    }
+                }
+            }
+
+            product.variants.pull(variantId);
+
+            // The stock left belonged to the last variant; the seller sets it again for the plain product
+            if (!product.hasVariants()) {
+                product.stock = 0;
+            }
+
+            product.$locals.inventory = { type: 'adjustment', actor: userId, reason: 'Variant deleted' };
+            await product.save();
+
+            res.json({
+                success: true,
+                message: 'Variant deleted successfully',
+                data: {
+                    stock: product.stock
+                }
+            });
+        } catch (error) {
+            console.error('Delete variant error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to delete variant'
+            });
+        }
+    }
+
     // Delete product image
     async deleteImage(req, res) {
         try {
@@ -807,14 +1283,9 @@ class ProductController {
                 if (maxPrice) query.price.$lte = parseFloat(maxPrice);
             }
 
-            // Search functionality
+            // Search functionality (uses the product text index)
             if (search) {
-                query.$or = [
-                    { name: { $regex: search, $options: 'i' } },
-                    { description: { $regex: search, $options: 'i' } },
-                    { companyName: { $regex: search, $options: 'i' } },
-                    { 'attributes.value': { $regex: search, $options: 'i' } }
-                ];
+                query.$text = { $search: search };
             }
 
             // If subcategory name is provided (for marketplace navigation)
@@ -943,6 +1414,48 @@ class ProductController {
         }
     }
 
+    // Geocode products and seller profiles that have no coordinates yet (admin only)
+    async backfillGeoLocations(req, res) {
+        try {
+            if (req.user.role !== 'admin' && req.user.role !== 'super_admin') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            // Profiles first, so products without a known place can fall back to their seller
+            let sellersPlaced = 0;
+            const sellers = await User.find({ 'geoLocation.coordinates': { $exists: false } })
+                .select('city state country address');
+
+            for (const seller of sellers) {
+                const resolved = User.resolveGeoLocation(seller);
+                if (resolved) {
+                    await User.updateOne({ _id: seller._id }, { $set: resolved });
+                    sellersPlaced += 1;
+                }
+            }
+
+            const productsPlaced = await Product.backfillGeoLocations();
+
+            res.json({
+                success: true,
+                message: 'Locations geocoded successfully',
+                data: {
+                    sellers: sellersPlaced,
+                    products: productsPlaced
+                }
+            });
+        } catch (error) {
+            console.error('Backfill geo locations error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to geocode locations'
+            });
+        }
+    }
+
     // Get products by category tree (including subcategories)
     async getProductsByCategoryTree(req, res) {
         try {
@@ -1031,19 +1544,55 @@ class ProductController {
                 location,
                 minPrice,
                 maxPrice,
-                sort = 'recent',
+                sort,
                 page = 1,
                 limit = 20,
-                search
+                search,
+                lat,
+                lng,
+                radius,
+                near,
+                attributes
             } = req.query;
 
+            // Origin for distance search: coordinates, or a place name from the gazetteer
+            let origin = null;
+            if (lat !== undefined && lng !== undefined) {
+                origin = toPoint(lat, lng);
+                if (!origin) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Invalid latitude or longitude'
+                    });
+                }
+            } else if (near) {
+                const place = geocode(near);
+                if (!place) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `Location "${near}" could not be found`
+                    });
+                }
+                origin = { type: 'Point', coordinates: place.coordinates };
+            }
+
+            const radiusKm = radius !== undefined ? parseFloat(radius) : null;
+            if (radiusKm !== null && (isNaN(radiusKm) || radiusKm <= 0)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Radius must be a positive number of kilometres'
+                });
+            }
+
             // Build query
             const query = { status: 'active' };
 
-            // Category filter
+            // Category filter; a single category also brings its attribute schema
+            let schemaCategory = null;
             if (category) {
                 if (mongoose.Types.ObjectId.isValid(category)) {
-                    query.category = category;
+                    schemaCategory = new mongoose.Types.ObjectId(category);
+                    query.category = schemaCategory;
                 } else {
                     // Search by category name
                     const categories = await Category.find({
@@ -1052,6 +1601,9 @@ class ProductController {
                     if (categories.length > 0) {
                         query.category = { $in: categories.map(c => c._id) };
                     }
+                    if (categories.length === 1) {
+                        schemaCategory = categories[0]._id;
+                    }
                 }
             }
 
@@ -1072,13 +1624,23 @@ class ProductController {
                 if (maxPrice) query.price.$lte = parseFloat(maxPrice);
             }
 
-            // Search
+            // Search (uses the product text index; /api/search adds ranking and typo tolerance).
+            // Distance queries can't use the text index, so they match whole keywords instead.
             if (search) {
-                query.$or = [
-                    { name: { $regex: search, $options: 'i' } },
-                    { description: { $regex: search, $options: 'i' } },
-                    { companyName: { $regex: search, $options: 'i' } }
-                ];
+                if (origin) {
+                    query.searchKeywords = { $all: tokenize(search) };
+                } else {
+                    query.$text = { $search: search };
+                }
+            }
+
+            // Attribute filters, e.g. attributes=Brand:Acme|Zest&attributes=Weight:1..5.
+            // Filter options are counted without them, so choosing one value doesn't hide the others.
+            const attributeSchema = schemaCategory ? await Category.getAttributeSchema(schemaCategory) : [];
+            const attributeConditions = searchService.buildAttributeConditions(attributes, attributeSchema);
+            const baseQuery = { ...query };
+            if (attributeConditions.length) {
+                query.$and = attributeConditions;
             }
 
             // Sort options
@@ -1090,25 +1652,76 @@ class ProductController {
                 rating: { 'rating.average': -1, 'rating.count': -1 }
             };
 
-            const sortQuery = sortOptions[sort] || sortOptions.recent;
+            // Distance searches come back nearest-first unless another sort is asked for
+            let sortKey = origin ? 'distance' : 'recent';
+            if (sortOptions[sort]) {
+                sortKey = sort;
+            }
 
             // Pagination
             const skip = (page - 1) * limit;
 
+            // Products within the radius (or with any coordinates when there is no radius)
+            const geoQuery = !origin ? query : {
+                ...query,
+                geoLocation: radiusKm
+                    ? { $geoWithin: { $centerSphere: [origin.coordinates, radiusKm / EARTH_RADIUS_KM] } }
+                    : { $exists: true }
+            };
+
             // Execute query
-            const [products, total] = await Promise.all([
-                Product.find(query)
-                    .populate('category', 'title icon color')
-                    .sort(sortQuery)
-                    .skip(skip)
-                    .limit(parseInt(limit))
-                    .lean(),
-                Product.countDocuments(query)
-            ]);
+            let products;
+            let total;
+            if (origin) {
+                const pipeline = [{
+                    $geoNear: {
+                        near: origin,
+                        distanceField: 'distance',
+                        key: 'geoLocation',
+                        spherical: true,
+                        query,
+                        ...(radiusKm ? { maxDistance: radiusKm * 1000 } : {})
+                    }
+                }];
+                if (sortKey !== 'distance') {
+                    pipeline.push({ $sort: sortOptions[sortKey] });
+                }
+                pipeline.push(
+                    { $skip: skip },
+                    { $limit: parseInt(limit) },
+                    { $project: { searchKeywords: 0, searchGrams: 0 } }
+                );
+
+                [products, total] = await Promise.all([
+                    Product.aggregate(pipeline),
+                    Product.countDocuments(geoQuery)
+                ]);
+
+                await Product.populate(products, { path: 'category', select: 'title icon color' });
+                products.forEach(product => {
+                    product.distanceKm = Math.round(product.distance / 100) / 10;
+                    delete product.distance;
+                });
+            } else {
+                [products, total] = await Promise.all([
+                    Product.find(query)
+                        .populate('category', 'title icon color')
+                        .sort(sortOptions[sortKey])
+                        .skip(skip)
+                        .limit(parseInt(limit))
+                        .lean(),
+                    Product.countDocuments(query)
+                ]);
+            }
+
+            const attributeFilters = await searchService.getAttributeFilters(
+                attributeSchema,
+                origin ? { ...baseQuery, geoLocation: geoQuery.geoLocation } : baseQuery
+            );
 
             // Get featured products
             const featuredProducts = await Product.find({
-                ...query,
+                ...geoQuery,
                 isFeatured: true
             })
                 .populate('category', 'title icon color')
@@ -1136,9 +1749,13 @@ class ProductController {
                         type,
                         location,
                         priceRange: { minPrice, maxPrice },
-                        sort,
-                        search
-                    }
+                        sort: sortKey,
+                        search,
+                        origin: origin ? { lat: origin.coordinates[1], lng: origin.coordinates[0], near } : null,
+                        radius: radiusKm,
+                        attributes: searchService.parseAttributeFilters(attributes)
+                    },
+                    attributeFilters
                 }
             });
         } catch (error) {
@@ -0,0 +1,295 @@
+// controllers/returnController.js
+const mongoose = require('mongoose');
+const ReturnRequest = require('../models/ReturnRequest');
+const returnService = require('../services/returnService');
+
+const isAdmin = (user) => user.role === 'admin' || user.role === 'super_admin';
+
+// Map service and validation errors to a response
+const sendError = (res, error, fallback) => {
+    const status = error.name === 'ValidationError' ? 400 : (error.statusCode || 500);
+    res.status(status).json({
+        success: false,
+        message: error.message || fallback
+    });
+};
+
+// Load a return request the user takes part in as the given party
+const findRequest = (returnId, filter = {}) => {
+    if (!mongoose.Types.ObjectId.isValid(returnId)) {
+        return null;
+    }
+    return ReturnRequest.findOne({ _id: returnId, ...filter });
+};
+
+const notFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Return not found'
+});
+
+const RESPONSE_MESSAGES = {
+    accept: 'Return accepted and refund issued',
+    reject: 'Return rejected',
+    counter: 'Counter-offer sent'
+};
+
+// Seller response to a return on one of their sub-orders: accept, reject or counter
+const respond = async (req, res, action) => {
+    try {
+        const request = await findRequest(req.params.returnId, { seller: req.user._id });
+        if (!request) {
+            return notFound(res);
+        }
+
+        const { amount, note } = req.body || {};
+
+        let updated;
+        if (action === 'accept') {
+            updated = await returnService.accept(request, req.user, { note });
+        } else if (action === 'reject') {
+            updated = await returnService.reject(request, req.user, { note });
+        } else {
+            updated = await returnService.counter(request, req.user, { amount, note });
+        }
+
+        res.json({
+            success: true,
+            message: RESPONSE_MESSAGES[action],
+            data: updated
+        });
+    } catch (error) {
+        console.error(`Seller ${action} return error:`, error);
+        sendError(res, error, 'Failed to update return');
+    }
+};
+
+class ReturnController {
+    // Open a return or dispute on an order line, with photo evidence
+    async createReturn(req, res) {
+        try {
+            const { orderId, orderItemId, type, quantity, reason, description, refundMethod } = req.body || {};
+
+            if (!orderId || !orderItemId || !type || !reason) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Order, order item, type and reason are required'
+                });
+            }
+
+            const request = await returnService.openRequest(req.user, {
+                orderId,
+                orderItemId,
+                type,
+                quantity,
+                reason,
+                description,
+                refundMethod
+            }, req.files || []);
+
+            res.status(201).json({
+                success: true,
+                message: type === 'dispute' ? 'Dispute opened successfully' : 'Return requested successfully',
+                data: request
+            });
+        } catch (error) {
+            console.error('Create return error:', error);
+            sendError(res, error, 'Failed to open return');
+        }
+    }
+
+    // Buyer's returns and disputes
+    async getMyReturns(req, res) {
+        try {
+            const { status, page, limit } = req.query;
+
+            const query = { buyer: req.user._id };
+            if (status) {
+                query.status = { $in: status.split(',') };
+            }
+
+            res.json({
+                success: true,
+                message: 'Returns retrieved successfully',
+                data: await returnService.list(query, { page, limit })
+            });
+        } catch (error) {
+            console.error('Get returns error:', error);
+            sendError(res, error, 'Failed to retrieve returns');
+        }
+    }
+
+    // A single return, visible to its buyer, its seller and admins
+    async getReturnById(req, res) {
+        try {
+            const filter = isAdmin(req.user)
+                ? {}
+                : { $or: [{ buyer: req.user._id }, { seller: req.user._id }] };
+
+            const request = await findRequest(req.params.returnId, filter);
+            if (!request) {
+                return notFound(res);
+            }
+
+            await request.populate('order', 'orderNumber status currency summary.total');
+
+            res.json({
+                success: true,
+                message: 'Return retrieved successfully',
+                data: request
+            });
+        } catch (error) {
+            console.error('Get return error:', error);
+            sendError(res, error, 'Failed to retrieve return');
+        }
+    }
+
+    async acceptCounterOffer(req, res) {
+        try {
+            const request = await findRequest(req.params.returnId, { buyer: req.user._id });
+            if (!request) {
+                return notFound(res);
+            }
+
+            res.json({
+                success: true,
+                message: 'Counter-offer accepted and refund issued',
+                data: await returnService.acceptCounter(request, req.user)
+            });
+        } catch (error) {
+            console.error('Accept counter-offer error:', error);
+            sendError(res, error, 'Failed to accept counter-offer');
+        }
+    }
+
+    // Buyer asks an admin to step in
+    async escalateReturn(req, res) {
+        try {
+            const request = await findRequest(req.params.returnId, { buyer: req.user._id });
+            if (!request) {
+                return notFound(res);
+            }
+
+            res.json({
+                success: true,
+                message: 'Return escalated for review',
+                data: await returnService.escalate(request, req.user, { note: (req.body || {}).note })
+            });
+        } catch (error) {
+            console.error('Escalate return error:', error);
+            sendError(res, error, 'Failed to escalate return');
+        }
+    }
+
+    async cancelReturn(req, res) {
+        try {
+            const request = await findRequest(req.params.returnId, { buyer: req.user._id });
+            if (!request) {
+                return notFound(res);
+            }
+
+            res.json({
+                success: true,
+                message: 'Return withdrawn successfully',
+                data: await returnService.cancel(request, req.user)
+            });
+        } catch (error) {
+            console.error('Cancel return error:', error);
+            sendError(res, error, 'Failed to withdraw return');
+        }
+    }
+
+    // Returns opened against the seller's sub-orders
+    async getSellerReturns(req, res) {
+        try {
+            const { status, page, limit } = req.query;
+
+            const query = { seller: req.user._id };
+            if (status) {
+                query.status = { $in: status.split(',') };
+            }
+
+            res.json({
+                success: true,
+                message: 'Returns retrieved successfully',
+                data: await returnService.list(query, { page, limit })
+            });
+        } catch (error) {
+            console.error('Get seller returns error:', error);
+            sendError(res, error, 'Failed to retrieve returns');
+        }
+    }
+
+    async acceptReturn(req, res) {
+        return respond(req, res, 'accept');
+    }
+
+    async rejectReturn(req, res) {
+        return respond(req, res, 'reject');
+    }
+
+    async counterReturn(req, res) {
+        return respond(req, res, 'counter');
+    }
+
+    // All returns, e.g. those escalated for review (admin only)
+    async getAllReturns(req, res) {
+        try {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            const { status, sellerId, page, limit } = req.query;
+
+            const query = {};
+            if (status) {
+                query.status = { $in: status.split(',') };
+            }
+            if (sellerId && mongoose.Types.ObjectId.isValid(sellerId)) {
+                query.seller = sellerId;
+            }
+
+            res.json({
+                success: true,
+                message: 'Returns retrieved successfully',
+                data: await returnService.list(query, { page, limit })
+            });
+        } catch (error) {
+            console.error('Get all returns error:', error);
+            sendError(res, error, 'Failed to retrieve returns');
+        }
+    }
+
+    // Admin arbitration: refund (full or partial) or close
+    async resolveReturn(req, res) {
+        try {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            const request = await findRequest(req.params.returnId);
+            if (!request) {
+                return notFound(res);
+            }
+
+            const { decision, amount, restock, note } = req.body || {};
+            const resolved = await returnService.resolve(request, req.user, { decision, amount, restock, note });
+
+            res.json({
+                success: true,
+                message: decision === 'refund' ? 'Refund issued' : 'Return closed',
+                data: resolved
+            });
+        } catch (error) {
+            console.error('Resolve return error:', error);
+            sendError(res, error, 'Failed to resolve return');
+        }
+    }
+}
+
+module.exports = new ReturnController();
@@ -0,0 +1,469 @@
+// controllers/reviewController.js
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const reviewService = require('../services/reviewService');
+
+// Sort options for review listings
+const SORT_OPTIONS = {
+    recent: { createdAt: -1 },
+    helpful: { helpfulCount: -1, createdAt: -1 },
+    highest: { rating: -1, createdAt: -1 },
+    lowest: { rating: 1, createdAt: -1 }
+};
+
+const isAdmin = (user) => user.role === 'admin' || user.role === 'super_admin';
+
+// Build the pagination block used in list responses
+const buildPagination = (page, limit, total) => {
+    const totalPages = Math.ceil(total / limit);
+    return {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+    };
+};
+
+// Multipart forms send lists as JSON strings
+const parseList = (value) => {
+    if (!value) return [];
+    if (Array.isArray(value)) return value;
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [parsed];
+    } catch (error) {
+        return [value];
+    }
+};
+
+class ReviewController {
+    // Get published reviews for a product (public)
+    async getProductReviews(req, res) {
+        try {
+            const { productId } = req.params;
+            const { rating, verified, withImages, sort = 'recent', page = 1, limit = 10 } = req.query;
+
+            const product = await Product.findById(productId).select('name rating');
+            if (!product) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Product not found'
+                });
+            }
+
+            const query = { product: productId, status: 'published' };
+            if (rating) query.rating = parseInt(rating);
+            if (verified === 'true') query.isVerifiedPurchase = true;
+            if (withImages === 'true') query['images.0'] = { $exists: true };
+
+            const [reviews, total, breakdown] = await Promise.all([
+                Review.find(query)
+                    .select('-helpfulVotes -moderation')
+                    .populate('user', 'name')
+                    .sort(SORT_OPTIONS[sort] || SORT_OPTIONS.recent)
+                    .skip((page - 1) * limit)
+                    .limit(parseInt(limit))
+                    .lean(),
+                Review.countDocuments(query),
+                Review.getRatingBreakdown(productId)
+            ]);
+
+            res.json({
+                success: true,
+                message: 'Reviews retrieved successfully',
+                data: {
+                    reviews,
+                    summary: {
+                        average: product.rating.average,
+                        count: product.rating.count,
+                        breakdown
+                    },
+                    pagination: buildPagination(page, limit, total)
+                }
+            });
+        } catch (error) {
+            console.error('Get product reviews error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve reviews'
+            });
+        }
+    }
+
+    // Get the current user's reviews
+    async getMyReviews(req, res) {
+        try {
+            const { page = 1, limit = 10 } = req.query;
+            const query = { user: req.user._id };
+
+            const [reviews, total] = await Promise.all([
+                Review.find(query)
+                    .select('-helpfulVotes')
+                    .populate('product', 'name images price currency')
+                    .sort({ createdAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(parseInt(limit))
+                    .lean(),
+                Review.countDocuments(query)
+            ]);
+
+            res.json({
+                success: true,
+                message: 'Reviews retrieved successfully',
+                data: {
+                    reviews,
+                    pagination: buildPagination(page, limit, total)
+                }
+            });
+        } catch (error) {
+            console.error('Get my reviews error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve reviews'
+            });
+        }
+    }
+
+    // Get reviews on the seller's products
+    async getSellerReviews(req, res) {
+        try {
+            const { replied, page = 1, limit = 10 } = req.query;
+
+            const query = { seller: req.user._id, status: 'published' };
+            if (replied === 'true') query['sellerReply.text'] = { $exists: true };
+            if (replied === 'false') query['sellerReply.text'] = { $exists: false };
+
+            const [reviews, total] = await Promise.all([
+                Review.find(query)
+                    .select('-helpfulVotes -moderation')
+                    .populate('product', 'name images')
+                    .populate('user', 'name')
+                    .sort({ createdAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(parseInt(limit))
+                    .lean(),
+                Review.countDocuments(query)
+            ]);
+
+            res.json({
+                success: true,
+                message: 'Seller reviews retrieved successfully',
+                data: {
+                    reviews,
+                    pagination: buildPagination(page, limit, total)
+                }
+            });
+        } catch (error) {
+            console.error('Get seller reviews error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve reviews'
+            });
+        }
+    }
+
+    // Create review
+    async createReview(req, res) {
+        try {
+            const { rating, title, text } = req.body;
+
+            if (!rating) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Rating is required'
+                });
+            }
+
+            const review = await reviewService.createReview(
+                req.user,
+                req.params.productId,
+                { rating, title, text },
+                req.files || []
+            );
+
+            res.status(201).json({
+                success: true,
+                message: 'Review submitted successfully',
+                data: review
+            });
+        } catch (error) {
+            console.error('Create review error:', error);
+            res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+                success: false,
+                message: error.message || 'Failed to submit review'
+            });
+        }
+    }
+
+    // Update own review
+    async updateReview(req, res) {
+        try {
+            const review = await Review.findOne({
+                _id: req.params.reviewId,
+                user: req.user._id
+            });
+
+            if (!review) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Review not found'
+                });
+            }
+
+            const { rating, title, text, removeImages } = req.body;
+
+            await reviewService.updateReview(
+                review,
+                { rating, title, text, removeImages: parseList(removeImages) },
+                req.files || []
+            );
+
+            res.json({
+                success: true,
+                message: 'Review updated successfully',
+                data: review
+            });
+        } catch (error) {
+            console.error('Update review error:', error);
+            res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+                success: false,
+                message: error.message || 'Failed to update review'
+            });
+        }
+    }
+
+    // Delete own review (admins can delete any review)
+    async deleteReview(req, res) {
+        try {
+            const query = { _id: req.params.reviewId };
+            if (!isAdmin(req.user)) {
+                query.user = req.user._id;
+            }
+
+            const review = await Review.findOne(query);
+            if (!review) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Review not found'
+                });
+            }
+
+            await reviewService.deleteReview(review);
+
+            res.json({
+                success: true,
+                message: 'Review deleted successfully'
+            });
+        } catch (error) {
+            console.error('Delete review error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to delete review'
+            });
+        }
+    }
+
+    // Toggle a helpful vote on a review
+    async toggleHelpful(req, res) {
+        try {
+            const result = await reviewService.toggleHelpful(req.params.reviewId, req.user._id);
+
+            res.json({
+                success: true,
+                message: result.helpful ? 'Review marked as helpful' : 'Helpful vote removed',
+                data: result
+            });
+        } catch (error) {
+            console.error('Toggle helpful vote error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to update helpful vote'
+            });
+        }
+    }
+
+    // Add or edit the seller's reply to a review on their product
+    async replyToReview(req, res) {
+        try {
+            const { text } = req.body;
+
+            if (!text || !text.trim()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Reply text is required'
+                });
+            }
+
+            const review = await Review.findOne({
+                _id: req.params.reviewId,
+                seller: req.user._id
+            });
+
+            if (!review) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Review not found'
+                });
+            }
+
+            const now = new Date();
+            review.sellerReply = {
+                text,
+                repliedAt: review.sellerReply && review.sellerReply.repliedAt ? review.sellerReply.repliedAt : now,
+                updatedAt: now
+            };
+            await review.save();
+
+            res.json({
+                success: true,
+                message: 'Reply saved successfully',
+                data: review
+            });
+        } catch (error) {
+            console.error('Reply to review error:', error);
+            res.status(error.name === 'ValidationError' ? 400 : 500).json({
+                success: false,
+                message: error.message || 'Failed to save reply'
+            });
+        }
+    }
+
+    // Remove the seller's reply
+    async deleteReply(req, res) {
+        try {
+            const review = await Review.findOne({
+                _id: req.params.reviewId,
+                seller: req.user._id
+            });
+
+            if (!review) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Review not found'
+                });
+            }
+
+            review.sellerReply = undefined;
+            await review.save();
+
+            res.json({
+                success: true,
+                message: 'Reply removed successfully',
+                data: review
+            });
+        } catch (error) {
+            console.error('Delete review reply error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to remove reply'
+            });
+        }
+    }
+
+    // List reviews for moderation (admin only)
+    async getReviewsForModeration(req, res) {
+        try {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            const { status, productId, rating, page = 1, limit = 20 } = req.query;
+
+            const query = {};
+            if (status) query.status = status;
+            if (productId) query.product = productId;
+            if (rating) query.rating = parseInt(rating);
+
+            const [reviews, total] = await Promise.all([
+                Review.find(query)
+                    .select('-helpfulVotes')
+                    .populate('product', 'name')
+                    .populate('user', 'name email')
+                    .populate('moderation.moderatedBy', 'name email')
+                    .sort({ createdAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(parseInt(limit))
+                    .lean(),
+                Review.countDocuments(query)
+            ]);
+
+            res.json({
+                success: true,
+                message: 'Reviews retrieved successfully',
+                data: {
+                    reviews,
+                    pagination: buildPagination(page, limit, total)
+                }
+            });
+        } catch (error) {
+            console.error('Get reviews for moderation error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve reviews'
+            });
+        }
+    }
+
+    // Hide or republish a review (admin only)
+    async moderateReview(req, res) {
+        try {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            const { status, reason } = req.body;
+
+            if (!['published', 'hidden'].includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Status must be published or hidden'
+                });
+            }
+
+            if (status === 'hidden' && !reason) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A reason is required to hide a review'
+                });
+            }
+
+            const review = await Review.findById(req.params.reviewId);
+            if (!review) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Review not found'
+                });
+            }
+
+            review.status = status;
+            review.moderation = {
+                reason,
+                moderatedBy: req.user._id,
+                moderatedAt: new Date()
+            };
+            await review.save();
+
+            res.json({
+                success: true,
+                message: `Review ${status === 'hidden' ? 'hidden' : 'published'} successfully`,
+                data: review
+            });
+        } catch (error) {
+            console.error('Moderate review error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to moderate review'
+            });
+        }
+    }
+}
+
+module.exports = new ReviewController();
@@ -0,0 +1,77 @@
+// controllers/searchController.js
+const Product = require('../models/Product');
+const searchService = require('../services/searchService');
+const { dropLegacyIndexes } = require('../migrations/legacyIndexes');
+
+const isAdmin = (user) => user.role === 'admin' || user.role === 'super_admin';
+
+class SearchController {
+    // Search marketplace products (public)
+    async searchProducts(req, res) {
+        try {
+            const result = await searchService.search(req.query);
+
+            res.json({
+                success: true,
+                message: 'Search results retrieved successfully',
+                data: result
+            });
+        } catch (error) {
+            console.error('Search products error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to search products'
+            });
+        }
+    }
+
+    // Autocomplete suggestions (public)
+    async getSuggestions(req, res) {
+        try {
+            const { q, limit } = req.query;
+            const suggestions = await searchService.suggest(q, limit);
+
+            res.json({
+                success: true,
+                message: 'Suggestions retrieved successfully',
+                data: suggestions
+            });
+        } catch (error) {
+            console.error('Get search suggestions error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to get suggestions'
+            });
+        }
+    }
+
+    // Rebuild the search fields of every product (admin only)
+    async rebuildIndex(req, res) {
+        try {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            // The old text index keeps the weighted one from building
+            await dropLegacyIndexes();
+            const updated = await Product.rebuildSearchFields();
+
+            res.json({
+                success: true,
+                message: 'Search index rebuilt successfully',
+                data: { updated }
+            });
+        } catch (error) {
+            console.error('Rebuild search index error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to rebuild search index'
+            });
+        }
+    }
+}
+
+module.exports = new SearchController();
@@ -0,0 +1,199 @@
+// controllers/sellerOrderController.js
+const SellerOrder = require('../models/SellerOrder');
+const orderService = require('../services/orderService');
+
+// Load a sub-order that belongs to the current seller
+const findSellerOrder = (subOrderId, sellerId) => SellerOrder.findOne({
+    _id: subOrderId,
+    seller: sellerId
+});
+
+class SellerOrderController {
+    // Get orders the seller needs to fulfil
+    async getSellerOrders(req, res) {
+        try {
+            const sellerId = req.user._id;
+            const { page = 1, limit = 20, status } = req.query;
+
+            // Build query
+            const query = { seller: sellerId };
+            if (status) {
+                query.status = { $in: status.split(',') };
+            }
+
+            const skip = (page - 1) * limit;
+
+            const [orders, total, statusCounts] = await Promise.all([
+                SellerOrder.find(query)
+                    .populate('buyer', 'name email phoneNumber')
+                    .sort({ createdAt: -1 })
+                    .skip(skip)
+                    .limit(parseInt(limit))
+                    .lean(),
+                SellerOrder.countDocuments(query),
+                SellerOrder.aggregate([
+                    { $match: { seller: sellerId } },
+                    { $group: { _id: '$status', count: { $sum: 1 } } }
+                ])
+            ]);
+
+            const totalPages = Math.ceil(total / limit);
+
+            res.json({
+                success: true,
+                message: 'Seller orders retrieved successfully',
+                data: {
+                    orders,
+                    counts: statusCounts.reduce((counts, item) => {
+                        counts[item._id] = item.count;
+                        return counts;
+                    }, {}),
+                    pagination: {
+                        page: parseInt(page),
+                        limit: parseInt(limit),
+                        total,
+                        totalPages,
+                        hasNextPage: page < totalPages,
+                        hasPrevPage: page > 1
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get seller orders error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve seller orders'
+            });
+        }
+    }
+
+    // Get a single sub-order
+    async getSellerOrderById(req, res) {
+        try {
+            const order = await findSellerOrder(req.params.subOrderId, req.user._id)
+                .populate('buyer', 'name email phoneNumber')
+                .populate('items.product', 'name images stock');
+
+            if (!order) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Order not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Seller order retrieved successfully',
+                data: order
+            });
+        } catch (error) {
+            console.error('Get seller order by ID error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve seller order'
+            });
+        }
+    }
+
+    // Accept an order for fulfilment
+    async acceptOrder(req, res) {
+        try {
+            const order = await findSellerOrder(req.params.subOrderId, req.user._id);
+            if (!order) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Order not found'
+                });
+            }
+
+            await orderService.updateSubOrderStatus(order, 'accepted', {
+                note: req.body?.note,
+                changedBy: req.user._id
+            });
+
+            res.json({
+                success: true,
+                message: 'Order accepted successfully',
+                data: order
+            });
+        } catch (error) {
+            console.error('Accept seller order error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to accept order'
+            });
+        }
+    }
+
+    // Mark an order as shipped with tracking details
+    async shipOrder(req, res) {
+        try {
+            const { trackingNumber, carrier, trackingUrl, note } = req.body || {};
+
+            if (!trackingNumber) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Tracking number is required'
+                });
+            }
+
+            const order = await findSellerOrder(req.params.subOrderId, req.user._id);
+            if (!order) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Order not found'
+                });
+            }
+
+            await orderService.updateSubOrderStatus(order, 'shipped', {
+                note,
+                changedBy: req.user._id,
+                tracking: { trackingNumber, carrier, trackingUrl }
+            });
+
+            res.json({
+                success: true,
+                message: 'Order marked as shipped',
+                data: order
+            });
+        } catch (error) {
+            console.error('Ship seller order error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to mark order as shipped'
+            });
+        }
+    }
+
+    // Mark an order as delivered
+    async deliverOrder(req, res) {
+        try {
+            const order = await findSellerOrder(req.params.subOrderId, req.user._id);
+            if (!order) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Order not found'
+                });
+            }
+
+            await orderService.updateSubOrderStatus(order, 'delivered', {
+                note: req.body?.note,
+                changedBy: req.user._id
+            });
+
+            res.json({
+                success: true,
+                message: 'Order marked as delivered',
+                data: order
+            });
+        } catch (error) {
+            console.error('Deliver seller order error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to mark order as delivered'
+            });
+        }
+    }
+}
+
+module.exports = new SellerOrderController();
@@ -0,0 +1,178 @@
+// controllers/storeController.js
+const Store = require('../models/Store');
+const storeService = require('../services/storeService');
+
+const isAdmin = (user) => user.role === 'admin' || user.role === 'super_admin';
+
+class StoreController {
+    // Get a store page by slug (public)
+    async getStoreBySlug(req, res) {
+        try {
+            const { page = 1, limit = 20, sort = 'recent' } = req.query;
+            const result = await storeService.getPublicStore(req.params.slug, { page, limit, sort });
+
+            const totalPages = Math.ceil(result.productCount / limit);
+
+            res.json({
+                success: true,
+                message: 'Store retrieved successfully',
+                data: {
+                    store: result.store,
+                    rating: result.rating,
+                    sales: result.sales,
+                    products: result.products,
+                    pagination: {
+                        page: parseInt(page),
+                        limit: parseInt(limit),
+                        total: result.productCount,
+                        totalPages,
+                        hasNextPage: page < totalPages,
+                        hasPrevPage: page > 1
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get store error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve store'
+            });
+        }
+    }
+
+    // Get the current seller's store
+    async getMyStore(req, res) {
+        try {
+            const store = await Store.findOne({ owner: req.user._id });
+
+            if (!store) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'You have not set up a store yet'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Store retrieved successfully',
+                data: store
+            });
+        } catch (error) {
+            console.error('Get my store error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve store'
+            });
+        }
+    }
+
+    // Open a store for the current seller
+    async createStore(req, res) {
+        try {
+            const store = await storeService.createStore(req.user, req.body, req.files);
+
+            res.status(201).json({
+                success: true,
+                message: 'Store created successfully',
+                data: store
+            });
+        } catch (error) {
+            console.error('Create store error:', error);
+
+            if (error.code === 11000) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'A store with this address already exists'
+                });
+            }
+
+            res.status(error.name === 'ValidationError' ? 400 : error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to create store'
+            });
+        }
+    }
+
+    // Update the current seller's store; a new logo or banner replaces the old one
+    async updateStore(req, res) {
+        try {
+            const store = await Store.findOne({ owner: req.user._id });
+
+            if (!store) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'You have not set up a store yet'
+                });
+            }
+
+            await storeService.updateStore(store, req.body, req.files);
+
+            res.json({
+                success: true,
+                message: 'Store updated successfully',
+                data: store
+            });
+        } catch (error) {
+            console.error('Update store error:', error);
+
+            if (error.code === 11000) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'A store with this address already exists'
+                });
+            }
+
+            res.status(error.name === 'ValidationError' ? 400 : error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to update store'
+            });
+        }
+    }
+
+    // Suspend or reinstate a store (admin only)
+    async updateStoreStatus(req, res) {
+        try {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            const { status } = req.body;
+            if (!['active', 'suspended'].includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid status'
+                });
+            }
+
+            const store = await Store.findByIdAndUpdate(
+                req.params.storeId,
+                { status },
+                { new: true, runValidators: true }
+            );
+
+            if (!store) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Store not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: `Store ${status === 'active' ? 'reinstated' : 'suspended'} successfully`,
+                data: store
+            });
+        } catch (error) {
+            console.error('Update store status error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to update store status'
+            });
+        }
+    }
+}
+
+module.exports = new StoreController();
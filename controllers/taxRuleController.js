@@ -0,0 +1,217 @@
+// controllers/taxRuleController.js
+const TaxRule = require('../models/TaxRule');
+
+// Fields an admin may set on a tax rule
+const EDITABLE_FIELDS = ['name', 'country', 'state', 'productType', 'rate', 'inclusive', 'isActive'];
+
+// Only admin can manage tax rules
+const isAdmin = (user) => user.role === 'admin' || user.role === 'super_admin';
+
+class TaxRuleController {
+    // Get tax rules (admin only)
+    async getTaxRules(req, res) {
+        try {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            const { country, state, productType, active } = req.query;
+
+            // Build query
+            const query = {};
+            if (country) query.country = country.trim().toUpperCase();
+            if (state) query.state = state.trim().toUpperCase();
+            if (productType) query.productType = productType;
+            if (active !== undefined) query.isActive = active === 'true';
+
+            const rules = await TaxRule.find(query)
+                .sort({ country: 1, state: 1, productType: 1 })
+                .lean();
+
+            res.json({
+                success: true,
+                message: 'Tax rules retrieved successfully',
+                data: rules
+            });
+        } catch (error) {
+            console.error('Get tax rules error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve tax rules'
+            });
+        }
+    }
+
+    // Preview the rates that apply to an address (admin only)
+    async previewRates(req, res) {
+        try {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            const { country, state } = req.query;
+
+            if (!country) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Country is required'
+                });
+            }
+
+            const rates = await TaxRule.resolveRates({ country, state });
+
+            res.json({
+                success: true,
+                message: 'Tax rates resolved successfully',
+                data: {
+                    country,
+                    state,
+                    rates
+                }
+            });
+        } catch (error) {
+            console.error('Preview tax rates error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to resolve tax rates'
+            });
+        }
+    }
+
+    // Create tax rule (admin only)
+    async createTaxRule(req, res) {
+        try {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            const { country, rate } = req.body;
+
+            if (!country || rate === undefined) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Country and rate are required'
+                });
+            }
+
+            const ruleData = { createdBy: req.user._id };
+            EDITABLE_FIELDS.forEach(field => {
+                if (req.body[field] !== undefined) {
+                    ruleData[field] = req.body[field];
+                }
+            });
+
+            const rule = await TaxRule.create(ruleData);
+
+            res.status(201).json({
+                success: true,
+                message: 'Tax rule created successfully',
+                data: rule
+            });
+        } catch (error) {
+            console.error('Create tax rule error:', error);
+
+            if (error.code === 11000) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A tax rule already exists for this country, state and product type'
+                });
+            }
+
+            res.status(error.name === 'ValidationError' ? 400 : 500).json({
+                success: false,
+                message: error.message || 'Failed to create tax rule'
+            });
+        }
+    }
+
+    // Update tax rule (admin only)
+    async updateTaxRule(req, res) {
+        try {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            const rule = await TaxRule.findById(req.params.ruleId);
+            if (!rule) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Tax rule not found'
+                });
+            }
+
+            EDITABLE_FIELDS.forEach(field => {
+                if (req.body[field] !== undefined) {
+                    rule[field] = req.body[field];
+                }
+            });
+
+            await rule.save();
+
+            res.json({
+                success: true,
+                message: 'Tax rule updated successfully',
+                data: rule
+            });
+        } catch (error) {
+            console.error('Update tax rule error:', error);
+
+            if (error.code === 11000) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A tax rule already exists for this country, state and product type'
+                });
+            }
+
+            res.status(error.name === 'ValidationError' ? 400 : 500).json({
+                success: false,
+                message: error.message || 'Failed to update tax rule'
+            });
+        }
+    }
+
+    // Delete tax rule (admin only)
+    async deleteTaxRule(req, res) {
+        try {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin privileges required.'
+                });
+            }
+
+            const rule = await TaxRule.findByIdAndDelete(req.params.ruleId);
+            if (!rule) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Tax rule not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Tax rule deleted successfully'
+            });
+        } catch (error) {
+            console.error('Delete tax rule error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to delete tax rule'
+            });
+        }
+    }
+}
+
+module.exports = new TaxRuleController();
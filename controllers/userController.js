@@ -1,6 +1,7 @@
 const User = require('../models/User');
 const bcrypt = require('bcryptjs');
 const cloudinary = require('cloudinary').v2;
+const { toPoint } = require('../utils/geo');
 
 class UserController {
   async getProfile(req, res) {
@@ -40,9 +41,43 @@ class UserController {
         }
       });
 
+      // Place the profile on the map: exact coordinates if given, otherwise from the gazetteer
+      const unset = {};
+      const { latitude, longitude } = req.body;
+      if (latitude !== undefined && longitude !== undefined) {
+        const point = toPoint(latitude, longitude);
+        if (!point) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid latitude or longitude'
+          });
+        }
+        updates.geoLocation = point;
+        updates.geoPlace = { source: 'manual' };
+      } else if (['address', 'state', 'city'].some(field => updates[field] !== undefined)) {
+        const resolved = User.resolveGeoLocation({
+          city: updates.city !== undefined ? updates.city : req.user.city,
+          state: updates.state !== undefined ? updates.state : req.user.state,
+          country: req.user.country,
+          address: updates.address !== undefined ? updates.address : req.user.address
+        });
+
+        if (resolved) {
+          Object.assign(updates, resolved);
+        } else {
+          unset.geoLocation = '';
+          unset.geoPlace = '';
+        }
+      }
+
+      const update = { $set: updates };
+      if (Object.keys(unset).length) {
+        update.$unset = unset;
+      }
+
       const user = await User.findByIdAndUpdate(
         req.user._id,
-        { $set: updates },
+        update,
         { new: true, runValidators: true }
       ).select('-password -tokens');
 
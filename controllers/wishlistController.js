@@ -0,0 +1,170 @@
+// controllers/wishlistController.js
+const Wishlist = require('../models/Wishlist');
+const wishlistService = require('../services/wishlistService');
+
+// Product fields shown with saved items
+const PRODUCT_FIELDS = 'name images price currency stock status rating userId';
+
+class WishlistController {
+    // Get the user's wishlist
+    async getWishlist(req, res) {
+        try {
+            const { source } = req.query;
+
+            const wishlist = await Wishlist.findOrCreateForUser(req.user._id);
+            await wishlist.populate('items.product', PRODUCT_FIELDS);
+
+            const items = wishlist.items
+                .filter(item => !source || item.source === source)
+                .map(item => {
+                    const product = item.product;
+                    return {
+                        ...item.toObject(),
+                        // Deleted products stay listed so the user can remove them
+                        isAvailable: !!product && product.status === 'active' && product.stock > 0,
+                        priceDropped: !!product && item.priceWhenAdded !== undefined &&
+                            product.currency === item.currency && product.price < item.priceWhenAdded
+                    };
+                });
+
+            res.json({
+                success: true,
+                message: 'Wishlist retrieved successfully',
+                data: {
+                    _id: wishlist._id,
+                    items,
+                    totalItems: items.length
+                }
+            });
+        } catch (error) {
+            console.error('Get wishlist error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to retrieve wishlist'
+            });
+        }
+    }
+
+    // Add product to wishlist
+    async addToWishlist(req, res) {
+        try {
+            const { productId, selectedAttributes, notes } = req.body || {};
+
+            if (!productId) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Product ID is required'
+                });
+            }
+
+            const wishlist = await wishlistService.addProduct(req.user._id, {
+                productId,
+                selectedAttributes,
+                notes
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Product added to wishlist successfully',
+                data: wishlist
+            });
+        } catch (error) {
+            console.error('Add to wishlist error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to add product to wishlist'
+            });
+        }
+    }
+
+    // Update notification preferences or notes on a saved item
+    async updateWishlistItem(req, res) {
+        try {
+            const { notifyOnPriceDrop, notifyOnRestock, notes } = req.body || {};
+
+            const wishlist = await Wishlist.findOne({ user: req.user._id });
+            const item = wishlist ? wishlist.items.id(req.params.itemId) : null;
+
+            if (!item) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Item not found in wishlist'
+                });
+            }
+
+            if (notifyOnPriceDrop !== undefined) item.notifyOnPriceDrop = notifyOnPriceDrop;
+            if (notifyOnRestock !== undefined) item.notifyOnRestock = notifyOnRestock;
+            if (notes !== undefined) item.notes = notes;
+
+            await wishlist.save();
+
+            res.json({
+                success: true,
+                message: 'Wishlist item updated successfully',
+                data: item
+            });
+        } catch (error) {
+            console.error('Update wishlist item error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to update wishlist item'
+            });
+        }
+    }
+
+    // Remove product from wishlist
+    async removeFromWishlist(req, res) {
+        try {
+            const wishlist = await Wishlist.findOne({ user: req.user._id });
+            if (!wishlist || !wishlist.items.id(req.params.itemId)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Item not found in wishlist'
+                });
+            }
+
+            wishlist.removeItem(req.params.itemId);
+            await wishlist.save();
+
+            res.json({
+                success: true,
+                message: 'Item removed from wishlist successfully',
+                data: wishlist
+            });
+        } catch (error) {
+            console.error('Remove from wishlist error:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message || 'Failed to remove item from wishlist'
+            });
+        }
+    }
+
+    // Move a saved item into the cart
+    async moveToCart(req, res) {
+        try {
+            const { cart, wishlist } = await wishlistService.moveToCart(
+                req.user._id,
+                req.params.itemId,
+                (req.body || {}).quantity
+            );
+
+            res.json({
+                success: true,
+                message: 'Item moved to cart successfully',
+                data: {
+                    cart,
+                    wishlist
+                }
+            });
+        } catch (error) {
+            console.error('Move wishlist item to cart error:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Failed to move item to cart'
+            });
+        }
+    }
+}
+
+module.exports = new WishlistController();
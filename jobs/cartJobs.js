@@ -0,0 +1,79 @@
+// jobs/cartJobs.js - Abandoned cart detection, recovery emails and expiry cleanup
+const Cart = require('../models/Cart');
+const emailService = require('../services/emailService');
+const { getCartRestoreUrl } = require('../utils/cartSession');
+
+// Carts idle this long are abandoned (same threshold as Cart.markAsAbandoned)
+const ABANDON_AFTER_HOURS = 24;
+
+// Carts handled per run, so one sweep never loads every cart at once
+const BATCH_SIZE = 100;
+
+// Mark idle, non-empty active carts as abandoned
+const sweepAbandonedCarts = async () => {
+    const cutoff = new Date(Date.now() - ABANDON_AFTER_HOURS * 60 * 60 * 1000);
+
+    const carts = await Cart.find({
+        status: 'active',
+        lastActivity: { $lt: cutoff },
+        'items.0': { $exists: true }
+    }).limit(BATCH_SIZE);
+
+    let abandoned = 0;
+    for (const cart of carts) {
+        try {
+            await cart.markAsAbandoned();
+            if (cart.status === 'abandoned') {
+                abandoned += 1;
+            }
+        } catch (error) {
+            console.error(`Failed to mark cart ${cart._id} as abandoned:`, error);
+        }
+    }
+
+    return { checked: carts.length, abandoned };
+};
+
+// Send one recovery email per abandoned user cart, with a signed restore link
+const sendRecoveryEmails = async () => {
+    const carts = await Cart.find({
+        status: 'abandoned',
+        user: { $ne: null },
+        'recovery.emailSentAt': { $exists: false },
+        'items.0': { $exists: true }
+    })
+        .populate('user', 'name email')
+        .limit(BATCH_SIZE);
+
+    let sent = 0;
+    for (const cart of carts) {
+        if (!cart.user || !cart.user.email) continue;
+
+        try {
+            await emailService.sendCartRecoveryEmail(cart.user, cart, getCartRestoreUrl(cart));
+
+            // updateOne so the save hook doesn't count this as cart activity
+            await Cart.updateOne(
+                { _id: cart._id },
+                { $set: { 'recovery.emailSentAt': new Date() }, $inc: { 'recovery.emailCount': 1 } }
+            );
+            sent += 1;
+        } catch (error) {
+            console.error(`Failed to send recovery email for cart ${cart._id}:`, error);
+        }
+    }
+
+    return { candidates: carts.length, sent };
+};
+
+// Delete carts past their expiry date
+const cleanupExpiredCarts = async () => {
+    const result = await Cart.cleanupExpiredCarts();
+    return { deleted: result.deletedCount };
+};
+
+module.exports = {
+    sweepAbandonedCarts,
+    sendRecoveryEmails,
+    cleanupExpiredCarts
+};
@@ -0,0 +1,9 @@
+// jobs/escrowJobs.js - Escrow auto-release
+const escrowService = require('../services/escrowService');
+
+// Pay sellers whose post-delivery window has passed without a dispute
+const releaseDueEscrow = () => escrowService.releaseDue();
+
+module.exports = {
+    releaseDueEscrow
+};
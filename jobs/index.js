@@ -0,0 +1,40 @@
+// jobs/index.js - Register and start background jobs
+const scheduler = require('./scheduler');
+const cartJobs = require('./cartJobs');
+const paymentJobs = require('./paymentJobs');
+const escrowJobs = require('./escrowJobs');
+
+const minutes = (value) => value * 60 * 1000;
+
+// Intervals can be tuned per environment, in minutes
+const intervals = {
+    abandonedCarts: parseInt(process.env.JOB_ABANDONED_CARTS_MINUTES, 10) || 15,
+    recoveryEmails: parseInt(process.env.JOB_RECOVERY_EMAILS_MINUTES, 10) || 30,
+    expiredCarts: parseInt(process.env.JOB_EXPIRED_CARTS_MINUTES, 10) || 60 * 6,
+    expiredPayments: parseInt(process.env.JOB_EXPIRED_PAYMENTS_MINUTES, 10) || 10,
+    escrowRelease: parseInt(process.env.JOB_ESCROW_RELEASE_MINUTES, 10) || 60
+};
+
+scheduler.register('abandoned-carts', minutes(intervals.abandonedCarts), cartJobs.sweepAbandonedCarts);
+scheduler.register('cart-recovery-emails', minutes(intervals.recoveryEmails), cartJobs.sendRecoveryEmails);
+scheduler.register('expired-carts', minutes(intervals.expiredCarts), cartJobs.cleanupExpiredCarts);
+scheduler.register('expired-payments', minutes(intervals.expiredPayments), paymentJobs.expireStalePayments);
+scheduler.register('escrow-release', minutes(intervals.escrowRelease), escrowJobs.releaseDueEscrow);
+
+const startJobs = () => {
+    if (process.env.DISABLE_JOBS === 'true') {
+        console.log('Background jobs disabled');
+        return;
+    }
+
+    scheduler.start();
+    console.log('Background jobs started');
+};
+
+const stopJobs = () => scheduler.stop();
+
+module.exports = {
+    scheduler,
+    startJobs,
+    stopJobs
+};
@@ -0,0 +1,10 @@
+// jobs/paymentJobs.js - Payment intent expiry and unpaid order cancellation
+const paymentService = require('../services/paymentService');
+
+// Mark unpaid intents past their deadline as expired and cancel orders nobody paid for.
+// A late verified webhook can still pay an expired intent; if its order was cancelled the payment is flagged for refund.
+const expireStalePayments = () => paymentService.expireStalePayments();
+
+module.exports = {
+    expireStalePayments
+};
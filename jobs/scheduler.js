@@ -0,0 +1,74 @@
+// jobs/scheduler.js - In-process interval scheduler for background jobs
+
+class Scheduler {
+    constructor() {
+        this.jobs = new Map();
+    }
+
+    // Register a task to run every intervalMs once the scheduler starts
+    register(name, intervalMs, task) {
+        this.jobs.set(name, {
+            name,
+            intervalMs,
+            task,
+            timer: null,
+            running: false,
+            lastRunAt: null,
+            lastResult: null,
+            lastError: null
+        });
+    }
+
+    // Run a job now; skipped if the previous run hasn't finished
+    async run(name) {
+        const job = this.jobs.get(name);
+        if (!job || job.running) {
+            return null;
+        }
+
+        job.running = true;
+        try {
+            job.lastResult = await job.task();
+            job.lastError = null;
+        } catch (error) {
+            console.error(`Job ${name} failed:`, error);
+            job.lastError = error.message;
+        } finally {
+            job.running = false;
+            job.lastRunAt = new Date();
+        }
+
+        return job.lastResult;
+    }
+
+    start() {
+        this.jobs.forEach(job => {
+            if (job.timer) return;
+
+            job.timer = setInterval(() => this.run(job.name), job.intervalMs);
+            // Don't keep the process alive just for background jobs
+            job.timer.unref();
+        });
+    }
+
+    stop() {
+        this.jobs.forEach(job => {
+            clearInterval(job.timer);
+            job.timer = null;
+        });
+    }
+
+    // Last run details for each job
+    getStatus() {
+        return Array.from(this.jobs.values()).map(job => ({
+            name: job.name,
+            intervalMs: job.intervalMs,
+            running: job.running,
+            lastRunAt: job.lastRunAt,
+            lastResult: job.lastResult,
+            lastError: job.lastError
+        }));
+    }
+}
+
+module.exports = new Scheduler();
@@ -0,0 +1,28 @@
+// middleware/cartSession.js - Identify a cart owner as a user or a guest session
+const auth = require('./auth');
+const {
+  CART_SESSION_HEADER,
+  createCartSession,
+  verifyCartSessionToken
+} = require('../utils/cartSession');
+
+// Logged in users go through the normal auth checks. Guests are identified by
+// a signed cart session token; a new one is issued in the response header when
+// the request has none or it is no longer valid.
+const cartSession = (req, res, next) => {
+  if (req.header('Authorization')) {
+    return auth(req, res, next);
+  }
+
+  let sessionId = verifyCartSessionToken(req.header(CART_SESSION_HEADER));
+  if (!sessionId) {
+    const session = createCartSession();
+    sessionId = session.sessionId;
+    res.set(CART_SESSION_HEADER, session.token);
+  }
+
+  req.cartSessionId = sessionId;
+  next();
+};
+
+module.exports = cartSession;
@@ -0,0 +1,12 @@
+// middleware/optionalAuth.js - Authenticate when a token is sent, otherwise continue as a guest
+const auth = require('./auth');
+
+const optionalAuth = (req, res, next) => {
+  if (req.header('Authorization')) {
+    return auth(req, res, next);
+  }
+
+  next();
+};
+
+module.exports = optionalAuth;
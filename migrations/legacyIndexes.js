@@ -0,0 +1,50 @@
+// migrations/legacyIndexes.js - Drop indexes from earlier schemas that block the current ones
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+
+// An index whose name the current schema reuses with other options (or that otherwise
+// stops a current index from building) can't be replaced by autoIndex. Each entry is
+// dropped while it still looks like the old definition, and its model's indexes rebuilt.
+const LEGACY_INDEXES = [
+    {
+        model: Cart,
+        name: 'user_1',
+        // Unique across all carts; now unique among active carts only
+        isLegacy: (index) => index.unique && !index.partialFilterExpression
+    },
+    {
+        model: Product,
+        name: 'name_text_description_text',
+        // A collection has only one text index; product_text_search replaces this one
+        isLegacy: () => true
+    }
+];
+
+// Run once the database is connected; safe to run on every start
+const dropLegacyIndexes = async () => {
+    const rebuild = new Set();
+
+    for (const { model, name, isLegacy } of LEGACY_INDEXES) {
+        let indexes;
+        try {
+            indexes = await model.collection.indexes();
+        } catch (error) {
+            // Collection not created yet, so there is nothing to drop
+            if (error.codeName === 'NamespaceNotFound') continue;
+            throw error;
+        }
+
+        const index = indexes.find(entry => entry.name === name);
+        if (!index || !isLegacy(index)) continue;
+
+        await model.collection.dropIndex(name);
+        console.log(`Dropped legacy index ${name} on ${model.collection.collectionName}`);
+        rebuild.add(model);
+    }
+
+    for (const model of rebuild) {
+        await model.createIndexes();
+    }
+};
+
+module.exports = { dropLegacyIndexes };
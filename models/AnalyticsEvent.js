@@ -0,0 +1,48 @@
+// models/AnalyticsEvent.js - Buyer interactions with products, for seller analytics
+const mongoose = require('mongoose');
+const { EVENT_RETENTION_DAYS } = require('../config/analytics');
+
+const EVENT_TYPES = ['product_view', 'cart_add'];
+
+const analyticsEventSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: EVENT_TYPES,
+        required: [true, 'Event type is required']
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'Product is required']
+    },
+    seller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Seller is required']
+    },
+    // The signed in buyer, or the guest cart session
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    sessionId: String,
+    variant: mongoose.Schema.Types.ObjectId,
+    // Units added, for cart_add events
+    quantity: {
+        type: Number,
+        default: 1,
+        min: 1
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+analyticsEventSchema.index({ seller: 1, type: 1, createdAt: -1 });
+analyticsEventSchema.index({ product: 1, type: 1, createdAt: -1 });
+analyticsEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: EVENT_RETENTION_DAYS * 24 * 60 * 60 });
+
+analyticsEventSchema.statics.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = mongoose.model('AnalyticsEvent', analyticsEventSchema);
@@ -97,4 +97,20 @@ assetSchema.methods.updateValue = async function(price) {
   return this.save();
 };
 
+// Add amount to a user's balance (negative to debit) and revalue what is left at price.
+// A debit only applies if the balance covers it; returns whether the balance changed.
+assetSchema.statics.adjustBalance = async function(userId, symbol, amount, price) {
+  const filter = { userId, symbol };
+  if (amount < 0) {
+    filter.balance = { $gte: -amount };
+  }
+
+  const balance = { $add: ['$balance', amount] };
+  const result = await this.updateOne(filter, [
+    { $set: { balance, usdValue: { $multiply: [balance, price] } } }
+  ], { updatePipeline: true });
+
+  return result.modifiedCount > 0;
+};
+
 module.exports = mongoose.model('Asset', assetSchema);
\ No newline at end of file
@@ -1,5 +1,8 @@
 // models/Cart.js - Cart model
 const mongoose = require('mongoose');
+const TaxRule = require('./TaxRule');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES } = require('../config/currency');
+const { roundCurrency, getExchangeRate, getRateSource } = require('../utils/currency');
 
 const cartItemSchema = new mongoose.Schema({
     product: {
@@ -12,21 +15,50 @@ const cartItemSchema = new mongoose.Schema({
         ref: 'User',
         required: [true, 'Seller is required']
     },
+    category: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    },
+    productType: {
+        type: String,
+        enum: ['Product', 'Service'],
+        default: 'Product'
+    },
     quantity: {
         type: Number,
         required: [true, 'Quantity is required'],
         min: [1, 'Quantity must be at least 1'],
         default: 1
     },
+    // Unit price in the cart currency
     price: {
         type: Number,
         required: [true, 'Price is required'],
         min: [0, 'Price cannot be negative']
     },
+    // Unit price in the product's own currency, converted into price
+    basePrice: {
+        type: Number,
+        min: [0, 'Price cannot be negative']
+    },
+    baseCurrency: {
+        type: String,
+        enum: SUPPORTED_CURRENCIES,
+        default: BASE_CURRENCY
+    },
+    exchangeRate: {
+        type: Number,
+        default: 1
+    },
     selectedAttributes: [{
         name: String,
         value: String
     }],
+    // Product variant the selected attributes resolved to
+    variant: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    sku: String,
     notes: String,
     addedAt: {
         type: Date,
@@ -44,8 +76,8 @@ const cartSchema = new mongoose.Schema({
     user: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: [true, 'User is required'],
-        unique: true
+        // Guest carts are identified by sessionId instead
+        required: [function () { return !this.sessionId; }, 'User is required']
     },
 
     // Cart items grouped by seller for better shipping calculation
@@ -73,6 +105,21 @@ const cartSchema = new mongoose.Schema({
             type: Number,
             default: 0
         },
+        // Part of the tax already included in item prices
+        includedTax: {
+            type: Number,
+            default: 0
+        },
+        taxBreakdown: [{
+            _id: false,
+            item: mongoose.Schema.Types.ObjectId,
+            product: mongoose.Schema.Types.ObjectId,
+            name: String,
+            rate: Number,
+            inclusive: Boolean,
+            taxableAmount: Number,
+            tax: Number
+        }],
         discount: {
             type: Number,
             default: 0
@@ -83,6 +130,19 @@ const cartSchema = new mongoose.Schema({
         }
     },
 
+    // Tax rates resolved from TaxRule for the shipping address
+    taxRates: [{
+        _id: false,
+        productType: String,
+        rule: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'TaxRule'
+        },
+        name: String,
+        rate: Number,
+        inclusive: Boolean
+    }],
+
     // Shipping information
     shippingAddress: {
         name: String,
@@ -123,12 +183,17 @@ const cartSchema = new mongoose.Schema({
         cardLastFour: String,
         cardBrand: String,
         bankName: String,
-        accountNumber: String,
+        // Only the last four digits of an account number are kept
+        accountLastFour: String,
         walletAddress: String
     },
 
     // Discounts and coupons
     appliedCoupon: {
+        coupon: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Coupon'
+        },
         code: String,
         discountType: {
             type: String,
@@ -139,6 +204,11 @@ const cartSchema = new mongoose.Schema({
         maxDiscount: Number,
         minPurchase: Number,
         expiresAt: Date,
+        restrictions: {
+            categories: [mongoose.Schema.Types.ObjectId],
+            products: [mongoose.Schema.Types.ObjectId],
+            sellers: [mongoose.Schema.Types.ObjectId]
+        },
         appliedAt: Date
     },
 
@@ -153,14 +223,41 @@ const cartSchema = new mongoose.Schema({
         from: Date,
         to: Date
     },
+    // Per-seller shipping quote for the selected method
+    shippingBreakdown: [{
+        _id: false,
+        seller: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        zone: {
+            type: String,
+            enum: ['local', 'domestic', 'regional', 'international']
+        },
+        billableWeight: Number,
+        cost: Number
+    }],
 
     // Cart metadata
-    sessionId: String, // For guest users
+    sessionId: String, // For guest users, from the signed cart session token
+    // User cart that a guest cart was merged into at login
+    mergedInto: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Cart'
+    },
     currency: {
         type: String,
-        default: 'USD',
-        enum: ['USD', 'EUR', 'GBP', 'NGN', 'GHS', 'KES', 'ZAR']
+        default: BASE_CURRENCY,
+        enum: SUPPORTED_CURRENCIES
     },
+    // Rates used to convert item prices and shipping into the cart currency
+    exchangeRates: [{
+        _id: false,
+        from: String,
+        to: String,
+        rate: Number,
+        source: String
+    }],
     language: {
         type: String,
         default: 'en',
@@ -170,7 +267,7 @@ const cartSchema = new mongoose.Schema({
     // Cart status
     status: {
         type: String,
-        enum: ['active', 'abandoned', 'converted', 'expired'],
+        enum: ['active', 'abandoned', 'converted', 'expired', 'merged'],
         default: 'active'
     },
 
@@ -181,6 +278,26 @@ const cartSchema = new mongoose.Schema({
     },
     abandonedAt: Date,
     convertedAt: Date,
+
+    // Abandoned cart recovery tracking (kept after restore for reporting)
+    recovery: {
+        abandonedAt: Date,
+        emailSentAt: Date,
+        emailCount: {
+            type: Number,
+            default: 0
+        },
+        restoredAt: Date,
+        restoredVia: {
+            type: String,
+            enum: ['email', 'manual']
+        },
+        convertedAt: Date
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
     expiresAt: {
         type: Date,
         default: () => new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days
@@ -209,6 +326,13 @@ cartSchema.virtual('itemsBySeller').get(function () {
         grouped[sellerId].subtotal += item.price * item.quantity;
     });
 
+    (this.shippingBreakdown || []).forEach(entry => {
+        const group = grouped[entry.seller.toString()];
+        if (group) {
+            group.shipping = entry.cost;
+        }
+    });
+
     return Object.values(grouped);
 });
 
@@ -218,59 +342,128 @@ cartSchema.virtual('availableCoupons').get(function () {
     return [];
 });
 
+// Check if a cart line is covered by coupon restrictions; empty lists match everything
+const itemMatchesCouponRestrictions = (item, restrictions = {}) => {
+    const matches = (list, id) => !list || !list.length ||
+        (!!id && list.some(entry => entry.toString() === id.toString()));
+
+    return matches(restrictions.products, item.product && (item.product._id || item.product)) &&
+        matches(restrictions.categories, item.category) &&
+        matches(restrictions.sellers, item.seller && (item.seller._id || item.seller));
+};
+
+// Subtotal of the lines the applied coupon covers
+cartSchema.methods.getCouponEligibleSubtotal = function () {
+    const restrictions = this.appliedCoupon ? this.appliedCoupon.restrictions : undefined;
+
+    return this.items.reduce((total, item) => (
+        itemMatchesCouponRestrictions(item, restrictions) ? total + item.price * item.quantity : total
+    ), 0);
+};
+
 // Calculate cart summary
 cartSchema.methods.calculateSummary = function () {
+    // Round using the cart currency's rule, e.g. whole naira for NGN
+    const roundAmount = (amount) => roundCurrency(amount, this.currency);
+
     const summary = {
         totalItems: this.items.length,
         totalQuantity: 0,
         subtotal: 0,
         shipping: this.summary.shipping || 0,
-        tax: this.summary.tax || 0,
+        tax: 0,
+        includedTax: 0,
+        taxBreakdown: [],
         discount: this.summary.discount || 0,
         total: 0
     };
 
-    // Calculate totals from items
+    // Calculate totals and per-line tax from items
     this.items.forEach(item => {
+        const lineTotal = item.price * item.quantity;
         summary.totalQuantity += item.quantity;
-        summary.subtotal += item.price * item.quantity;
+        summary.subtotal += lineTotal;
+
+        const taxRate = (this.taxRates || []).find(rate => rate.productType === (item.productType || 'Product'));
+        if (!taxRate || !taxRate.rate) {
+            return;
+        }
+
+        const rate = taxRate.rate / 100;
+        const tax = roundAmount(taxRate.inclusive
+            ? lineTotal - lineTotal / (1 + rate)
+            : lineTotal * rate);
+
+        summary.tax += tax;
+        if (taxRate.inclusive) {
+            summary.includedTax += tax;
+        }
+
+        summary.taxBreakdown.push({
+            item: item._id,
+            product: item.product && (item.product._id || item.product),
+            name: taxRate.name,
+            rate: taxRate.rate,
+            inclusive: taxRate.inclusive,
+            taxableAmount: taxRate.inclusive ? roundAmount(lineTotal - tax) : lineTotal,
+            tax
+        });
     });
 
-    // Calculate tax (example: 10% of subtotal)
-    summary.tax = summary.subtotal * 0.1;
+    summary.subtotal = roundAmount(summary.subtotal);
+    summary.tax = roundAmount(summary.tax);
+    summary.includedTax = roundAmount(summary.includedTax);
 
     // Apply discount if coupon is applied
     if (this.appliedCoupon && this.appliedCoupon.code) {
         const coupon = this.appliedCoupon;
 
+        const eligibleSubtotal = this.getCouponEligibleSubtotal();
+
         if (coupon.discountType === 'percentage') {
-            const discount = summary.subtotal * (coupon.discountValue / 100);
+            const discount = eligibleSubtotal * (coupon.discountValue / 100);
             summary.discount = coupon.maxDiscount ? Math.min(discount, coupon.maxDiscount) : discount;
         } else if (coupon.discountType === 'fixed') {
-            summary.discount = Math.min(coupon.discountValue, summary.subtotal);
+            summary.discount = Math.min(coupon.discountValue, eligibleSubtotal);
         } else if (coupon.discountType === 'free_shipping') {
+            // Shipping stays on the summary and the coupon takes it off as the discount
             summary.discount = summary.shipping;
-            summary.shipping = 0;
         }
     }
 
-    // Calculate total
-    summary.total = summary.subtotal + summary.shipping + summary.tax - summary.discount;
+    // Calculate total (inclusive tax is already part of the subtotal)
+    summary.total = summary.subtotal + summary.shipping + summary.tax - summary.includedTax - summary.discount;
 
     // Ensure total is not negative
-    summary.total = Math.max(0, summary.total);
+    summary.discount = roundAmount(summary.discount);
+    summary.total = Math.max(0, roundAmount(summary.total));
 
     return summary;
 };
 
 // Add item to cart
 cartSchema.methods.addItem = async function (itemData) {
-    const { product, seller, quantity = 1, price, selectedAttributes, notes } = itemData;
+    const {
+        product,
+        seller,
+        category,
+        productType,
+        quantity = 1,
+        price,
+        basePrice,
+        baseCurrency,
+        exchangeRate,
+        selectedAttributes,
+        variant,
+        sku,
+        notes
+    } = itemData;
 
     // Check if item already exists in cart
     const existingItemIndex = this.items.findIndex(
-        item => item.product.toString() === product.toString() &&
-            JSON.stringify(item.selectedAttributes) === JSON.stringify(selectedAttributes)
+        item => item.product.toString() === product.toString() && (variant
+            ? item.variant && item.variant.toString() === variant.toString()
+            : JSON.stringify(item.selectedAttributes) === JSON.stringify(selectedAttributes))
     );
 
     if (existingItemIndex > -1) {
@@ -282,9 +475,16 @@ cartSchema.methods.addItem = async function (itemData) {
         this.items.push({
             product,
             seller,
+            category,
+            productType,
             quantity,
             price,
+            basePrice: basePrice !== undefined ? basePrice : price,
+            baseCurrency,
+            exchangeRate,
             selectedAttributes: selectedAttributes || [],
+            variant,
+            sku,
             notes,
             addedAt: new Date(),
             updatedAt: new Date()
@@ -348,8 +548,8 @@ cartSchema.methods.clearCart = async function () {
 
 // Apply coupon
 cartSchema.methods.applyCoupon = async function (couponCode, couponData) {
-    // Check if coupon is valid (you would typically fetch this from a Coupon model)
-    const { discountType, discountValue, maxDiscount, minPurchase, expiresAt } = couponData;
+    // Coupon data comes from a validated Coupon document (see couponService)
+    const { coupon, discountType, discountValue, maxDiscount, minPurchase, expiresAt, restrictions } = couponData;
 
     if (expiresAt && new Date(expiresAt) < new Date()) {
         throw new Error('Coupon has expired');
@@ -360,12 +560,14 @@ cartSchema.methods.applyCoupon = async function (couponCode, couponData) {
     }
 
     this.appliedCoupon = {
+        coupon,
         code: couponCode,
         discountType,
         discountValue,
         maxDiscount,
         minPurchase,
         expiresAt,
+        restrictions,
         appliedAt: new Date()
     };
 
@@ -433,9 +635,14 @@ cartSchema.methods.updatePaymentMethod = async function (paymentData) {
     this.paymentMethod = paymentData.method;
 
     if (paymentData.details) {
+        const { accountNumber, ...details } = paymentData.details;
+        if (accountNumber) {
+            details.accountLastFour = String(accountNumber).replace(/\D/g, '').slice(-4);
+        }
+
         this.paymentDetails = {
             ...this.paymentDetails,
-            ...paymentData.details
+            ...details
         };
     }
 
@@ -444,27 +651,141 @@ cartSchema.methods.updatePaymentMethod = async function (paymentData) {
     return this.save();
 };
 
-// Update shipping method
-cartSchema.methods.updateShippingMethod = async function (shippingData) {
-    const { method, provider, estimatedDelivery } = shippingData;
+// Reprice every line in the cart currency from its base price.
+// Takes a rate table from the FX service: { rates, sources } per base currency unit.
+cartSchema.methods.applyExchangeRates = function (fxRates) {
+    const used = {};
+    const convert = (from) => {
+        if (!used[from]) {
+            used[from] = {
+                from,
+                to: this.currency,
+                rate: getExchangeRate(fxRates.rates, from, this.currency),
+                source: getRateSource(fxRates.sources, from, this.currency)
+            };
+        }
+        return used[from].rate;
+    };
+
+    this.items.forEach(item => {
+        const baseCurrency = item.baseCurrency || BASE_CURRENCY;
+        const basePrice = item.basePrice !== undefined && item.basePrice !== null ? item.basePrice : item.price;
+        const rate = convert(baseCurrency);
+
+        item.basePrice = basePrice;
+        item.baseCurrency = baseCurrency;
+        item.exchangeRate = rate;
+        item.price = roundCurrency(basePrice * rate, this.currency);
+    });
+
+    // Shipping is quoted in the base currency
+    convert(BASE_CURRENCY);
+
+    this.exchangeRates = Object.values(used);
+};
+
+// Bring lines in line with current products: reprice, cap quantities at stock
+// and drop products that are gone or no longer for sale. Returns a change log.
+cartSchema.methods.reconcile = function (productsById, fxRates) {
+    const changes = [];
+    const removed = [];
+    const previousPrices = {};
+
+    this.items.forEach(item => {
+        const productId = (item.product._id || item.product).toString();
+        const product = productsById[productId];
+        const change = { item: item._id, product: productId, name: product ? product.name : undefined };
+        const option = product ? product.resolvePurchaseOption(item.selectedAttributes, item.variant) : null;
+
+        if (!option || product.status !== 'active' || option.stock < 1) {
+            let reason = 'inactive';
+            if (!product) reason = 'deleted';
+            else if (!option) reason = 'variant_unavailable';
+            else if (product.status === 'sold_out' || option.stock < 1) reason = 'out_of_stock';
+
+            removed.push(item._id);
+            changes.push({ ...change, type: 'removed', reason, quantity: item.quantity });
+            return;
+        }
+
+        if (item.quantity > option.stock) {
+            changes.push({
+                ...change,
+                type: 'quantity_reduced',
+                oldQuantity: item.quantity,
+                newQuantity: option.stock,
+                available: option.stock
+            });
+            item.quantity = option.stock;
+            item.updatedAt = new Date();
+        }
+
+        previousPrices[item._id.toString()] = {
+            price: item.price,
+            basePrice: item.basePrice,
+            baseCurrency: item.baseCurrency
+        };
+        item.basePrice = option.price;
+        item.baseCurrency = product.currency || BASE_CURRENCY;
+        item.variant = option.variant ? option.variant._id : undefined;
+        item.sku = option.sku;
+    });
+
+    removed.forEach(itemId => this.items.pull(itemId));
+
+    // Reprice in the cart currency and report lines whose price moved
+    this.applyExchangeRates(fxRates);
+
+    this.items.forEach(item => {
+        const previous = previousPrices[item._id.toString()];
+        if (!previous || previous.price === item.price) {
+            return;
+        }
+
+        const productId = (item.product._id || item.product).toString();
+        changes.push({
+            item: item._id,
+            product: productId,
+            name: productsById[productId].name,
+            type: 'price_changed',
+            // Product price changes vs. exchange rate movements
+            reason: previous.basePrice !== item.basePrice || previous.baseCurrency !== item.baseCurrency
+                ? 'price_updated'
+                : 'exchange_rate',
+            oldPrice: previous.price,
+            newPrice: item.price,
+            currency: this.currency
+        });
+        item.updatedAt = new Date();
+    });
+
+    if (changes.length) {
+        this.summary = this.calculateSummary();
+    }
+
+    return changes;
+};
+
+// Set the shipping method, cost and delivery window from a shipping quote
+cartSchema.methods.applyShippingQuote = function (shippingData) {
+    const { method, provider, cost, estimatedDelivery, breakdown } = shippingData;
 
     this.shippingMethod = method;
-    this.shippingProvider = provider;
+    if (provider !== undefined) {
+        this.shippingProvider = provider;
+    }
 
     if (estimatedDelivery) {
         this.estimatedDelivery = estimatedDelivery;
     }
 
-    // Recalculate shipping cost based on method
-    // This would typically call a shipping calculation service
-    const shippingCosts = {
-        standard: 5.00,
-        express: 12.00,
-        next_day: 25.00,
-        pickup: 0.00
-    };
+    this.shippingBreakdown = breakdown || [];
+    this.summary.shipping = cost || 0;
+};
 
-    this.summary.shipping = shippingCosts[method] || 0;
+// Update shipping method
+cartSchema.methods.updateShippingMethod = async function (shippingData) {
+    this.applyShippingQuote(shippingData);
     this.summary = this.calculateSummary();
     this.lastActivity = new Date();
 
@@ -472,18 +793,21 @@ cartSchema.methods.updateShippingMethod = async function (shippingData) {
 };
 
 // Convert cart to order
-cartSchema.methods.convertToOrder = async function () {
-    // This method would typically create an Order document
-    // and update the cart status
-
+cartSchema.methods.convertToOrder = async function (order) {
+    // The order keeps its own snapshot of the items, so the converted
+    // cart is kept as-is for history and a new cart is started next time
     this.status = 'converted';
     this.convertedAt = new Date();
     this.lastActivity = new Date();
 
-    // Clear the cart after conversion
-    this.items = [];
-    this.summary = this.calculateSummary();
-    this.appliedCoupon = undefined;
+    if (order) {
+        this.order = order._id;
+    }
+
+    // Count this as a recovered sale if the cart had been abandoned
+    if (this.recovery && this.recovery.restoredAt) {
+        this.recovery.convertedAt = new Date();
+    }
 
     return this.save();
 };
@@ -506,6 +830,7 @@ cartSchema.methods.markAsAbandoned = async function () {
         if (hoursSinceLastActivity > 24) { // 24 hours of inactivity
             this.status = 'abandoned';
             this.abandonedAt = new Date();
+            this.recovery.abandonedAt = this.abandonedAt;
             return this.save();
         }
     }
@@ -513,20 +838,31 @@ cartSchema.methods.markAsAbandoned = async function () {
     return this;
 };
 
-// Restore abandoned cart
-cartSchema.methods.restore = async function () {
+// Restore abandoned cart; via is 'email' when restored from a recovery link
+cartSchema.methods.restore = async function (via = 'manual') {
     if (this.status === 'abandoned') {
         this.status = 'active';
         this.abandonedAt = undefined;
         this.lastActivity = new Date();
+        this.recovery.restoredAt = new Date();
+        this.recovery.restoredVia = via;
         return this.save();
     }
 
     return this;
 };
 
+// Refresh tax rates for the current shipping address
+cartSchema.methods.refreshTaxRates = async function () {
+    this.taxRates = await TaxRule.resolveRates(this.shippingAddress);
+    return this.taxRates;
+};
+
 // Middleware to update summary before save
-cartSchema.pre('save', function () {
+cartSchema.pre('save', async function () {
+    // Pick up tax rule changes and address changes
+    await this.refreshTaxRates();
+
     // Recalculate summary before saving
     this.summary = this.calculateSummary();
 
@@ -540,8 +876,18 @@ cartSchema.pre('save', function () {
 });
 
 // Indexes for better query performance
-cartSchema.index({ user: 1 });
+cartSchema.index({ user: 1, status: 1 });
+// Only one active cart per user or guest session; converted carts are kept as history
+cartSchema.index({ user: 1 }, {
+    unique: true,
+    partialFilterExpression: { status: 'active', user: { $exists: true } }
+});
+cartSchema.index({ sessionId: 1 }, {
+    unique: true,
+    partialFilterExpression: { status: 'active', sessionId: { $exists: true } }
+});
 cartSchema.index({ status: 1 });
+cartSchema.index({ 'recovery.abandonedAt': 1 });
 cartSchema.index({ lastActivity: 1 });
 cartSchema.index({ expiresAt: 1 });
 cartSchema.index({ 'items.product': 1 });
@@ -572,4 +918,55 @@ cartSchema.statics.cleanupExpiredCarts = async function () {
     return result;
 };
 
+// Static method to report abandoned cart recovery since a date
+cartSchema.statics.getRecoveryStats = async function (since) {
+    const [stats] = await this.aggregate([
+        { $match: { 'recovery.abandonedAt': { $gte: since } } },
+        {
+            $group: {
+                _id: null,
+                abandoned: { $sum: 1 },
+                emailed: { $sum: { $cond: [{ $ifNull: ['$recovery.emailSentAt', false] }, 1, 0] } },
+                restored: { $sum: { $cond: [{ $ifNull: ['$recovery.restoredAt', false] }, 1, 0] } },
+                restoredViaEmail: { $sum: { $cond: [{ $eq: ['$recovery.restoredVia', 'email'] }, 1, 0] } },
+                converted: { $sum: { $cond: [{ $ifNull: ['$recovery.convertedAt', false] }, 1, 0] } },
+                convertedViaEmail: {
+                    $sum: {
+                        $cond: [{
+                            $and: [
+                                { $eq: ['$recovery.restoredVia', 'email'] },
+                                { $ifNull: ['$recovery.convertedAt', false] }
+                            ]
+                        }, 1, 0]
+                    }
+                }
+            }
+        }
+    ]);
+
+    const totals = stats || {
+        abandoned: 0,
+        emailed: 0,
+        restored: 0,
+        restoredViaEmail: 0,
+        converted: 0,
+        convertedViaEmail: 0
+    };
+    delete totals._id;
+
+    const rate = (count, base) => (base ? Math.round((count / base) * 10000) / 100 : 0);
+
+    return {
+        ...totals,
+        rates: {
+            restoreRate: rate(totals.restored, totals.abandoned),
+            conversionRate: rate(totals.converted, totals.abandoned),
+            emailRestoreRate: rate(totals.restoredViaEmail, totals.emailed),
+            emailConversionRate: rate(totals.convertedViaEmail, totals.emailed)
+        }
+    };
+};
+
+cartSchema.statics.itemMatchesCouponRestrictions = itemMatchesCouponRestrictions;
+
 module.exports = mongoose.model('Cart', cartSchema);
\ No newline at end of file
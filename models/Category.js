@@ -1,5 +1,45 @@
 const mongoose = require('mongoose');
 
+// Kinds of value a category attribute can hold
+const ATTRIBUTE_TYPES = ['enum', 'number', 'boolean', 'text'];
+
+// One field of the specs products in a category carry, e.g. { name: 'Screen size', type: 'number', unit: 'in' }
+const attributeDefinitionSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Attribute name is required'],
+        trim: true,
+        maxlength: [50, 'Attribute name cannot exceed 50 characters']
+    },
+    type: {
+        type: String,
+        enum: {
+            values: ATTRIBUTE_TYPES,
+            message: 'Attribute type must be one of: ' + ATTRIBUTE_TYPES.join(', ')
+        },
+        required: [true, 'Attribute type is required']
+    },
+    // Number attributes only, e.g. 'kg' or 'GB'
+    unit: {
+        type: String,
+        trim: true
+    },
+    required: {
+        type: Boolean,
+        default: false
+    },
+    // Enum attributes only: the values a product can choose from
+    allowedValues: [{
+        type: String,
+        trim: true
+    }],
+    // Offered as a marketplace filter
+    filterable: {
+        type: Boolean,
+        default: true
+    }
+}, { _id: false });
+
 const categorySchema = new mongoose.Schema({
     title: {
         type: String,
@@ -39,7 +79,16 @@ const categorySchema = new mongoose.Schema({
     productCount: {
         type: Number,
         default: 0
-    }
+    },
+    // Platform commission in percent on sales in this category; null inherits the parent's
+    commissionRate: {
+        type: Number,
+        min: [0, 'Commission rate cannot be negative'],
+        max: [100, 'Commission rate cannot exceed 100%'],
+        default: null
+    },
+    // Structured attributes for products in this category, added to those inherited from its parents
+    attributeSchema: [attributeDefinitionSchema]
 }, {
     timestamps: true
 });
@@ -55,6 +104,35 @@ categorySchema.virtual('children', {
     foreignField: 'parentCategory'
 });
 
+const sameText = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+// Attribute names are unique within a category; only enum attributes list values
+// and only number attributes have a unit
+categorySchema.pre('validate', function () {
+    (this.attributeSchema || []).forEach((definition, index) => {
+        const path = `attributeSchema.${index}`;
+
+        if (definition.name && this.attributeSchema.slice(0, index).some(other => sameText(other.name, definition.name))) {
+            this.invalidate(`${path}.name`, `Attribute ${definition.name} is defined more than once`);
+        }
+
+        if (definition.type === 'enum') {
+            const values = definition.allowedValues.filter(Boolean);
+            if (values.length === 0) {
+                this.invalidate(`${path}.allowedValues`, `Attribute ${definition.name} needs allowed values`);
+            } else if (values.some((value, i) => values.slice(0, i).some(other => sameText(other, value)))) {
+                this.invalidate(`${path}.allowedValues`, `Attribute ${definition.name} lists a value more than once`);
+            }
+        } else if (definition.allowedValues.length) {
+            this.invalidate(`${path}.allowedValues`, `Only enum attributes can have allowed values (${definition.name})`);
+        }
+
+        if (definition.unit && definition.type !== 'number') {
+            this.invalidate(`${path}.unit`, `Only number attributes can have a unit (${definition.name})`);
+        }
+    });
+});
+
 // Update product count
 categorySchema.statics.updateProductCount = async function (categoryId) {
     const Product = mongoose.model('Product');
@@ -66,4 +144,70 @@ categorySchema.statics.updateProductCount = async function (categoryId) {
     await this.findByIdAndUpdate(categoryId, { productCount: count });
 };
 
+// Commission rate for each category, walking up to the nearest ancestor that sets one.
+// Returns { categoryId: rate }, with defaultRate where no ancestor has a rate.
+categorySchema.statics.getCommissionRates = async function (categoryIds, defaultRate) {
+    const known = {};
+    let pending = [...new Set(categoryIds.filter(Boolean).map(id => id.toString()))];
+
+    while (pending.length) {
+        const categories = await this.find({ _id: { $in: pending } })
+            .select('commissionRate parentCategory')
+            .lean();
+        categories.forEach(category => {
+            known[category._id.toString()] = category;
+        });
+
+        pending = categories
+            .filter(category => category.commissionRate == null && category.parentCategory)
+            .map(category => category.parentCategory.toString())
+            .filter(id => !known[id]);
+    }
+
+    const resolve = (id, seen = new Set()) => {
+        const category = known[id];
+        if (!category || seen.has(id)) {
+            return defaultRate;
+        }
+        if (category.commissionRate != null) {
+            return category.commissionRate;
+        }
+        seen.add(id);
+        return category.parentCategory ? resolve(category.parentCategory.toString(), seen) : defaultRate;
+    };
+
+    return categoryIds.filter(Boolean).reduce((rates, id) => {
+        rates[id.toString()] = resolve(id.toString());
+        return rates;
+    }, {});
+};
+
+// Attribute schema for products in a category: the definitions of its ancestors, root first,
+// with a category's own definitions replacing inherited ones of the same name.
+// Each definition notes the category it comes from.
+categorySchema.statics.getAttributeSchema = async function (categoryId) {
+    const chain = [];
+    const seen = new Set();
+    let id = categoryId;
+
+    while (id && !seen.has(id.toString())) {
+        seen.add(id.toString());
+        const category = await this.findById(id).select('attributeSchema parentCategory').lean();
+        if (!category) break;
+        chain.unshift(category);
+        id = category.parentCategory;
+    }
+
+    const definitions = new Map();
+    chain.forEach(category => {
+        (category.attributeSchema || []).forEach(definition => {
+            definitions.set(definition.name.toLowerCase(), { ...definition, category: category._id });
+        });
+    });
+
+    return [...definitions.values()];
+};
+
+categorySchema.statics.ATTRIBUTE_TYPES = ATTRIBUTE_TYPES;
+
 module.exports = mongoose.model('Category', categorySchema);
\ No newline at end of file
@@ -0,0 +1,130 @@
+// models/Coupon.js - Coupon model
+const mongoose = require('mongoose');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES } = require('../config/currency');
+
+const couponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Coupon code is required'],
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+
+    // Discount definition (same shape as Cart.appliedCoupon)
+    discountType: {
+        type: String,
+        enum: ['percentage', 'fixed', 'free_shipping'],
+        required: [true, 'Discount type is required']
+    },
+    discountValue: {
+        type: Number,
+        default: 0,
+        min: [0, 'Discount value cannot be negative']
+    },
+    maxDiscount: {
+        type: Number,
+        min: 0
+    },
+    minPurchase: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Currency of the fixed amounts above; converted to the cart currency when applied
+    currency: {
+        type: String,
+        enum: SUPPORTED_CURRENCIES,
+        default: BASE_CURRENCY
+    },
+
+    // Validity window
+    startsAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: Date,
+
+    // Usage limits (null means unlimited)
+    usageLimit: {
+        type: Number,
+        min: 1,
+        default: null
+    },
+    usageLimitPerUser: {
+        type: Number,
+        min: 1,
+        default: 1
+    },
+    usedCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    // Restrict the coupon to certain lines; empty lists mean no restriction
+    restrictions: {
+        categories: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Category'
+        }],
+        products: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product'
+        }],
+        sellers: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }]
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for remaining global uses
+couponSchema.virtual('remainingUses').get(function () {
+    return this.usageLimit ? Math.max(0, this.usageLimit - this.usedCount) : null;
+});
+
+// Check that percentage coupons stay within 100%
+couponSchema.pre('validate', function () {
+    if (this.discountType === 'percentage' && this.discountValue > 100) {
+        this.invalidate('discountValue', 'Percentage discount cannot exceed 100');
+    }
+
+    if (this.expiresAt && this.startsAt && this.expiresAt <= this.startsAt) {
+        this.invalidate('expiresAt', 'Expiry date must be after the start date');
+    }
+});
+
+// Check if coupon is usable right now (ignores per-user limits)
+couponSchema.methods.isCurrentlyValid = function () {
+    const now = new Date();
+
+    if (!this.isActive) return false;
+    if (this.startsAt && this.startsAt > now) return false;
+    if (this.expiresAt && this.expiresAt < now) return false;
+    if (this.usageLimit && this.usedCount >= this.usageLimit) return false;
+
+    return true;
+};
+
+// Indexes
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('Coupon', couponSchema);
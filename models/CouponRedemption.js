@@ -0,0 +1,50 @@
+// models/CouponRedemption.js - Record of a coupon used on an order
+const mongoose = require('mongoose');
+
+const couponRedemptionSchema = new mongoose.Schema({
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        required: true
+    },
+    code: {
+        type: String,
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    discount: {
+        type: Number,
+        default: 0
+    },
+    // Which of the user's allowed uses this is (1 to the coupon's usageLimitPerUser);
+    // unique per coupon and user so two checkouts can't both take the same use
+    use: {
+        type: Number,
+        min: 1
+    },
+    redeemedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+couponRedemptionSchema.index({ order: 1 }, { unique: true });
+couponRedemptionSchema.index(
+    { coupon: 1, user: 1, use: 1 },
+    { unique: true, partialFilterExpression: { use: { $exists: true } } }
+);
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
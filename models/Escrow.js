@@ -0,0 +1,152 @@
+// models/Escrow.js - A seller's share of a paid order, held until delivery is confirmed
+const mongoose = require('mongoose');
+
+// Allowed status transitions for escrowed funds. Released funds can still be
+// refunded after an approved return, and are then taken back from the seller.
+const ESCROW_STATUS_TRANSITIONS = {
+    held: ['released', 'disputed', 'refunded'],
+    disputed: ['held', 'released', 'refunded'],
+    released: ['refunded'],
+    refunded: []
+};
+
+const escrowSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: [true, 'Order is required']
+    },
+    sellerOrder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SellerOrder',
+        required: [true, 'Seller order is required'],
+        unique: true
+    },
+    seller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Seller is required']
+    },
+    buyer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Buyer is required']
+    },
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+    },
+
+    // The seller's share of the order total, in the order currency
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    commission: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // What the seller receives once released: amount less commission and refunds
+    net: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        required: true
+    },
+    // Commission charged on each line, at its category's rate
+    lines: [{
+        _id: false,
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product'
+        },
+        category: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Category'
+        },
+        subtotal: Number,
+        rate: Number,
+        commission: Number
+    }],
+
+    // 'wallet' funds are credited to the seller's asset on release;
+    // 'payout' funds join the balance the seller can withdraw
+    settlement: {
+        type: String,
+        enum: ['wallet', 'payout'],
+        required: true
+    },
+    // Wallet-paid orders: the share in the asset the buyer paid with
+    asset: {
+        symbol: String,
+        amount: Number,
+        net: Number,
+        price: Number,
+        decimals: Number
+    },
+
+    status: {
+        type: String,
+        enum: Object.keys(ESCROW_STATUS_TRANSITIONS),
+        default: 'held'
+    },
+    statusHistory: [{
+        _id: false,
+        status: String,
+        note: String,
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+
+    // Set when the seller marks the order delivered
+    releaseAfter: Date,
+    releasedAt: Date,
+
+    refundedAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    refundedAt: Date,
+
+    dispute: {
+        reason: String,
+        openedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        openedAt: Date,
+        resolution: {
+            type: String,
+            enum: ['release', 'refund', 'partial_refund']
+        },
+        resolvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        resolvedAt: Date,
+        note: String
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+escrowSchema.index({ seller: 1, status: 1, createdAt: -1 });
+escrowSchema.index({ order: 1 });
+escrowSchema.index({ status: 1, releaseAfter: 1 });
+
+escrowSchema.statics.STATUS_TRANSITIONS = ESCROW_STATUS_TRANSITIONS;
+
+module.exports = mongoose.model('Escrow', escrowSchema);
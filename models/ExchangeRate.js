@@ -0,0 +1,45 @@
+// models/ExchangeRate.js - Manual exchange rate overrides set by admins
+const mongoose = require('mongoose');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES } = require('../config/currency');
+
+const exchangeRateSchema = new mongoose.Schema({
+    currency: {
+        type: String,
+        required: [true, 'Currency is required'],
+        uppercase: true,
+        trim: true,
+        enum: {
+            values: SUPPORTED_CURRENCIES.filter(currency => currency !== BASE_CURRENCY),
+            message: 'Unsupported currency'
+        },
+        unique: true
+    },
+    // Units of this currency per 1 unit of the base currency
+    rate: {
+        type: Number,
+        required: [true, 'Rate is required'],
+        min: [0.000001, 'Rate must be greater than zero']
+    },
+    // Leave empty to keep the override until it is removed
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    note: {
+        type: String,
+        trim: true
+    },
+    setBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Check if the override is still in force
+exchangeRateSchema.methods.isCurrentlyValid = function () {
+    return !this.expiresAt || this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,90 @@
+// models/InventoryMovement.js - Append-only ledger of product stock changes
+const mongoose = require('mongoose');
+
+const MOVEMENT_TYPES = ['restock', 'sale', 'adjustment', 'return', 'reservation_release'];
+
+const inventoryMovementSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'Product is required']
+    },
+    // Set when the movement applies to one variant of the product
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    sku: String,
+    seller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Seller is required']
+    },
+    type: {
+        type: String,
+        enum: MOVEMENT_TYPES,
+        required: [true, 'Movement type is required']
+    },
+    // Signed change in units: positive adds stock, negative takes it away
+    quantity: {
+        type: Number,
+        required: [true, 'Quantity is required']
+    },
+    stockBefore: {
+        type: Number,
+        required: true
+    },
+    stockAfter: {
+        type: Number,
+        required: true
+    },
+    // Who made the change; empty for system jobs
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        default: null
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+inventoryMovementSchema.index({ seller: 1, createdAt: -1 });
+inventoryMovementSchema.index({ product: 1, createdAt: -1 });
+inventoryMovementSchema.index({ order: 1 });
+
+// Movements are never edited or removed; corrections are recorded as new adjustments
+inventoryMovementSchema.pre('save', function () {
+    if (!this.isNew) {
+        throw new Error('Inventory movements cannot be modified');
+    }
+});
+
+inventoryMovementSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+    function () {
+        throw new Error('Inventory movements cannot be modified');
+    }
+);
+
+inventoryMovementSchema.pre(
+    ['deleteOne', 'deleteMany', 'findOneAndDelete'],
+    { document: false, query: true },
+    function () {
+        throw new Error('Inventory movements cannot be deleted');
+    }
+);
+
+inventoryMovementSchema.statics.MOVEMENT_TYPES = MOVEMENT_TYPES;
+
+module.exports = mongoose.model('InventoryMovement', inventoryMovementSchema);
@@ -0,0 +1,51 @@
+// models/Notification.js - In-app notifications for users
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    type: {
+        type: String,
+        enum: ['price_drop', 'back_in_stock', 'product_approved', 'product_rejected', 'low_stock', 'return_update'],
+        required: [true, 'Notification type is required']
+    },
+    title: {
+        type: String,
+        required: [true, 'Title is required'],
+        trim: true
+    },
+    message: {
+        type: String,
+        trim: true
+    },
+    // Ids the frontend needs to link the notification, e.g. { product }
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    isRead: {
+        type: Boolean,
+        default: false
+    },
+    readAt: Date,
+    emailSentAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+notificationSchema.index({ user: 1, isRead: 1, createdAt: -1 });
+
+// Mark notification as read
+notificationSchema.methods.markAsRead = function () {
+    if (!this.isRead) {
+        this.isRead = true;
+        this.readAt = new Date();
+    }
+    return this.save();
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,341 @@
+// models/Order.js - Order model
+const mongoose = require('mongoose');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES } = require('../config/currency');
+const { roundCurrency } = require('../utils/currency');
+const crypto = require('crypto');
+
+// Allowed status transitions for an order
+const ORDER_STATUS_TRANSITIONS = {
+    pending_payment: ['paid', 'cancelled'],
+    paid: ['processing', 'cancelled', 'refunded'],
+    processing: ['shipped', 'cancelled', 'refunded'],
+    shipped: ['delivered'],
+    delivered: ['refunded'],
+    cancelled: [],
+    refunded: []
+};
+
+// Statuses from which the buyer may cancel the order themselves
+const BUYER_CANCELLABLE_STATUSES = ['pending_payment', 'paid'];
+
+const addressSchema = new mongoose.Schema({
+    name: String,
+    phoneNumber: String,
+    address: String,
+    city: String,
+    state: String,
+    country: String,
+    postalCode: String
+}, {
+    _id: false
+});
+
+const orderItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'Product is required']
+    },
+    seller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Seller is required']
+    },
+    // Product snapshot at the time of purchase
+    name: {
+        type: String,
+        required: [true, 'Product name is required']
+    },
+    image: String,
+    sku: String,
+    // Product variant bought, if the product has variants
+    variant: mongoose.Schema.Types.ObjectId,
+    type: {
+        type: String,
+        enum: ['Product', 'Service'],
+        default: 'Product'
+    },
+    quantity: {
+        type: Number,
+        required: [true, 'Quantity is required'],
+        min: [1, 'Quantity must be at least 1']
+    },
+    // Unit price in the order currency
+    price: {
+        type: Number,
+        required: [true, 'Price is required'],
+        min: [0, 'Price cannot be negative']
+    },
+    // Price in the product's own currency and the rate used to convert it
+    basePrice: Number,
+    baseCurrency: String,
+    exchangeRate: Number,
+    subtotal: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    selectedAttributes: [{
+        name: String,
+        value: String
+    }],
+    notes: String
+}, {
+    _id: true
+});
+
+const statusHistorySchema = new mongoose.Schema({
+    status: {
+        type: String,
+        required: true
+    },
+    note: String,
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    _id: false
+});
+
+const orderSchema = new mongoose.Schema({
+    orderNumber: {
+        type: String,
+        unique: true,
+        default: () => `ORD-${Date.now()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    cart: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Cart'
+    },
+
+    items: {
+        type: [orderItemSchema],
+        validate: {
+            validator: items => items.length > 0,
+            message: 'Order must contain at least one item'
+        }
+    },
+
+    // Summary copied from the cart at checkout
+    summary: {
+        totalItems: { type: Number, default: 0 },
+        totalQuantity: { type: Number, default: 0 },
+        subtotal: { type: Number, default: 0 },
+        shipping: { type: Number, default: 0 },
+        tax: { type: Number, default: 0 },
+        includedTax: { type: Number, default: 0 },
+        taxBreakdown: [{
+            _id: false,
+            item: mongoose.Schema.Types.ObjectId,
+            product: mongoose.Schema.Types.ObjectId,
+            name: String,
+            rate: Number,
+            inclusive: Boolean,
+            taxableAmount: Number,
+            tax: Number
+        }],
+        discount: { type: Number, default: 0 },
+        total: { type: Number, default: 0 }
+    },
+
+    shippingAddress: addressSchema,
+    billingAddress: addressSchema,
+
+    paymentMethod: {
+        type: String,
+        enum: ['card', 'bank_transfer', 'wallet', 'cash_on_delivery', 'crypto'],
+        required: [true, 'Payment method is required']
+    },
+
+    shippingMethod: {
+        type: String,
+        enum: ['standard', 'express', 'next_day', 'pickup'],
+        default: 'standard'
+    },
+    shippingProvider: String,
+    estimatedDelivery: {
+        from: Date,
+        to: Date
+    },
+    // Per-seller shipping quote captured at checkout
+    shippingBreakdown: [{
+        _id: false,
+        seller: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        zone: String,
+        billableWeight: Number,
+        cost: Number
+    }],
+
+    appliedCoupon: {
+        coupon: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Coupon'
+        },
+        code: String,
+        discountType: {
+            type: String,
+            enum: ['percentage', 'fixed', 'free_shipping']
+        },
+        discountValue: Number,
+        maxDiscount: Number
+    },
+
+    currency: {
+        type: String,
+        default: BASE_CURRENCY,
+        enum: SUPPORTED_CURRENCIES
+    },
+    // Exchange rates used at checkout, kept so local prices can be explained later
+    exchangeRates: [{
+        _id: false,
+        from: String,
+        to: String,
+        rate: Number,
+        source: String
+    }],
+
+    // Order lifecycle
+    status: {
+        type: String,
+        enum: Object.keys(ORDER_STATUS_TRANSITIONS),
+        default: 'pending_payment'
+    },
+    statusHistory: [statusHistorySchema],
+
+    paidAt: Date,
+    shippedAt: Date,
+    deliveredAt: Date,
+    cancelledAt: Date,
+    cancellationReason: String,
+    refundedAt: Date
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for the per-seller fulfilment parts of this order
+orderSchema.virtual('subOrders', {
+    ref: 'SellerOrder',
+    localField: '_id',
+    foreignField: 'order'
+});
+
+// Virtual for whether the buyer can still cancel
+orderSchema.virtual('isCancellable').get(function () {
+    return BUYER_CANCELLABLE_STATUSES.includes(this.status);
+});
+
+// Check if the order can move to the given status
+orderSchema.methods.canTransitionTo = function (status) {
+    return (ORDER_STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Move order to a new status, recording history and timestamps
+orderSchema.methods.transitionTo = function (status, { note, changedBy } = {}) {
+    if (!this.canTransitionTo(status)) {
+        const error = new Error(`Cannot change order status from ${this.status} to ${status}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const now = new Date();
+    this.status = status;
+    this.statusHistory.push({ status, note, changedBy, changedAt: now });
+
+    const timestampFields = {
+        paid: 'paidAt',
+        shipped: 'shippedAt',
+        delivered: 'deliveredAt',
+        cancelled: 'cancelledAt',
+        refunded: 'refundedAt'
+    };
+    if (timestampFields[status]) {
+        this[timestampFields[status]] = now;
+    }
+
+    if (status === 'cancelled' && note) {
+        this.cancellationReason = note;
+    }
+
+    return this;
+};
+
+// Build an order from an active cart snapshot
+orderSchema.statics.buildFromCart = function (cart, products = {}) {
+    const items = cart.items.map(item => {
+        const productId = (item.product._id || item.product).toString();
+        const product = products[productId] || (item.product._id ? item.product : {});
+        const variant = item.variant && product.variants
+            ? product.variants.find(entry => entry._id.toString() === item.variant.toString())
+            : null;
+        const images = variant && variant.images.length > 0 ? variant.images : product.images;
+
+        return {
+            _id: item._id,
+            product: productId,
+            seller: item.seller._id || item.seller,
+            name: product.name || 'Unknown product',
+            image: images && images.length > 0 ? images[0].url : undefined,
+            sku: item.sku || (product.metadata ? product.metadata.sku : undefined),
+            variant: item.variant,
+            type: product.type || 'Product',
+            quantity: item.quantity,
+            price: item.price,
+            basePrice: item.basePrice,
+            baseCurrency: item.baseCurrency,
+            exchangeRate: item.exchangeRate,
+            subtotal: roundCurrency(item.price * item.quantity, cart.currency),
+            selectedAttributes: item.selectedAttributes,
+            notes: item.notes
+        };
+    });
+
+    const billingAddress = cart.billingAddress && !cart.billingAddress.sameAsShipping
+        ? cart.billingAddress
+        : cart.shippingAddress;
+
+    const order = new this({
+        user: cart.user,
+        cart: cart._id,
+        items,
+        summary: cart.calculateSummary(),
+        shippingAddress: cart.shippingAddress,
+        billingAddress,
+        paymentMethod: cart.paymentMethod,
+        shippingMethod: cart.shippingMethod,
+        shippingProvider: cart.shippingProvider,
+        estimatedDelivery: cart.estimatedDelivery,
+        shippingBreakdown: cart.shippingBreakdown,
+        appliedCoupon: cart.appliedCoupon && cart.appliedCoupon.code ? cart.appliedCoupon : undefined,
+        currency: cart.currency,
+        exchangeRates: cart.exchangeRates,
+        status: 'pending_payment',
+        statusHistory: [{ status: 'pending_payment', note: 'Order placed', changedBy: cart.user }]
+    });
+
+    return order;
+};
+
+// Indexes for better query performance
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ 'items.seller': 1, createdAt: -1 });
+
+orderSchema.statics.STATUS_TRANSITIONS = ORDER_STATUS_TRANSITIONS;
+orderSchema.statics.BUYER_CANCELLABLE_STATUSES = BUYER_CANCELLABLE_STATUSES;
+
+module.exports = mongoose.model('Order', orderSchema);
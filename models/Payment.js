@@ -0,0 +1,128 @@
+// models/Payment.js - A payment attempt for an order through a payment provider or the buyer's wallet
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const PAYMENT_STATUSES = ['pending', 'processing', 'succeeded', 'failed', 'expired'];
+
+const paymentSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: [true, 'Order is required']
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    provider: {
+        type: String,
+        required: [true, 'Payment provider is required']
+    },
+    method: {
+        type: String,
+        enum: ['card', 'bank_transfer', 'wallet', 'cash_on_delivery', 'crypto'],
+        required: true
+    },
+    // Our reference, sent to the provider and echoed back in webhooks
+    reference: {
+        type: String,
+        unique: true,
+        default: () => `PAY-${Date.now()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`
+    },
+    providerReference: String,
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: PAYMENT_STATUSES,
+        default: 'pending'
+    },
+    // Wallet payments: the order total priced in one of the buyer's assets,
+    // held until expiresAt
+    quote: {
+        symbol: String,
+        amount: Number,
+        assetPrice: Number,
+        usdAmount: Number,
+        fxRate: Number,
+        decimals: Number
+    },
+    transaction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction'
+    },
+    authorizationUrl: String,
+    accessCode: String,
+    expiresAt: Date,
+    paidAt: Date,
+    failureReason: String,
+    // Set while money is owed back to the buyer, e.g. it arrived for an order that
+    // can no longer be fulfilled, and the refund hasn't been sent yet
+    requiresRefund: {
+        type: Boolean,
+        default: false
+    },
+    // Still to be refunded, and refunded so far, in the payment currency
+    refundDue: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    refundedAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Refunds sent through the provider, attempts it turned down, and refunds made by hand
+    refunds: [{
+        _id: false,
+        amount: Number,
+        status: {
+            type: String,
+            enum: ['sent', 'failed', 'manual']
+        },
+        providerReference: String,
+        failureReason: String,
+        note: String,
+        refundedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+
+    // Verified provider events, kept for audit and to drop repeats
+    events: [{
+        _id: false,
+        eventId: String,
+        status: String,
+        amount: Number,
+        currency: String,
+        receivedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+paymentSchema.index({ order: 1, createdAt: -1 });
+paymentSchema.index({ status: 1, expiresAt: 1 });
+paymentSchema.index({ requiresRefund: 1, updatedAt: -1 });
+
+paymentSchema.statics.STATUSES = PAYMENT_STATUSES;
+
+module.exports = mongoose.model('Payment', paymentSchema);
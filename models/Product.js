@@ -1,4 +1,62 @@
+const EventEmitter = require('events');
 const mongoose = require('mongoose');
+const InventoryMovement = require('./InventoryMovement');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES } = require('../config/currency');
+const { formatCurrency } = require('../utils/currency');
+const { TEXT_WEIGHTS } = require('../config/search');
+const { tokenize, buildTrigrams } = require('../utils/search');
+const { geocode } = require('../utils/geo');
+
+// A purchasable combination of option values, e.g. Size M / Colour Red
+const variantSchema = new mongoose.Schema({
+    sku: {
+        type: String,
+        trim: true
+    },
+    attributes: [{
+        _id: false,
+        name: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        value: {
+            type: String,
+            required: true,
+            trim: true
+        }
+    }],
+    // Overrides the product price when set; in the product currency
+    price: {
+        type: Number,
+        min: 0
+    },
+    stock: {
+        type: Number,
+        required: true,
+        default: 0,
+        min: 0
+    },
+    images: [{
+        url: {
+            type: String,
+            required: true
+        },
+        publicId: {
+            type: String
+        },
+        order: {
+            type: Number,
+            default: 0
+        }
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    _id: true
+});
 
 const productSchema = new mongoose.Schema({
     userId: {
@@ -21,12 +79,29 @@ const productSchema = new mongoose.Schema({
         required: true,
         min: 0
     },
+    // Currency the seller priced the product in
+    currency: {
+        type: String,
+        enum: SUPPORTED_CURRENCIES,
+        default: BASE_CURRENCY
+    },
     stock: {
         type: Number,
         required: true,
         default: 0,
         min: 0
     },
+    // The seller is notified when stock falls to this level; empty turns the alert off
+    lowStockThreshold: {
+        type: Number,
+        min: [0, 'Low stock threshold cannot be negative'],
+        default: null
+    },
+    // Set when the low stock alert was sent, cleared once stock rises above the threshold
+    lowStockNotifiedAt: {
+        type: Date,
+        default: null
+    },
     category: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Category'
@@ -38,6 +113,27 @@ const productSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // GeoJSON point for the location, [lng, lat]
+    geoLocation: {
+        type: {
+            type: String,
+            enum: ['Point']
+        },
+        coordinates: {
+            type: [Number],
+            default: undefined
+        }
+    },
+    // Where the point came from: a gazetteer place, the seller's profile or the seller directly
+    geoPlace: {
+        name: String,
+        state: String,
+        country: String,
+        source: {
+            type: String,
+            enum: ['gazetteer', 'seller_profile', 'manual']
+        }
+    },
     phoneNumber: {
         type: String,
         required: true
@@ -60,6 +156,10 @@ const productSchema = new mongoose.Schema({
         publicId: {
             type: String
         },
+        // SHA-256 of the uploaded file, used to spot reused images
+        hash: {
+            type: String
+        },
         order: {
             type: Number,
             default: 0
@@ -75,8 +175,25 @@ const productSchema = new mongoose.Schema({
             type: String,
             required: true,
             trim: true
-        }
+        },
+        // Number attributes from the category schema, for range filters
+        numericValue: Number
+    }],
+    // Options buyers choose between, e.g. [{ name: 'Size', values: ['S', 'M', 'L'] }]
+    variantOptions: [{
+        _id: false,
+        name: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        values: [{
+            type: String,
+            trim: true
+        }]
     }],
+    // When variants exist, product stock is the total of the active variants
+    variants: [variantSchema],
     status: {
         type: String,
         enum: ['active', 'inactive', 'sold_out', 'pending_review'],
@@ -87,6 +204,33 @@ const productSchema = new mongoose.Schema({
         enum: ['Product', 'Service'],
         default: 'Product'
     },
+    // Review state for listings that wait in the moderation queue
+    moderation: {
+        submittedAt: Date,
+        // Problems found by the automatic scan
+        flags: [{
+            _id: false,
+            type: {
+                type: String,
+                enum: ['banned_keyword', 'duplicate_image']
+            },
+            detail: String,
+            relatedProduct: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Product'
+            }
+        }],
+        decision: {
+            type: String,
+            enum: ['approved', 'rejected']
+        },
+        reason: String,
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reviewedAt: Date
+    },
     isFeatured: {
         type: Boolean,
         default: false
@@ -120,6 +264,15 @@ const productSchema = new mongoose.Schema({
             height: Number
         },
         tags: [String]
+    },
+    // Search helpers derived from name, tags, category and company on save
+    searchKeywords: {
+        type: [String],
+        select: false
+    },
+    searchGrams: {
+        type: [String],
+        select: false
     }
 }, {
     timestamps: true
@@ -128,12 +281,23 @@ const productSchema = new mongoose.Schema({
 // Indexes for faster queries
 productSchema.index({ userId: 1, createdAt: -1 });
 productSchema.index({ category: 1, status: 1 });
-productSchema.index({ name: 'text', description: 'text' });
+productSchema.index({ category: 1, 'attributes.name': 1, 'attributes.value': 1 });
+// Replaces the old name/description text index (name_text_description_text), dropped on startup by migrations/legacyIndexes.js
+productSchema.index(
+    Object.fromEntries(Object.keys(TEXT_WEIGHTS).map(field => [field, 'text'])),
+    { weights: TEXT_WEIGHTS, name: 'product_text_search' }
+);
+productSchema.index({ searchKeywords: 1, status: 1 });
+productSchema.index({ searchGrams: 1, status: 1 });
 productSchema.index({ status: 1, isFeatured: 1 });
+productSchema.index({ 'variants.sku': 1 }, { sparse: true });
+productSchema.index({ geoLocation: '2dsphere' });
+productSchema.index({ 'images.hash': 1 }, { sparse: true });
+productSchema.index({ status: 1, 'moderation.submittedAt': 1 });
 
 // Virtual for formatted price
 productSchema.virtual('formattedPrice').get(function () {
-    return `$${this.price.toFixed(2)}`;
+    return formatCurrency(this.price, this.currency || BASE_CURRENCY);
 });
 
 // Virtual for in stock status
@@ -141,6 +305,224 @@ productSchema.virtual('inStock').get(function () {
     return this.stock > 0;
 });
 
+const sameText = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+// Check variants against the declared options: every variant sets each option
+// to an allowed value, and no two variants share a combination or SKU
+productSchema.pre('validate', function () {
+    if (!this.variants || this.variants.length === 0) {
+        return;
+    }
+
+    if (!this.variantOptions || this.variantOptions.length === 0) {
+        this.invalidate('variantOptions', 'Variant options are required when a product has variants');
+        return;
+    }
+
+    const combinations = new Set();
+    const skus = new Set();
+
+    this.variants.forEach((variant, index) => {
+        const values = this.variantOptions.map(option => {
+            const attribute = variant.attributes.find(attr => sameText(attr.name, option.name));
+
+            if (!attribute) {
+                this.invalidate(`variants.${index}.attributes`, `Variant is missing a value for ${option.name}`);
+                return null;
+            }
+
+            if (option.values.length && !option.values.some(value => sameText(value, attribute.value))) {
+                this.invalidate(`variants.${index}.attributes`, `${attribute.value} is not a valid ${option.name}`);
+            }
+
+            return attribute.value.trim().toLowerCase();
+        });
+
+        const key = values.join('|');
+        if (combinations.has(key)) {
+            this.invalidate(`variants.${index}.attributes`, 'Another variant already has these options');
+        }
+        combinations.add(key);
+
+        if (variant.sku) {
+            if (skus.has(variant.sku)) {
+                this.invalidate(`variants.${index}.sku`, `Duplicate variant SKU ${variant.sku}`);
+            }
+            skus.add(variant.sku);
+        }
+    });
+});
+
+// Keep product stock as the total of the active variants
+productSchema.pre('save', function () {
+    if (this.variants.length === 0 || !this.isModified('variants')) {
+        return;
+    }
+
+    this.stock = this.variants
+        .filter(variant => variant.isActive)
+        .reduce((sum, variant) => sum + variant.stock, 0);
+});
+
+// Check whether buyers have to pick a variant
+productSchema.methods.hasVariants = function () {
+    return this.variants.length > 0;
+};
+
+// Find the variant whose options match the selected attributes, or null
+productSchema.methods.findVariant = function (selectedAttributes = []) {
+    if (!this.hasVariants()) {
+        return null;
+    }
+
+    return this.variants.find(variant =>
+        this.variantOptions.every(option => {
+            const selected = selectedAttributes.find(attr => attr && sameText(attr.name, option.name));
+            const attribute = variant.attributes.find(attr => sameText(attr.name, option.name));
+            return selected && attribute && sameText(selected.value, attribute.value);
+        })
+    ) || null;
+};
+
+// Resolve what the buyer is purchasing: the variant (if any) with its price, stock
+// and SKU, and the selected attributes in their canonical form.
+// Returns null when the product has variants and the selection matches no active one.
+productSchema.methods.resolvePurchaseOption = function (selectedAttributes = [], variantId = null) {
+    if (!this.hasVariants()) {
+        return {
+            variant: null,
+            sku: this.metadata && this.metadata.sku,
+            price: this.price,
+            stock: this.stock,
+            selectedAttributes: selectedAttributes || []
+        };
+    }
+
+    // Fall back to the attributes if the variant was replaced since it was chosen
+    const variant = (variantId && this.variants.id(variantId)) ||
+        this.findVariant(selectedAttributes || []);
+
+    if (!variant || !variant.isActive) {
+        return null;
+    }
+
+    return {
+        variant,
+        sku: variant.sku,
+        price: variant.price !== undefined && variant.price !== null ? variant.price : this.price,
+        stock: variant.stock,
+        selectedAttributes: this.variantOptions.map(option => {
+            const attribute = variant.attributes.find(attr => sameText(attr.name, option.name));
+            return { name: option.name, value: attribute.value };
+        })
+    };
+};
+
+const SEARCH_SOURCE_FIELDS = ['name', 'categoryName', 'companyName', 'metadata.tags', 'attributes'];
+
+// Words and trigrams used for autocomplete and typo-tolerant search
+productSchema.methods.buildSearchFields = function () {
+    const text = [
+        this.name,
+        this.categoryName,
+        this.companyName,
+        ...((this.metadata && this.metadata.tags) || []),
+        ...this.attributes.map(attribute => attribute.value)
+    ].join(' ');
+
+    this.searchKeywords = tokenize(text);
+    this.searchGrams = buildTrigrams(this.searchKeywords);
+};
+
+productSchema.pre('save', function () {
+    if (this.isNew || SEARCH_SOURCE_FIELDS.some(field => this.isModified(field))) {
+        this.buildSearchFields();
+    }
+});
+
+// Resolve coordinates from the location text, falling back to the seller's profile.
+// Returns false if neither could be placed.
+productSchema.methods.geocodeLocation = async function () {
+    const place = geocode(this.location);
+    if (place) {
+        this.geoLocation = { type: 'Point', coordinates: place.coordinates };
+        this.geoPlace = { name: place.name, state: place.state, country: place.country, source: 'gazetteer' };
+        return true;
+    }
+
+    const seller = await mongoose.model('User').findById(this.userId).select('geoLocation geoPlace');
+    if (seller && seller.geoLocation && seller.geoLocation.coordinates && seller.geoLocation.coordinates.length) {
+        this.geoLocation = { type: 'Point', coordinates: seller.geoLocation.coordinates };
+        const { name, state, country } = seller.geoPlace || {};
+        this.geoPlace = { name, state, country, source: 'seller_profile' };
+        return true;
+    }
+
+    this.geoLocation = undefined;
+    this.geoPlace = undefined;
+    return false;
+};
+
+// Set coordinates chosen by the seller; they stay until the location text changes
+productSchema.methods.setCoordinates = function (point) {
+    this.geoLocation = point;
+    this.geoPlace = { source: 'manual' };
+};
+
+productSchema.pre('save', async function () {
+    if ((this.isNew || this.isModified('location')) && !this.isModified('geoPlace.source')) {
+        await this.geocodeLocation();
+    }
+});
+
+// Geocode products that have no coordinates yet; returns how many were placed
+productSchema.statics.backfillGeoLocations = async function () {
+    let placed = 0;
+    const cursor = this.find({ 'geoLocation.coordinates': { $exists: false } }).cursor();
+
+    for await (const product of cursor) {
+        if (await product.geocodeLocation()) {
+            await this.updateOne(
+                { _id: product._id },
+                { $set: { geoLocation: product.geoLocation, geoPlace: product.geoPlace } }
+            );
+            placed += 1;
+        }
+    }
+
+    return placed;
+};
+
+// Rebuild search fields for products saved before they existed; returns the number updated
+productSchema.statics.rebuildSearchFields = async function (batchSize = 500) {
+    let updated = 0;
+    const cursor = this.find({}).select('name categoryName companyName metadata.tags attributes').cursor();
+
+    let batch = [];
+    for await (const product of cursor) {
+        product.buildSearchFields();
+        batch.push({
+            updateOne: {
+                filter: { _id: product._id },
+                update: { $set: { searchKeywords: product.searchKeywords, searchGrams: product.searchGrams } }
+            }
+        });
+
+        if (batch.length >= batchSize) {
+            await this.bulkWrite(batch);
+            updated += batch.length;
+            batch = [];
+        }
+    }
+
+    if (batch.length) {
+        await this.bulkWrite(batch);
+        updated += batch.length;
+    }
+
+    return updated;
+};
+
 // Method to update stock
 productSchema.methods.updateStock = function (quantity) {
     if (quantity > this.stock) {
@@ -151,6 +533,235 @@ productSchema.methods.updateStock = function (quantity) {
     return this.save();
 };
 
+// Emits 'priceDrop' (product, previousPrice) and 'backInStock' (product) after changes are saved,
+// and 'stockChanged' (product, { changes, context }) whenever stock moves
+const productEvents = new EventEmitter();
+
+const isPurchasable = (state) => state.status === 'active' && state.stock > 0;
+
+// Capture what later saves are compared against
+const snapshot = (product) => ({
+    price: product.price,
+    stock: product.stock,
+    status: product.status,
+    // Queries may leave variants out of the selection
+    variants: (product.variants || []).map(variant => ({
+        _id: variant._id.toString(),
+        sku: variant.sku,
+        stock: variant.stock
+    }))
+});
+
+// Per-line stock changes between two snapshots. Products with variants
+// are tracked per variant; the product total is derived from them.
+const diffStock = (before, after) => {
+    if (before.variants.length === 0 && after.variants.length === 0) {
+        return before.stock === after.stock
+            ? []
+            : [{ variant: null, stockBefore: before.stock, stockAfter: after.stock }];
+    }
+
+    const changes = [];
+    const ids = new Set([...before.variants, ...after.variants].map(variant => variant._id));
+
+    ids.forEach(id => {
+        const previous = before.variants.find(variant => variant._id === id);
+        const current = after.variants.find(variant => variant._id === id);
+        const stockBefore = previous ? previous.stock : 0;
+        const stockAfter = current ? current.stock : 0;
+
+        if (stockBefore !== stockAfter) {
+            changes.push({
+                variant: id,
+                sku: (current || previous).sku,
+                stockBefore,
+                stockAfter
+            });
+        }
+    });
+
+    return changes;
+};
+
+// Remember the loaded price and stock so saves can be compared against them
+productSchema.post('init', function () {
+    this.$locals.loaded = snapshot(this);
+});
+
+// Write inventory ledger entries for stock changes. context ({ type, actor, reason, order, isNew })
+// describes the movement; new products default to a restock and edits to an adjustment.
+const writeLedger = (product, changes, context = {}) => {
+    const { isNew, actor = null, order = null } = context;
+    const type = context.type || (isNew ? 'restock' : 'adjustment');
+    const reason = context.reason || (isNew ? 'Initial stock' : undefined);
+
+    return InventoryMovement.insertMany(changes.map(change => ({
+        product: product._id,
+        variant: change.variant,
+        sku: change.sku,
+        seller: product.userId._id || product.userId,
+        type,
+        quantity: change.stockAfter - change.stockBefore,
+        stockBefore: change.stockBefore,
+        stockAfter: change.stockAfter,
+        actor,
+        reason,
+        order
+    })));
+};
+
+// Ledger entries for the stock a save changes are written before the save and
+// removed again if it fails, so stock never changes without an entry.
+// Callers may describe the change through product.$locals.inventory = { type, actor, reason }
+productSchema.pre('save', async function () {
+    const loaded = this.$locals.loaded;
+    const changes = diffStock(loaded || { stock: 0, variants: [] }, snapshot(this));
+    this.$locals.ledger = null;
+
+    if (changes.length) {
+        const context = { isNew: !loaded, ...this.$locals.inventory };
+        const entries = await writeLedger(this, changes, context);
+        this.$locals.ledger = { ids: entries.map(entry => entry._id), changes, context };
+    }
+});
+
+productSchema.post('save', { errorHandler: true }, async function (error) {
+    const ledger = this.$locals.ledger;
+    this.$locals.ledger = null;
+
+    if (ledger) {
+        await InventoryMovement.deleteMany({ _id: { $in: ledger.ids } }).catch(deleteError => {
+            console.error(`Failed to remove ledger entries for unsaved product ${this._id}:`, deleteError);
+        });
+    }
+});
+
+productSchema.post('save', function () {
+    const loaded = this.$locals.loaded;
+    const ledger = this.$locals.ledger;
+    this.$locals.loaded = snapshot(this);
+    this.$locals.inventory = null;
+    this.$locals.ledger = null;
+
+    if (ledger) {
+        productEvents.emit('stockChanged', this, { changes: ledger.changes, context: ledger.context });
+    }
+
+    if (!loaded) {
+        return;
+    }
+
+    if (this.price < loaded.price) {
+        productEvents.emit('priceDrop', this, loaded.price);
+    }
+
+    if (!isPurchasable(loaded) && isPurchasable(this)) {
+        productEvents.emit('backInStock', this);
+    }
+});
+
+// Update adding delta units of stock (negative to take them) to the product and, optionally, one variant
+const stockUpdate = (delta, variantId) => {
+    const update = { $inc: { stock: delta, sales: -delta } };
+    const options = {};
+
+    if (variantId) {
+        update.$inc['variants.$[variant].stock'] = delta;
+        options.arrayFilters = [{ 'variant._id': variantId }];
+    }
+
+    return { update, options };
+};
+
+// Record a stock change made with an atomic update. If the ledger entry can't be
+// written the update is reversed, so stock never changes without an entry.
+const recordAtomicChange = async (Model, product, delta, variantId, context) => {
+    const variant = variantId ? product.variants.id(variantId) : null;
+    const stockAfter = variant ? variant.stock : product.stock;
+    const changes = [{
+        variant: variant ? variant._id.toString() : null,
+        sku: variant ? variant.sku : undefined,
+        stockBefore: stockAfter - delta,
+        stockAfter
+    }];
+
+    try {
+        await writeLedger(product, changes, context);
+    } catch (error) {
+        const { update, options } = stockUpdate(-delta, variantId);
+        await Model.updateOne({ _id: product._id }, update, options);
+        throw error;
+    }
+
+    productEvents.emit('stockChanged', product, { changes, context });
+};
+
+// Atomically take stock for a sale; returns null if not enough is available.
+// With a variant, the variant's stock is checked and taken along with the product total.
+// context ({ type, actor, reason, order }) describes the movement for the inventory ledger.
+productSchema.statics.reserveStock = async function (productId, quantity, variantId = null, context = {}) {
+    const filter = { _id: productId, status: 'active', stock: { $gte: quantity } };
+    const update = { $inc: { stock: -quantity, sales: quantity } };
+
+    if (variantId) {
+        filter.variants = { $elemMatch: { _id: variantId, isActive: true, stock: { $gte: quantity } } };
+        update.$inc['variants.$.stock'] = -quantity;
+    }
+
+    const product = await this.findOneAndUpdate(filter, update, { new: true });
+    if (!product) {
+        return product;
+    }
+
+    await recordAtomicChange(this, product, -quantity, variantId, { type: 'sale', ...context });
+
+    if (product.stock === 0) {
+        await this.updateOne(
+            { _id: productId, stock: 0, status: 'active' },
+            { status: 'sold_out' }
+        );
+        product.status = 'sold_out';
+    }
+
+    return product;
+};
+
+// Atomically put reserved stock back (failed checkout or cancelled order)
+productSchema.statics.releaseStock = async function (productId, quantity, variantId = null, context = {}) {
+    const { update, options } = stockUpdate(quantity, variantId);
+
+    const product = await this.findOneAndUpdate({ _id: productId }, update, { ...options, new: true });
+    if (!product) {
+        return product;
+    }
+
+    await recordAtomicChange(this, product, quantity, variantId, { type: 'reservation_release', ...context });
+
+    if (product.stock > 0 && product.status === 'sold_out') {
+        await this.updateOne(
+            { _id: productId, stock: { $gt: 0 }, status: 'sold_out' },
+            { status: 'active' }
+        );
+        product.status = 'active';
+        productEvents.emit('backInStock', product);
+    }
+
+    return product;
+};
+
+// Keep sold_out status in step with stock on regular saves
+productSchema.pre('save', function () {
+    if (!this.isModified('stock')) {
+        return;
+    }
+
+    if (this.stock === 0 && this.status === 'active') {
+        this.status = 'sold_out';
+    } else if (this.stock > 0 && this.status === 'sold_out') {
+        this.status = 'active';
+    }
+});
+
 // Method to add review
 productSchema.methods.addReview = function (rating) {
     const totalRating = this.rating.average * this.rating.count + rating;
@@ -159,4 +770,6 @@ productSchema.methods.addReview = function (rating) {
     return this.save();
 };
 
+productSchema.statics.events = productEvents;
+
 module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
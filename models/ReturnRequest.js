@@ -0,0 +1,176 @@
+// models/ReturnRequest.js - A buyer's return or dispute on one line of an order
+const mongoose = require('mongoose');
+
+// Allowed status transitions for a return request
+const RETURN_STATUS_TRANSITIONS = {
+    open: ['refunded', 'rejected', 'countered', 'escalated', 'cancelled'],
+    countered: ['refunded', 'escalated', 'cancelled'],
+    rejected: ['escalated'],
+    escalated: ['refunded', 'closed'],
+    refunded: [],
+    closed: [],
+    cancelled: []
+};
+
+// Requests still being worked out; these keep the seller's escrow frozen
+const ACTIVE_STATUSES = ['open', 'countered', 'escalated'];
+
+const RETURN_REASONS = [
+    'damaged',
+    'defective',
+    'wrong_item',
+    'not_as_described',
+    'not_received',
+    'changed_mind',
+    'other'
+];
+
+const returnRequestSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: [true, 'Order is required']
+    },
+    sellerOrder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SellerOrder',
+        required: [true, 'Seller order is required']
+    },
+    // _id of the line on the parent order
+    orderItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, 'Order item is required']
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    variant: mongoose.Schema.Types.ObjectId,
+    name: String,
+    buyer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    seller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // A return sends the item back; a dispute asks for money back without one
+    type: {
+        type: String,
+        enum: ['return', 'dispute'],
+        required: [true, 'Type is required']
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1']
+    },
+    reason: {
+        type: String,
+        enum: {
+            values: RETURN_REASONS,
+            message: 'Reason must be one of: ' + RETURN_REASONS.join(', ')
+        },
+        required: [true, 'Reason is required']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Description cannot exceed 2000 characters']
+    },
+    evidence: [{
+        _id: false,
+        url: String,
+        publicId: String
+    }],
+
+    // Most the buyer can get back for this quantity, in the order currency
+    requestedAmount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        required: true
+    },
+    refundMethod: {
+        type: String,
+        enum: ['original', 'wallet'],
+        default: 'original'
+    },
+
+    // Seller's offer of a partial refund with the buyer keeping the item
+    counterOffer: {
+        amount: Number,
+        note: String,
+        offeredAt: Date
+    },
+
+    status: {
+        type: String,
+        enum: Object.keys(RETURN_STATUS_TRANSITIONS),
+        default: 'open'
+    },
+    statusHistory: [{
+        status: String,
+        note: String,
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+
+    resolution: {
+        refundAmount: Number,
+        restocked: Boolean,
+        decidedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        decidedAt: Date,
+        note: String
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+returnRequestSchema.index({ buyer: 1, createdAt: -1 });
+returnRequestSchema.index({ seller: 1, status: 1, createdAt: -1 });
+returnRequestSchema.index({ order: 1, orderItem: 1 });
+returnRequestSchema.index({ sellerOrder: 1, status: 1 });
+
+// Check if the request can move to the given status
+returnRequestSchema.methods.canTransitionTo = function (status) {
+    return (RETURN_STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Move the request to a new status, recording history
+returnRequestSchema.methods.transitionTo = function (status, { note, changedBy } = {}) {
+    if (!this.canTransitionTo(status)) {
+        const error = new Error(`Cannot change return status from ${this.status} to ${status}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    this.status = status;
+    this.statusHistory.push({ status, note, changedBy, changedAt: new Date() });
+
+    return this;
+};
+
+returnRequestSchema.statics.STATUS_TRANSITIONS = RETURN_STATUS_TRANSITIONS;
+returnRequestSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+returnRequestSchema.statics.REASONS = RETURN_REASONS;
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
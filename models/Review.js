@@ -0,0 +1,180 @@
+// models/Review.js - Product reviews and ratings
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'Product is required']
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    seller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Seller is required']
+    },
+    rating: {
+        type: Number,
+        required: [true, 'Rating is required'],
+        min: [1, 'Rating must be between 1 and 5'],
+        max: [5, 'Rating must be between 1 and 5'],
+        validate: {
+            validator: Number.isInteger,
+            message: 'Rating must be a whole number'
+        }
+    },
+    title: {
+        type: String,
+        trim: true,
+        maxlength: [120, 'Title cannot exceed 120 characters']
+    },
+    text: {
+        type: String,
+        trim: true,
+        maxlength: [5000, 'Review cannot exceed 5000 characters']
+    },
+    images: [{
+        _id: false,
+        url: {
+            type: String,
+            required: true
+        },
+        publicId: String
+    }],
+
+    // Set when the reviewer has a delivered order for the product
+    isVerifiedPurchase: {
+        type: Boolean,
+        default: false
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+
+    sellerReply: {
+        text: {
+            type: String,
+            trim: true,
+            maxlength: [2000, 'Reply cannot exceed 2000 characters']
+        },
+        repliedAt: Date,
+        updatedAt: Date
+    },
+
+    helpfulVotes: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    helpfulCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    // Hidden reviews don't count towards the product rating
+    status: {
+        type: String,
+        enum: ['published', 'hidden'],
+        default: 'published'
+    },
+    moderation: {
+        reason: String,
+        moderatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        moderatedAt: Date
+    },
+    editedAt: Date
+}, {
+    timestamps: true
+});
+
+// One review per buyer per product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ seller: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: -1 });
+
+// Recompute Product.rating from the product's published reviews
+reviewSchema.statics.updateProductRating = async function (productId) {
+    const [stats] = await this.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(productId.toString()), status: 'published' } },
+        {
+            $group: {
+                _id: null,
+                average: { $avg: '$rating' },
+                count: { $sum: 1 }
+            }
+        }
+    ]);
+
+    const rating = {
+        average: stats ? Math.round(stats.average * 10) / 10 : 0,
+        count: stats ? stats.count : 0
+    };
+
+    await mongoose.model('Product').updateOne({ _id: productId }, { rating });
+
+    return rating;
+};
+
+// Star distribution for a product's published reviews
+reviewSchema.statics.getRatingBreakdown = async function (productId) {
+    const counts = await this.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(productId.toString()), status: 'published' } },
+        { $group: { _id: '$rating', count: { $sum: 1 } } }
+    ]);
+
+    const breakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    counts.forEach(entry => {
+        breakdown[entry._id] = entry.count;
+    });
+
+    return breakdown;
+};
+
+// Average, count and star distribution across all of a seller's published reviews
+reviewSchema.statics.getSellerRatingSummary = async function (sellerId) {
+    const counts = await this.aggregate([
+        { $match: { seller: new mongoose.Types.ObjectId(sellerId.toString()), status: 'published' } },
+        { $group: { _id: '$rating', count: { $sum: 1 } } }
+    ]);
+
+    const breakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let count = 0;
+    let total = 0;
+    counts.forEach(entry => {
+        breakdown[entry._id] = entry.count;
+        count += entry.count;
+        total += entry._id * entry.count;
+    });
+
+    return {
+        average: count ? Math.round((total / count) * 10) / 10 : 0,
+        count,
+        breakdown
+    };
+};
+
+// Keep the product rating in step with review changes
+reviewSchema.pre('save', function () {
+    this.$locals.ratingChanged = this.isNew || this.isModified('rating') || this.isModified('status');
+});
+
+reviewSchema.post('save', async function () {
+    if (this.$locals.ratingChanged) {
+        await this.constructor.updateProductRating(this.product);
+    }
+});
+
+reviewSchema.post('deleteOne', { document: true, query: false }, async function () {
+    await this.constructor.updateProductRating(this.product);
+});
+
+module.exports = mongoose.model('Review', reviewSchema);
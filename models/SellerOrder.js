@@ -0,0 +1,221 @@
+// models/SellerOrder.js - Per-seller part of a buyer's order
+const mongoose = require('mongoose');
+
+// Allowed status transitions for a seller's sub-order
+const SELLER_ORDER_STATUS_TRANSITIONS = {
+    pending: ['accepted', 'cancelled'],
+    accepted: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: []
+};
+
+const sellerOrderItemSchema = new mongoose.Schema({
+    // _id of the matching line on the parent order
+    orderItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    name: String,
+    image: String,
+    sku: String,
+    variant: mongoose.Schema.Types.ObjectId,
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    price: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    subtotal: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    selectedAttributes: [{
+        name: String,
+        value: String
+    }],
+    notes: String
+}, {
+    _id: false
+});
+
+const sellerOrderSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: [true, 'Order is required']
+    },
+    orderNumber: {
+        type: String,
+        required: true
+    },
+    buyer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Buyer is required']
+    },
+    seller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Seller is required']
+    },
+
+    items: [sellerOrderItemSchema],
+
+    subtotal: {
+        type: Number,
+        default: 0
+    },
+    shipping: {
+        type: Number,
+        default: 0
+    },
+    // Amounts are in the parent order's currency
+    currency: {
+        type: String,
+        default: 'USD'
+    },
+
+    // Copied from the parent order so the seller knows where to ship
+    shippingAddress: {
+        name: String,
+        phoneNumber: String,
+        address: String,
+        city: String,
+        state: String,
+        country: String,
+        postalCode: String
+    },
+    shippingMethod: String,
+
+    status: {
+        type: String,
+        enum: Object.keys(SELLER_ORDER_STATUS_TRANSITIONS),
+        default: 'pending'
+    },
+    statusHistory: [{
+        status: String,
+        note: String,
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+
+    tracking: {
+        carrier: String,
+        trackingNumber: String,
+        trackingUrl: String
+    },
+
+    acceptedAt: Date,
+    shippedAt: Date,
+    deliveredAt: Date,
+    cancelledAt: Date
+}, {
+    timestamps: true
+});
+
+// Check if the sub-order can move to the given status
+sellerOrderSchema.methods.canTransitionTo = function (status) {
+    return (SELLER_ORDER_STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Move sub-order to a new status, recording history and timestamps
+sellerOrderSchema.methods.transitionTo = function (status, { note, changedBy } = {}) {
+    if (!this.canTransitionTo(status)) {
+        const error = new Error(`Cannot change seller order status from ${this.status} to ${status}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const now = new Date();
+    this.status = status;
+    this.statusHistory.push({ status, note, changedBy, changedAt: now });
+
+    const timestampFields = {
+        accepted: 'acceptedAt',
+        shipped: 'shippedAt',
+        delivered: 'deliveredAt',
+        cancelled: 'cancelledAt'
+    };
+    this[timestampFields[status]] = now;
+
+    return this;
+};
+
+// Split an order into one sub-order per seller
+sellerOrderSchema.statics.buildForOrder = function (order) {
+    const grouped = {};
+
+    order.items.forEach(item => {
+        const sellerId = item.seller.toString();
+        if (!grouped[sellerId]) {
+            grouped[sellerId] = {
+                seller: item.seller,
+                items: [],
+                subtotal: 0
+            };
+        }
+        grouped[sellerId].items.push({
+            orderItem: item._id,
+            product: item.product,
+            name: item.name,
+            image: item.image,
+            sku: item.sku,
+            variant: item.variant,
+            quantity: item.quantity,
+            price: item.price,
+            subtotal: item.subtotal,
+            selectedAttributes: item.selectedAttributes,
+            notes: item.notes
+        });
+        grouped[sellerId].subtotal += item.subtotal;
+    });
+
+    // Each seller ships their own parcel, so carry over their share of the shipping quote
+    (order.shippingBreakdown || []).forEach(entry => {
+        const group = grouped[entry.seller.toString()];
+        if (group) {
+            group.shipping = entry.cost;
+        }
+    });
+
+    return Object.values(grouped).map((group, index) => new this({
+        order: order._id,
+        orderNumber: `${order.orderNumber}-${index + 1}`,
+        buyer: order.user,
+        seller: group.seller,
+        items: group.items,
+        subtotal: group.subtotal,
+        shipping: group.shipping || 0,
+        currency: order.currency,
+        shippingAddress: order.shippingAddress,
+        shippingMethod: order.shippingMethod,
+        status: 'pending',
+        statusHistory: [{ status: 'pending', note: 'Order placed', changedBy: order.user }]
+    }));
+};
+
+// Indexes for better query performance
+sellerOrderSchema.index({ seller: 1, status: 1, createdAt: -1 });
+sellerOrderSchema.index({ order: 1 });
+sellerOrderSchema.index({ orderNumber: 1 }, { unique: true });
+
+sellerOrderSchema.statics.STATUS_TRANSITIONS = SELLER_ORDER_STATUS_TRANSITIONS;
+
+module.exports = mongoose.model('SellerOrder', sellerOrderSchema);
@@ -0,0 +1,154 @@
+// models/Store.js - Seller storefront profile
+const mongoose = require('mongoose');
+const { slugify } = require('../utils/search');
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Slugs that would clash with store routes
+const RESERVED_SLUGS = ['me', 'admin', 'new'];
+
+const imageSchema = new mongoose.Schema({
+    url: String,
+    publicId: String
+}, { _id: false });
+
+const businessHoursSchema = new mongoose.Schema({
+    day: {
+        type: String,
+        enum: WEEKDAYS,
+        required: [true, 'Day is required']
+    },
+    // 24-hour "HH:MM" times in the store's local time
+    open: {
+        type: String,
+        match: [TIME_PATTERN, 'Opening time must be HH:MM']
+    },
+    close: {
+        type: String,
+        match: [TIME_PATTERN, 'Closing time must be HH:MM']
+    },
+    closed: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
+const storeSchema = new mongoose.Schema({
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Store owner is required'],
+        unique: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Store name is required'],
+        trim: true,
+        maxlength: [100, 'Store name cannot exceed 100 characters']
+    },
+    slug: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slug may only contain letters, numbers and hyphens']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Description cannot exceed 2000 characters']
+    },
+    logo: imageSchema,
+    banner: imageSchema,
+
+    // Copied onto new products that don't set their own contact details
+    contact: {
+        email: {
+            type: String,
+            lowercase: true,
+            trim: true
+        },
+        phoneNumber: String,
+        whatsapp: String,
+        website: String,
+        address: String,
+        city: String,
+        state: String,
+        country: String
+    },
+
+    policies: {
+        shipping: { type: String, trim: true, maxlength: 5000 },
+        returns: { type: String, trim: true, maxlength: 5000 },
+        warranty: { type: String, trim: true, maxlength: 5000 }
+    },
+    businessHours: [businessHoursSchema],
+
+    // Suspended stores are hidden from buyers
+    status: {
+        type: String,
+        enum: ['active', 'suspended'],
+        default: 'active'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+storeSchema.index({ status: 1 });
+
+storeSchema.pre('validate', function () {
+    if (RESERVED_SLUGS.includes(this.slug)) {
+        this.invalidate('slug', `The slug "${this.slug}" is reserved`);
+    }
+
+    const days = new Set();
+    this.businessHours.forEach((entry, index) => {
+        if (days.has(entry.day)) {
+            this.invalidate(`businessHours.${index}.day`, `Business hours for ${entry.day} are listed twice`);
+        }
+        days.add(entry.day);
+
+        if (!entry.closed && (!entry.open || !entry.close)) {
+            this.invalidate(`businessHours.${index}`, `Opening and closing times are required for ${entry.day}`);
+        }
+    });
+});
+
+// Contact fields as a product expects them
+storeSchema.methods.getProductDefaults = function () {
+    const contact = this.contact || {};
+
+    return {
+        companyName: this.name,
+        phoneNumber: contact.phoneNumber,
+        email: contact.email,
+        location: [contact.city, contact.state].filter(Boolean).join(', ') || contact.address
+    };
+};
+
+// Find a free slug based on the store name, adding -2, -3... when taken
+storeSchema.statics.generateSlug = async function (name, excludeId = null) {
+    const base = slugify(name) || 'store';
+    const taken = await this.find({
+        slug: new RegExp(`^${base}(-\\d+)?$`),
+        ...(excludeId ? { _id: { $ne: excludeId } } : {})
+    }).distinct('slug');
+
+    if (!taken.includes(base) && !RESERVED_SLUGS.includes(base)) {
+        return base;
+    }
+
+    let suffix = 2;
+    while (taken.includes(`${base}-${suffix}`)) {
+        suffix += 1;
+    }
+
+    return `${base}-${suffix}`;
+};
+
+storeSchema.statics.WEEKDAYS = WEEKDAYS;
+
+module.exports = mongoose.model('Store', storeSchema);
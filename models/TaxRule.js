@@ -0,0 +1,97 @@
+// models/TaxRule.js - Tax rates by country/state and product type
+const mongoose = require('mongoose');
+
+const PRODUCT_TYPES = ['Product', 'Service'];
+
+const taxRuleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Tax name is required'],
+        trim: true,
+        default: 'VAT'
+    },
+    // Matched against the cart shipping address, case-insensitively
+    country: {
+        type: String,
+        required: [true, 'Country is required'],
+        uppercase: true,
+        trim: true
+    },
+    // Empty state means the rule covers the whole country
+    state: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        default: null
+    },
+    productType: {
+        type: String,
+        enum: [...PRODUCT_TYPES, 'All'],
+        default: 'All'
+    },
+    // Percentage, e.g. 7.5 for 7.5%
+    rate: {
+        type: Number,
+        required: [true, 'Tax rate is required'],
+        min: [0, 'Tax rate cannot be negative'],
+        max: [100, 'Tax rate cannot exceed 100']
+    },
+    // Inclusive rates are already part of the product price
+    inclusive: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+taxRuleSchema.index({ country: 1, state: 1, productType: 1 }, { unique: true });
+taxRuleSchema.index({ isActive: 1 });
+
+// Resolve the rate for each product type at an address.
+// The most specific rule wins: state over country, exact type over 'All'.
+// Addresses without a matching rule are not taxed.
+taxRuleSchema.statics.resolveRates = async function (address = {}) {
+    if (!address || !address.country) {
+        return [];
+    }
+
+    const country = address.country.trim().toUpperCase();
+    const state = address.state ? address.state.trim().toUpperCase() : null;
+
+    const rules = await this.find({
+        country,
+        state: { $in: state ? [state, null] : [null] },
+        isActive: true
+    }).lean();
+
+    const score = (rule, productType) => {
+        if (rule.productType !== productType && rule.productType !== 'All') return -1;
+        return (rule.state ? 2 : 0) + (rule.productType === productType ? 1 : 0);
+    };
+
+    return PRODUCT_TYPES.map(productType => {
+        const best = rules
+            .filter(rule => score(rule, productType) >= 0)
+            .sort((a, b) => score(b, productType) - score(a, productType))[0];
+
+        return best ? {
+            productType,
+            rule: best._id,
+            name: best.name,
+            rate: best.rate,
+            inclusive: best.inclusive
+        } : null;
+    }).filter(Boolean);
+};
+
+module.exports = mongoose.model('TaxRule', taxRuleSchema);
@@ -8,7 +8,7 @@ const transactionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['deposit', 'withdrawal', 'transfer', 'swap', 'trade', 'reward', 'staking'],
+    enum: ['deposit', 'withdrawal', 'transfer', 'swap', 'trade', 'reward', 'staking', 'purchase', 'sale', 'escrow_hold', 'escrow_release', 'payout', 'refund'],
     required: true
   },
   status: {
@@ -66,6 +66,19 @@ const transactionSchema = new mongoose.Schema({
     confirmationBlocks: Number,
     notes: String
   },
+  // Marketplace order paid from (or to) this wallet
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  escrow: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Escrow'
+  },
   description: String,
   tags: [String],
   completedAt: Date,
@@ -77,9 +90,11 @@ const transactionSchema = new mongoose.Schema({
 // Indexes for optimized queries
 transactionSchema.index({ userId: 1, createdAt: -1 });
 transactionSchema.index({ 'fromAsset.symbol': 1, 'toAsset.symbol': 1 });
+transactionSchema.index({ order: 1 }, { sparse: true });
+transactionSchema.index({ userId: 1, type: 1, status: 1 });
 
 // Pre-save hook to add description if not provided
-transactionSchema.pre('save', function(next) {
+transactionSchema.pre('save', function() {
   if (!this.description) {
     switch (this.type) {
       case 'deposit':
@@ -94,11 +109,13 @@ transactionSchema.pre('save', function(next) {
       case 'staking':
         this.description = `Stake ${this.amount} ${this.fromAsset.symbol}`;
         break;
+      case 'sale':
+        this.description = `Sale proceeds ${this.amount} ${this.toAsset.symbol}`;
+        break;
       default:
         this.description = `${this.type.charAt(0).toUpperCase() + this.type.slice(1)} ${this.amount} ${this.fromAsset.symbol}`;
     }
   }
-  next();
 });
 
 module.exports = mongoose.model('Transaction', transactionSchema);
\ No newline at end of file
@@ -1,6 +1,7 @@
 // models/User.js - User model
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { geocode } = require('../utils/geo');
 
 const userSchema = new mongoose.Schema({
   // Screen 1: Personal Information
@@ -50,6 +51,26 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Address is required']
   },
+  // GeoJSON point for the seller's city, [lng, lat]
+  geoLocation: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  geoPlace: {
+    name: String,
+    state: String,
+    country: String,
+    source: {
+      type: String,
+      enum: ['gazetteer', 'manual']
+    }
+  },
 
   // Profile
   profilePhoto: {
@@ -147,6 +168,32 @@ userSchema.pre('validate', async function () {
   }
 });
 
+// Resolve coordinates from the profile's city, state and country (or address).
+// Returns the geo fields to set, or null if the place isn't in the gazetteer.
+userSchema.statics.resolveGeoLocation = function ({ city, state, country, address }) {
+  const place = geocode(city, state, country) || geocode(address);
+  if (!place) {
+    return null;
+  }
+
+  return {
+    geoLocation: { type: 'Point', coordinates: place.coordinates },
+    geoPlace: { name: place.name, state: place.state, country: place.country, source: 'gazetteer' }
+  };
+};
+
+// Keep coordinates in step with the profile location unless they were set directly
+userSchema.pre('save', function () {
+  const locationChanged = ['city', 'state', 'country', 'address'].some(field => this.isModified(field));
+  if (!locationChanged || this.isModified('geoPlace.source')) {
+    return;
+  }
+
+  const resolved = this.constructor.resolveGeoLocation(this);
+  this.geoLocation = resolved ? resolved.geoLocation : undefined;
+  this.geoPlace = resolved ? resolved.geoPlace : undefined;
+});
+
 // Method to compare password
 userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
@@ -183,5 +230,6 @@ userSchema.virtual('fullAddress').get(function () {
 });
 
 userSchema.index({ verificationStatus: 1 });
+userSchema.index({ geoLocation: '2dsphere' });
 
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,113 @@
+// models/Wishlist.js - Saved products, from the wishlist or saved for later from the cart
+const mongoose = require('mongoose');
+
+const wishlistItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'Product is required']
+    },
+    selectedAttributes: [{
+        _id: false,
+        name: String,
+        value: String
+    }],
+    // Carried over from the cart for saved-for-later lines
+    quantity: {
+        type: Number,
+        min: [1, 'Quantity must be at least 1'],
+        default: 1
+    },
+    notes: String,
+    source: {
+        type: String,
+        enum: ['wishlist', 'saved_for_later'],
+        default: 'wishlist'
+    },
+    // Product price when saved, in the product's own currency
+    priceWhenAdded: Number,
+    currency: String,
+    notifyOnPriceDrop: {
+        type: Boolean,
+        default: true
+    },
+    notifyOnRestock: {
+        type: Boolean,
+        default: true
+    },
+    lastNotifiedAt: Date,
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    _id: true
+});
+
+const wishlistSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required'],
+        unique: true
+    },
+    items: [wishlistItemSchema]
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+wishlistSchema.index({ 'items.product': 1 });
+
+// Find a saved line for the same product and options
+wishlistSchema.methods.findItem = function (productId, selectedAttributes = []) {
+    return this.items.find(item =>
+        item.product.toString() === productId.toString() &&
+        JSON.stringify(item.selectedAttributes.map(({ name, value }) => ({ name, value }))) ===
+        JSON.stringify((selectedAttributes || []).map(({ name, value }) => ({ name, value })))
+    );
+};
+
+// Save a product; saving it again refreshes the existing line
+wishlistSchema.methods.addItem = function (itemData) {
+    const { product, selectedAttributes, quantity = 1, notes, source = 'wishlist', price, currency } = itemData;
+    const existing = this.findItem(product, selectedAttributes);
+
+    if (existing) {
+        existing.quantity = quantity;
+        existing.source = source;
+        if (notes !== undefined) existing.notes = notes;
+        return existing;
+    }
+
+    this.items.push({
+        product,
+        selectedAttributes: selectedAttributes || [],
+        quantity,
+        notes,
+        source,
+        priceWhenAdded: price,
+        currency
+    });
+
+    return this.items[this.items.length - 1];
+};
+
+// Remove a saved line
+wishlistSchema.methods.removeItem = function (itemId) {
+    const item = this.items.id(itemId);
+    if (!item) {
+        throw new Error('Item not found in wishlist');
+    }
+
+    this.items.pull(itemId);
+    return item;
+};
+
+// Get the user's wishlist, creating an empty one on first use
+wishlistSchema.statics.findOrCreateForUser = async function (userId) {
+    const wishlist = await this.findOne({ user: userId });
+    return wishlist || this.create({ user: userId, items: [] });
+};
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
@@ -5,6 +5,8 @@ const { body, validationResult } = require('express-validator');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const cartMergeService = require('../services/cartMergeService');
+const { CART_SESSION_HEADER, verifyCartSessionToken } = require('../utils/cartSession');
 
 // Signup endpoint for Screen 1
 router.post('/signup', [
@@ -368,6 +370,21 @@ router.post('/login', [
       { expiresIn: '7d' }
     );
 
+    // Merge the guest cart, if any, into the user's cart
+    let cartMerge;
+    const cartSessionId = verifyCartSessionToken(req.header(CART_SESSION_HEADER));
+    if (cartSessionId) {
+      try {
+        const { cart, report } = await cartMergeService.mergeGuestCart(cartSessionId, user._id);
+        if (cart) {
+          cartMerge = { cartId: cart._id, ...report };
+        }
+      } catch (mergeError) {
+        // Don't block login if the guest cart can't be merged
+        console.error('Guest cart merge error:', mergeError);
+      }
+    }
+
     res.json({
       success: true,
       message: 'Login successful',
@@ -378,7 +395,8 @@ router.post('/login', [
         name: user.name,
         email: user.email,
         verificationStatus: user.verificationStatus,
-        accountStatus: user.accountStatus
+        accountStatus: user.accountStatus,
+        cartMerge
       }
     });
 
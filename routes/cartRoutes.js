@@ -4,15 +4,27 @@ const router = express.Router();
 const CartController = require('../controllers/cartController');
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
-// Apply authentication middleware to all routes
+const cartSession = require('../middleware/cartSession');
+const optionalAuth = require('../middleware/optionalAuth');
+
+// Cart operations (logged in users, or guests with a cart session token)
+router.get('/', cartSession, CartController.getOrCreateCart);
+router.post('/items', cartSession, CartController.addToCart);
+router.put('/items/:itemId', cartSession, CartController.updateCartItem);
+router.delete('/items/:itemId', cartSession, CartController.removeFromCart);
+router.delete('/clear', cartSession, CartController.clearCart);
+router.put('/currency', cartSession, CartController.updateCurrency);
+router.get('/validate', cartSession, CartController.validateCart);
+router.get('/summary', cartSession, CartController.getCartSummary);
+
+// Cart restoration (logged in, or with the signed link from a recovery email)
+router.post('/restore/:cartId', optionalAuth, CartController.restoreCart);
+
+// Apply authentication middleware to all remaining routes
 router.use(auth);
 
-// Cart operations
-router.get('/', CartController.getOrCreateCart);
-router.post('/items', CartController.addToCart);
-router.put('/items/:itemId', CartController.updateCartItem);
-router.delete('/items/:itemId', CartController.removeFromCart);
-router.delete('/clear', CartController.clearCart);
+// Save a cart line to the wishlist
+router.post('/items/:itemId/save-for-later', CartController.saveForLater);
 
 // Coupon operations
 router.post('/coupon', CartController.applyCoupon);
@@ -23,20 +35,17 @@ router.put('/shipping-address', CartController.updateShippingAddress);
 router.put('/billing-address', CartController.updateBillingAddress);
 
 // Shipping and payment
+router.get('/shipping-options', CartController.getShippingOptions);
 router.put('/shipping-method', CartController.updateShippingMethod);
 router.put('/payment-method', CartController.updatePaymentMethod);
 
-// Checkout and validation
+// Checkout
 router.post('/checkout', CartController.convertToOrder);
-router.get('/validate', CartController.validateCart);
-router.get('/summary', CartController.getCartSummary);
-
-// Cart restoration
-router.post('/restore/:cartId', CartController.restoreCart);
 
 // Admin operations (require admin role in controller)
 router.use(adminAuth);
 router.get('/admin/abandoned', CartController.getAbandonedCarts);
+router.get('/admin/recovery-stats', CartController.getRecoveryStats);
 router.get('/admin/:cartId', CartController.getCartById);
 router.delete('/admin/cleanup', CartController.cleanupExpiredCarts);
 
@@ -0,0 +1,16 @@
+// routes/coupons.js
+const express = require('express');
+const router = express.Router();
+const CouponController = require('../controllers/couponController');
+const adminAuth = require('../middleware/adminAuth');
+
+// Admin operations (require admin role in controller)
+router.use(adminAuth);
+
+router.post('/', CouponController.createCoupon);
+router.get('/', CouponController.getCoupons);
+router.get('/:couponId', CouponController.getCouponById);
+router.put('/:couponId', CouponController.updateCoupon);
+router.delete('/:couponId', CouponController.deactivateCoupon);
+
+module.exports = router;
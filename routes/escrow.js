@@ -0,0 +1,20 @@
+// routes/escrow.js
+const express = require('express');
+const router = express.Router();
+const EscrowController = require('../controllers/escrowController');
+const PayoutController = require('../controllers/payoutController');
+const PaymentController = require('../controllers/paymentController');
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+
+// Finance operations (require admin role in controller)
+router.use(auth, adminAuth);
+
+router.get('/', EscrowController.getEscrows);
+router.post('/:escrowId/resolve', EscrowController.resolveDispute);
+router.get('/payouts', PayoutController.getAllPayouts);
+router.patch('/payouts/:payoutId', PayoutController.updatePayoutStatus);
+router.get('/refunds', PaymentController.getRefundQueue);
+router.post('/refunds/:reference', PaymentController.processRefund);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+// routes/exchangeRates.js
+const express = require('express');
+const router = express.Router();
+const ExchangeRateController = require('../controllers/exchangeRateController');
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+
+router.use(auth);
+
+router.get('/', ExchangeRateController.getRates);
+
+// Admin operations (require admin role in controller)
+router.use(adminAuth);
+router.get('/overrides', ExchangeRateController.getOverrides);
+router.put('/overrides/:currency', ExchangeRateController.setOverride);
+router.delete('/overrides/:currency', ExchangeRateController.removeOverride);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+// routes/moderation.js
+const express = require('express');
+const router = express.Router();
+const ModerationController = require('../controllers/moderationController');
+const adminAuth = require('../middleware/adminAuth');
+
+// Admin operations (require admin role in controller)
+router.use(adminAuth);
+
+router.get('/products', ModerationController.getQueue);
+router.post('/products/:productId/approve', ModerationController.approveProduct);
+router.post('/products/:productId/reject', ModerationController.rejectProduct);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+// routes/notifications.js
+const express = require('express');
+const router = express.Router();
+const NotificationController = require('../controllers/notificationController');
+const auth = require('../middleware/auth');
+
+router.use(auth);
+
+router.get('/', NotificationController.getNotifications);
+router.patch('/read-all', NotificationController.markAllAsRead);
+router.patch('/:notificationId/read', NotificationController.markAsRead);
+
+module.exports = router;
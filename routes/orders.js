@@ -0,0 +1,21 @@
+// routes/orders.js
+const express = require('express');
+const router = express.Router();
+const OrderController = require('../controllers/orderController');
+const EscrowController = require('../controllers/escrowController');
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+
+// Apply authentication middleware to all routes
+router.use(auth);
+
+// Buyer order operations
+router.get('/', OrderController.getOrders);
+router.get('/:orderId', OrderController.getOrderById);
+router.post('/:orderId/cancel', OrderController.cancelOrder);
+router.post('/:orderId/confirm-delivery', EscrowController.confirmDelivery);
+
+// Admin operations (require admin role in controller)
+router.patch('/admin/:orderId/status', adminAuth, OrderController.updateOrderStatus);
+
+module.exports = router;
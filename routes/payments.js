@@ -0,0 +1,20 @@
+// routes/payments.js
+const express = require('express');
+const router = express.Router();
+const PaymentController = require('../controllers/paymentController');
+const auth = require('../middleware/auth');
+
+// Provider callbacks are authenticated by their signature, not a user token
+router.post('/webhook/:provider', PaymentController.handleWebhook);
+
+// All other routes require authentication
+router.use(auth);
+
+router.post('/orders/:orderId/intent', PaymentController.createPaymentIntent);
+router.post('/orders/:orderId/wallet-quote', PaymentController.createWalletQuote);
+router.get('/orders/:orderId', PaymentController.getOrderPayments);
+router.post('/wallet/:reference/confirm', PaymentController.confirmWalletPayment);
+router.post('/fake/:reference/complete', PaymentController.completeFakePayment);
+router.get('/:reference', PaymentController.getPaymentByReference);
+
+module.exports = router;
@@ -23,6 +23,18 @@ const upload = multer({
     }
 });
 
+// Catalogue files for bulk import
+const importUpload = multer({
+    storage: storage,
+    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+    fileFilter: function (req, file, cb) {
+        if (/\.(csv|json)$/i.test(file.originalname) || /csv|json/.test(file.mimetype)) {
+            return cb(null, true);
+        }
+        cb(new Error('Only CSV or JSON files are allowed!'));
+    }
+});
+
 // These routes are for marketplace browsing
 router.get('/public/category', productController.getProductsByCategory);
 router.get('/public/category/tree/:categoryId', productController.getProductsByCategoryTree);
@@ -34,6 +46,8 @@ router.use(auth);
 router.post('/', upload.array('images', 10), productController.createProduct);
 router.get('/', productController.getUserProducts);
 router.get('/stats', productController.getProductStats);
+router.post('/import', importUpload.single('file'), productController.importProducts);
+router.get('/export', productController.exportProducts);
 router.get('/non-featured', adminAuth, productController.getNonFeaturedProducts); // Moved here
 
 router.get('/:productId', productController.getProductById);
@@ -43,15 +57,20 @@ router.patch('/:productId/stock', productController.updateStock);
 router.patch('/:productId/status', productController.updateStatus);
 router.post('/:productId/images', upload.array('images', 10), productController.uploadImages);
 router.delete('/:productId/images/:imageId', productController.deleteImage);
+router.post('/:productId/variants', upload.array('images', 10), productController.addVariant);
+router.put('/:productId/variants/:variantId', upload.array('images', 10), productController.updateVariant);
+router.delete('/:productId/variants/:variantId', productController.deleteVariant);
 
 // Category routes
 router.get('/category/all', categoryController.getCategories);
 router.get('/category/tree', categoryController.getCategoryTree);
 router.get('/category/:categoryId', categoryController.getCategoryById);
+router.get('/category/:categoryId/attributes', categoryController.getAttributeSchema);
 
 // Admin only routes
 router.use(adminAuth);
 router.patch('/:id/featured', productController.toggleFeatured);
+router.post('/geo/backfill', productController.backfillGeoLocations);
 router.post('/category', upload.single('image'), categoryController.createCategory);
 router.put('/category/:categoryId', upload.single('image'), categoryController.updateCategory);
 router.delete('/category/:categoryId', categoryController.deleteCategory);
@@ -0,0 +1,36 @@
+// routes/returns.js
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const ReturnController = require('../controllers/returnController');
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+const { MAX_RETURN_IMAGES } = require('../config/returns');
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+    fileFilter: function (req, file, cb) {
+        if (/jpeg|jpg|png|gif|webp/.test(file.mimetype)) {
+            return cb(null, true);
+        }
+        cb(new Error('Only image files are allowed!'));
+    }
+});
+
+// Apply authentication middleware to all routes
+router.use(auth);
+
+// Admin arbitration (require admin role in controller)
+router.get('/admin/all', adminAuth, ReturnController.getAllReturns);
+router.patch('/admin/:returnId/resolve', adminAuth, ReturnController.resolveReturn);
+
+// Buyer returns and disputes
+router.post('/', upload.array('evidence', MAX_RETURN_IMAGES), ReturnController.createReturn);
+router.get('/', ReturnController.getMyReturns);
+router.get('/:returnId', ReturnController.getReturnById);
+router.post('/:returnId/accept-counter', ReturnController.acceptCounterOffer);
+router.post('/:returnId/escalate', ReturnController.escalateReturn);
+router.post('/:returnId/cancel', ReturnController.cancelReturn);
+
+module.exports = router;
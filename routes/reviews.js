@@ -0,0 +1,39 @@
+// routes/reviews.js
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const ReviewController = require('../controllers/reviewController');
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+    fileFilter: function (req, file, cb) {
+        if (/jpeg|jpg|png|gif|webp/.test(file.mimetype)) {
+            return cb(null, true);
+        }
+        cb(new Error('Only image files are allowed!'));
+    }
+});
+
+// Public product reviews
+router.get('/product/:productId', ReviewController.getProductReviews);
+
+// All other routes require authentication
+router.use(auth);
+
+router.get('/me', ReviewController.getMyReviews);
+router.get('/seller', ReviewController.getSellerReviews);
+router.post('/product/:productId', upload.array('images', 5), ReviewController.createReview);
+router.put('/:reviewId', upload.array('images', 5), ReviewController.updateReview);
+router.delete('/:reviewId', ReviewController.deleteReview);
+router.post('/:reviewId/helpful', ReviewController.toggleHelpful);
+router.put('/:reviewId/reply', ReviewController.replyToReview);
+router.delete('/:reviewId/reply', ReviewController.deleteReply);
+
+// Admin moderation (require admin role in controller)
+router.get('/admin/all', adminAuth, ReviewController.getReviewsForModeration);
+router.patch('/admin/:reviewId/moderate', adminAuth, ReviewController.moderateReview);
+
+module.exports = router;
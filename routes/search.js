@@ -0,0 +1,14 @@
+// routes/search.js
+const express = require('express');
+const router = express.Router();
+const SearchController = require('../controllers/searchController');
+const adminAuth = require('../middleware/adminAuth');
+
+// Public marketplace search
+router.get('/products', SearchController.searchProducts);
+router.get('/suggestions', SearchController.getSuggestions);
+
+// Admin operations (require admin role in controller)
+router.post('/reindex', adminAuth, SearchController.rebuildIndex);
+
+module.exports = router;
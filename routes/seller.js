@@ -0,0 +1,41 @@
+// routes/seller.js
+const express = require('express');
+const router = express.Router();
+const SellerOrderController = require('../controllers/sellerOrderController');
+const InventoryController = require('../controllers/inventoryController');
+const AnalyticsController = require('../controllers/analyticsController');
+const EscrowController = require('../controllers/escrowController');
+const PayoutController = require('../controllers/payoutController');
+const ReturnController = require('../controllers/returnController');
+const auth = require('../middleware/auth');
+
+// Apply authentication middleware to all routes
+router.use(auth);
+
+// Order fulfilment
+router.get('/orders', SellerOrderController.getSellerOrders);
+router.get('/orders/:subOrderId', SellerOrderController.getSellerOrderById);
+router.patch('/orders/:subOrderId/accept', SellerOrderController.acceptOrder);
+router.patch('/orders/:subOrderId/ship', SellerOrderController.shipOrder);
+router.patch('/orders/:subOrderId/deliver', SellerOrderController.deliverOrder);
+
+// Returns and disputes on the seller's orders
+router.get('/returns', ReturnController.getSellerReturns);
+router.patch('/returns/:returnId/accept', ReturnController.acceptReturn);
+router.patch('/returns/:returnId/reject', ReturnController.rejectReturn);
+router.patch('/returns/:returnId/counter', ReturnController.counterReturn);
+
+// Inventory ledger and low stock report
+router.get('/inventory/movements', InventoryController.getMovements);
+router.get('/inventory/low-stock', InventoryController.getLowStock);
+
+// Sales and engagement analytics
+router.get('/analytics', AnalyticsController.getSellerDashboard);
+
+// Escrowed earnings and payouts
+router.get('/escrow', EscrowController.getSellerEscrow);
+router.get('/payouts/balance', PayoutController.getBalance);
+router.get('/payouts', PayoutController.getPayouts);
+router.post('/payouts', PayoutController.requestPayout);
+
+module.exports = router;
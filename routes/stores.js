@@ -0,0 +1,36 @@
+// routes/stores.js
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const StoreController = require('../controllers/storeController');
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+    fileFilter: function (req, file, cb) {
+        if (/jpeg|jpg|png|gif|webp/.test(file.mimetype)) {
+            return cb(null, true);
+        }
+        cb(new Error('Only image files are allowed!'));
+    }
+});
+
+const storeImages = upload.fields([
+    { name: 'logo', maxCount: 1 },
+    { name: 'banner', maxCount: 1 }
+]);
+
+// The current seller's store (before /:slug so "me" isn't taken as a slug)
+router.get('/me', auth, StoreController.getMyStore);
+router.post('/', auth, storeImages, StoreController.createStore);
+router.put('/me', auth, storeImages, StoreController.updateStore);
+
+// Admin operations (require admin role in controller)
+router.patch('/:storeId/status', adminAuth, StoreController.updateStoreStatus);
+
+// Public store page
+router.get('/:slug', StoreController.getStoreBySlug);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+// routes/taxRules.js
+const express = require('express');
+const router = express.Router();
+const TaxRuleController = require('../controllers/taxRuleController');
+const adminAuth = require('../middleware/adminAuth');
+
+// Admin operations (require admin role in controller)
+router.use(adminAuth);
+
+router.get('/', TaxRuleController.getTaxRules);
+router.get('/preview', TaxRuleController.previewRates);
+router.post('/', TaxRuleController.createTaxRule);
+router.put('/:ruleId', TaxRuleController.updateTaxRule);
+router.delete('/:ruleId', TaxRuleController.deleteTaxRule);
+
+module.exports = router;
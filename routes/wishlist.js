@@ -0,0 +1,15 @@
+// routes/wishlist.js
+const express = require('express');
+const router = express.Router();
+const WishlistController = require('../controllers/wishlistController');
+const auth = require('../middleware/auth');
+
+router.use(auth);
+
+router.get('/', WishlistController.getWishlist);
+router.post('/items', WishlistController.addToWishlist);
+router.patch('/items/:itemId', WishlistController.updateWishlistItem);
+router.delete('/items/:itemId', WishlistController.removeFromWishlist);
+router.post('/items/:itemId/move-to-cart', WishlistController.moveToCart);
+
+module.exports = router;
@@ -0,0 +1,345 @@
+const mongoose = require('mongoose');
+const AnalyticsEvent = require('../models/AnalyticsEvent');
+const SellerOrder = require('../models/SellerOrder');
+const fxService = require('./fxService');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES } = require('../config/currency');
+const { roundCurrency } = require('../utils/currency');
+const {
+    DEFAULT_RANGE_DAYS,
+    MAX_BUCKETS,
+    INTERVALS,
+    TOP_PRODUCTS_LIMIT
+} = require('../config/analytics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Share of one count in another, as a percentage with two decimals
+const percentage = (part, whole) => (whole ? Math.round((part / whole) * 10000) / 100 : 0);
+
+class AnalyticsService {
+    // Helper to build an error carrying an HTTP status code
+    createError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    // Record a buyer interaction. Tracking never fails the request that triggered it.
+    async track(type, product, { user = null, sessionId, variant, quantity = 1 } = {}) {
+        try {
+            const seller = product.userId._id || product.userId;
+
+            // Sellers looking at their own listings aren't buyer interest
+            if (user && seller.toString() === user.toString()) {
+                return null;
+            }
+
+            return await AnalyticsEvent.create({
+                type,
+                product: product._id,
+                seller,
+                user,
+                sessionId,
+                variant,
+                quantity
+            });
+        } catch (error) {
+            console.error(`Failed to track ${type} for product ${product._id}:`, error);
+            return null;
+        }
+    }
+
+    trackProductView(product, { user, sessionId } = {}) {
+        return this.track('product_view', product, { user, sessionId });
+    }
+
+    trackCartAdd(product, { user, sessionId, variant, quantity } = {}) {
+        return this.track('cart_add', product, { user, sessionId, variant, quantity });
+    }
+
+    // Start of the UTC day, Monday-based week or month containing the date
+    startOfBucket(date, interval) {
+        const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+        if (interval === 'week') {
+            start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+        } else if (interval === 'month') {
+            start.setUTCDate(1);
+        }
+
+        return start;
+    }
+
+    nextBucket(date, interval) {
+        const next = new Date(date);
+
+        if (interval === 'month') {
+            next.setUTCMonth(next.getUTCMonth() + 1);
+        } else {
+            next.setUTCDate(next.getUTCDate() + (interval === 'week' ? 7 : 1));
+        }
+
+        return next;
+    }
+
+    // Bucket expression matching startOfBucket, for aggregations
+    bucketExpression(interval) {
+        return {
+            $dateTrunc: {
+                date: '$createdAt',
+                unit: interval,
+                ...(interval === 'week' ? { startOfWeek: 'monday' } : {})
+            }
+        };
+    }
+
+    // Parse a report date, failing with a 400 on junk input
+    parseDate(value, name) {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw this.createError(`Invalid ${name} date`);
+        }
+
+        // A bare end date covers the whole day
+        if (name === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            date.setUTCHours(23, 59, 59, 999);
+        }
+
+        return date;
+    }
+
+    // Validate the report range and list its buckets; defaults to the last 30 days by day
+    parseRange({ from, to, interval = 'day', currency = BASE_CURRENCY } = {}) {
+        if (!INTERVALS.includes(interval)) {
+            throw this.createError(`Interval must be one of: ${INTERVALS.join(', ')}`);
+        }
+
+        const reportCurrency = String(currency).toUpperCase();
+        if (!SUPPORTED_CURRENCIES.includes(reportCurrency)) {
+            throw this.createError(`Unsupported currency ${currency}`);
+        }
+
+        const end = to ? this.parseDate(to, 'to') : new Date();
+        const start = from ? this.parseDate(from, 'from') : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+        if (start > end) {
+            throw this.createError('The from date must be before the to date');
+        }
+
+        const buckets = [];
+        for (let bucket = this.startOfBucket(start, interval); bucket <= end; bucket = this.nextBucket(bucket, interval)) {
+            buckets.push(bucket);
+            if (buckets.length > MAX_BUCKETS) {
+                throw this.createError(`The range has more than ${MAX_BUCKETS} ${interval}s; choose a shorter range or a longer interval`);
+            }
+        }
+
+        return { from: start, to: end, interval, currency: reportCurrency, buckets };
+    }
+
+    // Conversion rates from each order currency into the report currency
+    async getConversionRates(currencies, reportCurrency) {
+        const rates = {};
+
+        for (const currency of new Set(currencies)) {
+            const { rate } = await fxService.getRate(currency || BASE_CURRENCY, reportCurrency);
+            rates[currency] = rate;
+        }
+
+        return rates;
+    }
+
+    // Revenue, orders and units from the seller's sub-orders, by bucket and by product
+    async getSales(sellerId, range) {
+        const [result] = await SellerOrder.aggregate([
+            {
+                $match: {
+                    seller: sellerId,
+                    status: { $ne: 'cancelled' },
+                    createdAt: { $gte: range.from, $lte: range.to }
+                }
+            },
+            {
+                $facet: {
+                    series: [
+                        {
+                            $group: {
+                                _id: { period: this.bucketExpression(range.interval), currency: '$currency' },
+                                revenue: { $sum: '$subtotal' },
+                                orders: { $sum: 1 },
+                                units: { $sum: { $sum: '$items.quantity' } }
+                            }
+                        }
+                    ],
+                    products: [
+                        { $unwind: '$items' },
+                        {
+                            $group: {
+                                _id: { product: '$items.product', currency: '$currency' },
+                                name: { $last: '$items.name' },
+                                image: { $last: '$items.image' },
+                                revenue: { $sum: '$items.subtotal' },
+                                units: { $sum: '$items.quantity' },
+                                purchases: { $sum: 1 }
+                            }
+                        }
+                    ]
+                }
+            }
+        ]);
+
+        return result;
+    }
+
+    // View and cart add counts by bucket and by product
+    async getEngagement(sellerId, range) {
+        const [result] = await AnalyticsEvent.aggregate([
+            {
+                $match: {
+                    seller: sellerId,
+                    createdAt: { $gte: range.from, $lte: range.to }
+                }
+            },
+            {
+                $facet: {
+                    series: [
+                        {
+                            $group: {
+                                _id: { period: this.bucketExpression(range.interval), type: '$type' },
+                                count: { $sum: 1 }
+                            }
+                        }
+                    ],
+                    products: [
+                        { $group: { _id: { product: '$product', type: '$type' }, count: { $sum: 1 } } }
+                    ]
+                }
+            }
+        ]);
+
+        return result;
+    }
+
+    // Seller dashboard for a date range. Purchases count order lines, so the
+    // funnel compares like with like: a view, a cart add, a line bought.
+    async getSellerDashboard(sellerId, filters = {}) {
+        const range = this.parseRange(filters);
+        const seller = new mongoose.Types.ObjectId(sellerId.toString());
+
+        const [sales, engagement] = await Promise.all([
+            this.getSales(seller, range),
+            this.getEngagement(seller, range)
+        ]);
+
+        const rates = await this.getConversionRates(
+            sales.series.map(entry => entry._id.currency),
+            range.currency
+        );
+        const convert = (amount, currency) => amount * rates[currency];
+
+        // Time series with every bucket present, including empty ones
+        const series = new Map(range.buckets.map(bucket => [bucket.getTime(), {
+            period: bucket,
+            revenue: 0,
+            orders: 0,
+            units: 0,
+            views: 0,
+            cartAdds: 0
+        }]));
+
+        sales.series.forEach(entry => {
+            const bucket = series.get(new Date(entry._id.period).getTime());
+            if (!bucket) return;
+            bucket.revenue += convert(entry.revenue, entry._id.currency);
+            bucket.orders += entry.orders;
+            bucket.units += entry.units;
+        });
+
+        engagement.series.forEach(entry => {
+            const bucket = series.get(new Date(entry._id.period).getTime());
+            if (!bucket) return;
+            if (entry._id.type === 'product_view') bucket.views += entry.count;
+            if (entry._id.type === 'cart_add') bucket.cartAdds += entry.count;
+        });
+
+        // Per-product figures across currencies
+        const products = {};
+        const productEntry = (productId) => {
+            const key = productId.toString();
+            if (!products[key]) {
+                products[key] = { product: productId, name: null, image: null, revenue: 0, units: 0, purchases: 0, views: 0, cartAdds: 0 };
+            }
+            return products[key];
+        };
+
+        sales.products.forEach(entry => {
+            const product = productEntry(entry._id.product);
+            product.name = entry.name;
+            product.image = entry.image;
+            product.revenue += convert(entry.revenue, entry._id.currency);
+            product.units += entry.units;
+            product.purchases += entry.purchases;
+        });
+
+        engagement.products.forEach(entry => {
+            const product = productEntry(entry._id.product);
+            if (entry._id.type === 'product_view') product.views += entry.count;
+            if (entry._id.type === 'cart_add') product.cartAdds += entry.count;
+        });
+
+        const round = (amount) => roundCurrency(amount, range.currency);
+
+        const rows = [...series.values()].map(bucket => ({
+            ...bucket,
+            revenue: round(bucket.revenue),
+            averageOrderValue: bucket.orders ? round(bucket.revenue / bucket.orders) : 0
+        }));
+
+        const totals = rows.reduce((sum, bucket) => ({
+            revenue: sum.revenue + bucket.revenue,
+            orders: sum.orders + bucket.orders,
+            units: sum.units + bucket.units,
+            views: sum.views + bucket.views,
+            cartAdds: sum.cartAdds + bucket.cartAdds
+        }), { revenue: 0, orders: 0, units: 0, views: 0, cartAdds: 0 });
+
+        const purchases = Object.values(products).reduce((sum, product) => sum + product.purchases, 0);
+
+        const topProducts = Object.values(products)
+            .filter(product => product.units > 0)
+            .sort((a, b) => b.revenue - a.revenue || b.units - a.units)
+            .slice(0, TOP_PRODUCTS_LIMIT)
+            .map(product => ({
+                ...product,
+                revenue: round(product.revenue),
+                conversionRate: percentage(product.purchases, product.views)
+            }));
+
+        return {
+            range: {
+                from: range.from,
+                to: range.to,
+                interval: range.interval,
+                currency: range.currency
+            },
+            totals: {
+                revenue: round(totals.revenue),
+                orders: totals.orders,
+                units: totals.units,
+                averageOrderValue: totals.orders ? round(totals.revenue / totals.orders) : 0
+            },
+            // Rates are percentages
+            funnel: {
+                views: totals.views,
+                cartAdds: totals.cartAdds,
+                purchases,
+                viewToCartRate: percentage(totals.cartAdds, totals.views),
+                cartToPurchaseRate: percentage(purchases, totals.cartAdds),
+                conversionRate: percentage(purchases, totals.views)
+            },
+            series: rows,
+            topProducts
+        };
+    }
+}
+
+module.exports = new AnalyticsService();
@@ -0,0 +1,129 @@
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const fxService = require('./fxService');
+
+class CartMergeService {
+    // Check if two lines are for the same product and options
+    isSameLine(a, b) {
+        if (a.product.toString() !== b.product.toString()) {
+            return false;
+        }
+
+        if (a.variant || b.variant) {
+            return !!a.variant && !!b.variant && a.variant.toString() === b.variant.toString();
+        }
+
+        return JSON.stringify(a.selectedAttributes || []) === JSON.stringify(b.selectedAttributes || []);
+    }
+
+    // Merge a guest cart into the user's active cart.
+    // Quantities are capped at current stock; anything dropped or reduced is reported.
+    async mergeGuestCart(sessionId, userId) {
+        const report = {
+            merged: [],
+            adjusted: [],
+            skipped: []
+        };
+
+        const guestCart = await Cart.findOne({ sessionId, status: 'active' });
+        if (!guestCart || guestCart.isEmpty()) {
+            return { cart: null, report };
+        }
+
+        let cart = await Cart.findOne({ user: userId, status: 'active' });
+        if (!cart) {
+            cart = new Cart({
+                user: userId,
+                items: [],
+                currency: guestCart.currency
+            });
+        }
+
+        const productIds = guestCart.items.map(item => item.product);
+        const products = await Product.find({ _id: { $in: productIds } });
+        const productsById = {};
+        products.forEach(product => {
+            productsById[product._id.toString()] = product;
+        });
+
+        const fxRates = await fxService.getRates();
+
+        for (const guestItem of guestCart.items) {
+            const product = productsById[guestItem.product.toString()];
+            const line = {
+                product: guestItem.product,
+                name: product ? product.name : undefined,
+                selectedAttributes: guestItem.selectedAttributes
+            };
+
+            const option = product ? product.resolvePurchaseOption(guestItem.selectedAttributes, guestItem.variant) : null;
+
+            if (!option || product.status !== 'active') {
+                report.skipped.push({ ...line, requested: guestItem.quantity, reason: 'unavailable' });
+                continue;
+            }
+
+            const existing = cart.items.find(item => this.isSameLine(item, guestItem));
+            const currentQuantity = existing ? existing.quantity : 0;
+            const requested = currentQuantity + guestItem.quantity;
+            const quantity = Math.min(requested, option.stock);
+
+            if (quantity <= currentQuantity) {
+                report.skipped.push({
+                    ...line,
+                    requested: guestItem.quantity,
+                    available: option.stock,
+                    reason: option.stock > 0 ? 'insufficient_stock' : 'out_of_stock'
+                });
+                continue;
+            }
+
+            if (quantity < requested) {
+                report.adjusted.push({
+                    ...line,
+                    requested,
+                    quantity,
+                    available: option.stock,
+                    reason: 'insufficient_stock'
+                });
+            } else {
+                report.merged.push({ ...line, quantity });
+            }
+
+            if (existing) {
+                existing.quantity = quantity;
+                existing.updatedAt = new Date();
+            } else {
+                cart.items.push({
+                    product: product._id,
+                    seller: product.userId,
+                    category: product.category,
+                    productType: product.type,
+                    quantity,
+                    price: option.price,
+                    basePrice: option.price,
+                    baseCurrency: product.currency,
+                    selectedAttributes: option.selectedAttributes,
+                    variant: option.variant ? option.variant._id : undefined,
+                    sku: option.sku,
+                    notes: guestItem.notes,
+                    addedAt: guestItem.addedAt,
+                    updatedAt: new Date()
+                });
+            }
+        }
+
+        // Price every line in the user's cart currency
+        cart.applyExchangeRates(fxRates);
+        cart.lastActivity = new Date();
+        await cart.save();
+
+        guestCart.status = 'merged';
+        guestCart.mergedInto = cart._id;
+        await guestCart.save();
+
+        return { cart, report };
+    }
+}
+
+module.exports = new CartMergeService();
@@ -0,0 +1,35 @@
+const Product = require('../models/Product');
+const fxService = require('./fxService');
+
+class CartReconciliationService {
+    // Reconcile a cart with current products and exchange rates, saving it if anything changed.
+    // Returns the change log from Cart.reconcile.
+    async reconcile(cart) {
+        if (cart.isEmpty()) {
+            return [];
+        }
+
+        const productIds = cart.items.map(item => item.product._id || item.product);
+        const [products, fxRates] = await Promise.all([
+            // Full documents: Cart.reconcile resolves each line's variant through the product
+            Product.find({ _id: { $in: productIds } }),
+            fxService.getRates()
+        ]);
+
+        const productsById = {};
+        products.forEach(product => {
+            productsById[product._id.toString()] = product;
+        });
+
+        const changes = cart.reconcile(productsById, fxRates);
+
+        if (changes.length) {
+            cart.lastActivity = new Date();
+            await cart.save();
+        }
+
+        return changes;
+    }
+}
+
+module.exports = new CartReconciliationService();
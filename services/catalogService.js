@@ -0,0 +1,380 @@
+const { once } = require('events');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const moderationService = require('./moderationService');
+const storeService = require('./storeService');
+const { SUPPORTED_CURRENCIES } = require('../config/currency');
+const { parseCsvObjects, toCsvRow, unescapeCsvValue } = require('../utils/csv');
+const { validateAttributes } = require('../utils/attributes');
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Columns of the import/export format, in export order.
+// categoryName and status are informational and ignored on import.
+const CATALOG_COLUMNS = [
+    'sku', 'name', 'description', 'price', 'currency', 'stock', 'category', 'categoryName', 'type',
+    'location', 'phoneNumber', 'email', 'companyName', 'attributes', 'images', 'tags', 'weight', 'status'
+];
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+class CatalogService {
+    // Helper to build an error carrying an HTTP status code
+    createError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    // Read an uploaded CSV or JSON file into plain records
+    parseFile(file, format) {
+        if (!file || !file.buffer) {
+            throw this.createError('A CSV or JSON file is required');
+        }
+
+        const isJson = format
+            ? format === 'json'
+            : file.mimetype === 'application/json' || /\.json$/i.test(file.originalname || '');
+        const text = file.buffer.toString('utf8');
+
+        let records;
+        if (isJson) {
+            try {
+                const parsed = JSON.parse(text);
+                records = Array.isArray(parsed) ? parsed : parsed.products;
+            } catch (error) {
+                throw this.createError(`Invalid JSON: ${error.message}`);
+            }
+
+            if (!Array.isArray(records)) {
+                throw this.createError('JSON file must contain an array of products');
+            }
+        } else {
+            records = parseCsvObjects(text).map(record => {
+                Object.keys(record).forEach(key => {
+                    record[key] = unescapeCsvValue(record[key]);
+                });
+                return record;
+            });
+        }
+
+        if (records.length === 0) {
+            throw this.createError('The file contains no products');
+        }
+
+        if (records.length > MAX_IMPORT_ROWS) {
+            throw this.createError(`A file can contain at most ${MAX_IMPORT_ROWS} products`);
+        }
+
+        return { format: isJson ? 'json' : 'csv', records };
+    }
+
+    // Lists are "a|b|c" in CSV and arrays in JSON
+    splitList(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => String(item).trim()).filter(Boolean);
+        }
+        if (isBlank(value)) {
+            return [];
+        }
+        return String(value).split('|').map(item => item.trim()).filter(Boolean);
+    }
+
+    // Attributes are "Size=M|Colour=Red" in CSV and [{ name, value }] in JSON
+    parseAttributes(value, errors) {
+        if (Array.isArray(value) && value.every(item => item && typeof item === 'object')) {
+            const attributes = value
+                .filter(item => !isBlank(item.name) && !isBlank(item.value))
+                .map(item => ({ name: String(item.name).trim(), value: String(item.value).trim() }));
+            if (attributes.length !== value.length) {
+                errors.push('Every attribute needs a name and a value');
+            }
+            return attributes;
+        }
+
+        return this.splitList(value).map(pair => {
+            const index = pair.indexOf('=');
+            if (index < 1 || index === pair.length - 1) {
+                errors.push(`Attribute "${pair}" must be written as name=value`);
+                return null;
+            }
+            return { name: pair.slice(0, index).trim(), value: pair.slice(index + 1).trim() };
+        }).filter(Boolean);
+    }
+
+    // Index categories by id and by lowercase title
+    async loadCategories() {
+        const categories = await Category.find().select('title').lean();
+        const byId = {};
+        const byTitle = {};
+
+        categories.forEach(category => {
+            byId[category._id.toString()] = category;
+            byTitle[category.title.trim().toLowerCase()] = category;
+        });
+
+        return { byId, byTitle };
+    }
+
+    // Validate a record and turn the fields it provides into product fields
+    buildRow(record, index, categories) {
+        const errors = [];
+        const fields = {};
+        const sku = isBlank(record.sku) ? null : String(record.sku).trim();
+
+        ['name', 'description', 'location', 'phoneNumber', 'email', 'companyName'].forEach(field => {
+            if (!isBlank(record[field])) fields[field] = String(record[field]).trim();
+        });
+
+        if (!isBlank(record.price)) {
+            const price = Number(record.price);
+            if (isNaN(price) || price < 0) errors.push('Price must be a number of 0 or more');
+            else fields.price = price;
+        }
+
+        if (!isBlank(record.stock)) {
+            const stock = Number(record.stock);
+            if (!Number.isInteger(stock) || stock < 0) errors.push('Stock must be a whole number of 0 or more');
+            else fields.stock = stock;
+        }
+
+        if (!isBlank(record.currency)) {
+            const currency = String(record.currency).trim().toUpperCase();
+            if (!SUPPORTED_CURRENCIES.includes(currency)) errors.push(`Currency ${currency} is not supported`);
+            else fields.currency = currency;
+        }
+
+        if (!isBlank(record.type)) {
+            const type = ['Product', 'Service'].find(option => option.toLowerCase() === String(record.type).trim().toLowerCase());
+            if (!type) errors.push('Type must be Product or Service');
+            else fields.type = type;
+        }
+
+        if (!isBlank(record.category)) {
+            const value = String(record.category).trim();
+            const category = (mongoose.Types.ObjectId.isValid(value) && categories.byId[value]) ||
+                categories.byTitle[value.toLowerCase()];
+            if (!category) {
+                errors.push(`Category "${value}" not found`);
+            } else {
+                fields.category = category._id;
+                fields.categoryName = category.title;
+            }
+        }
+
+        if (fields.email && !/^\S+@\S+\.\S+$/.test(fields.email)) {
+            errors.push('Email is not valid');
+        }
+
+        if (!isBlank(record.attributes)) {
+            fields.attributes = this.parseAttributes(record.attributes, errors);
+        }
+
+        if (!isBlank(record.images)) {
+            const urls = this.splitList(record.images);
+            const invalid = urls.filter(url => !/^https?:\/\/\S+$/i.test(url));
+            if (invalid.length) errors.push(`Image URLs must start with http:// or https:// (${invalid.join(', ')})`);
+            else fields.images = urls.map((url, order) => ({ url, order }));
+        }
+
+        if (!isBlank(record.tags)) {
+            fields['metadata.tags'] = this.splitList(record.tags);
+        }
+
+        if (!isBlank(record.weight)) {
+            const weight = Number(record.weight);
+            if (isNaN(weight) || weight < 0) errors.push('Weight must be a number of 0 or more');
+            else fields['metadata.weight'] = weight;
+        }
+
+        // Fields a new product can't do without; existing products keep their values
+        const missing = ['name', 'description', 'price'].filter(field => isBlank(record[field]));
+
+        return { row: index + 1, sku, fields, missing, errors };
+    }
+
+    // Import products from a CSV or JSON file.
+    // Rows with a SKU the seller already uses update that product (when upsert is on);
+    // other rows create products. With dryRun nothing is written.
+    async importProducts(seller, file, { format, dryRun = false, upsert = true } = {}) {
+        const { format: detectedFormat, records } = this.parseFile(file, format);
+        const categories = await this.loadCategories();
+        const rows = records.map((record, index) => this.buildRow(record || {}, index, categories));
+
+        const skus = rows.map(row => row.sku).filter(Boolean);
+        const existing = await Product.find({ userId: seller._id, 'metadata.sku': { $in: skus } });
+        const existingBySku = {};
+        existing.forEach(product => {
+            existingBySku[product.metadata.sku] = product;
+        });
+
+        // New products take contact details the file leaves out from the seller's store
+        const defaults = await storeService.getProductDefaults(seller);
+        const seenSkus = new Set();
+        const touchedCategories = new Set();
+        const schemas = new Map();
+        const summary = { total: rows.length, valid: 0, invalid: 0, created: 0, updated: 0 };
+
+        const results = [];
+        for (const row of rows) {
+            const { sku, fields, missing, errors } = row;
+            const current = sku ? existingBySku[sku] : null;
+
+            if (sku && seenSkus.has(sku)) {
+                errors.push(`SKU ${sku} appears more than once in the file`);
+            }
+            if (sku) seenSkus.add(sku);
+
+            if (current && !upsert) {
+                errors.push(`A product with SKU ${sku} already exists`);
+            }
+
+            const action = current ? 'update' : 'create';
+            if (action === 'create') {
+                missing.forEach(field => errors.push(`${field} is required`));
+            }
+
+            // Attributes follow the attribute schema of the product's category
+            const categoryId = fields.category || (current && current.category);
+            if (categoryId && (fields.category || fields.attributes)) {
+                const key = categoryId.toString();
+                if (!schemas.has(key)) {
+                    schemas.set(key, await Category.getAttributeSchema(categoryId));
+                }
+                const attributes = fields.attributes || (current ? current.attributes : []);
+                const checked = validateAttributes(attributes, schemas.get(key));
+                errors.push(...checked.errors);
+                fields.attributes = checked.attributes;
+            }
+
+            const result = { row: row.row, sku, name: fields.name || (current && current.name), action, errors };
+            results.push(result);
+
+            if (errors.length) {
+                summary.invalid += 1;
+                continue;
+            }
+
+            summary.valid += 1;
+            if (dryRun) {
+                continue;
+            }
+
+            try {
+                let product = current;
+                if (!product) {
+                    product = new Product({ ...defaults, userId: seller._id, stock: 0 });
+                    if (sku) product.set('metadata.sku', sku);
+                } else if (product.category) {
+                    touchedCategories.add(product.category.toString());
+                }
+
+                // Keep upload details of images that are listed again (e.g. re-importing an export)
+                if (fields.images && !product.isNew) {
+                    fields.images = fields.images.map(image => {
+                        const kept = product.images.find(existingImage => existingImage.url === image.url);
+                        return kept ? { ...kept.toObject(), order: image.order } : image;
+                    });
+                }
+
+                Object.entries(fields).forEach(([path, value]) => product.set(path, value));
+
+                if (product.isNew) {
+                    await moderationService.screenListing(product, seller);
+                } else {
+                    await moderationService.screenIfChanged(product, seller);
+                }
+                product.$locals.inventory = {
+                    type: product.isNew ? 'restock' : 'adjustment',
+                    actor: seller._id,
+                    reason: 'Bulk import'
+                };
+                await product.save();
+
+                result.productId = product._id;
+                result.status = product.status;
+                if (product.category) touchedCategories.add(product.category.toString());
+                summary[action === 'create' ? 'created' : 'updated'] += 1;
+            } catch (error) {
+                result.errors.push(error.name === 'ValidationError'
+                    ? Object.values(error.errors).map(err => err.message).join('; ')
+                    : error.message);
+                summary.valid -= 1;
+                summary.invalid += 1;
+            }
+        }
+
+        for (const categoryId of touchedCategories) {
+            await Category.updateProductCount(categoryId);
+        }
+
+        return { dryRun, upsert, format: detectedFormat, summary, rows: results };
+    }
+
+    // A product as an export record; lists are joined for CSV
+    toRecord(product, format) {
+        const join = (list) => (format === 'csv' ? list.join('|') : list);
+        const metadata = product.metadata || {};
+
+        return {
+            sku: metadata.sku || '',
+            name: product.name,
+            description: product.description,
+            price: product.price,
+            currency: product.currency,
+            stock: product.stock,
+            category: product.category ? product.category.toString() : '',
+            categoryName: product.categoryName || '',
+            type: product.type,
+            location: product.location,
+            phoneNumber: product.phoneNumber,
+            email: product.email,
+            companyName: product.companyName || '',
+            attributes: format === 'csv'
+                ? (product.attributes || []).map(attribute => `${attribute.name}=${attribute.value}`).join('|')
+                : (product.attributes || []).map(({ name, value }) => ({ name, value })),
+            images: join((product.images || []).slice().sort((a, b) => a.order - b.order).map(image => image.url)),
+            tags: join(metadata.tags || []),
+            weight: metadata.weight !== undefined ? metadata.weight : '',
+            status: product.status
+        };
+    }
+
+    // Stream a seller's catalogue to a writable stream in the import format
+    async exportProducts(sellerId, format, stream) {
+        const write = async (chunk) => {
+            if (!stream.write(chunk)) {
+                await once(stream, 'drain');
+            }
+        };
+
+        const cursor = Product.find({ userId: sellerId }).sort({ createdAt: 1 }).lean().cursor();
+
+        if (format === 'csv') {
+            await write(toCsvRow(CATALOG_COLUMNS));
+        } else {
+            await write('[');
+        }
+
+        let count = 0;
+        for await (const product of cursor) {
+            const record = this.toRecord(product, format);
+            if (format === 'csv') {
+                await write(toCsvRow(CATALOG_COLUMNS.map(column => record[column])));
+            } else {
+                await write(`${count > 0 ? ',' : ''}\n${JSON.stringify(record)}`);
+            }
+            count += 1;
+        }
+
+        if (format !== 'csv') {
+            await write('\n]\n');
+        }
+
+        stream.end();
+        return count;
+    }
+}
+
+module.exports = new CatalogService();
@@ -0,0 +1,173 @@
+const Cart = require('../models/Cart');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const { BASE_CURRENCY } = require('../config/currency');
+const { roundCurrency, formatCurrency } = require('../utils/currency');
+const fxService = require('./fxService');
+
+class CouponService {
+    // Helper to build an error carrying an HTTP status code
+    createError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    // Find a coupon and check it can be used by this user on this cart
+    async validateForCart(code, cart, userId) {
+        const coupon = await Coupon.findOne({ code: code.trim().toUpperCase() });
+
+        if (!coupon || !coupon.isActive) {
+            throw this.createError('Invalid coupon code', 404);
+        }
+
+        const now = new Date();
+        if (coupon.startsAt && coupon.startsAt > now) {
+            throw this.createError('Coupon is not active yet');
+        }
+
+        if (coupon.expiresAt && coupon.expiresAt < now) {
+            throw this.createError('Coupon has expired');
+        }
+
+        if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+            throw this.createError('Coupon usage limit has been reached');
+        }
+
+        if (coupon.usageLimitPerUser) {
+            const userRedemptions = await CouponRedemption.countDocuments({
+                coupon: coupon._id,
+                user: userId
+            });
+
+            if (userRedemptions >= coupon.usageLimitPerUser) {
+                throw this.createError('You have already used this coupon');
+            }
+        }
+
+        const hasEligibleItem = cart.items.some(item =>
+            Cart.itemMatchesCouponRestrictions(item, coupon.restrictions)
+        );
+        if (!hasEligibleItem) {
+            throw this.createError('Coupon does not apply to any item in your cart');
+        }
+
+        if (coupon.minPurchase) {
+            const cartCurrency = cart.currency || BASE_CURRENCY;
+            const minPurchase = await this.convertAmount(coupon.minPurchase, coupon.currency, cartCurrency);
+
+            if (cart.summary.subtotal < minPurchase) {
+                throw this.createError(`Minimum purchase of ${formatCurrency(minPurchase, cartCurrency)} required for this coupon`);
+            }
+        }
+
+        return coupon;
+    }
+
+    // Convert a coupon amount from the coupon currency to the cart currency
+    async convertAmount(amount, from, to) {
+        if (!amount) return amount;
+
+        const { rate } = await fxService.getRate(from || BASE_CURRENCY, to);
+        return roundCurrency(amount * rate, to);
+    }
+
+    // Build the data stored on Cart.appliedCoupon, with fixed amounts in the cart currency
+    async toCartCoupon(coupon, currency = BASE_CURRENCY) {
+        const discountValue = coupon.discountType === 'fixed'
+            ? await this.convertAmount(coupon.discountValue, coupon.currency, currency)
+            : coupon.discountValue;
+
+        return {
+            coupon: coupon._id,
+            code: coupon.code,
+            discountType: coupon.discountType,
+            discountValue,
+            maxDiscount: await this.convertAmount(coupon.maxDiscount, coupon.currency, currency),
+            minPurchase: await this.convertAmount(coupon.minPurchase, coupon.currency, currency),
+            expiresAt: coupon.expiresAt,
+            restrictions: {
+                categories: coupon.restrictions.categories,
+                products: coupon.restrictions.products,
+                sellers: coupon.restrictions.sellers
+            }
+        };
+    }
+
+    // Record a coupon redemption for a newly placed order
+    async redeemForOrder(coupon, order) {
+        // Take a use atomically so the global limit can't be exceeded
+        const usageFilter = { _id: coupon._id, isActive: true };
+        if (coupon.usageLimit) {
+            usageFilter.usedCount = { $lt: coupon.usageLimit };
+        }
+
+        const claimed = await Coupon.findOneAndUpdate(
+            usageFilter,
+            { $inc: { usedCount: 1 } },
+            { new: true }
+        );
+
+        if (!claimed) {
+            throw this.createError('Coupon usage limit has been reached');
+        }
+
+        try {
+            return await this.createRedemption(coupon, order);
+        } catch (error) {
+            await Coupon.updateOne({ _id: coupon._id }, { $inc: { usedCount: -1 } });
+            throw error;
+        }
+    }
+
+    // Take one of the user's uses of a coupon. Each use has its own number, unique
+    // per coupon and user, so the per-user limit holds when orders are placed at once.
+    async createRedemption(coupon, order) {
+        const redemption = {
+            coupon: coupon._id,
+            code: coupon.code,
+            user: order.user,
+            order: order._id,
+            discount: order.summary.discount
+        };
+
+        if (!coupon.usageLimitPerUser) {
+            return CouponRedemption.create(redemption);
+        }
+
+        const taken = await CouponRedemption.find({ coupon: coupon._id, user: order.user }).select('use').lean();
+        const usedNumbers = new Set(taken.map(entry => entry.use));
+        // Redemptions recorded before uses were numbered still count against the limit
+        const unnumbered = taken.filter(entry => entry.use == null).length;
+
+        for (let use = 1; use <= coupon.usageLimitPerUser - unnumbered; use += 1) {
+            if (usedNumbers.has(use)) continue;
+
+            try {
+                return await CouponRedemption.create({ ...redemption, use });
+            } catch (error) {
+                // Another order took this use first; try the next one
+                if (error.code !== 11000 || !(error.keyPattern && error.keyPattern.use)) {
+                    throw error;
+                }
+            }
+        }
+
+        throw this.createError('You have already used this coupon');
+    }
+
+    // Give the coupon use back when an order is cancelled
+    async releaseForOrder(order) {
+        const redemption = await CouponRedemption.findOneAndDelete({ order: order._id });
+        if (!redemption) {
+            return;
+        }
+
+        await Coupon.updateOne(
+            { _id: redemption.coupon, usedCount: { $gt: 0 } },
+            { $inc: { usedCount: -1 } }
+        );
+    }
+}
+
+module.exports = new CouponService();
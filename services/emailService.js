@@ -0,0 +1,71 @@
+const nodemailer = require('nodemailer');
+const { formatCurrency } = require('../utils/currency');
+
+class EmailService {
+    constructor() {
+        this.transporter = null;
+    }
+
+    // Build the transport lazily; without SMTP settings, messages are only logged
+    getTransporter() {
+        if (!this.transporter) {
+            this.transporter = process.env.SMTP_HOST
+                ? nodemailer.createTransport({
+                    host: process.env.SMTP_HOST,
+                    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+                    secure: process.env.SMTP_SECURE === 'true',
+                    auth: process.env.SMTP_USER ? {
+                        user: process.env.SMTP_USER,
+                        pass: process.env.SMTP_PASS
+                    } : undefined
+                })
+                : nodemailer.createTransport({ jsonTransport: true });
+        }
+
+        return this.transporter;
+    }
+
+    async sendMail({ to, subject, text, html }) {
+        const info = await this.getTransporter().sendMail({
+            from: process.env.EMAIL_FROM || 'no-reply@tsa.local',
+            to,
+            subject,
+            text,
+            html
+        });
+
+        if (!process.env.SMTP_HOST) {
+            console.log(`Email to ${to} not sent (SMTP not configured): ${subject}`);
+        }
+
+        return info;
+    }
+
+    // Remind a user about the items left in their cart
+    async sendCartRecoveryEmail(user, cart, restoreUrl) {
+        const itemCount = cart.summary.totalQuantity || cart.items.length;
+        const total = formatCurrency(cart.summary.total, cart.currency);
+
+        const text = [
+            `Hi ${user.name || 'there'},`,
+            '',
+            `You left ${itemCount} item${itemCount === 1 ? '' : 's'} (${total}) in your cart.`,
+            `Pick up where you left off: ${restoreUrl}`
+        ].join('\n');
+
+        const html = `
+            <p>Hi ${user.name || 'there'},</p>
+            <p>You left ${itemCount} item${itemCount === 1 ? '' : 's'} (${total}) in your cart.</p>
+            <p><a href="${restoreUrl}">Restore your cart</a></p>
+        `;
+
+        return this.sendMail({
+            to: user.email,
+            subject: 'You left something in your cart',
+            text,
+            html
+        });
+    }
+}
+
+module.exports = new EmailService();
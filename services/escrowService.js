@@ -0,0 +1,562 @@
+const Escrow = require('../models/Escrow');
+const Order = require('../models/Order');
+const SellerOrder = require('../models/SellerOrder');
+const Payment = require('../models/Payment');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Asset = require('../models/Asset');
+const Transaction = require('../models/Transaction');
+const fxService = require('./fxService');
+const priceService = require('./priceService');
+const refundService = require('./refundService');
+const { DEFAULT_COMMISSION_RATE, ESCROW_AUTO_RELEASE_DAYS } = require('../config/escrow');
+const { REFUND_WALLET_ASSET } = require('../config/returns');
+const { WALLET_ASSET_DECIMALS } = require('../config/payments');
+const { roundCurrency, roundAssetAmount } = require('../utils/currency');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class EscrowService {
+    // Helper to build an error carrying an HTTP status code
+    createError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    // Hold each seller's share of a paid order. The order total (after discounts,
+    // tax and shipping) is split by the value of each sub-order, and commission is
+    // charged on each line at its category's rate. Safe to call more than once.
+    async holdForOrder(order) {
+        const subOrders = await SellerOrder.find({ order: order._id, status: { $ne: 'cancelled' } });
+        if (subOrders.length === 0) {
+            return [];
+        }
+
+        const payment = await Payment.findOne({ order: order._id, status: 'succeeded' }).sort({ paidAt: -1 });
+        const quote = payment && payment.provider === 'wallet' ? payment.quote : null;
+
+        const productIds = subOrders.flatMap(subOrder => subOrder.items.map(item => item.product));
+        const products = await Product.find({ _id: { $in: productIds } }).select('category').lean();
+        const categoryByProduct = products.reduce((map, product) => {
+            map[product._id.toString()] = product.category;
+            return map;
+        }, {});
+        const rates = await Category.getCommissionRates(Object.values(categoryByProduct), DEFAULT_COMMISSION_RATE);
+
+        const valueOf = subOrder => subOrder.subtotal + (subOrder.shipping || 0);
+        const totalValue = subOrders.reduce((sum, subOrder) => sum + valueOf(subOrder), 0) || 1;
+
+        let remaining = order.summary.total;
+        let remainingAsset = quote ? quote.amount : 0;
+        const held = [];
+
+        for (const [index, subOrder] of subOrders.entries()) {
+            const isLast = index === subOrders.length - 1;
+            const share = valueOf(subOrder) / totalValue;
+            const amount = isLast ? roundCurrency(remaining, order.currency) : roundCurrency(order.summary.total * share, order.currency);
+            remaining -= amount;
+
+            // Commission follows the same discounts the buyer got on this sub-order
+            const scale = valueOf(subOrder) ? amount / valueOf(subOrder) : 0;
+            const lines = subOrder.items.map(item => {
+                const category = categoryByProduct[item.product.toString()] || null;
+                const rate = category ? rates[category.toString()] : DEFAULT_COMMISSION_RATE;
+                return {
+                    product: item.product,
+                    category,
+                    subtotal: item.subtotal,
+                    rate,
+                    commission: roundCurrency(item.subtotal * scale * rate / 100, order.currency)
+                };
+            });
+            const commission = Math.min(amount, lines.reduce((sum, line) => sum + line.commission, 0));
+            const net = roundCurrency(amount - commission, order.currency);
+
+            let asset;
+            if (quote) {
+                const assetAmount = isLast
+                    ? roundAssetAmount(remainingAsset, quote.decimals)
+                    : roundAssetAmount(quote.amount * share, quote.decimals);
+                remainingAsset -= assetAmount;
+                asset = {
+                    symbol: quote.symbol,
+                    amount: assetAmount,
+                    net: amount ? roundAssetAmount(assetAmount * net / amount, quote.decimals) : 0,
+                    price: quote.assetPrice,
+                    decimals: quote.decimals
+                };
+            }
+
+            let escrow;
+            try {
+                escrow = await Escrow.create({
+                    order: order._id,
+                    sellerOrder: subOrder._id,
+                    seller: subOrder.seller,
+                    buyer: order.user,
+                    payment: payment ? payment._id : undefined,
+                    amount,
+                    commission,
+                    net,
+                    currency: order.currency,
+                    lines,
+                    settlement: quote ? 'wallet' : 'payout',
+                    asset,
+                    // Cash on delivery orders can be paid after they arrive
+                    releaseAfter: subOrder.status === 'delivered' ? this.releaseDate(subOrder) : undefined,
+                    statusHistory: [{ status: 'held', note: `Payment for order ${order.orderNumber}` }]
+                });
+            } catch (error) {
+                // Already held for this sub-order
+                if (error.code === 11000) {
+                    continue;
+                }
+                throw error;
+            }
+
+            await this.recordTransaction(escrow, {
+                type: 'escrow_hold',
+                userId: escrow.seller,
+                description: `Held in escrow for order ${order.orderNumber}`
+            });
+
+            held.push(escrow);
+        }
+
+        return held;
+    }
+
+    // Ledger entry for an escrow movement, in the asset paid with or the order currency
+    async recordTransaction(escrow, { type, userId, status = 'completed', amount, assetAmount, description, side = 'toAsset' }) {
+        const value = amount != null ? amount : escrow.net;
+        const symbol = escrow.settlement === 'wallet' ? escrow.asset.symbol : escrow.currency;
+        const units = escrow.settlement === 'wallet'
+            ? (assetAmount != null ? assetAmount : escrow.asset.net)
+            : value;
+
+        let usdValue;
+        let exchangeRate;
+        if (escrow.settlement === 'wallet') {
+            exchangeRate = escrow.asset.price;
+            usdValue = units * exchangeRate;
+        } else {
+            ({ rate: exchangeRate } = await fxService.getRate(escrow.currency, 'USD'));
+            usdValue = roundCurrency(units * exchangeRate, 'USD');
+        }
+
+        return Transaction.create({
+            userId,
+            type,
+            status,
+            [side]: { symbol, amount: units },
+            amount: units,
+            usdValue,
+            blockchain: 'internal',
+            order: escrow.order,
+            payment: escrow.payment,
+            escrow: escrow._id,
+            metadata: { exchangeRate },
+            description,
+            completedAt: status === 'completed' ? new Date() : undefined
+        });
+    }
+
+    // Move escrow to a new status if it is still in one of the expected ones.
+    // Returns the updated escrow, or null if another request got there first.
+    async transition(escrow, to, { note, changedBy, set = {} } = {}) {
+        const from = Object.keys(Escrow.STATUS_TRANSITIONS)
+            .filter(status => Escrow.STATUS_TRANSITIONS[status].includes(to));
+
+        return Escrow.findOneAndUpdate(
+            { _id: escrow._id, status: { $in: from } },
+            {
+                $set: { status: to, ...set },
+                $push: { statusHistory: { status: to, note, changedBy, changedAt: new Date() } }
+            },
+            { new: true }
+        );
+    }
+
+    // Start the auto-release countdown once the seller has delivered
+    async scheduleRelease(subOrder) {
+        return Escrow.updateOne(
+            { sellerOrder: subOrder._id, status: 'held' },
+            { releaseAfter: this.releaseDate(subOrder) }
+        );
+    }
+
+    // When escrow for a delivered sub-order is released if the buyer doesn't confirm first
+    releaseDate(subOrder) {
+        const deliveredAt = subOrder.deliveredAt || new Date();
+        return new Date(deliveredAt.getTime() + ESCROW_AUTO_RELEASE_DAYS * DAY_MS);
+    }
+
+    // Pay the seller: credit their asset for wallet orders, otherwise add to their payout balance
+    async release(escrow, { note, changedBy, set } = {}) {
+        const released = await this.transition(escrow, 'released', {
+            note,
+            changedBy,
+            set: { releasedAt: new Date(), ...set }
+        });
+        if (!released) {
+            throw this.createError(`Escrow is ${escrow.status} and cannot be released`, 409);
+        }
+
+        if (released.settlement === 'wallet' && released.asset.net > 0) {
+            const buyerAsset = await Asset.findOne({ userId: released.buyer, symbol: released.asset.symbol }).lean();
+            await this.creditAsset(released.seller, released.asset.symbol, released.asset.net, buyerAsset);
+        }
+
+        await this.recordTransaction(released, {
+            type: 'escrow_release',
+            userId: released.seller,
+            description: `Released from escrow for order ${await this.orderNumber(released)}`
+        });
+
+        return released;
+    }
+
+    // Add to a user's asset balance, creating the asset like the template if they don't hold it
+    async creditAsset(userId, symbol, amount, template) {
+        const details = template && template.details ? template.details : { type: 'token' };
+
+        return Asset.findOneAndUpdate(
+            { userId, symbol },
+            {
+                $inc: { balance: amount },
+                $setOnInsert: {
+                    name: template && template.name ? template.name : symbol,
+                    details: {
+                        type: details.type,
+                        chain: details.chain,
+                        decimals: details.decimals,
+                        iconUrl: details.iconUrl
+                    }
+                }
+            },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+    }
+
+    // Return held funds to escrow after a dispute ends without a full refund
+    async resumeHold(escrow, { note, changedBy } = {}) {
+        if (escrow.status !== 'disputed') {
+            return escrow;
+        }
+
+        return (await this.transition(escrow, 'held', { note, changedBy })) || escrow;
+    }
+
+    // Return money to the buyer. Without an amount the whole remaining escrow is
+    // refunded; a partial refund leaves the rest held, with commission and the
+    // seller's net reduced in proportion. Funds already released are taken back
+    // from the seller. method 'wallet' credits the buyer's wallet instead of the
+    // original payment method.
+    async refund(escrow, { amount, note, changedBy, method = 'original', set = {} } = {}) {
+        const refundable = roundCurrency(escrow.amount - escrow.refundedAmount, escrow.currency);
+        const refundAmount = amount == null ? refundable : roundCurrency(Number(amount), escrow.currency);
+
+        if (!(refundAmount > 0) || refundAmount > refundable) {
+            throw this.createError(`Refund must be more than 0 and at most ${refundable} ${escrow.currency}`);
+        }
+
+        const assetRefund = escrow.settlement === 'wallet'
+            ? roundAssetAmount(escrow.asset.amount * refundAmount / escrow.amount, escrow.asset.decimals)
+            : 0;
+
+        let updated;
+        if (refundAmount === refundable) {
+            updated = await this.transition(escrow, 'refunded', {
+                note,
+                changedBy,
+                set: {
+                    refundedAmount: escrow.amount,
+                    refundedAt: new Date(),
+                    commission: 0,
+                    net: 0,
+                    ...(escrow.settlement === 'wallet' ? { 'asset.net': 0 } : {}),
+                    ...set
+                }
+            });
+        } else {
+            const kept = refundable - refundAmount;
+            const fullCommission = escrow.lines.reduce((sum, line) => sum + line.commission, 0);
+            const commission = roundCurrency(Math.min(kept, fullCommission * kept / escrow.amount), escrow.currency);
+            const net = roundCurrency(kept - commission, escrow.currency);
+            const changes = {
+                refundedAmount: roundCurrency(escrow.refundedAmount + refundAmount, escrow.currency),
+                refundedAt: new Date(),
+                commission,
+                net,
+                ...set
+            };
+            if (escrow.settlement === 'wallet') {
+                changes['asset.net'] = roundAssetAmount(escrow.asset.amount * net / escrow.amount, escrow.asset.decimals);
+            }
+
+            // Matching on the refunded amount stops two refunds applying at once
+            updated = await Escrow.findOneAndUpdate(
+                { _id: escrow._id, status: { $in: ['held', 'disputed', 'released'] }, refundedAmount: escrow.refundedAmount },
+                {
+                    $set: changes,
+                    $push: {
+                        statusHistory: {
+                            status: escrow.status,
+                            note: note || `Refunded ${refundAmount} ${escrow.currency}`,
+                            changedBy,
+                            changedAt: new Date()
+                        }
+                    }
+                },
+                { new: true }
+            );
+        }
+
+        if (!updated) {
+            throw this.createError(`Escrow is ${escrow.status} or changed meanwhile and cannot be refunded`, 409);
+        }
+
+        if (escrow.status === 'released') {
+            await this.reclaimFromSeller(escrow, updated);
+        }
+
+        await this.refundBuyer(updated, refundAmount, assetRefund, method);
+
+        return updated;
+    }
+
+    // Take back what a refund removed from a seller's already released share. Payout
+    // balances follow the escrow's net on their own; wallet credits are debited here.
+    async reclaimFromSeller(before, after) {
+        if (before.settlement !== 'wallet') {
+            return;
+        }
+
+        const reclaim = roundAssetAmount(before.asset.net - after.asset.net, before.asset.decimals);
+        if (reclaim <= 0) {
+            return;
+        }
+
+        const debited = await Asset.updateOne(
+            { userId: before.seller, symbol: before.asset.symbol, balance: { $gte: reclaim } },
+            { $inc: { balance: -reclaim } }
+        );
+        if (!debited.modifiedCount) {
+            console.error(`Seller ${before.seller} no longer holds ${reclaim} ${before.asset.symbol} to cover the refund on escrow ${before._id}`);
+            return;
+        }
+
+        await this.recordTransaction(after, {
+            type: 'refund',
+            userId: before.seller,
+            assetAmount: reclaim,
+            side: 'fromAsset',
+            description: `Refund deducted for order ${await this.orderNumber(after)}`
+        });
+    }
+
+    // Wallet payments and wallet-credit refunds go straight to the buyer's assets.
+    // Card and transfer refunds are sent back through the payment provider; the ledger
+    // entry stays pending until the provider accepts it, and one it turns down waits
+    // on the admin refund queue. Orders with no payment to refund, such as cash on
+    // delivery, are refunded as wallet credit.
+    async refundBuyer(escrow, amount, assetAmount, method = 'original') {
+        const orderNumber = await this.orderNumber(escrow);
+
+        if (escrow.settlement !== 'wallet' && (method === 'wallet' || !escrow.payment)) {
+            return this.creditRefundToWallet(escrow, amount, orderNumber);
+        }
+
+        if (escrow.settlement === 'wallet') {
+            await Asset.updateOne(
+                { userId: escrow.buyer, symbol: escrow.asset.symbol },
+                { $inc: { balance: assetAmount } }
+            );
+        }
+
+        const transaction = await this.recordTransaction(escrow, {
+            type: 'refund',
+            userId: escrow.buyer,
+            status: escrow.settlement === 'wallet' ? 'completed' : 'pending',
+            amount,
+            assetAmount,
+            description: `Refund for order ${orderNumber}`
+        });
+
+        if (escrow.settlement !== 'wallet') {
+            await refundService.queue(escrow.payment, amount, { note: `Refund for order ${orderNumber}` });
+        }
+
+        return transaction;
+    }
+
+    // Credit a refund on a card or transfer order to the buyer's wallet at today's price
+    async creditRefundToWallet(escrow, amount, orderNumber) {
+        const prices = await priceService.getPrices([REFUND_WALLET_ASSET]);
+        const price = prices[REFUND_WALLET_ASSET] && prices[REFUND_WALLET_ASSET].usd;
+        if (!price || price <= 0) {
+            throw this.createError(`No price is available for ${REFUND_WALLET_ASSET} right now. Please try again shortly.`, 503);
+        }
+
+        const { rate } = await fxService.getRate(escrow.currency, 'USD');
+        const usdValue = roundCurrency(amount * rate, 'USD');
+        const units = roundAssetAmount(usdValue / price, WALLET_ASSET_DECIMALS);
+
+        await this.creditAsset(escrow.buyer, REFUND_WALLET_ASSET, units, {
+            name: REFUND_WALLET_ASSET,
+            details: { type: 'stablecoin' }
+        });
+
+        return Transaction.create({
+            userId: escrow.buyer,
+            type: 'refund',
+            status: 'completed',
+            toAsset: { symbol: REFUND_WALLET_ASSET, amount: units },
+            amount: units,
+            usdValue,
+            blockchain: 'internal',
+            order: escrow.order,
+            payment: escrow.payment,
+            escrow: escrow._id,
+            metadata: { exchangeRate: price },
+            description: `Refund for order ${orderNumber} as wallet credit`,
+            completedAt: new Date()
+        });
+    }
+
+    // Refund everything still in escrow for an order, e.g. when it is cancelled
+    async refundForOrder(order, { note, changedBy } = {}) {
+        const escrows = await Escrow.find({ order: order._id, status: { $in: ['held', 'disputed'] } });
+
+        for (const escrow of escrows) {
+            await this.refund(escrow, { note, changedBy });
+        }
+
+        return escrows.length;
+    }
+
+    // Buyer confirms they received the delivered parts of an order
+    async confirmDelivery(order, { changedBy } = {}) {
+        const delivered = await SellerOrder.find({ order: order._id, status: 'delivered' }).select('_id');
+        const escrows = await Escrow.find({
+            sellerOrder: { $in: delivered.map(subOrder => subOrder._id) },
+            status: 'held'
+        });
+
+        if (escrows.length === 0) {
+            throw this.createError('There are no delivered items awaiting confirmation');
+        }
+
+        const released = [];
+        for (const escrow of escrows) {
+            released.push(await this.release(escrow, { note: 'Delivery confirmed by buyer', changedBy }));
+        }
+
+        return released;
+    }
+
+    // Freeze escrowed funds while the buyer and seller sort out a problem
+    async openDispute(escrow, { reason, openedBy }) {
+        if (!reason || !reason.trim()) {
+            throw this.createError('A reason is required to open a dispute');
+        }
+
+        const disputed = await this.transition(escrow, 'disputed', {
+            note: reason,
+            changedBy: openedBy,
+            set: {
+                dispute: { reason: reason.trim(), openedBy, openedAt: new Date() }
+            }
+        });
+        if (!disputed) {
+            throw this.createError(`Escrow is ${escrow.status} and cannot be disputed`, 409);
+        }
+
+        return disputed;
+    }
+
+    // Admin decision on a dispute: release to the seller, refund the buyer, or split
+    async resolveDispute(escrow, { resolution, amount, note, resolvedBy }) {
+        if (escrow.status !== 'disputed') {
+            throw this.createError('Only disputed escrow can be resolved');
+        }
+
+        if (!['release', 'refund', 'partial_refund'].includes(resolution)) {
+            throw this.createError('Resolution must be release, refund or partial_refund');
+        }
+
+        const resolved = {
+            'dispute.resolution': resolution,
+            'dispute.resolvedBy': resolvedBy,
+            'dispute.resolvedAt': new Date(),
+            'dispute.note': note
+        };
+
+        if (resolution === 'release') {
+            return this.release(escrow, {
+                note: note || 'Dispute resolved in favour of the seller',
+                changedBy: resolvedBy,
+                set: resolved
+            });
+        }
+
+        if (resolution === 'refund') {
+            return this.refund(escrow, {
+                note: note || 'Dispute resolved in favour of the buyer',
+                changedBy: resolvedBy,
+                set: resolved
+            });
+        }
+
+        // Refund part to the buyer and release what is left to the seller
+        if (resolution === 'partial_refund') {
+            if (amount == null) {
+                throw this.createError('Amount is required for a partial refund');
+            }
+
+            // A full refund would leave nothing to release
+            const refundable = roundCurrency(escrow.amount - escrow.refundedAmount, escrow.currency);
+            if (roundCurrency(Number(amount), escrow.currency) >= refundable) {
+                throw this.createError(`A partial refund must be less than ${refundable} ${escrow.currency}; use the refund resolution to refund everything`);
+            }
+
+            const refunded = await this.refund(escrow, {
+                amount,
+                note: `Dispute settled with a partial refund of ${amount} ${escrow.currency}`,
+                changedBy: resolvedBy
+            });
+
+            return this.release(refunded, {
+                note: note || 'Dispute settled with a partial refund',
+                changedBy: resolvedBy,
+                set: resolved
+            });
+        }
+    }
+
+    // Release escrow whose post-delivery window has passed without a dispute
+    async releaseDue() {
+        const due = await Escrow.find({ status: 'held', releaseAfter: { $lte: new Date() } }).limit(200);
+
+        let released = 0;
+        for (const escrow of due) {
+            try {
+                await this.release(escrow, { note: `Released automatically ${ESCROW_AUTO_RELEASE_DAYS} days after delivery` });
+                released += 1;
+            } catch (error) {
+                console.error(`Failed to release escrow ${escrow._id}:`, error.message);
+            }
+        }
+
+        return { released };
+    }
+
+    // Order number for ledger descriptions
+    async orderNumber(escrow) {
+        const order = await Order.findById(escrow.order).select('orderNumber').lean();
+        return order ? order.orderNumber : escrow.order.toString();
+    }
+}
+
+module.exports = new EscrowService();
@@ -0,0 +1,159 @@
+const axios = require('axios');
+const NodeCache = require('node-cache');
+const ExchangeRate = require('../models/ExchangeRate');
+const {
+    BASE_CURRENCY,
+    SUPPORTED_CURRENCIES,
+    FALLBACK_RATES,
+    FX_PROVIDER_URL,
+    FX_CACHE_TTL,
+    FX_RETRY_AFTER
+} = require('../config/currency');
+const { getExchangeRate, getRateSource } = require('../utils/currency');
+
+class FxService {
+    constructor() {
+        this.cache = new NodeCache({ stdTTL: FX_CACHE_TTL });
+        // Last good provider response, kept without expiry for outages
+        this.lastProviderRates = null;
+        // Fetch in progress, shared by callers that arrive while it runs
+        this.pendingFetch = null;
+    }
+
+    // Helper to build an error carrying an HTTP status code
+    createError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    // Fetch base-currency rates from the provider, cached. During an outage the
+    // last good rates (or null) are returned without asking again until FX_RETRY_AFTER.
+    async getProviderRates() {
+        const cached = this.cache.get('provider_rates');
+        if (cached) {
+            return cached;
+        }
+
+        if (this.cache.get('provider_failed')) {
+            return this.lastProviderRates;
+        }
+
+        if (!this.pendingFetch) {
+            this.pendingFetch = this.fetchProviderRates().finally(() => {
+                this.pendingFetch = null;
+            });
+        }
+
+        return this.pendingFetch;
+    }
+
+    async fetchProviderRates() {
+        try {
+            const response = await axios.get(FX_PROVIDER_URL, { timeout: 5000 });
+            const providerRates = response.data && response.data.rates;
+
+            if (!providerRates) {
+                throw new Error('Provider returned no rates');
+            }
+
+            const rates = {};
+            SUPPORTED_CURRENCIES.forEach(currency => {
+                if (providerRates[currency] > 0) {
+                    rates[currency] = providerRates[currency];
+                }
+            });
+
+            const result = { rates, fetchedAt: new Date() };
+            this.cache.set('provider_rates', result);
+            this.lastProviderRates = result;
+
+            return result;
+        } catch (error) {
+            console.error('Error fetching exchange rates:', error.message);
+            this.cache.set('provider_failed', true, FX_RETRY_AFTER);
+            return this.lastProviderRates;
+        }
+    }
+
+    // Active manual overrides keyed by currency
+    async getOverrides() {
+        const now = new Date();
+        const overrides = await ExchangeRate.find({
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+        }).lean();
+
+        const byCurrency = {};
+        overrides.forEach(override => {
+            byCurrency[override.currency] = override;
+        });
+
+        return byCurrency;
+    }
+
+    // Current rate table: manual overrides, then provider rates, then fallback rates
+    async getRates() {
+        const [provider, overrides] = await Promise.all([
+            this.getProviderRates(),
+            this.getOverrides()
+        ]);
+
+        const rates = {};
+        const sources = {};
+
+        SUPPORTED_CURRENCIES.forEach(currency => {
+            if (currency === BASE_CURRENCY) {
+                rates[currency] = 1;
+                sources[currency] = 'base';
+            } else if (overrides[currency]) {
+                rates[currency] = overrides[currency].rate;
+                sources[currency] = 'manual';
+            } else if (provider && provider.rates[currency]) {
+                rates[currency] = provider.rates[currency];
+                sources[currency] = 'provider';
+            } else {
+                rates[currency] = FALLBACK_RATES[currency];
+                sources[currency] = 'fallback';
+            }
+        });
+
+        return {
+            base: BASE_CURRENCY,
+            rates,
+            sources,
+            fetchedAt: provider ? provider.fetchedAt : null
+        };
+    }
+
+    // Rate for converting one currency to another, with where it came from
+    async getRate(from, to) {
+        if (!SUPPORTED_CURRENCIES.includes(from) || !SUPPORTED_CURRENCIES.includes(to)) {
+            throw this.createError(`Unsupported currency conversion from ${from} to ${to}`);
+        }
+
+        const table = await this.getRates();
+
+        return {
+            from,
+            to,
+            rate: getExchangeRate(table.rates, from, to),
+            source: getRateSource(table.sources, from, to)
+        };
+    }
+
+    // Set or replace the manual override for a currency
+    async setOverride(currency, { rate, expiresAt, note, setBy }) {
+        return ExchangeRate.findOneAndUpdate(
+            { currency: currency.toUpperCase() },
+            { rate, expiresAt: expiresAt || null, note, setBy },
+            { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+    }
+
+    // Remove the manual override so provider rates apply again
+    async removeOverride(currency) {
+        return ExchangeRate.findOneAndDelete({ currency: currency.toUpperCase() });
+    }
+}
+
+module.exports = new FxService();
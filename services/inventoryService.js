@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const InventoryMovement = require('../models/InventoryMovement');
+const Product = require('../models/Product');
+const notificationService = require('./notificationService');
+
+class InventoryService {
+    constructor() {
+        // Ledger entries are written by the Product model as stock changes;
+        // here a change only needs the low stock alert checked
+        Product.events.on('stockChanged', (product) => {
+            this.checkLowStock(product)
+                .catch(error => console.error(`Low stock check failed for product ${product._id}:`, error));
+        });
+    }
+
+    // Helper to build an error carrying an HTTP status code
+    createError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    // Alert the seller once when stock falls to the threshold, and re-arm
+    // the alert when it is restocked above it
+    async checkLowStock(product) {
+        const threshold = product.lowStockThreshold;
+        if (threshold === null || threshold === undefined) {
+            return;
+        }
+
+        if (product.stock > threshold) {
+            await Product.updateOne(
+                { _id: product._id, lowStockNotifiedAt: { $ne: null } },
+                { lowStockNotifiedAt: null }
+            );
+            return;
+        }
+
+        // Only the first writer to claim the alert sends it
+        const claimed = await Product.updateOne(
+            { _id: product._id, lowStockNotifiedAt: null },
+            { lowStockNotifiedAt: new Date() }
+        );
+        if (claimed.modifiedCount === 0) {
+            return;
+        }
+
+        try {
+            await notificationService.notify(product.userId._id || product.userId, {
+                type: 'low_stock',
+                title: product.stock === 0 ? 'Product out of stock' : 'Product running low',
+                message: `"${product.name}" has ${product.stock} left in stock (alert level ${threshold}).`,
+                data: { product: product._id, stock: product.stock, threshold }
+            }, { email: true });
+        } catch (error) {
+            console.error(`Failed to send low stock alert for product ${product._id}:`, error);
+        }
+    }
+
+    // Build the ledger query for a seller (or everyone, for admins)
+    buildQuery({ sellerId, productId, type, from, to }) {
+        const query = {};
+        if (sellerId) query.seller = new mongoose.Types.ObjectId(sellerId);
+        if (productId) query.product = new mongoose.Types.ObjectId(productId);
+
+        if (type) {
+            if (!InventoryMovement.MOVEMENT_TYPES.includes(type)) {
+                throw this.createError(`Movement type must be one of: ${InventoryMovement.MOVEMENT_TYPES.join(', ')}`);
+            }
+            query.type = type;
+        }
+
+        if (from || to) {
+            query.createdAt = {};
+            if (from) query.createdAt.$gte = this.parseDate(from, 'from');
+            if (to) query.createdAt.$lte = this.parseDate(to, 'to');
+        }
+
+        return query;
+    }
+
+    // Parse a report date, failing with a 400 on junk input
+    parseDate(value, name) {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw this.createError(`Invalid ${name} date`);
+        }
+
+        // A bare end date covers the whole day
+        if (name === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            date.setUTCHours(23, 59, 59, 999);
+        }
+
+        return date;
+    }
+
+    // Movements over a date range with totals per movement type
+    async getMovementReport(filters, { page = 1, limit = 50 } = {}) {
+        if (filters.productId && !mongoose.Types.ObjectId.isValid(filters.productId)) {
+            throw this.createError('Invalid product ID');
+        }
+        if (filters.sellerId && !mongoose.Types.ObjectId.isValid(filters.sellerId)) {
+            throw this.createError('Invalid seller ID');
+        }
+
+        const query = this.buildQuery(filters);
+
+        const [movements, total, totals] = await Promise.all([
+            InventoryMovement.find(query)
+                .populate('product', 'name images')
+                .populate('actor', 'name email')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(parseInt(limit))
+                .lean(),
+            InventoryMovement.countDocuments(query),
+            InventoryMovement.aggregate([
+                { $match: query },
+                {
+                    $group: {
+                        _id: '$type',
+                        movements: { $sum: 1 },
+                        unitsIn: { $sum: { $cond: [{ $gt: ['$quantity', 0] }, '$quantity', 0] } },
+                        unitsOut: { $sum: { $cond: [{ $lt: ['$quantity', 0] }, { $abs: '$quantity' }, 0] } },
+                        net: { $sum: '$quantity' }
+                    }
+                },
+                { $sort: { _id: 1 } }
+            ])
+        ]);
+
+        const summary = totals.map(({ _id, ...rest }) => ({ type: _id, ...rest }));
+
+        return {
+            movements,
+            total,
+            summary,
+            net: summary.reduce((sum, entry) => sum + entry.net, 0)
+        };
+    }
+
+    // Products at or below their low stock threshold
+    async getLowStockProducts(sellerId) {
+        return Product.find({
+            userId: sellerId,
+            status: { $in: ['active', 'sold_out', 'inactive'] },
+            lowStockThreshold: { $ne: null },
+            $expr: { $lte: ['$stock', '$lowStockThreshold'] }
+        })
+            .select('name images stock lowStockThreshold lowStockNotifiedAt status variants.sku variants.stock variants.attributes')
+            .sort({ stock: 1 })
+            .lean();
+    }
+}
+
+module.exports = new InventoryService();
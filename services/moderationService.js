@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const Product = require('../models/Product');
+const notificationService = require('./notificationService');
+const { MODERATION_MODE, BANNED_KEYWORDS } = require('../config/moderation');
+const { normalizeText, escapeRegex } = require('../utils/search');
+
+// Listing fields whose change means the listing has to be screened again
+const CONTENT_FIELDS = ['name', 'description', 'companyName', 'images', 'attributes', 'metadata.tags'];
+
+const bannedPatterns = BANNED_KEYWORDS.map(word => ({
+    word,
+    regex: new RegExp(`(^| )${escapeRegex(normalizeText(word))}( |$)`)
+}));
+
+class ModerationService {
+    // Helper to build an error carrying an HTTP status code
+    createError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    // SHA-256 of an uploaded image, used to spot the same photo on other listings
+    hashImage(file) {
+        return file && file.buffer
+            ? crypto.createHash('sha256').update(file.buffer).digest('hex')
+            : undefined;
+    }
+
+    // Whether a new listing from this seller has to wait for an admin
+    requiresReview(seller) {
+        if (MODERATION_MODE === 'all') return true;
+        if (MODERATION_MODE === 'off') return false;
+        return !seller || seller.verificationStatus !== 'verified';
+    }
+
+    // Banned keywords found anywhere in the listing text
+    findBannedKeywords(product) {
+        const text = normalizeText([
+            product.name,
+            product.description,
+            product.companyName,
+            ...product.attributes.map(attribute => attribute.value),
+            ...((product.metadata && product.metadata.tags) || [])
+        ].join(' '));
+
+        return bannedPatterns
+            .filter(pattern => pattern.regex.test(text))
+            .map(pattern => ({ type: 'banned_keyword', detail: pattern.word }));
+    }
+
+    // Images that also appear on another seller's listing. Sellers reusing
+    // their own photos across listings is normal, so those aren't flagged.
+    async findDuplicateImages(product) {
+        const hashes = product.images.map(image => image.hash).filter(Boolean);
+        if (hashes.length === 0) {
+            return [];
+        }
+
+        const others = await Product.find({
+            _id: { $ne: product._id },
+            userId: { $ne: product.userId },
+            'images.hash': { $in: hashes }
+        })
+            .select('name')
+            .limit(10)
+            .lean();
+
+        return others.map(other => ({
+            type: 'duplicate_image',
+            detail: `Image also used on "${other.name}"`,
+            relatedProduct: other._id
+        }));
+    }
+
+    // Run the automatic checks on a listing
+    async scanProduct(product) {
+        const duplicates = await this.findDuplicateImages(product);
+        return [...this.findBannedKeywords(product), ...duplicates];
+    }
+
+    // Decide whether a new or edited listing goes live or waits in the queue.
+    // New listings from sellers needing review, flagged listings and edits to
+    // rejected listings go to pending_review. Returns true if it was queued.
+    async screenListing(product, seller) {
+        const flags = await this.scanProduct(product);
+        const wasRejected = product.moderation && product.moderation.decision === 'rejected';
+        const needsReview = flags.length > 0 || wasRejected ||
+            (product.isNew && this.requiresReview(seller));
+
+        product.set('moderation.flags', flags);
+
+        if (needsReview) {
+            if (product.status !== 'pending_review') {
+                product.status = 'pending_review';
+                product.set('moderation.submittedAt', new Date());
+            }
+            product.set('moderation.decision', undefined);
+            product.set('moderation.reason', undefined);
+        } else if (product.isNew) {
+            product.status = 'active';
+        }
+
+        return needsReview;
+    }
+
+    // Screen an existing listing again if its content changed
+    async screenIfChanged(product, seller) {
+        if (!CONTENT_FIELDS.some(field => product.isModified(field))) {
+            return product.status === 'pending_review';
+        }
+
+        return this.screenListing(product, seller);
+    }
+
+    // Publish a listing from the queue
+    async approve(product, admin, reason) {
+        if (product.status !== 'pending_review') {
+            throw this.createError('Only listings awaiting review can be approved');
+        }
+
+        product.status = product.stock > 0 ? 'active' : 'sold_out';
+        product.moderation.decision = 'approved';
+        product.moderation.reason = reason;
+        product.moderation.reviewedBy = admin._id;
+        product.moderation.reviewedAt = new Date();
+        await product.save();
+
+        await this.notifySeller(product, {
+            type: 'product_approved',
+            title: 'Your listing is live',
+            message: `"${product.name}" has been approved and is now visible in the marketplace.${reason ? ` Note: ${reason}` : ''}`
+        });
+
+        return product;
+    }
+
+    // Turn a listing down; the seller can edit it to resubmit
+    async reject(product, admin, reason) {
+        if (product.status !== 'pending_review') {
+            throw this.createError('Only listings awaiting review can be rejected');
+        }
+
+        if (!reason || !reason.trim()) {
+            throw this.createError('A reason is required to reject a listing');
+        }
+
+        product.status = 'inactive';
+        product.moderation.decision = 'rejected';
+        product.moderation.reason = reason;
+        product.moderation.reviewedBy = admin._id;
+        product.moderation.reviewedAt = new Date();
+        await product.save();
+
+        await this.notifySeller(product, {
+            type: 'product_rejected',
+            title: 'Your listing was not approved',
+            message: `"${product.name}" was not approved: ${reason}. Update the listing to submit it again.`
+        });
+
+        return product;
+    }
+
+    async notifySeller(product, { type, title, message }) {
+        try {
+            await notificationService.notify(product.userId, {
+                type,
+                title,
+                message,
+                data: { product: product._id }
+            }, { email: true });
+        } catch (error) {
+            // The decision stands even if the seller can't be notified
+            console.error(`Failed to notify seller about product ${product._id}:`, error);
+        }
+    }
+}
+
+module.exports = new ModerationService();
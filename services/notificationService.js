@@ -0,0 +1,39 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const emailService = require('./emailService');
+
+class NotificationService {
+    // Create an in-app notification and optionally email it to the user
+    async notify(userId, { type, title, message, data = {} }, { email = false } = {}) {
+        const notification = await Notification.create({
+            user: userId,
+            type,
+            title,
+            message,
+            data
+        });
+
+        if (email) {
+            try {
+                const user = await User.findById(userId).select('name email');
+                if (user && user.email) {
+                    await emailService.sendMail({
+                        to: user.email,
+                        subject: title,
+                        text: `Hi ${user.name || 'there'},\n\n${message || title}`
+                    });
+
+                    notification.emailSentAt = new Date();
+                    await notification.save();
+                }
+            } catch (error) {
+                // The in-app notification still stands if the email fails
+                console.error(`Failed to email notification ${notification._id}:`, error);
+            }
+        }
+
+        return notification;
+    }
+}
+
+module.exports = new NotificationService();
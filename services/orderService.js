@@ -0,0 +1,295 @@
+const Order = require('../models/Order');
+const SellerOrder = require('../models/SellerOrder');
+const Product = require('../models/Product');
+const couponService = require('./couponService');
+const shippingService = require('./shippingService');
+const fxService = require('./fxService');
+const cartReconciliationService = require('./cartReconciliationService');
+const escrowService = require('./escrowService');
+const { PAY_ON_DELIVERY_METHODS } = require('../config/payments');
+
+class OrderService {
+    // Helper to build an error carrying an HTTP status code
+    createError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    // Check every cart line against the current product before checkout
+    async loadCartProducts(cart) {
+        const productIds = cart.items.map(item => item.product._id || item.product);
+        const products = await Product.find({ _id: { $in: productIds } });
+
+        const productsById = {};
+        products.forEach(product => {
+            productsById[product._id.toString()] = product;
+        });
+
+        for (const item of cart.items) {
+            const product = productsById[(item.product._id || item.product).toString()];
+
+            if (!product || product.status !== 'active') {
+                throw this.createError(`Product "${product ? product.name : item.product}" is no longer available`);
+            }
+
+            const option = product.resolvePurchaseOption(item.selectedAttributes, item.variant);
+            if (!option) {
+                throw this.createError(`The selected options for "${product.name}" are no longer available`);
+            }
+
+            if (option.stock < item.quantity) {
+                throw this.createError(`Only ${option.stock} items available for "${product.name}"`);
+            }
+        }
+
+        return productsById;
+    }
+
+    // Reserve and decrement stock for every cart line, rolling back on failure
+    async reserveCartStock(cart, order) {
+        const reserved = [];
+        const context = { type: 'sale', actor: cart.user, order: order._id };
+
+        try {
+            for (const item of cart.items) {
+                const productId = item.product._id || item.product;
+                const product = await Product.reserveStock(productId, item.quantity, item.variant, context);
+
+                if (!product) {
+                    const current = await Product.findById(productId).select('name stock variants');
+                    const variant = current && item.variant ? current.variants.id(item.variant) : null;
+                    const available = variant ? variant.stock : current && current.stock;
+                    throw this.createError(current
+                        ? `Only ${available} items available for "${current.name}"`
+                        : 'A product in your cart is no longer available', 409);
+                }
+
+                reserved.push({ product: productId, variant: item.variant, quantity: item.quantity });
+            }
+        } catch (error) {
+            await this.releaseStock(reserved, { order: order._id, reason: 'Checkout failed' });
+            throw error;
+        }
+
+        return reserved;
+    }
+
+    // Return reserved stock to the products; context ({ actor, reason, order }) goes to the inventory ledger
+    async releaseStock(lines, context = {}) {
+        for (const line of lines) {
+            try {
+                await Product.releaseStock(line.product._id || line.product, line.quantity, line.variant, context);
+            } catch (error) {
+                console.error(`Failed to release stock for product ${line.product}:`, error);
+            }
+        }
+    }
+
+    // Create a persisted order from the user's active cart
+    async createOrderFromCart(cart) {
+        if (cart.isEmpty()) {
+            throw this.createError('Cannot convert empty cart to order');
+        }
+
+        if (!cart.shippingAddress || !cart.shippingAddress.address) {
+            throw this.createError('Shipping address is required');
+        }
+
+        if (!cart.paymentMethod) {
+            throw this.createError('Payment method is required');
+        }
+
+        // Stop if prices, stock or availability changed so the buyer can review the cart
+        const changes = await cartReconciliationService.reconcile(cart);
+        if (changes.length) {
+            const error = this.createError('Your cart has changed since you last viewed it. Please review it before checking out.', 409);
+            error.changes = changes;
+            throw error;
+        }
+
+        const productsById = await this.loadCartProducts(cart);
+
+        // Reprice with current exchange rates; the order keeps the rates used
+        cart.applyExchangeRates(await fxService.getRates());
+
+        // Re-quote shipping so the order carries the current cost and delivery window
+        const shippingQuote = await shippingService.quoteMethod(cart, cart.shippingMethod);
+        cart.applyShippingQuote(shippingQuote);
+
+        // Re-check the coupon since it may have changed since it was applied
+        let coupon = null;
+        if (cart.appliedCoupon && cart.appliedCoupon.code) {
+            coupon = await couponService.validateForCart(cart.appliedCoupon.code, cart, cart.user);
+        }
+
+        // Built before stock is taken so ledger entries can point at the order
+        const order = Order.buildFromCart(cart, productsById);
+        const reserved = await this.reserveCartStock(cart, order);
+
+        try {
+            await order.save();
+
+            const subOrders = SellerOrder.buildForOrder(order);
+            await SellerOrder.insertMany(subOrders);
+
+            if (coupon) {
+                await couponService.redeemForOrder(coupon, order);
+            }
+        } catch (error) {
+            if (!order.isNew) {
+                await Promise.all([
+                    SellerOrder.deleteMany({ order: order._id }),
+                    Order.deleteOne({ _id: order._id })
+                ]);
+            }
+            await this.releaseStock(reserved, { order: order._id, reason: 'Checkout failed' });
+            throw error;
+        }
+
+        await cart.convertToOrder(order);
+
+        return order;
+    }
+
+    // Move an order to a new status and apply its side effects
+    async updateStatus(order, status, { note, changedBy } = {}) {
+        // Cash on delivery orders ship before they are paid; their goods can't come back into stock
+        if (status === 'cancelled') {
+            const shipped = await SellerOrder.exists({ order: order._id, status: { $in: ['shipped', 'delivered'] } });
+            if (shipped) {
+                throw this.createError('Order cannot be cancelled once it has shipped');
+            }
+        }
+
+        order.transitionTo(status, { note, changedBy });
+        await order.save();
+
+        // Sellers are paid from escrow once delivery is confirmed. The status change
+        // stands if this fails; the error is logged for finance to follow up.
+        if (status === 'paid') {
+            await escrowService.holdForOrder(order).catch(error => {
+                console.error(`Failed to hold escrow for order ${order.orderNumber}:`, error);
+            });
+
+            // Cash on delivery orders may already be on their way when the cash comes in
+            await this.rollUpOrderStatus(order, { changedBy });
+        }
+
+        if (['cancelled', 'refunded'].includes(status)) {
+            await escrowService.refundForOrder(order, {
+                note: note || `Order ${status}`,
+                changedBy
+            }).catch(error => {
+                console.error(`Failed to refund escrow for order ${order.orderNumber}:`, error);
+            });
+        }
+
+        if (status === 'cancelled') {
+            await this.releaseStock(order.items, {
+                actor: changedBy,
+                reason: note || 'Order cancelled',
+                order: order._id
+            });
+            await this.cancelSubOrders(order, { note, changedBy });
+            await couponService.releaseForOrder(order);
+        }
+
+        return order;
+    }
+
+    // Cancel every open sub-order of a cancelled order
+    async cancelSubOrders(order, { note, changedBy } = {}) {
+        const subOrders = await SellerOrder.find({ order: order._id });
+
+        for (const subOrder of subOrders) {
+            if (subOrder.canTransitionTo('cancelled')) {
+                subOrder.transitionTo('cancelled', { note, changedBy });
+                await subOrder.save();
+            }
+        }
+    }
+
+    // Move a seller's sub-order forward and roll the change up to the buyer's order
+    async updateSubOrderStatus(subOrder, status, { note, changedBy, tracking } = {}) {
+        const order = await Order.findById(subOrder.order);
+        if (!order) {
+            throw this.createError('Order not found', 404);
+        }
+
+        // Cash on delivery orders are paid when they arrive, so sellers fulfil them unpaid
+        const fulfillable = ['paid', 'processing'].includes(order.status) ||
+            (order.status === 'pending_payment' && PAY_ON_DELIVERY_METHODS.includes(order.paymentMethod));
+        if (status === 'accepted' && !fulfillable) {
+            throw this.createError(`Order cannot be accepted while it is ${order.status}`);
+        }
+
+        subOrder.transitionTo(status, { note, changedBy });
+        if (tracking) {
+            subOrder.tracking = { ...subOrder.tracking, ...tracking };
+        }
+        await subOrder.save();
+
+        if (status === 'delivered') {
+            await escrowService.scheduleRelease(subOrder);
+        }
+
+        await this.rollUpOrderStatus(order, { changedBy });
+
+        return subOrder;
+    }
+
+    // Derive the buyer's order status from its sub-orders
+    async rollUpOrderStatus(order, { changedBy } = {}) {
+        const subOrders = await SellerOrder.find({
+            order: order._id,
+            status: { $ne: 'cancelled' }
+        });
+
+        if (subOrders.length === 0) {
+            return order;
+        }
+
+        let target = 'paid';
+        if (subOrders.every(sub => sub.status === 'delivered')) {
+            target = 'delivered';
+        } else if (subOrders.every(sub => ['shipped', 'delivered'].includes(sub.status))) {
+            target = 'shipped';
+        } else if (subOrders.some(sub => sub.status !== 'pending')) {
+            target = 'processing';
+        }
+
+        // Step through each intermediate status so history stays complete
+        const progression = ['paid', 'processing', 'shipped', 'delivered'];
+        let current = progression.indexOf(order.status);
+        const targetIndex = progression.indexOf(target);
+
+        if (current === -1 || targetIndex <= current) {
+            return order;
+        }
+
+        while (current < targetIndex) {
+            current += 1;
+            order.transitionTo(progression[current], {
+                note: 'Updated from seller fulfilment',
+                changedBy
+            });
+        }
+
+        return order.save();
+    }
+
+    // Cancel an order on behalf of the buyer
+    async cancelOrder(order, { reason, cancelledBy } = {}) {
+        if (!Order.BUYER_CANCELLABLE_STATUSES.includes(order.status)) {
+            throw this.createError(`Order cannot be cancelled once it is ${order.status}`);
+        }
+
+        return this.updateStatus(order, 'cancelled', {
+            note: reason || 'Cancelled by buyer',
+            changedBy: cancelledBy
+        });
+    }
+}
+
+module.exports = new OrderService();
@@ -0,0 +1,80 @@
+// Local stand-in for a payment provider, for development and tests.
+// Payments are completed by posting a signed event to our own webhook.
+const { PROVIDERS, PAYMENT_CALLBACK_URL } = require('../../config/payments');
+const { hmacHex, safeCompare } = require('../../utils/signature');
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+class FakeProvider {
+    constructor() {
+        this.name = 'fake';
+    }
+
+    isEnabled() {
+        return PROVIDERS.fake.enabled;
+    }
+
+    async initialize({ reference, callbackUrl }) {
+        return {
+            authorizationUrl: `${callbackUrl || PAYMENT_CALLBACK_URL}?reference=${encodeURIComponent(reference)}&provider=fake`,
+            accessCode: `fake_${reference}`,
+            providerReference: `fake_${reference}`
+        };
+    }
+
+    async refund({ reference }) {
+        return { providerReference: `fake_refund_${reference}_${Date.now()}` };
+    }
+
+    sign(rawBody) {
+        return hmacHex('sha512', PROVIDERS.fake.secret, rawBody);
+    }
+
+    verifyWebhook(rawBody, headers) {
+        return Boolean(rawBody) && safeCompare(headers[SIGNATURE_HEADER], this.sign(rawBody));
+    }
+
+    parseWebhook(payload) {
+        const data = payload && payload.data;
+        if (!data || !data.reference) {
+            return null;
+        }
+
+        const statuses = { 'charge.success': 'succeeded', 'charge.failed': 'failed' };
+        if (!statuses[payload.event]) {
+            return null;
+        }
+
+        return {
+            eventId: String(data.id),
+            reference: data.reference,
+            status: statuses[payload.event],
+            amount: Number(data.amount),
+            currency: data.currency,
+            providerReference: `fake_${data.reference}`,
+            failureReason: data.gateway_response
+        };
+    }
+
+    // Build the signed webhook the fake provider would send for a payment
+    buildWebhook(payment, status = 'succeeded') {
+        const payload = {
+            event: status === 'succeeded' ? 'charge.success' : 'charge.failed',
+            data: {
+                id: `${payment.reference}_${status}`,
+                reference: payment.reference,
+                amount: payment.amount,
+                currency: payment.currency,
+                gateway_response: status === 'succeeded' ? 'Approved' : 'Declined'
+            }
+        };
+        const rawBody = Buffer.from(JSON.stringify(payload));
+
+        return {
+            rawBody,
+            headers: { [SIGNATURE_HEADER]: this.sign(rawBody) }
+        };
+    }
+}
+
+module.exports = new FakeProvider();
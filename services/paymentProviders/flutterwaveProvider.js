@@ -0,0 +1,85 @@
+// Flutterwave: amounts are in major units and webhooks carry the dashboard
+// secret hash in the verif-hash header.
+const axios = require('axios');
+const { PROVIDERS } = require('../../config/payments');
+const { safeCompare } = require('../../utils/signature');
+
+const config = PROVIDERS.flutterwave;
+
+class FlutterwaveProvider {
+    constructor() {
+        this.name = 'flutterwave';
+    }
+
+    isEnabled() {
+        return Boolean(config.secretKey && config.webhookHash);
+    }
+
+    async initialize({ reference, amount, currency, email, callbackUrl, metadata }) {
+        const response = await axios.post(`${config.baseUrl}/payments`, {
+            tx_ref: reference,
+            amount,
+            currency,
+            redirect_url: callbackUrl,
+            customer: { email },
+            meta: metadata
+        }, {
+            headers: { Authorization: `Bearer ${config.secretKey}` },
+            timeout: 10000
+        });
+
+        return {
+            authorizationUrl: response.data.data.link,
+            accessCode: null,
+            providerReference: null
+        };
+    }
+
+    // Refunds are made against Flutterwave's own transaction id, looked up by our reference
+    async refund({ reference, amount }) {
+        const headers = { Authorization: `Bearer ${config.secretKey}` };
+
+        const transaction = await axios.get(`${config.baseUrl}/transactions/verify_by_reference`, {
+            params: { tx_ref: reference },
+            headers,
+            timeout: 10000
+        });
+
+        const response = await axios.post(`${config.baseUrl}/transactions/${transaction.data.data.id}/refund`, {
+            amount
+        }, {
+            headers,
+            timeout: 10000
+        });
+
+        return { providerReference: String(response.data.data.id) };
+    }
+
+    verifyWebhook(rawBody, headers) {
+        return Boolean(rawBody) && safeCompare(headers['verif-hash'], config.webhookHash);
+    }
+
+    parseWebhook(payload) {
+        const data = payload && payload.data;
+        if (!data || payload.event !== 'charge.completed' || !data.tx_ref) {
+            return null;
+        }
+
+        const statuses = { successful: 'succeeded', failed: 'failed' };
+        if (!statuses[data.status]) {
+            return null;
+        }
+
+        return {
+            eventId: String(data.id),
+            reference: data.tx_ref,
+            status: statuses[data.status],
+            amount: Number(data.amount),
+            currency: data.currency,
+            providerReference: data.flw_ref,
+            failureReason: data.status === 'failed' ? data.processor_response : undefined
+        };
+    }
+}
+
+module.exports = new FlutterwaveProvider();
@@ -0,0 +1,30 @@
+// Payment provider registry.
+// A provider implements:
+//   isEnabled()                                  -> whether it is configured here
+//   initialize({ reference, amount, currency, email, callbackUrl, metadata })
+//                                                -> { authorizationUrl, accessCode, providerReference }
+//   refund({ reference, amount, currency })      -> { providerReference } once the provider accepts the refund
+//   verifyWebhook(rawBody, headers)              -> true if the webhook is authentic
+//   parseWebhook(payload)                        -> { eventId, reference, status: 'succeeded' | 'failed',
+//                                                     amount, currency, providerReference, failureReason }
+//                                                   or null for events we don't act on
+// Amounts are in major units (e.g. naira, not kobo) on our side of the interface.
+const paystackProvider = require('./paystackProvider');
+const flutterwaveProvider = require('./flutterwaveProvider');
+const fakeProvider = require('./fakeProvider');
+
+const providers = {
+    [paystackProvider.name]: paystackProvider,
+    [flutterwaveProvider.name]: flutterwaveProvider,
+    [fakeProvider.name]: fakeProvider
+};
+
+// Return a configured provider by name, or null
+const getProvider = (name) => {
+    const provider = providers[name];
+    return provider && provider.isEnabled() ? provider : null;
+};
+
+module.exports = {
+    getProvider
+};
@@ -0,0 +1,76 @@
+// Paystack: amounts are sent in the currency's subunit (kobo, pesewas, cents)
+// and webhooks are signed with HMAC-SHA512 of the body using the secret key.
+const axios = require('axios');
+const { PROVIDERS } = require('../../config/payments');
+const { hmacHex, safeCompare } = require('../../utils/signature');
+
+const config = PROVIDERS.paystack;
+
+class PaystackProvider {
+    constructor() {
+        this.name = 'paystack';
+    }
+
+    isEnabled() {
+        return Boolean(config.secretKey);
+    }
+
+    async initialize({ reference, amount, currency, email, callbackUrl, metadata }) {
+        const response = await axios.post(`${config.baseUrl}/transaction/initialize`, {
+            reference,
+            email,
+            currency,
+            amount: Math.round(amount * 100),
+            callback_url: callbackUrl,
+            metadata
+        }, {
+            headers: { Authorization: `Bearer ${config.secretKey}` },
+            timeout: 10000
+        });
+
+        const { data } = response.data;
+        return {
+            authorizationUrl: data.authorization_url,
+            accessCode: data.access_code,
+            providerReference: data.reference
+        };
+    }
+
+    async refund({ reference, amount, currency }) {
+        const response = await axios.post(`${config.baseUrl}/refund`, {
+            transaction: reference,
+            amount: Math.round(amount * 100),
+            currency
+        }, {
+            headers: { Authorization: `Bearer ${config.secretKey}` },
+            timeout: 10000
+        });
+
+        return { providerReference: String(response.data.data.id) };
+    }
+
+    verifyWebhook(rawBody, headers) {
+        return Boolean(rawBody) && safeCompare(
+            headers['x-paystack-signature'],
+            hmacHex('sha512', config.secretKey, rawBody)
+        );
+    }
+
+    parseWebhook(payload) {
+        const data = payload && payload.data;
+        if (!data || payload.event !== 'charge.success') {
+            return null;
+        }
+
+        return {
+            eventId: String(data.id),
+            reference: data.reference,
+            status: 'succeeded',
+            amount: Number(data.amount) / 100,
+            currency: data.currency,
+            providerReference: String(data.id)
+        };
+    }
+}
+
+module.exports = new PaystackProvider();
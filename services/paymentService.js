@@ -0,0 +1,280 @@
+const Payment = require('../models/Payment');
+const Order = require('../models/Order');
+const orderService = require('./orderService');
+const refundService = require('./refundService');
+const { getProvider } = require('./paymentProviders');
+const {
+    PAYMENT_PROVIDER,
+    GATEWAY_METHODS,
+    ONLINE_METHODS,
+    PAYMENT_INTENT_TTL_MINUTES,
+    PAYMENT_CALLBACK_URL
+} = require('../config/payments');
+const { roundCurrency } = require('../utils/currency');
+
+class PaymentService {
+    // Helper to build an error carrying an HTTP status code
+    createError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    // Start a payment for an order with the configured provider, or return the one still open
+    async createIntent(order, user, { callbackUrl } = {}) {
+        if (order.status !== 'pending_payment') {
+            throw this.createError(`Order is ${order.status} and cannot be paid`);
+        }
+
+        if (!GATEWAY_METHODS.includes(order.paymentMethod)) {
+            throw this.createError(`Orders paid by ${order.paymentMethod} are not collected online`);
+        }
+
+        const provider = getProvider(PAYMENT_PROVIDER);
+        if (!provider) {
+            throw this.createError(`Payment provider ${PAYMENT_PROVIDER} is not available`, 503);
+        }
+
+        const open = await Payment.findOne({
+            order: order._id,
+            provider: provider.name,
+            status: 'pending',
+            expiresAt: { $gt: new Date() }
+        }).sort({ createdAt: -1 });
+        if (open) {
+            return open;
+        }
+
+        const payment = new Payment({
+            order: order._id,
+            user: user._id,
+            provider: provider.name,
+            method: order.paymentMethod,
+            amount: order.summary.total,
+            currency: order.currency,
+            expiresAt: new Date(Date.now() + PAYMENT_INTENT_TTL_MINUTES * 60 * 1000)
+        });
+
+        let intent;
+        try {
+            intent = await provider.initialize({
+                reference: payment.reference,
+                amount: payment.amount,
+                currency: payment.currency,
+                email: user.email,
+                callbackUrl: callbackUrl || PAYMENT_CALLBACK_URL,
+                metadata: { orderId: order._id.toString(), orderNumber: order.orderNumber }
+            });
+        } catch (error) {
+            console.error(`Failed to initialize ${provider.name} payment for order ${order._id}:`, error.message);
+            throw this.createError('Could not start the payment. Please try again.', 502);
+        }
+
+        payment.authorizationUrl = intent.authorizationUrl;
+        payment.accessCode = intent.accessCode;
+        payment.providerReference = intent.providerReference;
+        await payment.save();
+
+        return payment;
+    }
+
+    // Verify a provider webhook and apply it. Repeated deliveries have no further effect.
+    // Returns { handled, duplicate, payment }.
+    async handleWebhook(providerName, rawBody, headers) {
+        const provider = getProvider(providerName);
+        if (!provider) {
+            throw this.createError('Unknown payment provider', 404);
+        }
+
+        if (!provider.verifyWebhook(rawBody, headers)) {
+            throw this.createError('Invalid webhook signature', 401);
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(rawBody.toString('utf8'));
+        } catch (error) {
+            throw this.createError('Invalid webhook payload');
+        }
+
+        const event = provider.parseWebhook(payload);
+        if (!event) {
+            return { handled: false };
+        }
+
+        const payment = await Payment.findOne({ reference: event.reference, provider: provider.name });
+        if (!payment) {
+            console.error(`Webhook from ${provider.name} for unknown payment ${event.reference}`);
+            return { handled: false };
+        }
+
+        if (payment.events.some(entry => entry.eventId === event.eventId)) {
+            return { handled: true, duplicate: true, payment };
+        }
+
+        return event.status === 'succeeded'
+            ? this.markSucceeded(payment, event)
+            : this.markFailed(payment, event);
+    }
+
+    async markSucceeded(payment, event) {
+        const entry = {
+            eventId: event.eventId,
+            status: event.status,
+            amount: event.amount,
+            currency: event.currency
+        };
+
+        // The order is only paid if the provider took what we asked for
+        const paidInFull = event.currency === payment.currency
+            && roundCurrency(event.amount, payment.currency) >= roundCurrency(payment.amount, payment.currency);
+        if (!paidInFull) {
+            const flagged = await Payment.findOneAndUpdate(
+                { _id: payment._id, status: { $ne: 'succeeded' } },
+                {
+                    $set: {
+                        status: 'failed',
+                        failureReason: `Received ${event.amount} ${event.currency}, expected ${payment.amount} ${payment.currency}`,
+                        requiresRefund: true
+                    },
+                    $push: { events: entry }
+                },
+                { new: true }
+            );
+            if (!flagged) {
+                return { handled: true, duplicate: true, payment };
+            }
+
+            // Money in another currency is left for finance to return by hand
+            const refunded = event.currency === payment.currency
+                ? await refundService.queue(flagged._id, event.amount, { note: 'Underpaid' })
+                : null;
+
+            return { handled: true, duplicate: false, payment: refunded || flagged };
+        }
+
+        // Only the first delivery moves the payment on; a failed attempt may still be paid later
+        const updated = await Payment.findOneAndUpdate(
+            { _id: payment._id, status: { $ne: 'succeeded' } },
+            {
+                $set: {
+                    status: 'succeeded',
+                    paidAt: new Date(),
+                    failureReason: null,
+                    ...(event.providerReference ? { providerReference: event.providerReference } : {})
+                },
+                $push: { events: entry }
+            },
+            { new: true }
+        );
+        if (!updated) {
+            return { handled: true, duplicate: true, payment };
+        }
+
+        await this.settleOrder(updated);
+
+        return { handled: true, duplicate: false, payment: updated };
+    }
+
+    async markFailed(payment, event) {
+        const updated = await Payment.findOneAndUpdate(
+            { _id: payment._id, status: { $in: ['pending', 'expired'] } },
+            {
+                $set: { status: 'failed', failureReason: event.failureReason || 'Payment failed' },
+                $push: {
+                    events: {
+                        eventId: event.eventId,
+                        status: event.status,
+                        amount: event.amount,
+                        currency: event.currency
+                    }
+                }
+            },
+            { new: true }
+        );
+
+        return { handled: true, duplicate: !updated, payment: updated || payment };
+    }
+
+    // Mark the order paid; money for an order that was cancelled or already paid is refunded
+    async settleOrder(payment) {
+        const order = await Order.findById(payment.order);
+        if (!order) {
+            console.error(`Payment ${payment.reference} succeeded for missing order ${payment.order}`);
+            return;
+        }
+
+        if (order.status !== 'pending_payment') {
+            console.error(`Payment ${payment.reference} succeeded for ${order.status} order ${order.orderNumber}; refunding`);
+            const refunded = await refundService.queue(payment._id, payment.amount, {
+                note: `Order was ${order.status} when the payment arrived`
+            });
+            if (refunded) {
+                payment.requiresRefund = refunded.requiresRefund;
+            }
+            return;
+        }
+
+        await orderService.updateStatus(order, 'paid', {
+            note: `Payment ${payment.reference} confirmed by ${payment.provider}`
+        });
+    }
+
+    // Simulate the fake provider's webhook for a payment (local testing only)
+    async completeFakePayment(payment, status = 'succeeded') {
+        const provider = getProvider('fake');
+        if (!provider || payment.provider !== 'fake') {
+            throw this.createError('Fake payments are not available', 404);
+        }
+
+        const { rawBody, headers } = provider.buildWebhook(payment, status);
+        return this.handleWebhook('fake', rawBody, headers);
+    }
+
+    // Expire open intents past their deadline, then cancel the orders left unpaid
+    async expireStalePayments() {
+        const result = await Payment.updateMany(
+            { status: 'pending', expiresAt: { $lt: new Date() } },
+            { status: 'expired' }
+        );
+
+        const cancelled = await this.cancelUnpaidOrders();
+
+        return { expired: result.modifiedCount, cancelled };
+    }
+
+    // Cancel online orders that have had as long as an intent lasts to be paid and
+    // have no payment still open, putting their reserved stock back. A payment
+    // confirmed after this is flagged for refund by settleOrder.
+    async cancelUnpaidOrders() {
+        const cutoff = new Date(Date.now() - PAYMENT_INTENT_TTL_MINUTES * 60 * 1000);
+        const orders = await Order.find({
+            status: 'pending_payment',
+            paymentMethod: { $in: ONLINE_METHODS },
+            createdAt: { $lt: cutoff }
+        }).limit(200);
+
+        let cancelled = 0;
+        for (const order of orders) {
+            const open = await Payment.exists({
+                order: order._id,
+                $or: [
+                    { status: { $in: ['processing', 'succeeded'] } },
+                    { status: 'pending', expiresAt: { $gt: new Date() } }
+                ]
+            });
+            if (open) continue;
+
+            try {
+                await orderService.updateStatus(order, 'cancelled', { note: 'Payment not completed in time' });
+                cancelled += 1;
+            } catch (error) {
+                console.error(`Failed to cancel unpaid order ${order.orderNumber}:`, error);
+            }
+        }
+
+        return cancelled;
+    }
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+const Escrow = require('../models/Escrow');
+const Transaction = require('../models/Transaction');
+const fxService = require('./fxService');
+const { MIN_PAYOUT_AMOUNT } = require('../config/escrow');
+const { SUPPORTED_CURRENCIES } = require('../config/currency');
+const { roundCurrency } = require('../utils/currency');
+
+// Payouts in these statuses count against the seller's balance
+const OPEN_PAYOUT_STATUSES = ['pending', 'processing', 'completed'];
+
+// Allowed status changes for a payout
+const PAYOUT_STATUS_TRANSITIONS = {
+    pending: ['processing', 'completed', 'failed', 'cancelled'],
+    processing: ['completed', 'failed']
+};
+
+class PayoutService {
+    // Helper to build an error carrying an HTTP status code
+    createError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    // Released, paid out, available and still-held amounts per currency.
+    // Wallet-paid orders are credited to the seller's assets instead and don't appear here.
+    async getBalance(sellerId) {
+        const seller = new mongoose.Types.ObjectId(sellerId);
+
+        const [escrowTotals, payoutTotals] = await Promise.all([
+            Escrow.aggregate([
+                { $match: { seller, settlement: 'payout', status: { $in: ['held', 'disputed', 'released'] } } },
+                {
+                    $group: {
+                        _id: '$currency',
+                        released: { $sum: { $cond: [{ $eq: ['$status', 'released'] }, '$net', 0] } },
+                        held: { $sum: { $cond: [{ $eq: ['$status', 'released'] }, 0, '$net'] } }
+                    }
+                }
+            ]),
+            Transaction.aggregate([
+                { $match: { userId: seller, type: 'payout', status: { $in: OPEN_PAYOUT_STATUSES } } },
+                { $group: { _id: '$fromAsset.symbol', paidOut: { $sum: '$amount' } } }
+            ])
+        ]);
+
+        const balances = {};
+        const entry = currency => {
+            if (!balances[currency]) {
+                balances[currency] = { currency, released: 0, paidOut: 0, available: 0, held: 0 };
+            }
+            return balances[currency];
+        };
+
+        escrowTotals.forEach(row => {
+            entry(row._id).released = row.released;
+            entry(row._id).held = roundCurrency(row.held, row._id);
+        });
+        payoutTotals.forEach(row => {
+            entry(row._id).paidOut = row.paidOut;
+        });
+
+        return Object.values(balances).map(balance => ({
+            ...balance,
+            released: roundCurrency(balance.released, balance.currency),
+            paidOut: roundCurrency(balance.paidOut, balance.currency),
+            available: roundCurrency(balance.released - balance.paidOut, balance.currency)
+        }));
+    }
+
+    async getAvailable(sellerId, currency) {
+        const balances = await this.getBalance(sellerId);
+        const balance = balances.find(item => item.currency === currency);
+        return balance ? balance.available : 0;
+    }
+
+    // Ask for released funds to be paid out to the seller's bank account
+    async requestPayout(seller, { amount, currency, destination = {}, note }) {
+        const value = Number(amount);
+        if (!SUPPORTED_CURRENCIES.includes(currency)) {
+            throw this.createError(`Unsupported currency: ${currency}`);
+        }
+        if (!Number.isFinite(value) || value < MIN_PAYOUT_AMOUNT) {
+            throw this.createError(`Payout amount must be at least ${MIN_PAYOUT_AMOUNT} ${currency}`);
+        }
+
+        const { bankName, accountNumber, accountName } = destination;
+        if (!bankName || !accountNumber || !accountName) {
+            throw this.createError('Bank name, account number and account name are required');
+        }
+
+        const payoutAmount = roundCurrency(value, currency);
+        const available = await this.getAvailable(seller._id, currency);
+        if (payoutAmount > available) {
+            throw this.createError(`Payout exceeds your available balance of ${available} ${currency}`);
+        }
+
+        const { rate } = await fxService.getRate(currency, 'USD');
+        const accountLastFour = String(accountNumber).replace(/\D/g, '').slice(-4);
+
+        const payout = await Transaction.create({
+            userId: seller._id,
+            type: 'payout',
+            status: 'pending',
+            fromAsset: { symbol: currency, amount: payoutAmount },
+            amount: payoutAmount,
+            usdValue: roundCurrency(payoutAmount * rate, 'USD'),
+            blockchain: 'internal',
+            metadata: {
+                exchangeRate: rate,
+                receiverAddress: `${bankName} ****${accountLastFour} (${accountName})`,
+                notes: note
+            },
+            description: `Payout of ${payoutAmount} ${currency}`
+        });
+
+        // Two requests can pass the balance check together; undo this one if they overdrew
+        if (await this.getAvailable(seller._id, currency) < 0) {
+            await Transaction.updateOne({ _id: payout._id }, { status: 'cancelled' });
+            throw this.createError(`Payout exceeds your available balance of ${available} ${currency}`, 409);
+        }
+
+        return payout;
+    }
+
+    // Payout history for a seller, newest first
+    async getPayouts(sellerId, { page = 1, limit = 20, status } = {}) {
+        const query = { userId: sellerId, type: 'payout' };
+        if (status) {
+            query.status = { $in: status.split(',') };
+        }
+
+        return this.paginate(query, { page, limit });
+    }
+
+    // All payouts for finance, optionally by status
+    async getAllPayouts({ page = 1, limit = 20, status } = {}) {
+        const query = { type: 'payout' };
+        if (status) {
+            query.status = { $in: status.split(',') };
+        }
+
+        return this.paginate(query, { page, limit }, 'userId');
+    }
+
+    async paginate(query, { page, limit }, populate) {
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        let find = Transaction.find(query)
+            .select('status amount fromAsset usdValue metadata.receiverAddress metadata.notes metadata.memo description userId completedAt createdAt')
+            .sort({ createdAt: -1 })
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize);
+        if (populate) {
+            find = find.populate(populate, 'name email companyName');
+        }
+
+        const [payouts, total] = await Promise.all([
+            find.lean(),
+            Transaction.countDocuments(query)
+        ]);
+
+        const totalPages = Math.ceil(total / pageSize);
+
+        return {
+            payouts,
+            pagination: {
+                page: pageNumber,
+                limit: pageSize,
+                total,
+                totalPages,
+                hasNextPage: pageNumber < totalPages,
+                hasPrevPage: pageNumber > 1
+            }
+        };
+    }
+
+    // Record the outcome of a payout; failed and cancelled payouts return to the balance
+    async updatePayoutStatus(payoutId, { status, reference, note }) {
+        const payout = await Transaction.findOne({ _id: payoutId, type: 'payout' });
+        if (!payout) {
+            throw this.createError('Payout not found', 404);
+        }
+
+        if (!(PAYOUT_STATUS_TRANSITIONS[payout.status] || []).includes(status)) {
+            throw this.createError(`Cannot change payout status from ${payout.status} to ${status}`);
+        }
+
+        const changes = { status };
+        if (reference) {
+            changes['metadata.memo'] = reference;
+        }
+        if (note) {
+            changes['metadata.notes'] = note;
+        }
+        if (status === 'completed') {
+            changes.completedAt = new Date();
+        }
+
+        const updated = await Transaction.findOneAndUpdate(
+            { _id: payout._id, status: payout.status },
+            changes,
+            { new: true }
+        );
+        if (!updated) {
+            throw this.createError('Payout was changed by another request. Please reload it.', 409);
+        }
+
+        return updated;
+    }
+}
+
+module.exports = new PayoutService();
@@ -0,0 +1,149 @@
+const Payment = require('../models/Payment');
+const Asset = require('../models/Asset');
+const Transaction = require('../models/Transaction');
+const { getProvider } = require('./paymentProviders');
+const { roundCurrency, roundAssetAmount } = require('../utils/currency');
+
+// Wallet payments are refunded to the asset they were paid with, at the quoted rate
+const walletRefunds = {
+    async refund({ payment, amount }) {
+        const { symbol, decimals, assetPrice } = payment.quote;
+        const units = roundAssetAmount(payment.quote.amount * amount / payment.amount, decimals);
+
+        await Asset.adjustBalance(payment.user, symbol, units, assetPrice);
+
+        const transaction = await Transaction.create({
+            userId: payment.user,
+            type: 'refund',
+            status: 'completed',
+            toAsset: { symbol, amount: units },
+            amount: units,
+            usdValue: units * assetPrice,
+            blockchain: 'internal',
+            order: payment.order,
+            payment: payment._id,
+            metadata: { exchangeRate: assetPrice },
+            description: `Refund of wallet payment ${payment.reference}`,
+            completedAt: new Date()
+        });
+
+        return { providerReference: transaction._id.toString() };
+    }
+};
+
+class RefundService {
+    // Helper to build an error carrying an HTTP status code
+    createError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    // Record money owed back to the buyer of a payment and try to send it through the
+    // provider straight away. Anything that can't be sent stays due, with requiresRefund
+    // set, for finance to retry or refund by hand. Returns the payment as it ends up.
+    async queue(paymentId, amount, { note } = {}) {
+        const payment = await Payment.findOneAndUpdate(
+            { _id: paymentId },
+            { $inc: { refundDue: amount }, $set: { requiresRefund: true } },
+            { new: true }
+        );
+        if (!payment) {
+            return null;
+        }
+
+        try {
+            return await this.send(payment, { note });
+        } catch (error) {
+            console.error(`Refund for payment ${payment.reference} left for finance:`, error.message);
+            return Payment.findById(payment._id);
+        }
+    }
+
+    // Send everything owed on a payment back through its provider
+    async send(payment, { note, refundedBy } = {}) {
+        const provider = payment.provider === 'wallet' ? walletRefunds : getProvider(payment.provider);
+        if (!provider || !provider.refund) {
+            throw this.createError(`Payments made through ${payment.provider} can't be refunded automatically. Refund the buyer by hand and record it.`);
+        }
+
+        if (!(roundCurrency(payment.refundDue, payment.currency) > 0)) {
+            throw this.createError('No amount is recorded as owed on this payment. Refund the buyer by hand and record it.');
+        }
+
+        const amount = await this.claim(payment);
+
+        let result;
+        try {
+            result = await provider.refund({
+                payment,
+                reference: payment.reference,
+                amount,
+                currency: payment.currency
+            });
+        } catch (error) {
+            const reason = (error.response && error.response.data && error.response.data.message) || error.message;
+            await Payment.updateOne(
+                { _id: payment._id },
+                {
+                    $inc: { refundDue: amount, refundedAmount: -amount },
+                    $set: { requiresRefund: true },
+                    $push: { refunds: { amount, status: 'failed', failureReason: reason, note, refundedBy } }
+                }
+            );
+            throw this.createError(`${payment.provider} could not refund ${amount} ${payment.currency}: ${reason}`, 502);
+        }
+
+        return this.complete(payment, {
+            amount,
+            status: 'sent',
+            providerReference: result.providerReference,
+            note,
+            refundedBy
+        });
+    }
+
+    // Record that finance refunded what is owed outside the provider
+    async markRefunded(payment, { note, refundedBy } = {}) {
+        const amount = await this.claim(payment);
+        return this.complete(payment, { amount, status: 'manual', note, refundedBy });
+    }
+
+    // Take the whole amount due off the queue so two requests can't refund it twice;
+    // returns the amount claimed
+    async claim(payment) {
+        if (!payment.requiresRefund) {
+            throw this.createError('Nothing is owed on this payment');
+        }
+
+        const amount = roundCurrency(payment.refundDue, payment.currency);
+
+        const claimed = await Payment.updateOne(
+            { _id: payment._id, requiresRefund: true, refundDue: payment.refundDue },
+            { $set: { requiresRefund: false, refundDue: 0 }, $inc: { refundedAmount: amount } }
+        );
+        if (!claimed.modifiedCount) {
+            throw this.createError('The refund owed on this payment changed meanwhile. Please reload and try again.', 409);
+        }
+
+        return amount;
+    }
+
+    // Log a refund that went out and settle the buyer's pending refund entries for the payment
+    async complete(payment, entry) {
+        const updated = await Payment.findByIdAndUpdate(
+            payment._id,
+            { $push: { refunds: entry } },
+            { new: true }
+        );
+
+        await Transaction.updateMany(
+            { payment: payment._id, userId: payment.user, type: 'refund', status: 'pending' },
+            { status: 'completed', completedAt: new Date() }
+        );
+
+        return updated;
+    }
+}
+
+module.exports = new RefundService();
@@ -0,0 +1,430 @@
+const ReturnRequest = require('../models/ReturnRequest');
+const Order = require('../models/Order');
+const SellerOrder = require('../models/SellerOrder');
+const Escrow = require('../models/Escrow');
+const cloudinary = require('../config/cloudinary');
+const uploadToCloudinary = require('../middleware/cloudinaryUpload');
+const escrowService = require('./escrowService');
+const orderService = require('./orderService');
+const notificationService = require('./notificationService');
+const { RETURN_WINDOW_DAYS, MAX_RETURN_IMAGES } = require('../config/returns');
+const { roundCurrency } = require('../utils/currency');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Order statuses in which money has been taken and lines can be returned or disputed
+const RETURNABLE_ORDER_STATUSES = ['paid', 'processing', 'shipped', 'delivered'];
+
+class ReturnService {
+    // Helper to build an error carrying an HTTP status code
+    createError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    // Upload evidence photos; a failed photo is skipped rather than failing the request
+    async uploadEvidence(files = []) {
+        const images = [];
+
+        for (const file of files) {
+            try {
+                const result = await uploadToCloudinary(file.buffer, 'returns');
+                images.push({ url: result.secure_url, publicId: result.public_id });
+            } catch (error) {
+                console.error('Cloudinary upload error for return evidence:', error);
+            }
+        }
+
+        return images;
+    }
+
+    async deleteEvidence(images = []) {
+        for (const image of images) {
+            if (!image.publicId) continue;
+
+            try {
+                await cloudinary.uploader.destroy(image.publicId);
+            } catch (error) {
+                console.error('Error deleting return evidence:', error);
+            }
+        }
+    }
+
+    // What the buyer paid for part of a line, after the order's discounts and tax
+    lineRefundAmount(order, item, quantity) {
+        const { subtotal, shipping, total } = order.summary;
+        const ratio = subtotal > 0 ? Math.max(total - shipping, 0) / subtotal : 1;
+
+        return roundCurrency(item.subtotal * (quantity / item.quantity) * ratio, order.currency);
+    }
+
+    // Open a return or dispute on one line of the buyer's order
+    async openRequest(user, { orderId, orderItemId, type, quantity, reason, description, refundMethod }, files = []) {
+        const order = await Order.findOne({ _id: orderId, user: user._id });
+        if (!order) {
+            throw this.createError('Order not found', 404);
+        }
+
+        if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+            throw this.createError(`Returns cannot be opened on a ${order.status} order`);
+        }
+
+        const item = order.items.id(orderItemId);
+        if (!item) {
+            throw this.createError('Order item not found', 404);
+        }
+
+        const subOrder = await SellerOrder.findOne({ order: order._id, 'items.orderItem': item._id });
+        if (!subOrder || subOrder.status === 'cancelled') {
+            throw this.createError('This item is no longer part of the order');
+        }
+
+        if (type === 'return' && subOrder.status !== 'delivered') {
+            throw this.createError('Items can only be returned once they are delivered');
+        }
+
+        if (subOrder.status === 'delivered') {
+            const closesAt = new Date((subOrder.deliveredAt || subOrder.updatedAt).getTime() + RETURN_WINDOW_DAYS * DAY_MS);
+            if (closesAt < new Date()) {
+                throw this.createError(`The ${RETURN_WINDOW_DAYS}-day return window for this item closed on ${closesAt.toISOString().slice(0, 10)}`);
+            }
+        }
+
+        const existing = await ReturnRequest.find({
+            order: order._id,
+            orderItem: item._id,
+            status: { $nin: ['closed', 'cancelled'] }
+        }).select('quantity');
+        const remaining = item.quantity - existing.reduce((sum, request) => sum + request.quantity, 0);
+
+        const count = parseInt(quantity, 10) || item.quantity;
+        if (count < 1 || count > remaining) {
+            throw this.createError(remaining > 0
+                ? `You can return at most ${remaining} of this item`
+                : 'A return has already been opened for every unit of this item');
+        }
+
+        if (files.length > MAX_RETURN_IMAGES) {
+            throw this.createError(`You can attach at most ${MAX_RETURN_IMAGES} photos`);
+        }
+
+        const evidence = await this.uploadEvidence(files);
+
+        let request;
+        try {
+            request = await ReturnRequest.create({
+                order: order._id,
+                sellerOrder: subOrder._id,
+                orderItem: item._id,
+                product: item.product,
+                variant: item.variant,
+                name: item.name,
+                buyer: user._id,
+                seller: subOrder.seller,
+                type,
+                quantity: count,
+                reason,
+                description,
+                evidence,
+                requestedAmount: this.lineRefundAmount(order, item, count),
+                currency: order.currency,
+                refundMethod,
+                statusHistory: [{ status: 'open', note: description, changedBy: user._id }]
+            });
+        } catch (error) {
+            await this.deleteEvidence(evidence);
+            throw error;
+        }
+
+        await this.freezeEscrow(request, user._id);
+
+        await this.notify(request.seller, request, {
+            title: type === 'return' ? 'Return requested' : 'Dispute opened',
+            message: `A buyer opened a ${type} on ${count} x ${item.name} from order ${order.orderNumber}`
+        });
+
+        return request;
+    }
+
+    // Hold the seller's escrow while a request is being worked out
+    async freezeEscrow(request, changedBy) {
+        const escrow = await Escrow.findOne({ sellerOrder: request.sellerOrder, status: 'held' });
+        if (escrow) {
+            await escrowService.openDispute(escrow, {
+                reason: `${request.type === 'return' ? 'Return' : 'Dispute'} opened on ${request.name}: ${request.reason}`,
+                openedBy: changedBy
+            });
+        }
+    }
+
+    // Let escrow run its course again once no request on the sub-order is active
+    async unfreezeEscrow(request, changedBy) {
+        const active = await ReturnRequest.countDocuments({
+            sellerOrder: request.sellerOrder,
+            status: { $in: ReturnRequest.ACTIVE_STATUSES },
+            _id: { $ne: request._id }
+        });
+        if (active > 0) {
+            return;
+        }
+
+        const escrow = await Escrow.findOne({ sellerOrder: request.sellerOrder, status: 'disputed' });
+        if (escrow) {
+            await escrowService.resumeHold(escrow, { note: 'Returns on this order are settled', changedBy });
+        }
+    }
+
+    // Move a request on, unless someone else changed it first
+    async transition(request, status, { note, changedBy, set = {} } = {}) {
+        if (!request.canTransitionTo(status)) {
+            throw this.createError(`Cannot change return status from ${request.status} to ${status}`);
+        }
+
+        const updated = await ReturnRequest.findOneAndUpdate(
+            { _id: request._id, status: request.status },
+            {
+                $set: { status, ...set },
+                $push: { statusHistory: { status, note, changedBy, changedAt: new Date() } }
+            },
+            { new: true }
+        );
+        if (!updated) {
+            throw this.createError('This return was updated by someone else. Please reload it.', 409);
+        }
+
+        return updated;
+    }
+
+    // Refund the buyer and, for returned goods, put the stock back
+    async approve(request, { amount, restock, note, decidedBy }) {
+        const refundAmount = roundCurrency(amount == null ? request.requestedAmount : Number(amount), request.currency);
+        if (!(refundAmount > 0) || refundAmount > request.requestedAmount) {
+            throw this.createError(`Refund must be more than 0 and at most ${request.requestedAmount} ${request.currency}`);
+        }
+
+        const escrow = await Escrow.findOne({ sellerOrder: request.sellerOrder });
+        if (!escrow || escrow.status === 'refunded') {
+            throw this.createError('No payment is held for this order; it has to be refunded manually', 409);
+        }
+
+        const previousStatus = request.status;
+        const approved = await this.transition(request, 'refunded', {
+            note,
+            changedBy: decidedBy,
+            set: {
+                resolution: {
+                    refundAmount,
+                    restocked: Boolean(restock),
+                    decidedBy,
+                    decidedAt: new Date(),
+                    note
+                }
+            }
+        });
+
+        try {
+            await escrowService.refund(escrow, {
+                amount: refundAmount,
+                method: request.refundMethod,
+                note: `Refund for ${request.quantity} x ${request.name}`,
+                changedBy: decidedBy
+            });
+        } catch (error) {
+            // Put the request back so the decision can be retried
+            await ReturnRequest.updateOne(
+                { _id: request._id, status: 'refunded' },
+                { status: previousStatus, $unset: { resolution: 1 }, $pop: { statusHistory: 1 } }
+            );
+            throw error;
+        }
+
+        if (restock) {
+            await orderService.releaseStock([{
+                product: request.product,
+                variant: request.variant,
+                quantity: request.quantity
+            }], {
+                type: 'return',
+                actor: decidedBy,
+                reason: `Returned from order ${await this.orderNumber(request)}`,
+                order: request.order
+            });
+        }
+
+        await this.unfreezeEscrow(approved, decidedBy);
+
+        await this.notify(request.buyer, approved, {
+            title: 'Refund approved',
+            message: `Your refund of ${refundAmount} ${request.currency} for ${request.name} has been approved`
+        });
+
+        return approved;
+    }
+
+    // Seller accepts the request as asked: full refund, and the stock comes back for returns
+    async accept(request, seller, { note } = {}) {
+        return this.approve(request, {
+            restock: request.type === 'return',
+            note: note || 'Accepted by seller',
+            decidedBy: seller._id
+        });
+    }
+
+    async reject(request, seller, { note } = {}) {
+        if (!note || !note.trim()) {
+            throw this.createError('A note explaining the rejection is required');
+        }
+
+        const rejected = await this.transition(request, 'rejected', { note, changedBy: seller._id });
+        await this.unfreezeEscrow(rejected, seller._id);
+
+        await this.notify(request.buyer, rejected, {
+            title: 'Return rejected',
+            message: `The seller rejected your request for ${request.name}. You can ask us to review it.`
+        });
+
+        return rejected;
+    }
+
+    // Seller offers a partial refund with the buyer keeping the item
+    async counter(request, seller, { amount, note } = {}) {
+        const offer = roundCurrency(Number(amount), request.currency);
+        if (!(offer > 0) || offer >= request.requestedAmount) {
+            throw this.createError(`A counter-offer must be more than 0 and less than ${request.requestedAmount} ${request.currency}`);
+        }
+
+        const countered = await this.transition(request, 'countered', {
+            note,
+            changedBy: seller._id,
+            set: { counterOffer: { amount: offer, note, offeredAt: new Date() } }
+        });
+
+        await this.notify(request.buyer, countered, {
+            title: 'Counter-offer received',
+            message: `The seller offered ${offer} ${request.currency} for ${request.name}`
+        });
+
+        return countered;
+    }
+
+    async acceptCounter(request, buyer) {
+        if (request.status !== 'countered') {
+            throw this.createError('There is no counter-offer to accept');
+        }
+
+        return this.approve(request, {
+            amount: request.counterOffer.amount,
+            restock: false,
+            note: 'Counter-offer accepted by buyer',
+            decidedBy: buyer._id
+        });
+    }
+
+    // Buyer asks an admin to decide
+    async escalate(request, buyer, { note } = {}) {
+        const escalated = await this.transition(request, 'escalated', {
+            note: note || 'Escalated by buyer',
+            changedBy: buyer._id
+        });
+        await this.freezeEscrow(escalated, buyer._id);
+
+        return escalated;
+    }
+
+    // Buyer withdraws the request
+    async cancel(request, buyer) {
+        const cancelled = await this.transition(request, 'cancelled', {
+            note: 'Withdrawn by buyer',
+            changedBy: buyer._id
+        });
+        await this.unfreezeEscrow(cancelled, buyer._id);
+
+        return cancelled;
+    }
+
+    // Admin decision: refund (optionally partial, with or without restock) or close
+    async resolve(request, admin, { decision, amount, restock, note } = {}) {
+        if (decision === 'refund') {
+            return this.approve(request, {
+                amount,
+                restock: restock === undefined ? request.type === 'return' : restock === true || restock === 'true',
+                note: note || 'Refund approved by admin',
+                decidedBy: admin._id
+            });
+        }
+
+        if (decision === 'close') {
+            if (request.status !== 'escalated') {
+                throw this.createError('Only escalated requests can be closed');
+            }
+
+            const closed = await this.transition(request, 'closed', {
+                note: note || 'Closed by admin',
+                changedBy: admin._id,
+                set: { resolution: { refundAmount: 0, restocked: false, decidedBy: admin._id, decidedAt: new Date(), note } }
+            });
+            await this.unfreezeEscrow(closed, admin._id);
+
+            await this.notify(request.buyer, closed, {
+                title: 'Return closed',
+                message: `Your request for ${request.name} was reviewed and closed without a refund`
+            });
+
+            return closed;
+        }
+
+        throw this.createError('Decision must be refund or close');
+    }
+
+    // Return requests matching a query, newest first
+    async list(query, { page = 1, limit = 20 } = {}) {
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        const [returns, total] = await Promise.all([
+            ReturnRequest.find(query)
+                .populate('order', 'orderNumber status')
+                .sort({ createdAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize)
+                .lean(),
+            ReturnRequest.countDocuments(query)
+        ]);
+
+        const totalPages = Math.ceil(total / pageSize);
+
+        return {
+            returns,
+            pagination: {
+                page: pageNumber,
+                limit: pageSize,
+                total,
+                totalPages,
+                hasNextPage: pageNumber < totalPages,
+                hasPrevPage: pageNumber > 1
+            }
+        };
+    }
+
+    async orderNumber(request) {
+        const order = await Order.findById(request.order).select('orderNumber').lean();
+        return order ? order.orderNumber : request.order.toString();
+    }
+
+    // In-app notice about a request; failures are logged, not raised
+    async notify(userId, request, { title, message }) {
+        try {
+            await notificationService.notify(userId, {
+                type: 'return_update',
+                title,
+                message,
+                data: { returnId: request._id, orderId: request.order, status: request.status }
+            });
+        } catch (error) {
+            console.error(`Failed to send return notification for ${request._id}:`, error);
+        }
+    }
+}
+
+module.exports = new ReturnService();
@@ -0,0 +1,171 @@
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const cloudinary = require('../config/cloudinary');
+const uploadToCloudinary = require('../middleware/cloudinaryUpload');
+
+const MAX_REVIEW_IMAGES = 5;
+
+class ReviewService {
+    // Helper to build an error carrying an HTTP status code
+    createError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    // Most recent delivered order of this product by the user, if any
+    async findVerifiedOrder(userId, productId) {
+        return Order.findOne({
+            user: userId,
+            status: 'delivered',
+            'items.product': productId
+        })
+            .sort({ deliveredAt: -1 })
+            .select('_id');
+    }
+
+    // Upload review photos; a failed photo is skipped rather than failing the review
+    async uploadImages(files = []) {
+        const images = [];
+
+        for (const file of files) {
+            try {
+                const result = await uploadToCloudinary(file.buffer, 'reviews');
+                images.push({ url: result.secure_url, publicId: result.public_id });
+            } catch (error) {
+                console.error('Cloudinary upload error for review image:', error);
+            }
+        }
+
+        return images;
+    }
+
+    async deleteImages(images = []) {
+        for (const image of images) {
+            if (!image.publicId) continue;
+
+            try {
+                await cloudinary.uploader.destroy(image.publicId);
+            } catch (error) {
+                console.error('Error deleting review image:', error);
+            }
+        }
+    }
+
+    async createReview(user, productId, { rating, title, text }, files = []) {
+        const product = await Product.findById(productId).select('userId');
+        if (!product) {
+            throw this.createError('Product not found', 404);
+        }
+
+        if (product.userId.toString() === user._id.toString()) {
+            throw this.createError('You cannot review your own product', 403);
+        }
+
+        if (await Review.exists({ product: productId, user: user._id })) {
+            throw this.createError('You have already reviewed this product', 409);
+        }
+
+        if (files.length > MAX_REVIEW_IMAGES) {
+            throw this.createError(`A review can have at most ${MAX_REVIEW_IMAGES} images`);
+        }
+
+        const order = await this.findVerifiedOrder(user._id, productId);
+        const images = await this.uploadImages(files);
+
+        try {
+            return await Review.create({
+                product: productId,
+                user: user._id,
+                seller: product.userId,
+                rating: parseInt(rating),
+                title,
+                text,
+                images,
+                isVerifiedPurchase: !!order,
+                order: order ? order._id : undefined
+            });
+        } catch (error) {
+            await this.deleteImages(images);
+
+            // Lost a race with another submission from the same buyer
+            if (error.code === 11000) {
+                throw this.createError('You have already reviewed this product', 409);
+            }
+            throw error;
+        }
+    }
+
+    // Edit a review; removeImages lists publicIds of photos to drop
+    async updateReview(review, { rating, title, text, removeImages = [] }, files = []) {
+        const removing = review.images.filter(image => removeImages.includes(image.publicId));
+        const keeping = review.images.filter(image => !removeImages.includes(image.publicId));
+
+        if (keeping.length + files.length > MAX_REVIEW_IMAGES) {
+            throw this.createError(`A review can have at most ${MAX_REVIEW_IMAGES} images`);
+        }
+
+        if (rating !== undefined) review.rating = parseInt(rating);
+        if (title !== undefined) review.title = title;
+        if (text !== undefined) review.text = text;
+
+        review.images = [...keeping, ...await this.uploadImages(files)];
+
+        // The buyer may have received the product since reviewing it
+        if (!review.isVerifiedPurchase) {
+            const order = await this.findVerifiedOrder(review.user, review.product);
+            if (order) {
+                review.isVerifiedPurchase = true;
+                review.order = order._id;
+            }
+        }
+
+        review.editedAt = new Date();
+        await review.save();
+        await this.deleteImages(removing);
+
+        return review;
+    }
+
+    async deleteReview(review) {
+        await review.deleteOne();
+        await this.deleteImages(review.images);
+    }
+
+    // Add or take back a helpful vote; reviewers can't vote on their own review
+    async toggleHelpful(reviewId, userId) {
+        const review = await Review.findOne({ _id: reviewId, status: 'published' }).select('user helpfulVotes');
+        if (!review) {
+            throw this.createError('Review not found', 404);
+        }
+
+        if (review.user.toString() === userId.toString()) {
+            throw this.createError('You cannot vote on your own review', 403);
+        }
+
+        const hasVoted = review.helpfulVotes.some(vote => vote.toString() === userId.toString());
+
+        // Conditional updates keep the count right under concurrent votes
+        const updated = hasVoted
+            ? await Review.findOneAndUpdate(
+                { _id: reviewId, helpfulVotes: userId },
+                { $pull: { helpfulVotes: userId }, $inc: { helpfulCount: -1 } },
+                { new: true }
+            )
+            : await Review.findOneAndUpdate(
+                { _id: reviewId, helpfulVotes: { $ne: userId } },
+                { $push: { helpfulVotes: userId }, $inc: { helpfulCount: 1 } },
+                { new: true }
+            );
+
+        const current = updated || await Review.findById(reviewId).select('helpfulCount');
+
+        return {
+            helpful: !hasVoted,
+            helpfulCount: current.helpfulCount
+        };
+    }
+}
+
+module.exports = new ReviewService();
@@ -0,0 +1,412 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const {
+    MIN_TEXT_RESULTS,
+    FUZZY_THRESHOLD,
+    PRICE_BUCKETS,
+    FACET_LIMIT,
+    SUGGESTION_LIMIT
+} = require('../config/search');
+const { normalizeText, tokenize, buildTrigrams, escapeRegex } = require('../utils/search');
+const { sameText, findDefinition, parseNumber, parseBoolean, formatBoolean } = require('../utils/attributes');
+
+// Sort options for search results; relevance only applies when there is a query
+const SORT_OPTIONS = {
+    relevance: { searchScore: -1, 'rating.average': -1, createdAt: -1 },
+    recent: { createdAt: -1 },
+    popular: { views: -1, sales: -1 },
+    price_low: { price: 1 },
+    price_high: { price: -1 },
+    rating: { 'rating.average': -1, 'rating.count': -1 }
+};
+
+// Case-insensitive exact match on a stored string
+const exactMatch = (value) => new RegExp(`^${escapeRegex(value.trim())}$`, 'i');
+
+class SearchService {
+    // Turn "Size:M" style attribute filters into { name, value } pairs
+    parseAttributeFilters(attributes) {
+        const list = Array.isArray(attributes) ? attributes : [attributes];
+
+        return list
+            .filter(Boolean)
+            .map(entry => {
+                const index = String(entry).indexOf(':');
+                if (index < 1) return null;
+                return {
+                    name: entry.slice(0, index).trim(),
+                    value: entry.slice(index + 1).trim()
+                };
+            })
+            .filter(filter => filter && filter.value);
+    }
+
+    // Conditions for "Name:value" attribute filters. "Colour:Red|Blue" matches either value.
+    // Attributes the schema types are read by type: "Weight:2..5" is a range for a number
+    // ("2.." and "..5" leave an end open) and "Wifi:yes" a boolean.
+    buildAttributeConditions(attributes, schema = []) {
+        return this.parseAttributeFilters(attributes)
+            .map(({ name, value }) => {
+                const definition = findDefinition(schema, name);
+
+                if (definition && definition.type === 'number') {
+                    const [from, to] = value.includes('..') ? value.split('..') : [value, value];
+                    const min = from ? parseNumber(from, definition.unit) : null;
+                    const max = to ? parseNumber(to, definition.unit) : null;
+                    if (min === null && max === null) return null;
+
+                    const range = {};
+                    if (min !== null) range.$gte = min;
+                    if (max !== null) range.$lte = max;
+                    return { attributes: { $elemMatch: { name: exactMatch(definition.name), numericValue: range } } };
+                }
+
+                let values = value.split('|').map(entry => entry.trim()).filter(Boolean);
+                if (definition && definition.type === 'boolean') {
+                    values = values.map(parseBoolean).filter(flag => flag !== null).map(formatBoolean);
+                }
+                if (values.length === 0) return null;
+
+                // An attribute can be set on the product itself or on one of its variants
+                const condition = {
+                    $elemMatch: {
+                        name: exactMatch(definition ? definition.name : name),
+                        value: { $in: values.map(exactMatch) }
+                    }
+                };
+                return { $or: [{ attributes: condition }, { 'variants.attributes': condition }] };
+            })
+            .filter(Boolean);
+    }
+
+    // Marketplace filters generated from a category's attribute schema, with the values
+    // (or, for numbers, the range) found on the products matching a query
+    async getAttributeFilters(schema, match) {
+        const definitions = schema.filter(definition => definition.filterable !== false);
+        if (definitions.length === 0) {
+            return [];
+        }
+
+        const rows = await Product.aggregate([
+            { $match: match },
+            { $unwind: '$attributes' },
+            { $match: { 'attributes.name': { $in: definitions.map(definition => exactMatch(definition.name)) } } },
+            {
+                $group: {
+                    _id: { name: '$attributes.name', value: '$attributes.value' },
+                    count: { $sum: 1 },
+                    min: { $min: '$attributes.numericValue' },
+                    max: { $max: '$attributes.numericValue' }
+                }
+            },
+            { $sort: { count: -1 } }
+        ]);
+
+        return definitions.map(({ name, type, unit, allowedValues }) => {
+            const found = rows.filter(row => sameText(row._id.name, name));
+            const count = (value) => found
+                .filter(row => sameText(row._id.value, value))
+                .reduce((sum, row) => sum + row.count, 0);
+            const filter = { name, type };
+
+            if (type === 'number') {
+                const mins = found.map(row => row.min).filter(value => value != null);
+                const maxes = found.map(row => row.max).filter(value => value != null);
+                return {
+                    ...filter,
+                    unit: unit || null,
+                    min: mins.length ? Math.min(...mins) : null,
+                    max: maxes.length ? Math.max(...maxes) : null
+                };
+            }
+
+            let values;
+            if (type === 'enum') {
+                values = allowedValues;
+            } else if (type === 'boolean') {
+                values = [formatBoolean(true), formatBoolean(false)];
+            } else {
+                values = found.slice(0, FACET_LIMIT).map(row => row._id.value);
+            }
+
+            return { ...filter, values: values.map(value => ({ value, count: count(value) })) };
+        });
+    }
+
+    // Build the non-text part of the search filter
+    async buildFilter({ category, type, location, minPrice, maxPrice, currency, attributes }) {
+        const filter = { status: 'active' };
+        const and = [];
+
+        if (category) {
+            if (mongoose.Types.ObjectId.isValid(category)) {
+                filter.category = new mongoose.Types.ObjectId(category);
+            } else {
+                const categories = await Category.find({
+                    title: { $regex: escapeRegex(category), $options: 'i' }
+                }).select('_id');
+                filter.category = { $in: categories.map(c => c._id) };
+            }
+        }
+
+        if (type && ['Product', 'Service'].includes(type)) {
+            filter.type = type;
+        }
+
+        if (location) {
+            filter.location = { $regex: escapeRegex(location), $options: 'i' };
+        }
+
+        if (currency) {
+            filter.currency = currency.toUpperCase();
+        }
+
+        if (minPrice || maxPrice) {
+            filter.price = {};
+            if (minPrice) filter.price.$gte = parseFloat(minPrice);
+            if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
+        }
+
+        // Attribute filters are read by the category's attribute schema when there is a single category
+        if (attributes) {
+            const schema = filter.category instanceof mongoose.Types.ObjectId
+                ? await Category.getAttributeSchema(filter.category)
+                : [];
+            and.push(...this.buildAttributeConditions(attributes, schema));
+        }
+
+        if (and.length) {
+            filter.$and = and;
+        }
+
+        return filter;
+    }
+
+    // Stages that match and score products, using the text index or trigram overlap
+    buildMatchStages(filter, query, mode) {
+        if (!query) {
+            return [{ $match: filter }];
+        }
+
+        if (mode === 'text') {
+            return [
+                { $match: { ...filter, $text: { $search: query } } },
+                { $addFields: { searchScore: { $meta: 'textScore' } } }
+            ];
+        }
+
+        const grams = buildTrigrams(tokenize(query));
+        return [
+            { $match: { ...filter, searchGrams: { $in: grams } } },
+            {
+                $addFields: {
+                    searchScore: {
+                        $divide: [{ $size: { $setIntersection: ['$searchGrams', grams] } }, grams.length]
+                    }
+                }
+            },
+            { $match: { searchScore: { $gte: FUZZY_THRESHOLD } } }
+        ];
+    }
+
+    // Results page, total and facet counts in a single aggregation
+    buildFacetStage(sort, skip, limit) {
+        const countBy = (field) => [
+            { $group: { _id: field, count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: FACET_LIMIT }
+        ];
+
+        return {
+            $facet: {
+                results: [
+                    { $sort: sort },
+                    { $skip: skip },
+                    { $limit: limit },
+                    { $project: { searchGrams: 0, searchKeywords: 0, __v: 0 } }
+                ],
+                total: [{ $count: 'count' }],
+                categories: [
+                    { $match: { category: { $ne: null } } },
+                    { $group: { _id: '$category', name: { $first: '$categoryName' }, count: { $sum: 1 } } },
+                    { $sort: { count: -1 } },
+                    { $limit: FACET_LIMIT }
+                ],
+                types: countBy('$type'),
+                locations: countBy('$location'),
+                priceRanges: [
+                    {
+                        $bucket: {
+                            groupBy: '$price',
+                            boundaries: PRICE_BUCKETS,
+                            default: 'above',
+                            output: { count: { $sum: 1 } }
+                        }
+                    }
+                ],
+                attributes: [
+                    {
+                        $project: {
+                            attribute: {
+                                $setUnion: [
+                                    { $map: { input: '$attributes', in: { name: '$$this.name', value: '$$this.value' } } },
+                                    {
+                                        $map: {
+                                            input: {
+                                                $reduce: {
+                                                    input: { $ifNull: ['$variants.attributes', []] },
+                                                    initialValue: [],
+                                                    in: { $concatArrays: ['$$value', '$$this'] }
+                                                }
+                                            },
+                                            in: { name: '$$this.name', value: '$$this.value' }
+                                        }
+                                    }
+                                ]
+                            }
+                        }
+                    },
+                    { $unwind: '$attribute' },
+                    { $group: { _id: { name: '$attribute.name', value: '$attribute.value' }, count: { $sum: 1 } } },
+                    { $sort: { count: -1 } },
+                    {
+                        $group: {
+                            _id: '$_id.name',
+                            count: { $sum: '$count' },
+                            values: { $push: { value: '$_id.value', count: '$count' } }
+                        }
+                    },
+                    { $sort: { count: -1 } },
+                    { $limit: FACET_LIMIT },
+                    { $project: { _id: 0, name: '$_id', values: { $slice: ['$values', FACET_LIMIT] } } }
+                ]
+            }
+        };
+    }
+
+    // Shape raw facet output for the response
+    formatFacets(raw) {
+        const lastBound = PRICE_BUCKETS[PRICE_BUCKETS.length - 1];
+
+        return {
+            categories: raw.categories.map(entry => ({ category: entry._id, name: entry.name, count: entry.count })),
+            types: raw.types.map(entry => ({ type: entry._id, count: entry.count })),
+            locations: raw.locations
+                .filter(entry => entry._id)
+                .map(entry => ({ location: entry._id, count: entry.count })),
+            priceRanges: raw.priceRanges.map(entry => {
+                if (entry._id === 'above') {
+                    return { min: lastBound, max: null, count: entry.count };
+                }
+                const index = PRICE_BUCKETS.indexOf(entry._id);
+                return { min: entry._id, max: PRICE_BUCKETS[index + 1], count: entry.count };
+            }),
+            attributes: raw.attributes
+        };
+    }
+
+    // Search active products with relevance ranking, typo tolerance and facet counts
+    async search(params = {}) {
+        const { q, sort, page = 1, limit = 20 } = params;
+        const query = normalizeText(q);
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        const filter = await this.buildFilter(params);
+        const sortKey = SORT_OPTIONS[sort] && (sort !== 'relevance' || query) ? sort : (query ? 'relevance' : 'recent');
+        const facetStage = this.buildFacetStage(SORT_OPTIONS[sortKey], (pageNumber - 1) * pageSize, pageSize);
+
+        const run = (mode) => Product.aggregate([...this.buildMatchStages(filter, query, mode), facetStage]);
+
+        let mode = query ? 'text' : 'browse';
+        let [raw] = await run(mode);
+
+        // Nothing (or too little) matched exactly, so try matching on similar spellings
+        if (query && (raw.total[0] ? raw.total[0].count : 0) < MIN_TEXT_RESULTS) {
+            mode = 'fuzzy';
+            [raw] = await run(mode);
+        }
+
+        const products = await Product.populate(raw.results, { path: 'category', select: 'title icon color' });
+        const total = raw.total[0] ? raw.total[0].count : 0;
+        const totalPages = Math.ceil(total / pageSize);
+
+        return {
+            products,
+            query: q || '',
+            matchMode: mode,
+            sort: sortKey,
+            facets: this.formatFacets(raw),
+            pagination: {
+                page: pageNumber,
+                limit: pageSize,
+                total,
+                totalPages,
+                hasNextPage: pageNumber < totalPages,
+                hasPrevPage: pageNumber > 1
+            }
+        };
+    }
+
+    // Autocomplete suggestions for a partially typed query
+    async suggest(text, limit = SUGGESTION_LIMIT) {
+        const words = normalizeText(text).split(' ').filter(Boolean);
+        const empty = { terms: [], products: [], categories: [] };
+
+        if (words.length === 0) {
+            return empty;
+        }
+
+        const size = Math.min(parseInt(limit) || SUGGESTION_LIMIT, 20);
+        const prefix = words[words.length - 1];
+        const complete = words.slice(0, -1);
+        const prefixRegex = new RegExp(`^${escapeRegex(prefix)}`);
+
+        // Earlier words must match whole keywords; the last one is still being typed
+        const match = {
+            status: 'active',
+            $and: [
+                { searchKeywords: prefixRegex },
+                ...complete.map(word => ({ searchKeywords: word }))
+            ]
+        };
+
+        const [terms, products, categories] = await Promise.all([
+            Product.aggregate([
+                { $match: match },
+                { $unwind: '$searchKeywords' },
+                { $match: { searchKeywords: prefixRegex } },
+                { $group: { _id: '$searchKeywords', count: { $sum: 1 } } },
+                { $sort: { count: -1, _id: 1 } },
+                { $limit: size }
+            ]),
+            Product.find(match)
+                .select('name images price currency')
+                .sort({ sales: -1, views: -1 })
+                .limit(size)
+                .lean(),
+            Category.find({
+                title: { $regex: `^${escapeRegex(words.join(' '))}`, $options: 'i' },
+                isActive: { $ne: false }
+            })
+                .select('title icon color')
+                .limit(5)
+                .lean()
+        ]);
+
+        return {
+            terms: terms.map(term => ({ text: [...complete, term._id].join(' '), count: term.count })),
+            products: products.map(product => ({
+                _id: product._id,
+                name: product.name,
+                image: product.images && product.images.length > 0 ? product.images[0].url : null,
+                price: product.price,
+                currency: product.currency
+            })),
+            categories
+        };
+    }
+}
+
+module.exports = new SearchService();
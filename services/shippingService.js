@@ -0,0 +1,219 @@
+const Product = require('../models/Product');
+const {
+    VOLUMETRIC_DIVISOR,
+    DEFAULT_ITEM_WEIGHT,
+    COUNTRIES,
+    ZONE_RATES,
+    SHIPPING_METHODS
+} = require('../config/shipping');
+const { BASE_CURRENCY } = require('../config/currency');
+const { roundCurrency } = require('../utils/currency');
+const fxService = require('./fxService');
+
+class ShippingService {
+    // Helper to build an error carrying an HTTP status code
+    createError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    // Work out a country code from a code or free text such as "Ikeja, Lagos, Nigeria"
+    resolveCountry(text) {
+        if (!text) return null;
+
+        const value = text.trim().toLowerCase();
+        if (value.length === 2 && COUNTRIES[value.toUpperCase()]) {
+            return value.toUpperCase();
+        }
+
+        const match = Object.entries(COUNTRIES).find(([, country]) =>
+            country.names.some(name => new RegExp(`(^|[^a-z])${name}([^a-z]|$)`).test(value))
+        );
+
+        return match ? match[0] : null;
+    }
+
+    // Describe where a product ships from, falling back to the seller's profile
+    getOrigin(product) {
+        const seller = product.userId && product.userId._id ? product.userId : {};
+        const location = (product.location || '').toLowerCase();
+
+        return {
+            country: this.resolveCountry(location) || this.resolveCountry(seller.country),
+            state: (seller.state || '').toLowerCase(),
+            city: (seller.city || '').toLowerCase(),
+            location
+        };
+    }
+
+    // Classify a shipment as local, domestic, regional or international
+    getZone(origin, destination = {}) {
+        const destinationCountry = this.resolveCountry(destination.country);
+
+        // Without both countries we can't do better than a domestic rate
+        if (!origin.country || !destinationCountry) {
+            return 'domestic';
+        }
+
+        if (origin.country !== destinationCountry) {
+            return COUNTRIES[origin.country].region === COUNTRIES[destinationCountry].region
+                ? 'regional'
+                : 'international';
+        }
+
+        const places = [destination.city, destination.state]
+            .filter(Boolean)
+            .map(place => place.trim().toLowerCase());
+
+        const isLocal = places.some(place =>
+            place === origin.city || place === origin.state || origin.location.includes(place)
+        );
+
+        return isLocal ? 'local' : 'domestic';
+    }
+
+    // Actual and volumetric weight for a cart line
+    getLineWeight(product, quantity) {
+        if (product.type === 'Service') {
+            return { actual: 0, volumetric: 0 };
+        }
+
+        const { weight, dimensions } = product.metadata || {};
+        const actual = weight > 0 ? weight : DEFAULT_ITEM_WEIGHT;
+
+        let volumetric = 0;
+        if (dimensions && dimensions.length > 0 && dimensions.width > 0 && dimensions.height > 0) {
+            volumetric = (dimensions.length * dimensions.width * dimensions.height) / VOLUMETRIC_DIVISOR;
+        }
+
+        return {
+            actual: actual * quantity,
+            volumetric: volumetric * quantity
+        };
+    }
+
+    // Add business days (Mon-Fri) to a date
+    addBusinessDays(date, days) {
+        const result = new Date(date);
+        let remaining = days;
+
+        while (remaining > 0) {
+            result.setDate(result.getDate() + 1);
+            const day = result.getDay();
+            if (day !== 0 && day !== 6) {
+                remaining -= 1;
+            }
+        }
+
+        return result;
+    }
+
+    // Group cart lines by seller with zone and billable weight
+    async getSellerGroups(cart) {
+        const productIds = cart.items.map(item => item.product._id || item.product);
+        const products = await Product.find({ _id: { $in: productIds } })
+            .populate('userId', 'country state city')
+            .lean();
+
+        const productsById = {};
+        products.forEach(product => {
+            productsById[product._id.toString()] = product;
+        });
+
+        const groups = {};
+        cart.items.forEach(item => {
+            const product = productsById[(item.product._id || item.product).toString()];
+            if (!product) return;
+
+            const sellerId = (item.seller._id || item.seller).toString();
+            if (!groups[sellerId]) {
+                groups[sellerId] = {
+                    seller: item.seller._id || item.seller,
+                    origin: this.getOrigin(product),
+                    actualWeight: 0,
+                    volumetricWeight: 0,
+                    requiresShipping: false
+                };
+            }
+
+            const weight = this.getLineWeight(product, item.quantity);
+            groups[sellerId].actualWeight += weight.actual;
+            groups[sellerId].volumetricWeight += weight.volumetric;
+            if (product.type !== 'Service') {
+                groups[sellerId].requiresShipping = true;
+            }
+        });
+
+        return Object.values(groups).map(group => ({
+            seller: group.seller,
+            zone: this.getZone(group.origin, cart.shippingAddress),
+            requiresShipping: group.requiresShipping,
+            // Carriers bill the greater of actual and volumetric weight, in 0.5kg steps
+            billableWeight: Math.ceil(Math.max(group.actualWeight, group.volumetricWeight) * 2) / 2
+        }));
+    }
+
+    // Quote every shipping method for the cart's items and shipping address.
+    // Rates are configured in the base currency and quoted in the cart currency.
+    async quoteCart(cart) {
+        const groups = await this.getSellerGroups(cart);
+        const now = new Date();
+
+        const currency = cart.currency || BASE_CURRENCY;
+        const { rate: exchangeRate } = await fxService.getRate(BASE_CURRENCY, currency);
+        const roundAmount = (amount) => roundCurrency(amount, currency);
+
+        return SHIPPING_METHODS.map(method => {
+            let available = true;
+            let maxDays = [0, 0];
+
+            const breakdown = groups.map(group => {
+                if (!group.requiresShipping) {
+                    return { seller: group.seller, zone: group.zone, billableWeight: 0, cost: 0 };
+                }
+
+                const rate = ZONE_RATES[group.zone][method];
+                if (!rate) {
+                    available = false;
+                    return { seller: group.seller, zone: group.zone, billableWeight: group.billableWeight, cost: null };
+                }
+
+                maxDays = [Math.max(maxDays[0], rate.days[0]), Math.max(maxDays[1], rate.days[1])];
+
+                return {
+                    seller: group.seller,
+                    zone: group.zone,
+                    billableWeight: group.billableWeight,
+                    cost: roundAmount((rate.base + rate.perKg * group.billableWeight) * exchangeRate)
+                };
+            });
+
+            return {
+                method,
+                available,
+                currency,
+                cost: available ? roundAmount(breakdown.reduce((sum, group) => sum + group.cost, 0)) : null,
+                estimatedDelivery: available ? {
+                    from: this.addBusinessDays(now, maxDays[0]),
+                    to: this.addBusinessDays(now, maxDays[1])
+                } : null,
+                breakdown
+            };
+        });
+    }
+
+    // Quote a single method, failing if it can't be used for this cart
+    async quoteMethod(cart, method) {
+        const quotes = await this.quoteCart(cart);
+        const quote = quotes.find(option => option.method === method);
+
+        if (!quote || !quote.available) {
+            throw this.createError(`Shipping method ${method} is not available for this address`);
+        }
+
+        return quote;
+    }
+}
+
+module.exports = new ShippingService();
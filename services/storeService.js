@@ -0,0 +1,225 @@
+const Store = require('../models/Store');
+const Product = require('../models/Product');
+const Review = require('../models/Review');
+const SellerOrder = require('../models/SellerOrder');
+const cloudinary = require('../config/cloudinary');
+const uploadToCloudinary = require('../middleware/cloudinaryUpload');
+const { slugify } = require('../utils/search');
+
+// Fields a seller may set on their store
+const EDITABLE_FIELDS = ['name', 'description', 'contact', 'policies', 'businessHours'];
+const NESTED_FIELDS = ['contact', 'policies'];
+
+// Sort options for the store's product listing
+const PRODUCT_SORT_OPTIONS = {
+    recent: { createdAt: -1 },
+    popular: { sales: -1, createdAt: -1 },
+    rating: { 'rating.average': -1, createdAt: -1 },
+    price_asc: { price: 1 },
+    price_desc: { price: -1 }
+};
+
+// Multipart forms send objects and arrays as JSON strings
+const parseJsonField = (value) => {
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return undefined;
+    }
+};
+
+class StoreService {
+    // Helper to build an error carrying an HTTP status code
+    createError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    // Upload a logo or banner; a failed upload leaves the current image in place
+    async uploadImage(file) {
+        if (!file) return null;
+
+        try {
+            const result = await uploadToCloudinary(file.buffer, 'stores');
+            return { url: result.secure_url, publicId: result.public_id };
+        } catch (error) {
+            console.error('Cloudinary upload error for store image:', error);
+            return null;
+        }
+    }
+
+    async deleteImage(image) {
+        if (!image || !image.publicId) return;
+
+        try {
+            await cloudinary.uploader.destroy(image.publicId);
+        } catch (error) {
+            console.error('Error deleting store image:', error);
+        }
+    }
+
+    // Copy editable fields from a request body onto the store
+    applyFields(store, data) {
+        EDITABLE_FIELDS.forEach(field => {
+            if (data[field] === undefined) return;
+
+            const value = field === 'name' || field === 'description'
+                ? data[field]
+                : parseJsonField(data[field]);
+            if (value === undefined) {
+                throw this.createError(`Invalid ${field}`);
+            }
+
+            // Contact details and policies are merged so one can be changed at a time
+            if (NESTED_FIELDS.includes(field) && value && typeof value === 'object' && !Array.isArray(value)) {
+                Object.entries(value).forEach(([key, entry]) => store.set(`${field}.${key}`, entry));
+            } else {
+                store[field] = value;
+            }
+        });
+    }
+
+    // Check a seller-chosen slug and make sure no other store has it
+    async resolveSlug(requested, excludeId = null) {
+        const slug = slugify(requested);
+        if (!slug) {
+            throw this.createError('Invalid store slug');
+        }
+
+        const taken = await Store.exists({
+            slug,
+            ...(excludeId ? { _id: { $ne: excludeId } } : {})
+        });
+        if (taken) {
+            throw this.createError(`The store address "${slug}" is already taken`, 409);
+        }
+
+        return slug;
+    }
+
+    // Images arrive from multer's fields() as { logo: [file], banner: [file] }
+    async applyImages(store, files = {}) {
+        for (const field of ['logo', 'banner']) {
+            const file = files[field] && files[field][0];
+            const image = await this.uploadImage(file);
+            if (image) {
+                await this.deleteImage(store[field]);
+                store[field] = image;
+            }
+        }
+    }
+
+    async createStore(user, data, files) {
+        if (await Store.exists({ owner: user._id })) {
+            throw this.createError('You already have a store', 409);
+        }
+
+        if (!data.name) {
+            throw this.createError('Store name is required');
+        }
+
+        // Contact details start from the seller's profile
+        const store = new Store({
+            owner: user._id,
+            contact: {
+                email: user.email,
+                phoneNumber: user.phoneNumber,
+                address: user.address,
+                city: user.city,
+                state: user.state,
+                country: user.country
+            }
+        });
+        this.applyFields(store, data);
+        store.slug = data.slug
+            ? await this.resolveSlug(data.slug)
+            : await Store.generateSlug(store.name);
+
+        await this.applyImages(store, files);
+        await store.save();
+
+        return store;
+    }
+
+    async updateStore(store, data, files) {
+        this.applyFields(store, data);
+
+        if (data.slug !== undefined && slugify(data.slug) !== store.slug) {
+            store.slug = await this.resolveSlug(data.slug, store._id);
+        }
+
+        await this.applyImages(store, files);
+        await store.save();
+
+        return store;
+    }
+
+    // Contact fields for a new product: the seller's store, then their profile
+    async getProductDefaults(seller) {
+        const store = await Store.findOne({ owner: seller._id });
+        const profile = {
+            location: [seller.city, seller.state].filter(Boolean).join(', ') || seller.address,
+            phoneNumber: seller.phoneNumber,
+            email: seller.email,
+            companyName: ''
+        };
+
+        if (!store) {
+            return profile;
+        }
+
+        const defaults = store.getProductDefaults();
+        Object.keys(profile).forEach(key => {
+            if (!defaults[key]) defaults[key] = profile[key];
+        });
+
+        return defaults;
+    }
+
+    // Public store page: the store, a page of its active products, ratings and sales
+    async getPublicStore(slug, { page = 1, limit = 20, sort = 'recent' } = {}) {
+        const store = await Store.findOne({ slug: String(slug).toLowerCase(), status: 'active' })
+            .populate('owner', 'name verificationStatus createdAt')
+            .lean();
+        if (!store || !store.owner) {
+            throw this.createError('Store not found', 404);
+        }
+
+        const sellerId = store.owner._id;
+        const productQuery = { userId: sellerId, status: 'active' };
+
+        const [products, productCount, rating, sales, completedOrders] = await Promise.all([
+            Product.find(productQuery)
+                .select('name price currency images rating sales stock categoryName location type variantOptions')
+                .sort(PRODUCT_SORT_OPTIONS[sort] || PRODUCT_SORT_OPTIONS.recent)
+                .skip((page - 1) * limit)
+                .limit(parseInt(limit))
+                .lean(),
+            Product.countDocuments(productQuery),
+            Review.getSellerRatingSummary(sellerId),
+            Product.aggregate([
+                { $match: { userId: sellerId } },
+                { $group: { _id: null, units: { $sum: '$sales' } } }
+            ]),
+            SellerOrder.countDocuments({ seller: sellerId, status: 'delivered' })
+        ]);
+
+        return {
+            store,
+            products,
+            productCount,
+            rating,
+            sales: {
+                units: sales.length ? sales[0].units : 0,
+                completedOrders
+            }
+        };
+    }
+}
+
+module.exports = new StoreService();
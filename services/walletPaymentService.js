@@ -0,0 +1,181 @@
+const Payment = require('../models/Payment');
+const Order = require('../models/Order');
+const Asset = require('../models/Asset');
+const Transaction = require('../models/Transaction');
+const priceService = require('./priceService');
+const fxService = require('./fxService');
+const paymentService = require('./paymentService');
+const refundService = require('./refundService');
+const { WALLET_QUOTE_TTL_SECONDS, WALLET_ASSET_DECIMALS } = require('../config/payments');
+const { roundAssetAmount } = require('../utils/currency');
+
+const PROVIDER_NAME = 'wallet';
+
+// Precision of an asset, capped at the wallet default
+const assetDecimals = asset => (asset.details && asset.details.decimals != null
+    ? Math.min(asset.details.decimals, WALLET_ASSET_DECIMALS)
+    : WALLET_ASSET_DECIMALS);
+
+class WalletPaymentService {
+    // Helper to build an error carrying an HTTP status code
+    createError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    // The buyer's asset to pay with: the one asked for, or their selected asset
+    async findBuyerAsset(userId, symbol) {
+        const query = symbol
+            ? { userId, symbol: String(symbol).toUpperCase() }
+            : { userId, isSelected: true };
+
+        const asset = await Asset.findOne(query);
+        if (!asset) {
+            throw this.createError(symbol
+                ? `You don't hold any ${String(symbol).toUpperCase()}`
+                : 'Choose the asset to pay with');
+        }
+
+        return asset;
+    }
+
+    // Price the order total in one of the buyer's assets and hold that rate for a short window.
+    // A new quote replaces any earlier one still open for the order.
+    async createQuote(order, user, { symbol } = {}) {
+        if (order.status !== 'pending_payment') {
+            throw this.createError(`Order is ${order.status} and cannot be paid`);
+        }
+
+        if (order.paymentMethod !== 'wallet') {
+            throw this.createError(`Orders paid by ${order.paymentMethod} cannot be paid from a wallet`);
+        }
+
+        const asset = await this.findBuyerAsset(user._id, symbol);
+
+        const prices = await priceService.getPrices([asset.symbol]);
+        const assetPrice = prices[asset.symbol] && prices[asset.symbol].usd;
+        if (!assetPrice || assetPrice <= 0) {
+            throw this.createError(`No price is available for ${asset.symbol} right now. Please try again shortly.`, 503);
+        }
+
+        const { rate: fxRate } = await fxService.getRate(order.currency, 'USD');
+        const usdAmount = order.summary.total * fxRate;
+        const decimals = assetDecimals(asset);
+        const amount = roundAssetAmount(usdAmount / assetPrice, decimals, 'up');
+
+        if (asset.balance < amount) {
+            throw this.createError(`Insufficient ${asset.symbol} balance: ${amount} needed, ${asset.balance} available`);
+        }
+
+        await Payment.updateMany(
+            { order: order._id, provider: PROVIDER_NAME, status: 'pending' },
+            { status: 'expired' }
+        );
+
+        return Payment.create({
+            order: order._id,
+            user: user._id,
+            provider: PROVIDER_NAME,
+            method: 'wallet',
+            amount: order.summary.total,
+            currency: order.currency,
+            quote: {
+                symbol: asset.symbol,
+                amount,
+                assetPrice,
+                usdAmount,
+                fxRate,
+                decimals
+            },
+            expiresAt: new Date(Date.now() + WALLET_QUOTE_TTL_SECONDS * 1000)
+        });
+    }
+
+    // Pay a quoted order: debit the buyer's asset at the locked rate and mark the
+    // order paid, which places each seller's share in escrow
+    async confirmPayment(payment) {
+        if (payment.provider !== PROVIDER_NAME) {
+            throw this.createError('Payment is not a wallet payment');
+        }
+
+        if (payment.status === 'succeeded') {
+            return payment;
+        }
+
+        const order = await Order.findById(payment.order);
+        if (!order || order.status !== 'pending_payment') {
+            throw this.createError(`Order is ${order ? order.status : 'missing'} and cannot be paid`);
+        }
+
+        // Claim the quote so a repeated confirm can't charge twice
+        const claimed = await Payment.findOneAndUpdate(
+            { _id: payment._id, status: 'pending', expiresAt: { $gt: new Date() } },
+            { status: 'processing' },
+            { new: true }
+        );
+        if (!claimed) {
+            throw this.createError('This quote has expired or was already used. Please request a new quote.', 409);
+        }
+
+        const { symbol, amount, usdAmount, assetPrice } = claimed.quote;
+
+        const debited = await Asset.adjustBalance(claimed.user, symbol, -amount, assetPrice);
+        if (!debited) {
+            claimed.status = 'failed';
+            claimed.failureReason = `Insufficient ${symbol} balance`;
+            await claimed.save();
+            throw this.createError(`Insufficient ${symbol} balance to pay ${amount} ${symbol}`);
+        }
+
+        try {
+            const transaction = await Transaction.create({
+                userId: claimed.user,
+                type: 'purchase',
+                status: 'completed',
+                fromAsset: { symbol, amount },
+                amount,
+                usdValue: usdAmount,
+                blockchain: 'internal',
+                order: order._id,
+                payment: claimed._id,
+                metadata: { exchangeRate: assetPrice },
+                description: `Payment for order ${order.orderNumber}`,
+                completedAt: new Date()
+            });
+
+            claimed.status = 'succeeded';
+            claimed.paidAt = new Date();
+            claimed.transaction = transaction._id;
+            await claimed.save();
+        } catch (error) {
+            // Nothing was recorded against the debit, so put it back
+            await Asset.adjustBalance(claimed.user, symbol, amount, assetPrice);
+            await Payment.updateOne(
+                { _id: claimed._id },
+                { status: 'failed', failureReason: 'Payment could not be recorded' }
+            );
+            throw error;
+        }
+
+        // An order cancelled meanwhile is refunded to the wallet by settleOrder
+        try {
+            await paymentService.settleOrder(claimed);
+        } catch (error) {
+            // Give the money back unless the order was marked paid before the failure
+            const current = await Order.findById(order._id).select('status').lean();
+            if (current && current.status === 'pending_payment') {
+                await Payment.updateOne(
+                    { _id: claimed._id },
+                    { status: 'failed', failureReason: 'Order could not be marked paid' }
+                );
+                await refundService.queue(claimed._id, claimed.amount, { note: 'Order could not be marked paid' });
+            }
+            throw error;
+        }
+
+        return claimed;
+    }
+}
+
+module.exports = new WalletPaymentService();
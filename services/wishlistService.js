@@ -0,0 +1,183 @@
+const Wishlist = require('../models/Wishlist');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const fxService = require('./fxService');
+const notificationService = require('./notificationService');
+const analyticsService = require('./analyticsService');
+const { roundCurrency, formatCurrency } = require('../utils/currency');
+
+class WishlistService {
+    constructor() {
+        // Tell users when something they saved gets cheaper or is available again
+        Product.events.on('priceDrop', (product, previousPrice) => {
+            this.notifyPriceDrop(product, previousPrice)
+                .catch(error => console.error('Wishlist price drop notification error:', error));
+        });
+        Product.events.on('backInStock', (product) => {
+            this.notifyBackInStock(product)
+                .catch(error => console.error('Wishlist restock notification error:', error));
+        });
+    }
+
+    // Helper to build an error carrying an HTTP status code
+    createError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    // Save a product to the user's wishlist
+    async addProduct(userId, { productId, selectedAttributes, notes }) {
+        const product = await Product.findById(productId);
+        if (!product) {
+            throw this.createError('Product not found', 404);
+        }
+
+        const wishlist = await Wishlist.findOrCreateForUser(userId);
+        wishlist.addItem({
+            product: product._id,
+            selectedAttributes,
+            notes,
+            price: product.price,
+            currency: product.currency
+        });
+
+        await wishlist.save();
+        return wishlist;
+    }
+
+    // Move a saved line into the user's active cart
+    async moveToCart(userId, itemId, quantity) {
+        const wishlist = await Wishlist.findOne({ user: userId });
+        const item = wishlist ? wishlist.items.id(itemId) : null;
+        if (!item) {
+            throw this.createError('Item not found in wishlist', 404);
+        }
+
+        const product = await Product.findById(item.product);
+        if (!product || product.status !== 'active') {
+            throw this.createError('Product is not available for purchase');
+        }
+
+        const option = product.resolvePurchaseOption(item.selectedAttributes);
+        if (!option) {
+            throw this.createError('The saved options for this product are no longer available');
+        }
+
+        const requested = parseInt(quantity) || item.quantity;
+        if (option.stock < requested) {
+            throw this.createError(`Only ${option.stock} items available in stock`);
+        }
+
+        let cart = await Cart.findOne({ user: userId, status: 'active' });
+        if (!cart) {
+            cart = new Cart({ user: userId, items: [] });
+        }
+
+        // Convert the product price into the cart currency
+        const { rate } = await fxService.getRate(product.currency, cart.currency);
+
+        await cart.addItem({
+            product: product._id,
+            seller: product.userId,
+            category: product.category,
+            productType: product.type,
+            quantity: requested,
+            price: roundCurrency(option.price * rate, cart.currency),
+            basePrice: option.price,
+            baseCurrency: product.currency,
+            exchangeRate: rate,
+            selectedAttributes: option.selectedAttributes,
+            variant: option.variant ? option.variant._id : undefined,
+            sku: option.sku,
+            notes: item.notes
+        });
+
+        analyticsService.trackCartAdd(product, {
+            user: userId,
+            variant: option.variant ? option.variant._id : undefined,
+            quantity: requested
+        });
+
+        wishlist.removeItem(itemId);
+        await wishlist.save();
+
+        return { cart, wishlist };
+    }
+
+    // Move a cart line out of the cart into the wishlist
+    async saveCartItemForLater(cart, itemId) {
+        const item = cart.items.id(itemId);
+        if (!item) {
+            throw this.createError('Item not found in cart', 404);
+        }
+
+        const wishlist = await Wishlist.findOrCreateForUser(cart.user);
+        wishlist.addItem({
+            product: item.product._id || item.product,
+            selectedAttributes: item.selectedAttributes,
+            quantity: item.quantity,
+            notes: item.notes,
+            source: 'saved_for_later',
+            price: item.basePrice,
+            currency: item.baseCurrency
+        });
+
+        await wishlist.save();
+        await cart.removeItem(itemId);
+
+        return { cart, wishlist };
+    }
+
+    // Notify everyone watching a product, then stamp their lines
+    async notifyWatchers(product, preference, notification) {
+        const wishlists = await Wishlist.find({
+            items: { $elemMatch: { product: product._id, [preference]: true } }
+        }).select('user');
+
+        for (const wishlist of wishlists) {
+            await notificationService.notify(wishlist.user, notification, { email: true });
+        }
+
+        if (wishlists.length) {
+            await Wishlist.updateMany(
+                { _id: { $in: wishlists.map(wishlist => wishlist._id) } },
+                { $set: { 'items.$[item].lastNotifiedAt': new Date() } },
+                { arrayFilters: [{ 'item.product': product._id }] }
+            );
+        }
+
+        return wishlists.length;
+    }
+
+    async notifyPriceDrop(product, previousPrice) {
+        const price = formatCurrency(product.price, product.currency);
+        const was = formatCurrency(previousPrice, product.currency);
+
+        return this.notifyWatchers(product, 'notifyOnPriceDrop', {
+            type: 'price_drop',
+            title: `Price drop: ${product.name}`,
+            message: `${product.name} is now ${price} (was ${was}).`,
+            data: {
+                product: product._id,
+                previousPrice,
+                price: product.price,
+                currency: product.currency
+            }
+        });
+    }
+
+    async notifyBackInStock(product) {
+        return this.notifyWatchers(product, 'notifyOnRestock', {
+            type: 'back_in_stock',
+            title: `Back in stock: ${product.name}`,
+            message: `${product.name} is available again. ${product.stock} in stock.`,
+            data: {
+                product: product._id,
+                stock: product.stock
+            }
+        });
+    }
+}
+
+module.exports = new WishlistService();
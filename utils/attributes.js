@@ -0,0 +1,127 @@
+// utils/attributes.js - Product attributes checked against a category's attribute schema
+
+const MAX_TEXT_LENGTH = 200;
+const TRUE_VALUES = ['yes', 'true', '1'];
+const FALSE_VALUES = ['no', 'false', '0'];
+
+const nameKey = (name) => String(name == null ? '' : name).trim().toLowerCase();
+
+const sameText = (a, b) => nameKey(a) === nameKey(b);
+
+// Find the definition for an attribute name, ignoring case
+const findDefinition = (schema, name) => (schema || []).find(definition => sameText(definition.name, name)) || null;
+
+// A number with or without its unit, e.g. "2.5", "2.5kg" or "2.5 kg"; null if it isn't one
+const parseNumber = (value, unit) => {
+    let text = String(value).trim();
+    if (unit && text.toLowerCase().endsWith(unit.toLowerCase())) {
+        text = text.slice(0, -unit.length).trim();
+    }
+    return /^-?\d+(\.\d+)?$/.test(text) ? parseFloat(text) : null;
+};
+
+// Yes/no in any of its usual spellings; null if it isn't one
+const parseBoolean = (value) => {
+    const text = nameKey(value);
+    if (TRUE_VALUES.includes(text)) return true;
+    if (FALSE_VALUES.includes(text)) return false;
+    return null;
+};
+
+// Stored form of a boolean attribute
+const formatBoolean = (flag) => (flag ? 'Yes' : 'No');
+
+// Check a value against its definition.
+// Returns { attribute } in its stored form or { error }.
+const normalizeValue = (definition, value) => {
+    const { name, type, unit } = definition;
+
+    switch (type) {
+        case 'enum': {
+            const match = definition.allowedValues.find(allowed => sameText(allowed, value));
+            return match
+                ? { attribute: { name, value: match } }
+                : { error: `${value} is not a valid ${name}. Allowed values: ${definition.allowedValues.join(', ')}` };
+        }
+        case 'number': {
+            const number = parseNumber(value, unit);
+            if (number === null) {
+                return { error: unit ? `${name} must be a number in ${unit}` : `${name} must be a number` };
+            }
+            return { attribute: { name, value: unit ? `${number} ${unit}` : String(number), numericValue: number } };
+        }
+        case 'boolean': {
+            const flag = parseBoolean(value);
+            return flag === null
+                ? { error: `${name} must be yes or no` }
+                : { attribute: { name, value: formatBoolean(flag) } };
+        }
+        default:
+            return value.length > MAX_TEXT_LENGTH
+                ? { error: `${name} cannot exceed ${MAX_TEXT_LENGTH} characters` }
+                : { attribute: { name, value } };
+    }
+};
+
+// Check [{ name, value }] attributes against a category's attribute schema.
+// Attributes the schema doesn't define are kept as free text; optional ones left blank are dropped.
+// Returns { attributes, errors } with attributes in their stored form: the schema's
+// spelling of names and enum values, numbers with their unit and booleans as Yes/No.
+const validateAttributes = (attributes, schema = []) => {
+    const errors = [];
+    const result = [];
+    const seen = new Set();
+
+    (Array.isArray(attributes) ? attributes : []).forEach(attribute => {
+        const key = nameKey(attribute && attribute.name);
+        if (!key) {
+            errors.push('Every attribute needs a name');
+            return;
+        }
+
+        if (seen.has(key)) {
+            errors.push(`${attribute.name} is listed more than once`);
+            return;
+        }
+        seen.add(key);
+
+        const definition = findDefinition(schema, key);
+        const value = attribute.value == null ? '' : String(attribute.value).trim();
+
+        if (!value) {
+            if (!definition || definition.required) {
+                errors.push(`${definition ? definition.name : attribute.name} needs a value`);
+            }
+            return;
+        }
+
+        if (!definition) {
+            result.push({ name: String(attribute.name).trim(), value });
+            return;
+        }
+
+        const checked = normalizeValue(definition, value);
+        if (checked.error) {
+            errors.push(checked.error);
+        } else {
+            result.push(checked.attribute);
+        }
+    });
+
+    schema.forEach(definition => {
+        if (definition.required && !seen.has(nameKey(definition.name))) {
+            errors.push(`${definition.name} is required`);
+        }
+    });
+
+    return { attributes: result, errors };
+};
+
+module.exports = {
+    sameText,
+    findDefinition,
+    parseNumber,
+    parseBoolean,
+    formatBoolean,
+    validateAttributes
+};
@@ -0,0 +1,64 @@
+// utils/cartSession.js - Signed tokens for guest carts and cart restore links
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const TOKEN_TYPE = 'cart_session';
+const TOKEN_EXPIRY = '30d';
+
+// Header guests send their cart session token in, and receive new ones in
+const CART_SESSION_HEADER = 'X-Cart-Session';
+
+const getSecret = () => process.env.CART_SESSION_SECRET || process.env.JWT_SECRET;
+
+// Start a new guest session and return its id and signed token
+const createCartSession = () => {
+  const sessionId = crypto.randomBytes(24).toString('hex');
+  const token = jwt.sign({ sessionId, type: TOKEN_TYPE }, getSecret(), { expiresIn: TOKEN_EXPIRY });
+
+  return { sessionId, token };
+};
+
+// Return the session id from a token, or null if it is invalid or expired
+const verifyCartSessionToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, getSecret());
+    return decoded.type === TOKEN_TYPE && decoded.sessionId ? decoded.sessionId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const RESTORE_TOKEN_TYPE = 'cart_restore';
+const RESTORE_TOKEN_EXPIRY = '7d';
+
+// Sign a link token that lets the cart owner restore an abandoned cart
+const createCartRestoreToken = (cart) => jwt.sign(
+  { cartId: cart._id.toString(), userId: (cart.user._id || cart.user).toString(), type: RESTORE_TOKEN_TYPE },
+  getSecret(),
+  { expiresIn: RESTORE_TOKEN_EXPIRY }
+);
+
+// Return { cartId, userId } from a restore token, or null if it is invalid or expired
+const verifyCartRestoreToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, getSecret());
+    return decoded.type === RESTORE_TOKEN_TYPE ? { cartId: decoded.cartId, userId: decoded.userId } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Link the recovery email points at; the frontend posts the token to POST /api/cart/restore/:cartId
+const getCartRestoreUrl = (cart) => {
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return `${baseUrl}/cart/restore/${cart._id}?token=${createCartRestoreToken(cart)}`;
+};
+
+module.exports = {
+  CART_SESSION_HEADER,
+  createCartSession,
+  verifyCartSessionToken,
+  createCartRestoreToken,
+  verifyCartRestoreToken,
+  getCartRestoreUrl
+};
@@ -0,0 +1,87 @@
+// utils/csv.js - Minimal RFC 4180 CSV parsing and writing
+
+// Parse CSV text into an array of rows (arrays of strings).
+// Handles quoted fields, escaped quotes ("") and newlines inside quotes.
+const parseCsv = (text) => {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i += 1;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i += 1;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Parse CSV with a header row into objects keyed by column name
+const parseCsvObjects = (text) => {
+    const [header = [], ...rows] = parseCsv(text);
+    const columns = header.map(column => column.trim());
+
+    return rows.map(cells => {
+        const record = {};
+        columns.forEach((column, index) => {
+            if (column) record[column] = cells[index] !== undefined ? cells[index] : '';
+        });
+        return record;
+    });
+};
+
+// Quote a value for CSV. Text cells starting with = + - @, a tab or a carriage return
+// are prefixed with ' so spreadsheets don't evaluate them as formulas. Numbers
+// (e.g. a negative adjustment) are written as they are.
+const formatCsvValue = (value) => {
+    if (value === undefined || value === null) return '';
+
+    let text = String(value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => `${values.map(formatCsvValue).join(',')}\r\n`;
+
+// Undo the formula guard added by formatCsvValue
+const unescapeCsvValue = (value) => (typeof value === 'string' && /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value);
+
+module.exports = {
+    parseCsv,
+    parseCsvObjects,
+    toCsvRow,
+    unescapeCsvValue
+};
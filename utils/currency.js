@@ -0,0 +1,58 @@
+// utils/currency.js - Currency rounding, formatting and conversion helpers
+const { CURRENCIES } = require('../config/currency');
+
+// Decimals used for a currency, defaulting to two
+const getDecimals = (currency) => (CURRENCIES[currency] ? CURRENCIES[currency].decimals : 2);
+
+// Round an amount using the currency's rounding rule
+const roundCurrency = (amount, currency) => {
+    const factor = Math.pow(10, getDecimals(currency));
+    return Math.round((amount || 0) * factor) / factor;
+};
+
+// Round a wallet asset amount to its precision. Charges round up so an
+// order is never underpaid.
+const roundAssetAmount = (amount, decimals, direction = 'nearest') => {
+    const factor = Math.pow(10, decimals);
+    const scaled = Number(((amount || 0) * factor).toFixed(6));
+    return (direction === 'up' ? Math.ceil(scaled) : Math.round(scaled)) / factor;
+};
+
+// Format an amount with the currency symbol, e.g. "₦15,500" or "$12.50"
+const formatCurrency = (amount, currency = 'USD') => {
+    const decimals = getDecimals(currency);
+    const symbol = CURRENCIES[currency] ? CURRENCIES[currency].symbol : `${currency} `;
+
+    return `${symbol}${(amount || 0).toLocaleString('en-US', {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+    })}`;
+};
+
+// Rate to convert from one currency to another using a base-currency rate table
+const getExchangeRate = (rates, from, to) => {
+    if (from === to) return 1;
+
+    if (!rates[from] || !rates[to]) {
+        throw new Error(`No exchange rate available from ${from} to ${to}`);
+    }
+
+    return rates[to] / rates[from];
+};
+
+// Describe where a conversion rate came from, e.g. "manual" or "provider+fallback"
+const getRateSource = (sources, from, to) => {
+    const parts = [from, to]
+        .filter((currency, index, list) => list.indexOf(currency) === index && sources[currency] !== 'base')
+        .map(currency => sources[currency]);
+
+    return parts.length ? [...new Set(parts)].join('+') : 'base';
+};
+
+module.exports = {
+    roundCurrency,
+    roundAssetAmount,
+    formatCurrency,
+    getExchangeRate,
+    getRateSource
+};
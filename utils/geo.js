@@ -0,0 +1,91 @@
+// utils/geo.js - Offline geocoding from the bundled gazetteer and distance helpers
+const gazetteer = require('../data/gazetteer.json');
+const { normalizeText, escapeRegex } = require('./search');
+
+const EARTH_RADIUS_KM = 6378.1;
+
+// Precompute the normalised names each place can be written as
+const places = gazetteer.map(place => ({
+    ...place,
+    patterns: [place.name, ...place.aliases].map(name => {
+        const normalized = normalizeText(name);
+        return { length: normalized.length, regex: new RegExp(`(^| )${escapeRegex(normalized)}( |$)`) };
+    })
+}));
+
+// Find where a place's names appear in normalised text
+const findInText = (place, text) => {
+    let best = null;
+
+    place.patterns.forEach(pattern => {
+        const match = pattern.regex.exec(text);
+        if (match && (!best || match.index < best.index ||
+            (match.index === best.index && pattern.length > best.length))) {
+            best = { index: match.index, length: pattern.length };
+        }
+    });
+
+    return best;
+};
+
+// Resolve free text such as "Lekki Phase 1, Lagos" to a gazetteer place.
+// The earliest (most specific) place mentioned wins, then the longest name;
+// a Nigerian state name on its own resolves to the first city listed for it.
+// Returns { name, state, country, coordinates: [lng, lat] } or null.
+const geocode = (...parts) => {
+    const text = normalizeText(parts.filter(Boolean).join(' '));
+    if (!text) return null;
+
+    let best = null;
+    places.forEach(place => {
+        const match = findInText(place, text);
+        if (match && (!best || match.index < best.match.index ||
+            (match.index === best.match.index && match.length > best.match.length))) {
+            best = { place, match };
+        }
+    });
+
+    if (!best) {
+        const statePlace = places.find(place =>
+            place.country === 'NG' &&
+            new RegExp(`(^| )${escapeRegex(normalizeText(place.state))}( |$)`).test(text)
+        );
+        best = statePlace ? { place: statePlace } : null;
+    }
+
+    if (!best) return null;
+
+    const { name, state, country, coordinates } = best.place;
+    return { name, state, country, coordinates };
+};
+
+// Build a GeoJSON point, or null if the coordinates are invalid
+const toPoint = (lat, lng) => {
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lng);
+
+    if (isNaN(latitude) || isNaN(longitude) ||
+        latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+        return null;
+    }
+
+    return { type: 'Point', coordinates: [longitude, latitude] };
+};
+
+// Great-circle distance in km between two [lng, lat] pairs
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+module.exports = {
+    EARTH_RADIUS_KM,
+    geocode,
+    toPoint,
+    distanceKm
+};
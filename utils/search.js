@@ -0,0 +1,44 @@
+// utils/search.js - Text normalisation, keywords and trigrams for product search
+
+// Lowercase, strip accents and punctuation, collapse whitespace
+const normalizeText = (text) => String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Split text into distinct words, skipping single characters
+const tokenize = (text) => [...new Set(normalizeText(text).split(' ').filter(word => word.length > 1))];
+
+// Trigrams of each word, padded so word starts and ends count, e.g. "tv" -> [" tv", "tv "]
+const buildTrigrams = (words) => {
+    const grams = new Set();
+
+    words.forEach(word => {
+        const padded = ` ${word} `;
+        for (let i = 0; i <= padded.length - 3; i++) {
+            grams.add(padded.slice(i, i + 3));
+        }
+    });
+
+    return [...grams];
+};
+
+// URL-safe slug from free text, e.g. "Ada's Shoes & Bags" -> "ada-s-shoes-bags"
+const slugify = (text, maxLength = 60) => normalizeText(text)
+    .replace(/ /g, '-')
+    .slice(0, maxLength)
+    .replace(/-+$/, '');
+
+// Escape user input for use inside a regular expression
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+    normalizeText,
+    tokenize,
+    buildTrigrams,
+    slugify,
+    escapeRegex
+};
@@ -0,0 +1,25 @@
+// utils/signature.js - HMAC signing and constant-time comparison for webhooks
+const crypto = require('crypto');
+
+// Hex HMAC of a payload (string or Buffer)
+const hmacHex = (algorithm, secret, payload) => crypto
+    .createHmac(algorithm, secret)
+    .update(payload)
+    .digest('hex');
+
+// Compare two strings without leaking where they differ
+const safeCompare = (a, b) => {
+    if (typeof a !== 'string' || typeof b !== 'string') {
+        return false;
+    }
+
+    const left = Buffer.from(a);
+    const right = Buffer.from(b);
+
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+module.exports = {
+    hmacHex,
+    safeCompare
+};